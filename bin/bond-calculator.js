@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+/**
+ * Bond Calculator CLI
+ * Prices one bond from flags, or a batch from a CSV or JSON file, with the
+ * same calculation and validation modules as the web page
+ */
+
+import { parseArgs } from 'node:util';
+import { readFileSync } from 'node:fs';
+import { INPUT_PARAMS } from '../modules/url.js';
+import { OUTPUTS, FORMATS, resolveInputs, priceBond, parseBatch, formatResults } from '../cli/pricer.js';
+
+const USAGE = `Usage: bond-calculator [bond flags] [options]
+       bond-calculator --file bonds.csv [bond flags] [options]
+
+Bond flags (the same names as the calculator's share links):
+  --face <n>          Face value (default 100)
+  --freq <n>          Payments per year: 1, 2, 4 or 12 (default 2)
+  --coupon <pct>      Annual coupon rate (default 8.6)
+  --ytm <pct>         Yield to maturity (default 6.5)
+  --years <n>         Years to maturity (default 5)
+  --price <n>         Quoted flat price per 100 par; solves for the yield
+  --spot <rates>      Spot rates, per period or years:rate ("1:5, 2:5.5"); prices off the curve
+  --mode <mode>       yield, price or spot (implied by --price and --spot)
+  --settle <date>     Settlement date (YYYY-MM-DD); prices between coupon dates
+  --maturity <date>   Maturity date (YYYY-MM-DD)
+  --daycount <rule>   30/360 or actual/actual (default 30/360)
+  --structure <type>  bullet, zero, amortizing or sinking (default bullet)
+  --sinking <list>    Sinking fund redemptions as year:percent ("2:20, 3:20")
+  --ref <pct>         Floating rate: reference rate
+  --qm <bp>           Floating rate: quoted margin
+  --dm <bp>           Floating rate: discount margin
+  --calls <list>      Call schedule as year:price ("3:102, 4:101")
+
+Options:
+  -f, --file <path>   Price every bond in a CSV or JSON file ("-" reads stdin).
+                      Columns or keys are the bond flag names plus an optional
+                      "name"; flags given on the command line apply to every row.
+  -s, --show <list>   Comma-separated outputs: ${OUTPUTS.join(', ')}
+                      (default price,breakdown,type)
+  -o, --format <fmt>  ${FORMATS.join(', ')} (default table)
+  -h, --help          Show this help
+
+Flags the mode or other settings leave unused (such as --price with
+--mode yield) are usage errors; in a file they fail that row.
+
+Exit status: 0 if every bond was priced, 1 if any inputs were invalid,
+2 for usage errors.
+`;
+
+/**
+ * Exit with a usage error
+ * @param {string} message - What was wrong
+ */
+function usageError(message) {
+  process.stderr.write(`bond-calculator: ${message}\nRun bond-calculator --help for usage.\n`);
+  process.exit(2);
+}
+
+/**
+ * Run the CLI
+ * @param {Array} argv - Command-line arguments
+ */
+function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: {
+        ...Object.fromEntries(INPUT_PARAMS.map(param => [param, { type: 'string' }])),
+        file: { type: 'string', short: 'f' },
+        show: { type: 'string', short: 's', default: 'price,breakdown,type' },
+        format: { type: 'string', short: 'o', default: 'table' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    usageError(error.message);
+  }
+
+  const { file, show: showList, format, help, ...params } = parsed.values;
+
+  if (help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  const show = showList.split(',').map(output => output.trim()).filter(Boolean);
+  const unknown = show.filter(output => !OUTPUTS.includes(output));
+  if (unknown.length || !show.length) {
+    usageError(`--show must list ${OUTPUTS.join(', ')}`);
+  }
+  if (!FORMATS.includes(format)) {
+    usageError(`--format must be one of ${FORMATS.join(', ')}`);
+  }
+
+  let bonds;
+  if (file) {
+    try {
+      bonds = parseBatch(readFileSync(file === '-' ? 0 : file, 'utf8'));
+    } catch (error) {
+      usageError(`could not read ${file}: ${error.message}`);
+    }
+    // Command-line flags are defaults for every row
+    bonds = bonds.map(({ name, params: row }) => ({ name, params: { ...params, ...row } }));
+  } else {
+    const { conflicts } = resolveInputs(params);
+    if (conflicts.length) {
+      usageError(conflicts.map(conflict => conflict.replace(/^(\w+)/, '--$1')).join('; '));
+    }
+    bonds = [{ name: 'Bond', params }];
+  }
+
+  const results = bonds.map(({ name, params: bondParams }) => priceBond(name, bondParams));
+  const failed = results.filter(result => result.error);
+
+  failed.forEach(({ name, error }) => {
+    process.stderr.write(file ? `${name}: ${error}\n` : `bond-calculator: ${error}\n`);
+  });
+
+  if (results.length > failed.length || format === 'json') {
+    process.stdout.write(formatResults(results, { show, format, batch: Boolean(file) }));
+  }
+
+  process.exitCode = failed.length ? 1 : 0;
+}
+
+main(process.argv.slice(2));
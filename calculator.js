@@ -7,242 +7,1828 @@
  */
 
 import { state, setState, subscribe } from './modules/state.js';
-import { calculateBondMetrics } from './modules/calculations.js';
+import { 
+  calculateFromInputs,
+  generatePriceYieldCurve 
+} from './modules/calculations.js';
 import { 
   validateAllInputs, 
   validateField, 
+  validateDates, 
+  validateSchedule, 
+  validateSpotRates, 
+  validateSinkingSchedule, 
+  validateCallSchedule, 
   updateFieldError, 
   updateValidationSummary,
-  hasErrors 
+  revalidateErrors,
+  hasErrors,
+  describeError 
 } from './modules/validation.js';
 import { 
   $, 
   listen, 
   focusElement, 
   announceToScreenReader,
-  debounce 
+  debounce,
+  createElement,
+  getFrequencyInfo 
 } from './modules/utils.js';
-import { renderChart, shouldShowLabels, destroyChart } from './modules/chart.js';
-import { renderTable } from './modules/table.js';
-import { renderResults } from './modules/results.js';
+import {
+  LOCALES,
+  CURRENCIES,
+  t,
+  setLocale,
+  getCurrencyName,
+  loadLocalePreference,
+  saveLocalePreference,
+  translatePage
+} from './modules/i18n.js';
+import { renderChart, renderComparisonChart, renderChartImage, shouldShowLabels, destroyChart } from './modules/chart.js';
+import { renderPriceYieldChart, destroyPriceYieldChart } from './modules/curve.js';
+import { renderTable, renderAmortizationTable, renderComparisonTable } from './modules/table.js';
+import { renderResults, renderComparisonResults } from './modules/results.js';
+import { renderWorking, getWorkingSteps } from './modules/working.js';
+import { renderEquation } from './modules/equation.js';
+import { readStateFromUrl, writeStateToUrl, pickInputs, pickBondInputs, acceptInputs } from './modules/url.js';
+import {
+  loadScenarios,
+  saveScenario,
+  renameScenario,
+  duplicateScenario,
+  deleteScenario,
+  renderScenarioList
+} from './modules/scenarios.js';
+import {
+  MAX_COMPARISON_BONDS,
+  addComparisonBond,
+  removeComparisonBond,
+  canCompare,
+  renderComparisonList
+} from './modules/comparison.js';
+import {
+  QUESTIONS,
+  generateProblem,
+  gradeAnswer,
+  describeFeedback,
+  getHints,
+  renderPractice,
+  readPracticeAnswer
+} from './modules/practice.js';
+import { exportSchedule } from './modules/export.js';
+import { exportChart } from './modules/chart-export.js';
+import { renderReport } from './modules/report.js';
+import { startMessageAPI, readParentOrigin } from './modules/lms.js';
+import { readLaunchParameters, createXAPIClient } from './modules/xapi.js';
 
 // =============================================================================
 // INITIALIZATION
 // =============================================================================
 
 /**
- * Initialize the calculator when DOM is ready
+ * Initialize the calculator when DOM is ready
+ */
+function init() {
+  console.log('Bond Calculator initializing...');
+  
+  // Show the page in the saved or browser language
+  setupLocaleSelector();
+  
+  // Set up input event listeners
+  setupInputListeners();
+  
+  // Set up view toggle listeners
+  setupViewToggle();
+  
+  // Set up the symbols/current values toggle of the equation
+  setupEquationToggle();
+  
+  // Set up yield/price input mode toggle
+  setupInputModeToggle();
+  
+  // Set up fixed/floating coupon select
+  setupCouponTypeInput();
+  
+  // Set up bond structure inputs
+  setupStructureInputs();
+  
+  // Set up settlement date inputs
+  setupSettlementInputs();
+  
+  // Set up callable bond inputs
+  setupCallableInputs();
+  
+  // Set up skip link handlers
+  setupSkipLinks();  // Ã¢â€ Â Add this line
+  
+  // Restore a scenario shared as a link
+  restoreFromUrl();
+  
+  // Set up saved scenarios panel
+  setupScenarioPanel();
+  
+  // Set up bond comparison panel
+  setupComparisonPanel();
+  
+  // Set up practice problems
+  setupPracticePanel();
+  
+  // Set up the worked solution panel
+  setupWorkingPanel();
+  
+  // Set up schedule export buttons
+  setupExportButtons();
+  
+  // Set up printable report
+  setupReport();
+  
+  // Connect to a parent LMS page and xAPI, if launched from one
+  setupLMSIntegration();
+  
+  // Set up window resize listener for chart labels
+  setupResizeListener();
+  
+  // Subscribe to state changes
+  subscribe(handleStateChange);
+  
+  // Keep the URL in step with the inputs
+  subscribe(debounce(() => writeStateToUrl(state), 300));
+  
+  // Initial calculation
+  updateCalculations();
+  
+  console.log('Bond Calculator ready');
+}
+
+/**
+ * Set up skip link handlers for accessibility
+ */
+function setupSkipLinks() {
+  const skipToVisualizer = document.querySelector('a[href="#visualizer"]');
+  
+  if (skipToVisualizer) {
+    listen(skipToVisualizer, 'click', (e) => {
+      // Prevent default to handle it ourselves
+      e.preventDefault();
+      
+      // Switch to table view
+      switchView('table');
+      
+      // Scroll the section into view
+      const section = $('#visualizer');
+      if (section) {
+        section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      }
+      
+      // Focus the table after switching
+      setTimeout(() => {
+        const table = $('#cash-flow-table');
+        if (table) {
+          table.focus();
+        }
+      }, 400);
+    });
+  }
+}
+
+// =============================================================================
+// LANGUAGE AND CURRENCY
+// =============================================================================
+
+/**
+ * Fill the language and currency selects and apply the saved language,
+ * or the closest match to the browser's
+ */
+function setupLocaleSelector() {
+  const localeSelect = $('#locale-select');
+  const currencySelect = $('#currency-select');
+  
+  if (!localeSelect || !currencySelect) {
+    console.error('Language and currency selects not found');
+    return;
+  }
+  
+  // Each language is named in itself
+  Object.entries(LOCALES).forEach(([locale, { name }]) => {
+    localeSelect.appendChild(createElement('option', { value: locale, lang: locale }, name));
+  });
+  
+  const choose = () => {
+    switchLocale(localeSelect.value, currencySelect.value);
+    saveLocalePreference({ locale: state.locale, currency: state.currency });
+  };
+  listen(localeSelect, 'change', choose);
+  listen(currencySelect, 'change', choose);
+  
+  const { locale, currency } = loadLocalePreference(navigator.languages || [navigator.language]);
+  switchLocale(locale, currency, { announce: false });
+}
+
+/**
+ * Show the calculator in another language or currency
+ * Static text is translated in place; everything rendered from the state
+ * is rendered again.
+ * @param {string} locale - Language tag (key of LOCALES)
+ * @param {string} currency - Currency code (one of CURRENCIES)
+ * @param {Object} options - { announce: whether to announce the change }
+ */
+function switchLocale(locale, currency, { announce = true } = {}) {
+  if (!setLocale(locale, currency)) return;
+  
+  translatePage();
+  $('#locale-select').value = locale;
+  renderCurrencyOptions(currency);
+  
+  // Errors on show were written in the previous language
+  const errors = revalidateErrors(state.errors, state);
+  updateValidationSummary(errors);
+  
+  refreshScenarioList();
+  refreshComparisonList();
+  renderPractice(state.practice);
+  
+  setState({ locale, currency, errors });
+  
+  if (announce) {
+    announceToScreenReader(t('announce.locale', {
+      language: LOCALES[locale].name,
+      currency: getCurrencyName(currency)
+    }));
+  }
+}
+
+/**
+ * List the currencies by name in the language in use
+ * @param {string} currency - Currency to select
+ */
+function renderCurrencyOptions(currency) {
+  const select = $('#currency-select');
+  
+  select.innerHTML = '';
+  CURRENCIES.forEach(code => {
+    select.appendChild(createElement('option', { value: code }, `${code} – ${getCurrencyName(code)}`));
+  });
+  select.value = currency;
+}
+
+/**
+ * Set or clear an element's title (tooltip), keeping it translated
+ * @param {Element} element - Element to title
+ * @param {string|null} key - Message key, or null to clear the title
+ */
+function setTranslatedTitle(element, key) {
+  if (key) {
+    element.setAttribute('data-i18n-title', key);
+    element.title = t(key);
+  } else {
+    element.removeAttribute('data-i18n-title');
+    element.title = '';
+  }
+}
+
+// =============================================================================
+// URL STATE
+// =============================================================================
+
+/**
+ * Input element for each state field that can be restored from a link
+ */
+const FIELD_INPUTS = {
+  faceValue: 'face-value',
+  frequency: 'frequency',
+  couponRate: 'coupon-rate',
+  ytm: 'ytm',
+  years: 'years',
+  price: 'price',
+  spotRates: 'spot-rates',
+  useDates: 'use-dates',
+  settlementDate: 'settlement-date',
+  maturityDate: 'maturity-date',
+  dayCount: 'day-count',
+  structure: 'structure',
+  sinkingSchedule: 'sinking-schedule',
+  couponType: 'coupon-type',
+  referenceRate: 'reference-rate',
+  quotedMargin: 'quoted-margin',
+  discountMargin: 'discount-margin',
+  callable: 'callable',
+  callSchedule: 'call-schedule',
+  showCarryingValue: 'show-carrying-value',
+  showPresentValues: 'show-present-values',
+  showWorstCase: 'show-worst-case'
+};
+
+/**
+ * Restore the inputs, modes and view from the page URL
+ * Invalid values are dropped (see readStateFromUrl) and keep their defaults.
+ */
+function restoreFromUrl() {
+  const { values, rejected } = readStateFromUrl();
+  
+  if (rejected.length > 0) {
+    console.warn('Ignored invalid link values:', rejected);
+    announceToScreenReader(
+      t('announce.linkRejected', { messages: rejected.map(r => r.message).join('; ') })
+    );
+  }
+  
+  if (Object.keys(values).length > 0) {
+    applyInputs(values);
+  }
+}
+
+/**
+ * Apply checked input values to the state, inputs and modes
+ * Modes and options are switched only where the values change them.
+ * @param {Object} values - Input values from acceptInputs
+ */
+function applyInputs(values) {
+  const previous = { ...state };
+  
+  // Values were validated together, so earlier errors no longer apply
+  Object.values(FIELD_INPUTS).forEach(id => updateFieldError(id, null));
+  setState({ ...values, errors: {} });
+  
+  // Show the restored values in their inputs
+  Object.entries(values).forEach(([field, value]) => {
+    const input = FIELD_INPUTS[field] && $(`#${FIELD_INPUTS[field]}`);
+    if (!input) return;
+    
+    if (input.type === 'checkbox') {
+      input.checked = value;
+    } else {
+      input.value = value;
+    }
+  });
+  
+  // Switch the modes and options the values change
+  const changed = field => state[field] !== previous[field];
+  if (changed('useDates')) toggleSettlementDates(state.useDates);
+  if (changed('structure')) switchStructure(state.structure);
+  if (changed('couponType')) switchCouponType(state.couponType);
+  if (changed('callable')) toggleCallable(state.callable);
+  if (changed('inputMode')) switchInputMode(state.inputMode, { focus: false });
+  if (changed('showCarryingValue')) toggleCarryingValue(state.showCarryingValue);
+  if (changed('showPresentValues')) togglePresentValues(state.showPresentValues);
+  if (changed('viewMode')) switchView(state.viewMode, { focus: false });
+  
+  updateValidationSummary(state.errors);
+  updateCalculations();
+}
+
+// =============================================================================
+// SAVED SCENARIOS
+// =============================================================================
+
+/**
+ * Set up the save form and saved scenarios list
+ */
+function setupScenarioPanel() {
+  const form = $('#scenario-form');
+  
+  if (!form) {
+    console.error('Scenario form not found');
+    return;
+  }
+  
+  listen(form, 'submit', (e) => {
+    e.preventDefault();
+    saveCurrentScenario();
+  });
+  
+  refreshScenarioList();
+}
+
+/**
+ * Save the current inputs and calculations under the typed name
+ */
+function saveCurrentScenario() {
+  const nameInput = $('#scenario-name');
+  
+  if (!state.bondCalculations) {
+    announceToScreenReader(t('announce.scenarioInvalid'));
+    return;
+  }
+  
+  const name = nameInput.value.trim() || t('scenarios.defaultName', { number: loadScenarios().length + 1 });
+  const saved = saveScenario(name, pickInputs(state), state.bondCalculations);
+  
+  if (!saved) {
+    announceToScreenReader(t('announce.scenarioNotSaved'));
+    return;
+  }
+  
+  nameInput.value = '';
+  refreshScenarioList();
+  announceToScreenReader(t('announce.scenarioSaved', { name }));
+}
+
+/**
+ * Re-render the saved scenarios list from storage
+ */
+function refreshScenarioList() {
+  renderScenarioList(loadScenarios(), {
+    onLoad: (scenario) => {
+      const { values, rejected } = acceptInputs(scenario.inputs);
+      if (rejected.length > 0) {
+        console.warn(`Ignored invalid values in scenario ${scenario.name}:`, rejected);
+      }
+      applyInputs(values);
+      announceToScreenReader(t('announce.scenarioLoaded', { name: scenario.name }));
+    },
+    onCompare: (scenario) => {
+      const { values, rejected } = acceptInputs(scenario.inputs);
+      if (rejected.length > 0) {
+        console.warn(`Invalid values in scenario ${scenario.name}:`, rejected);
+        announceToScreenReader(t('announce.scenarioNotComparable', { name: scenario.name }));
+        return;
+      }
+      addToComparison(scenario.name, pickInputs({ ...state, ...values }));
+    },
+    onRename: (scenario, name) => {
+      renameScenario(scenario.id, name);
+      refreshScenarioList();
+      announceToScreenReader(t('announce.scenarioRenamed', { name }));
+    },
+    onDuplicate: (scenario) => {
+      const copy = duplicateScenario(scenario.id);
+      refreshScenarioList();
+      if (copy) announceToScreenReader(t('announce.scenarioDuplicated', { name: copy.name }));
+    },
+    onDelete: (scenario) => {
+      deleteScenario(scenario.id);
+      refreshScenarioList();
+      announceToScreenReader(t('announce.scenarioDeleted', { name: scenario.name }));
+    }
+  });
+}
+
+// =============================================================================
+// BOND COMPARISON
+// =============================================================================
+
+/**
+ * Views of a single bond, unavailable while comparing
+ */
+const SINGLE_BOND_VIEWS = ['curve', 'amortization'];
+
+/**
+ * Set up the add and show buttons and the list of bonds to compare
+ */
+function setupComparisonPanel() {
+  const addButton = $('#compare-add-btn');
+  const toggleButton = $('#compare-toggle-btn');
+  
+  if (!addButton || !toggleButton) {
+    console.error('Comparison controls not found');
+    return;
+  }
+  
+  listen(addButton, 'click', () => {
+    if (!state.bondCalculations) {
+      announceToScreenReader(t('announce.comparisonInvalid'));
+      return;
+    }
+    
+    // Name the bond after the first free number
+    const names = state.comparisonBonds.map(bond => bond.name);
+    let number = 1;
+    while (names.includes(t('comparison.defaultName', { number }))) number++;
+    
+    addToComparison(t('comparison.defaultName', { number }), pickInputs(state));
+  });
+  
+  listen(toggleButton, 'click', () => toggleComparison(!state.compareMode));
+  
+  refreshComparisonList();
+}
+
+/**
+ * Price a set of inputs and add it to the comparison
+ * @param {string} name - Bond name
+ * @param {Object} inputs - Complete input values (see pickInputs)
+ */
+function addToComparison(name, inputs) {
+  let bonds;
+  try {
+    bonds = addComparisonBond(state.comparisonBonds, name, inputs);
+  } catch (error) {
+    console.error('Comparison error:', error);
+    announceToScreenReader(t('announce.comparisonError', { name, message: describeError(error) }));
+    return;
+  }
+  
+  if (!bonds) {
+    announceToScreenReader(t('announce.comparisonFull', { max: MAX_COMPARISON_BONDS }));
+    return;
+  }
+  
+  setState({ comparisonBonds: bonds });
+  refreshComparisonList();
+  announceToScreenReader(
+    t('announce.comparisonAdded', { name, count: state.comparisonBonds.length, max: MAX_COMPARISON_BONDS })
+  );
+}
+
+/**
+ * Remove a bond from the comparison, leaving comparison mode below two bonds
+ * @param {Object} bond - Bond to remove
+ */
+function removeFromComparison(bond) {
+  setState({ comparisonBonds: removeComparisonBond(state.comparisonBonds, bond.id) });
+  
+  if (state.compareMode && !canCompare(state.comparisonBonds)) {
+    toggleComparison(false);
+  }
+  
+  refreshComparisonList();
+  announceToScreenReader(t('announce.comparisonRemoved', { name: bond.name }));
+}
+
+/**
+ * Re-render the comparison list and enable showing it from two bonds
+ */
+function refreshComparisonList() {
+  renderComparisonList(state.comparisonBonds, { onRemove: removeFromComparison });
+  
+  const toggleButton = $('#compare-toggle-btn');
+  if (toggleButton) {
+    toggleButton.disabled = !canCompare(state.comparisonBonds);
+  }
+}
+
+/**
+ * Show the compared bonds, or return to the current bond
+ * @param {boolean} enabled - Whether to show the comparison
+ */
+function toggleComparison(enabled) {
+  const toggleButton = $('#compare-toggle-btn');
+  toggleButton.classList.toggle('active', enabled);
+  toggleButton.setAttribute('aria-pressed', String(enabled));
+  // Named in data-i18n so a change of language keeps the current action
+  toggleButton.setAttribute('data-i18n', enabled ? 'comparison.hide' : 'comparison.show');
+  toggleButton.textContent = t(toggleButton.getAttribute('data-i18n'));
+  
+  setState({ compareMode: enabled });
+  
+  applySingleBondViewLocks();
+  if (!enabled) {
+    handleResponsiveView();
+  }
+  
+  // Refresh the legends and options for the comparison
+  const view = enabled && SINGLE_BOND_VIEWS.includes(state.viewMode) ? 'chart' : state.viewMode;
+  switchView(view, { focus: false });
+  
+  announceToScreenReader(enabled
+    ? t('announce.comparisonShown', { count: state.comparisonBonds.length })
+    : t('announce.comparisonHidden'));
+}
+
+/**
+ * Disable the single-bond views while comparing, and restore them after
+ */
+function applySingleBondViewLocks() {
+  SINGLE_BOND_VIEWS.forEach(view => {
+    const button = $(VIEWS[view].button);
+    if (!button) return;
+    
+    if (state.compareMode) {
+      button.disabled = true;
+      button.setAttribute('aria-disabled', 'true');
+      setTranslatedTitle(button, 'comparison.unavailable');
+    } else if (button.getAttribute('data-i18n-title') === 'comparison.unavailable') {
+      button.disabled = false;
+      button.removeAttribute('aria-disabled');
+      setTranslatedTitle(button, null);
+    }
+  });
+}
+
+// =============================================================================
+// PRACTICE MODE
+// =============================================================================
+
+/**
+ * Calculator modes and options a practice bond is priced under
+ * (problems are plain fixed-coupon bullet bonds priced from the yield)
+ */
+const PRACTICE_BOND = {
+  inputMode: 'yield',
+  useDates: false,
+  structure: 'bullet',
+  couponType: 'fixed',
+  callable: false
+};
+
+/**
+ * Set up the practice problem buttons and answer form
+ */
+function setupPracticePanel() {
+  const form = $('#practice-form');
+  
+  if (!form) {
+    console.error('Practice form not found');
+    return;
+  }
+  
+  listen('#practice-new-btn', 'click', startPracticeProblem);
+  listen(form, 'submit', (e) => {
+    e.preventDefault();
+    checkPracticeAnswer();
+  });
+  listen('#practice-hint-btn', 'click', showPracticeHint);
+  listen('#practice-reveal-btn', 'click', revealPracticeAnswer);
+  listen('#practice-load-btn', 'click', loadPracticeBond);
+  
+  renderPractice(state.practice);
+}
+
+/**
+ * Generate a new problem of the chosen question type, keeping the score
+ */
+function startPracticeProblem() {
+  const question = $('#practice-question').value || null;
+  const session = state.practice || { correct: 0, attempted: 0 };
+  const problem = generateProblem(question);
+  
+  updatePractice({
+    ...session,
+    problem,
+    hintsShown: 0,
+    result: null,
+    feedback: null,
+    revealed: false,
+    scored: false
+  });
+  
+  const answer = $('#practice-answer') || $('input[name="practice-answer"]');
+  focusElement(answer);
+  announceToScreenReader(t('announce.practiceProblem', { problem: $('#practice-problem').textContent }));
+}
+
+/**
+ * Grade the entered answer; only the first graded answer to a problem
+ * counts towards the score
+ */
+function checkPracticeAnswer() {
+  const session = state.practice;
+  if (!session || !session.problem) return;
+  
+  const result = gradeAnswer(session.problem, readPracticeAnswer());
+  
+  if (!result.valid) {
+    updatePractice({ ...session, result: null, feedback: result.feedback });
+    announceToScreenReader(result.message);
+    return;
+  }
+  
+  const feedback = result.correct ? 'correct' : session.revealed ? 'incorrectRevealed' : 'incorrect';
+  
+  updatePractice({ ...scorePractice(session, result.correct), result, feedback });
+  announceToScreenReader(t('announce.practiceScore', {
+    feedback: describeFeedback(feedback),
+    correct: state.practice.correct,
+    attempted: state.practice.attempted
+  }));
+}
+
+/**
+ * Show the next hint
+ */
+function showPracticeHint() {
+  const session = state.practice;
+  if (!session || !session.problem) return;
+  
+  const hints = getHints(session.problem);
+  const hintsShown = Math.min(session.hintsShown + 1, hints.length);
+  
+  updatePractice({ ...session, hintsShown });
+  announceToScreenReader(t('announce.practiceHint', { number: hintsShown, hint: hints[hintsShown - 1] }));
+}
+
+/**
+ * Show the worked answer (an unanswered problem counts as incorrect)
+ */
+function revealPracticeAnswer() {
+  const session = state.practice;
+  if (!session || !session.problem) return;
+  
+  updatePractice({ ...scorePractice(session, false), revealed: true });
+  focusElement($('#practice-worked'));
+  announceToScreenReader(t('announce.practiceRevealed'));
+}
+
+/**
+ * Count a problem towards the score the first time it is answered or revealed,
+ * and record it as a completed exercise
+ * @param {Object} session - Practice session
+ * @param {boolean} correct - Whether the answer was correct
+ * @returns {Object} Updated session
+ */
+function scorePractice(session, correct) {
+  if (session.scored) return session;
+  
+  const { problem } = session;
+  recordExerciseCompletion(
+    { id: problem.id, name: `Practice: ${QUESTIONS[problem.question].name}` },
+    { success: correct, score: correct ? 1 : 0 }
+  );
+  
+  return {
+    ...session,
+    scored: true,
+    correct: session.correct + (correct ? 1 : 0),
+    attempted: session.attempted + 1
+  };
+}
+
+/**
+ * Load the problem's bond into the calculator to explore it
+ */
+function loadPracticeBond() {
+  const session = state.practice;
+  if (!session || !session.scored) return;
+  
+  const { values, rejected } = acceptInputs({ ...PRACTICE_BOND, ...session.problem.inputs });
+  if (rejected.length > 0) {
+    console.warn('Invalid practice bond values:', rejected);
+  }
+  applyInputs(values);
+  
+  focusElement($('#calculator'));
+  announceToScreenReader(t('announce.practiceLoaded'));
+}
+
+/**
+ * Store the practice session and re-render the panel
+ * @param {Object} session - Practice session
+ */
+function updatePractice(session) {
+  setState({ practice: session });
+  renderPractice(session);
+}
+
+// =============================================================================
+// VALUATION EQUATION
+// =============================================================================
+
+const EQUATION_FORMS = {
+  symbolic: {
+    button: '#equation-symbolic-btn',
+    announcement: 'announce.equationSymbolic'
+  },
+  numeric: {
+    button: '#equation-numeric-btn',
+    announcement: 'announce.equationNumeric'
+  }
+};
+
+/**
+ * Set up the buttons that show the equation in symbols or with the current values
+ */
+function setupEquationToggle() {
+  Object.entries(EQUATION_FORMS).forEach(([form, { button }]) => {
+    const element = $(button);
+    if (!element) {
+      console.error(`Equation button ${button} not found`);
+      return;
+    }
+    listen(element, 'click', () => switchEquationForm(form));
+  });
+}
+
+/**
+ * Show the equation in symbols or with the current values
+ * @param {string} form - 'symbolic' or 'numeric'
+ */
+function switchEquationForm(form) {
+  Object.entries(EQUATION_FORMS).forEach(([name, { button }]) => {
+    const isActive = name === form;
+    $(button).classList.toggle('active', isActive);
+    $(button).setAttribute('aria-pressed', String(isActive));
+  });
+  
+  setState({ equationForm: form });
+  announceToScreenReader(t(EQUATION_FORMS[form].announcement));
+}
+
+/**
+ * Render the equation card for the current bond
+ * @param {Object} newState - Updated state
+ */
+function renderEquationCard(newState) {
+  const { bondCalculations } = newState;
+  
+  // The last calculations no longer match inputs that are in error
+  renderEquation(newState.equationForm, bondCalculations && !hasErrors(newState.errors)
+    ? getWorkingSteps(bondCalculations, { faceValue: newState.faceValue, frequency: newState.frequency })
+    : null);
+}
+
+// =============================================================================
+// WORKED SOLUTION
+// =============================================================================
+
+/**
+ * Set up the "Show working" option under the results
+ */
+function setupWorkingPanel() {
+  const toggle = $('#show-working');
+  
+  if (!toggle) {
+    console.error('Show working option not found');
+    return;
+  }
+  
+  listen(toggle, 'change', () => {
+    setState({ showWorking: toggle.checked });
+    announceToScreenReader(t(toggle.checked ? 'announce.workingShown' : 'announce.workingHidden'));
+  });
+}
+
+/**
+ * Show or hide the worked solution and bring it up to date
+ * @param {Object} newState - Updated state
+ */
+function renderWorkingPanel(newState) {
+  const option = $('#working-option');
+  const panel = $('#working-panel');
+  if (!option || !panel) return;
+  
+  // Comparisons have no single bond to work through
+  option.hidden = newState.compareMode;
+  panel.hidden = newState.compareMode || !newState.showWorking;
+  
+  if (!panel.hidden && newState.bondCalculations) {
+    renderWorking(newState.bondCalculations, {
+      faceValue: newState.faceValue,
+      frequency: newState.frequency
+    });
+  }
+}
+
+// =============================================================================
+// SCHEDULE EXPORT
+// =============================================================================
+
+/**
+ * Set up CSV and Excel export of the current bond's cash flow schedule,
+ * and PNG and SVG downloads of the chart
+ */
+function setupExportButtons() {
+  const formats = [
+    { id: 'export-csv-btn', format: 'csv', name: 'CSV' },
+    { id: 'export-xlsx-btn', format: 'xlsx', name: 'Excel' }
+  ];
+  
+  formats.forEach(({ id, format, name }) => {
+    const button = $(`#${id}`);
+    if (!button) return;
+    
+    listen(button, 'click', () => {
+      if (!state.bondCalculations) {
+        announceToScreenReader(t('announce.exportInvalid'));
+        return;
+      }
+      
+      try {
+        exportSchedule(format, state.bondCalculations, pickInputs(state));
+        announceToScreenReader(t('announce.exported', { name }));
+      } catch (error) {
+        console.error('Export error:', error);
+        announceToScreenReader(t('announce.exportError', { message: describeError(error) }));
+      }
+    });
+  });
+  
+  const images = [
+    { id: 'export-png-btn', format: 'png', name: 'export.pngName' },
+    { id: 'export-svg-btn', format: 'svg', name: 'export.svgName' }
+  ];
+  
+  images.forEach(({ id, format, name }) => {
+    const button = $(`#${id}`);
+    if (!button) return;
+    
+    listen(button, 'click', () => {
+      try {
+        if (exportChart(format)) {
+          announceToScreenReader(t('announce.chartDownloaded', { name: t(name) }));
+        } else {
+          announceToScreenReader(t('announce.chartMissing'));
+        }
+      } catch (error) {
+        console.error('Chart export error:', error);
+        announceToScreenReader(t('announce.chartError', { message: describeError(error) }));
+      }
+    });
+  });
+}
+
+// =============================================================================
+// PRINTABLE REPORT
+// =============================================================================
+
+/**
+ * Set up the generate, print and close report buttons
+ */
+function setupReport() {
+  const generateButton = $('#report-btn');
+  
+  if (!generateButton) {
+    console.error('Report button not found');
+    return;
+  }
+  
+  listen(generateButton, 'click', openReport);
+  listen('#report-print-btn', 'click', () => window.print());
+  listen('#report-close-btn', 'click', closeReport);
+}
+
+/**
+ * Assemble the report for the current bond and show it in place of the calculator
+ */
+function openReport() {
+  const { bondCalculations } = state;
+  
+  if (!bondCalculations) {
+    announceToScreenReader(t('announce.reportInvalid'));
+    return;
+  }
+  
+  // Chart the cash flows as the chart view shows them
+  const { callAnalysis } = bondCalculations;
+  const cashFlows = state.showWorstCase && callAnalysis
+    ? callAnalysis.worstCashFlows
+    : bondCalculations.cashFlows;
+  const chartImage = renderChartImage(cashFlows, state.frequency, {
+    carryingValues: getCarryingValues(cashFlows),
+    showPresentValues: state.showPresentValues
+  });
+  
+  renderReport(bondCalculations, pickInputs(state), chartImage);
+  
+  document.body.classList.add('report-open');
+  $('#report').hidden = false;
+  focusElement($('#report'));
+  announceToScreenReader(t('announce.reportReady'));
+}
+
+/**
+ * Close the report and return to the calculator
+ */
+function closeReport() {
+  document.body.classList.remove('report-open');
+  $('#report').hidden = true;
+  focusElement($('#report-btn'));
+}
+
+// =============================================================================
+// LMS INTEGRATION
+// =============================================================================
+
+// Wait for typing to settle before recording an interaction
+const INTERACTION_DELAY = 2000;
+
+let xapiClient = null;
+let recordedInputs = null; // Bond inputs last recorded or set by the LMS (JSON)
+
+/**
+ * Answer postMessage requests from a parent page when embedded in a frame,
+ * and record xAPI statements when launched with an LRS endpoint
+ * The launch parameters are read before the URL is rewritten with the inputs.
+ */
+function setupLMSIntegration() {
+  startMessageAPI({
+    getState: () => state,
+    applyInputs: (values) => {
+      applyInputs(values);
+      // Inputs set by the LMS are not the learner's interaction
+      recordedInputs = JSON.stringify(pickBondInputs(state));
+    },
+    subscribe,
+    completeExercise: recordExerciseCompletion
+  }, readParentOrigin(window.location.search));
+  
+  const launch = readLaunchParameters(window.location.search);
+  if (!launch) return;
+  
+  xapiClient = createXAPIClient({
+    ...launch,
+    activityId: launch.activityId || `${window.location.origin}${window.location.pathname}`
+  });
+  
+  recordedInputs = JSON.stringify(pickBondInputs(state));
+  subscribe(debounce(recordInteraction, INTERACTION_DELAY));
+  
+  // Send queued statements when back online, and as the page closes
+  listen(window, 'online', () => xapiClient.flush());
+  listen(window, 'pagehide', () => xapiClient.flush({ keepalive: true }));
+}
+
+/**
+ * Record an xAPI "interacted" statement when the learner prices a new bond
+ */
+function recordInteraction() {
+  const { bondCalculations } = state;
+  if (!bondCalculations || state.compareMode) return;
+  
+  const inputs = pickBondInputs(state);
+  const key = JSON.stringify(inputs);
+  if (key === recordedInputs) return;
+  
+  recordedInputs = key;
+  xapiClient.interacted({ inputs, price: bondCalculations.bondPrice });
+}
+
+/**
+ * Record an xAPI "completed" statement for an exercise, with the bond the
+ * learner has priced
+ * @param {Object} exercise - { id, name }
+ * @param {Object} result - { success, score } (optional)
+ * @returns {boolean} True if recorded (false without an xAPI launch)
+ */
+function recordExerciseCompletion(exercise, result = {}) {
+  if (!xapiClient) return false;
+  
+  const { bondCalculations } = state;
+  xapiClient.completed(exercise, {
+    ...result,
+    inputs: pickBondInputs(state),
+    price: bondCalculations ? bondCalculations.bondPrice : null
+  });
+  return true;
+}
+
+// =============================================================================
+// INPUT HANDLING
+// =============================================================================
+
+/**
+ * Set up event listeners for input fields
+ */
+function setupInputListeners() {
+  const inputs = [
+    { id: 'face-value', field: 'faceValue' },
+    { id: 'frequency', field: 'frequency' },
+    { id: 'coupon-rate', field: 'couponRate' },
+    { id: 'ytm', field: 'ytm' },
+    { id: 'years', field: 'years' },
+    { id: 'price', field: 'price' },
+    { id: 'reference-rate', field: 'referenceRate' },
+    { id: 'quoted-margin', field: 'quotedMargin' },
+    { id: 'discount-margin', field: 'discountMargin' }
+  ];
+  
+  inputs.forEach(({ id, field }) => {
+    const input = $(`#${id}`);
+    if (!input) return;
+    
+    // Update state on input change (debounced)
+    const debouncedUpdate = debounce(() => {
+      // Solved fields are outputs in the current input mode
+      if (input.readOnly) return;
+      
+      const value = parseFloat(input.value);
+      
+      // Validate field
+      const error = validateField(field, value);
+      updateFieldError(id, error);
+      
+      // Update state
+      const errors = { ...state.errors };
+      if (error) {
+        errors[field] = error;
+      } else {
+        delete errors[field];
+      }
+      
+      // Maturity must fall on a payment date at the chosen frequency
+      if (field === 'years' || field === 'frequency') {
+        applyScheduleValidation(errors, { ...state, [field]: value });
+        applySinkingValidation(errors, { ...state, [field]: value });
+        applyCallValidation(errors, { ...state, [field]: value });
+      }
+      
+      setState({
+        [field]: value,
+        errors
+      });
+      
+      // Update validation summary
+      updateValidationSummary(errors);
+      
+      // Recalculate if no errors
+      if (!hasErrors(errors)) {
+        updateCalculations();
+      }
+    }, 300);
+    
+    listen(input, 'input', debouncedUpdate);
+    listen(input, 'change', debouncedUpdate);
+  });
+}
+
+/**
+ * Check that years to maturity is a whole number of payment periods
+ * Skipped while settlement dates set the schedule.
+ * @param {Object} errors - Error object to update in place
+ * @param {Object} inputs - Years, frequency and useDates values
+ */
+function applyScheduleValidation(errors, { years, frequency, useDates }) {
+  delete errors.schedule;
+  
+  if (!useDates && !errors.years && !errors.frequency) {
+    const scheduleError = validateSchedule({ years, frequency });
+    if (scheduleError) {
+      errors.schedule = scheduleError;
+    }
+  }
+  
+  updateFieldError('years', errors.years || errors.schedule || null);
+}
+
+/**
+ * Update bond calculations based on current state
+ */
+function updateCalculations() {
+  const { errors } = state;
+  
+  // Don't calculate if there are validation errors
+  if (hasErrors(errors)) {
+    setState({ bondCalculations: null });
+    return;
+  }
+  
+  try {
+    const { calculations, solved } = calculateFromInputs(state);
+    
+    // Keep the solved values in state so all modes stay consistent
+    setState({
+      ...solved,
+      bondCalculations: calculations
+    });
+    syncSolvedInput();
+    
+  } catch (error) {
+    console.error('Calculation error:', error);
+    updateValidationSummary({ ...errors, calculation: describeError(error) });
+    setState({ bondCalculations: null });
+  }
+}
+
+/**
+ * Show the solved values (price and/or YTM) in their read-only inputs
+ */
+function syncSolvedInput() {
+  const floating = state.couponType === 'floating';
+  
+  if (state.inputMode !== 'yield' || floating) {
+    const ytmInput = $('#ytm');
+    if (ytmInput) ytmInput.value = state.ytm.toFixed(3);
+  }
+  if (state.inputMode !== 'price') {
+    const priceInput = $('#price');
+    if (priceInput) priceInput.value = state.price.toFixed(2);
+  }
+  
+  // Floating-rate notes derive the coupon rate from the margins
+  if (floating && state.bondCalculations) {
+    const couponInput = $('#coupon-rate');
+    if (couponInput) couponInput.value = state.bondCalculations.floating.couponRate.toFixed(3);
+    
+    if (state.inputMode !== 'yield') {
+      const marginInput = $('#discount-margin');
+      if (marginInput) marginInput.value = state.discountMargin.toFixed(1);
+    }
+  }
+}
+
+// =============================================================================
+// COUPON TYPE (FIXED/FLOATING)
+// =============================================================================
+
+/**
+ * Input ID for each coupon and discount rate field
+ */
+const RATE_INPUTS = {
+  couponRate: 'coupon-rate',
+  ytm: 'ytm',
+  referenceRate: 'reference-rate',
+  quotedMargin: 'quoted-margin',
+  discountMargin: 'discount-margin'
+};
+
+/**
+ * Set up fixed/floating coupon type select
+ */
+function setupCouponTypeInput() {
+  const select = $('#coupon-type');
+  
+  if (!select) {
+    console.error('Coupon type select not found');
+    return;
+  }
+  
+  listen(select, 'change', () => switchCouponType(select.value));
+}
+
+/**
+ * Switch between a fixed-rate bond and a floating-rate note
+ * @param {string} couponType - 'fixed' or 'floating'
+ */
+function switchCouponType(couponType) {
+  $('#coupon-type').value = couponType;
+  $('#floating-inputs').hidden = couponType !== 'floating';
+  
+  // Back on a fixed coupon, show the rate that was entered
+  if (couponType === 'fixed') {
+    $('#coupon-rate').value = state.couponRate;
+  }
+  
+  setState({ couponType });
+  const errors = applyRateLocks();
+  setState({ errors });
+  updateValidationSummary(errors);
+  
+  announceToScreenReader(t(couponType === 'floating' ? 'announce.floatingRate' : 'announce.fixedRate'));
+  
+  updateCalculations();
+}
+
+/**
+ * Make the rate inputs editable or solved for the coupon type and input mode
+ * Floating-rate notes derive the coupon rate and yield from the reference
+ * rate and margins; the discount margin is solved outside yield mode.
+ * Solved fields cannot be in error; editable fields are validated as they stand.
+ * @returns {Object} Updated error object
+ */
+function applyRateLocks() {
+  const { couponType, inputMode, structure } = state;
+  const floating = couponType === 'floating';
+  const errors = { ...state.errors };
+  
+  const editable = {
+    couponRate: !floating,
+    ytm: !floating && inputMode === 'yield',
+    referenceRate: floating,
+    quotedMargin: floating,
+    discountMargin: floating && inputMode === 'yield'
+  };
+  
+  Object.entries(editable).forEach(([field, isEditable]) => {
+    const input = $(`#${RATE_INPUTS[field]}`);
+    if (input) input.readOnly = !isEditable;
+    
+    // Zero-coupon bonds have no coupon rate to validate
+    const skip = !isEditable || (field === 'couponRate' && structure === 'zero');
+    const error = skip ? null : validateField(field, state[field]);
+    if (error) {
+      errors[field] = error;
+    } else {
+      delete errors[field];
+    }
+    updateFieldError(RATE_INPUTS[field], error);
+  });
+  
+  return errors;
+}
+
+// =============================================================================
+// BOND STRUCTURE
+// =============================================================================
+
+/**
+ * Set up bond structure select and sinking fund schedule input
+ */
+function setupStructureInputs() {
+  const select = $('#structure');
+  
+  if (!select) {
+    console.error('Bond structure select not found');
+    return;
+  }
+  
+  listen(select, 'change', () => switchStructure(select.value));
+  
+  const scheduleInput = $('#sinking-schedule');
+  if (scheduleInput) {
+    listen(scheduleInput, 'input', debounce(() => {
+      setState({ sinkingSchedule: scheduleInput.value });
+      
+      const errors = { ...state.errors };
+      applySinkingValidation(errors, state);
+      setState({ errors });
+      updateValidationSummary(errors);
+      
+      if (!hasErrors(errors)) {
+        updateCalculations();
+      }
+    }, 300));
+  }
+}
+
+/**
+ * Switch between bullet, zero-coupon, amortizing and sinking fund bonds
+ * @param {string} structure - 'bullet', 'zero', 'amortizing' or 'sinking'
+ */
+function switchStructure(structure) {
+  const couponInput = $('#coupon-rate');
+  const couponTypeSelect = $('#coupon-type');
+  
+  // Zero-coupon bonds pay no coupons, fixed or floating
+  if (structure === 'zero' && state.couponType === 'floating') {
+    switchCouponType('fixed');
+  }
+  if (couponInput) {
+    couponInput.disabled = structure === 'zero';
+  }
+  if (couponTypeSelect) {
+    couponTypeSelect.disabled = structure === 'zero';
+  }
+  
+  $('#sinking-inputs').hidden = structure !== 'sinking';
+  
+  setState({ structure });
+  const errors = applyRateLocks();
+  applySinkingValidation(errors, state);
+  setState({ errors });
+  updateValidationSummary(errors);
+  
+  announceToScreenReader(t(`announce.structure.${structure}`));
+  
+  updateCalculations();
+}
+
+/**
+ * Validate the sinking fund schedule (sinking fund bonds only)
+ * @param {Object} errors - Error object to update in place
+ * @param {Object} inputs - Structure, schedule and maturity values
+ */
+function applySinkingValidation(errors, inputs) {
+  delete errors.sinkingSchedule;
+  
+  if (inputs.structure === 'sinking') {
+    const error = validateSinkingSchedule(inputs.sinkingSchedule, inputs);
+    if (error) {
+      errors.sinkingSchedule = error;
+    }
+  }
+  
+  updateFieldError('sinking-schedule', errors.sinkingSchedule || null);
+}
+
+// =============================================================================
+// SETTLEMENT DATES
+// =============================================================================
+
+/**
+ * Set up settlement date, maturity date and day-count inputs
+ */
+function setupSettlementInputs() {
+  const checkbox = $('#use-dates');
+  
+  if (!checkbox) {
+    console.error('Settlement date checkbox not found');
+    return;
+  }
+  
+  listen(checkbox, 'change', () => toggleSettlementDates(checkbox.checked));
+  
+  const inputs = [
+    { id: 'settlement-date', field: 'settlementDate' },
+    { id: 'maturity-date', field: 'maturityDate' },
+    { id: 'day-count', field: 'dayCount' }
+  ];
+  
+  inputs.forEach(({ id, field }) => {
+    const input = $(`#${id}`);
+    if (!input) return;
+    
+    listen(input, 'change', () => {
+      setState({ [field]: input.value });
+      
+      const errors = applyDateValidation();
+      if (!hasErrors(errors)) {
+        updateCalculations();
+      }
+    });
+  });
+}
+
+/**
+ * Turn settlement date pricing on or off
+ * @param {boolean} enabled - Whether to price on a settlement date
  */
-function init() {
-  console.log('Bond Calculator initializing...');
+function toggleSettlementDates(enabled) {
+  const yearsInput = $('#years');
   
-  // Set up input event listeners
-  setupInputListeners();
+  setState({ useDates: enabled });
   
-  // Set up view toggle listeners
-  setupViewToggle();
+  ['settlement-date', 'maturity-date', 'day-count'].forEach(id => {
+    const input = $(`#${id}`);
+    if (input) input.disabled = !enabled;
+  });
   
-  // Set up skip link handlers
-  setupSkipLinks();  // Ã¢â€ Â Add this line
+  // Years to maturity is derived from the dates while they are in use
+  const errors = { ...state.errors };
+  if (enabled) {
+    delete errors.years;
+  } else {
+    yearsInput.value = state.years;
+    const error = validateField('years', state.years);
+    if (error) {
+      errors.years = error;
+    } else {
+      delete errors.years;
+    }
+  }
+  yearsInput.readOnly = enabled;
+  applyScheduleValidation(errors, state);
+  setState({ errors });
   
-  // Set up window resize listener for chart labels
-  setupResizeListener();
+  applyDateValidation();
   
-  // Subscribe to state changes
-  subscribe(handleStateChange);
+  announceToScreenReader(t(enabled ? 'announce.datesOn' : 'announce.datesOff'));
   
-  // Initial calculation
   updateCalculations();
+}
+
+/**
+ * Validate the dates (when in use) and the schedules they bound, and update
+ * error displays
+ * @returns {Object} Updated error object
+ */
+function applyDateValidation() {
+  const errors = { ...state.errors };
+  delete errors.settlementDate;
+  delete errors.maturityDate;
   
-  // Run self-tests
-  runSelfTests();
+  if (state.useDates) {
+    Object.assign(errors, validateDates(state));
+  }
   
-  console.log('Bond Calculator ready');
+  updateFieldError('settlement-date', errors.settlementDate || null);
+  updateFieldError('maturity-date', errors.maturityDate || null);
+  
+  // The dates set the maturity that schedules must fall before
+  applySinkingValidation(errors, state);
+  applyCallValidation(errors, state);
+  
+  setState({ errors });
+  updateValidationSummary(errors);
+  
+  return errors;
 }
 
+// =============================================================================
+// CALLABLE BONDS
+// =============================================================================
+
 /**
- * Set up skip link handlers for accessibility
+ * Set up callable checkbox, call schedule and worst-case chart option
  */
-function setupSkipLinks() {
-  const skipToVisualizer = document.querySelector('a[href="#visualizer"]');
+function setupCallableInputs() {
+  const checkbox = $('#callable');
   
-  if (skipToVisualizer) {
-    listen(skipToVisualizer, 'click', (e) => {
-      // Prevent default to handle it ourselves
-      e.preventDefault();
+  if (!checkbox) {
+    console.error('Callable checkbox not found');
+    return;
+  }
+  
+  listen(checkbox, 'change', () => toggleCallable(checkbox.checked));
+  
+  const scheduleInput = $('#call-schedule');
+  if (scheduleInput) {
+    listen(scheduleInput, 'input', debounce(() => {
+      setState({ callSchedule: scheduleInput.value });
       
-      // Switch to table view
-      switchView('table');
+      const errors = { ...state.errors };
+      applyCallValidation(errors, state);
+      setState({ errors });
+      updateValidationSummary(errors);
       
-      // Scroll the section into view
-      const section = $('#visualizer');
-      if (section) {
-        section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      if (!hasErrors(errors)) {
+        updateCalculations();
       }
+    }, 300));
+  }
+  
+  const worstCase = $('#show-worst-case');
+  if (worstCase) {
+    listen(worstCase, 'change', () => {
+      setState({ showWorstCase: worstCase.checked });
       
-      // Focus the table after switching
-      setTimeout(() => {
-        const table = $('#cash-flow-table');
-        if (table) {
-          table.focus();
-        }
-      }, 400);
+      const { callAnalysis } = state.bondCalculations || {};
+      if (callAnalysis) {
+        announceToScreenReader(!worstCase.checked
+          ? t('announce.worstCaseOff')
+          : callAnalysis.worstCall
+            ? t('announce.worstCaseCalled', { year: callAnalysis.worstCall.year })
+            : t('announce.worstCaseHeld'));
+      }
     });
   }
 }
 
+/**
+ * Turn the call schedule on or off
+ * @param {boolean} enabled - Whether the bond is callable
+ */
+function toggleCallable(enabled) {
+  const scheduleInput = $('#call-schedule');
+  if (scheduleInput) scheduleInput.disabled = !enabled;
+  $('#worst-case-option').hidden = !enabled;
+  
+  setState({ callable: enabled });
+  
+  const errors = { ...state.errors };
+  applyCallValidation(errors, state);
+  setState({ errors });
+  updateValidationSummary(errors);
+  
+  announceToScreenReader(t(enabled ? 'announce.callableOn' : 'announce.callableOff'));
+  
+  updateCalculations();
+}
+
+/**
+ * Validate the call schedule (callable bonds only)
+ * @param {Object} errors - Error object to update in place
+ * @param {Object} inputs - Callable flag, schedule and maturity values
+ */
+function applyCallValidation(errors, inputs) {
+  delete errors.callSchedule;
+  
+  if (inputs.callable) {
+    const error = validateCallSchedule(inputs.callSchedule, inputs);
+    if (error) {
+      errors.callSchedule = error;
+    }
+  }
+  
+  updateFieldError('call-schedule', errors.callSchedule || null);
+}
+
 // =============================================================================
-// INPUT HANDLING
+// INPUT MODE TOGGLE (YIELD/PRICE/SPOT CURVE)
 // =============================================================================
 
 /**
- * Set up event listeners for input fields
+ * Input field and announcement for each input mode
+ * The fields of the other modes are solved (read-only) outputs.
  */
-function setupInputListeners() {
-  const inputs = [
-    { id: 'coupon-rate', field: 'couponRate' },
-    { id: 'ytm', field: 'ytm' },
-    { id: 'years', field: 'years' }
-  ];
+const INPUT_MODES = {
+  yield: {
+    button: '#yield-mode-btn',
+    field: 'ytm',
+    inputId: 'ytm',
+    announcement: 'announce.mode.yield'
+  },
+  price: {
+    button: '#price-mode-btn',
+    field: 'price',
+    inputId: 'price',
+    announcement: 'announce.mode.price'
+  },
+  spot: {
+    button: '#spot-mode-btn',
+    field: 'spotRates',
+    inputId: 'spot-rates',
+    announcement: 'announce.mode.spot'
+  }
+};
+
+/**
+ * Set up yield/price/spot curve input mode toggle
+ */
+function setupInputModeToggle() {
+  const buttons = Object.values(INPUT_MODES).map(({ button }) => $(button));
   
-  inputs.forEach(({ id, field }) => {
-    const input = $(`#${id}`);
-    if (!input) return;
-    
-    // Update state on input change (debounced)
-    const debouncedUpdate = debounce(() => {
-      const value = parseFloat(input.value);
-      
-      // Validate field
-      const error = validateField(field, value);
-      updateFieldError(id, error);
+  if (buttons.some(btn => !btn)) {
+    console.error('Input mode buttons not found');
+    return;
+  }
+  
+  Object.entries(INPUT_MODES).forEach(([mode, { button }]) => {
+    listen(button, 'click', () => switchInputMode(mode));
+  });
+  
+  // Spot rates are free text, validated as a whole curve
+  const spotInput = $('#spot-rates');
+  if (spotInput) {
+    listen(spotInput, 'input', debounce(() => {
+      const error = validateSpotRates(spotInput.value);
+      updateFieldError('spot-rates', error);
       
-      // Update state
       const errors = { ...state.errors };
       if (error) {
-        errors[field] = error;
+        errors.spotRates = error;
       } else {
-        delete errors[field];
+        delete errors.spotRates;
       }
       
-      setState({
-        [field]: value,
-        errors
-      });
-      
-      // Update validation summary
+      setState({ spotRates: spotInput.value, errors });
       updateValidationSummary(errors);
       
-      // Recalculate if no errors
       if (!hasErrors(errors)) {
         updateCalculations();
       }
-    }, 300);
-    
-    listen(input, 'input', debouncedUpdate);
-    listen(input, 'change', debouncedUpdate);
-  });
+    }, 300));
+  }
 }
 
 /**
- * Update bond calculations based on current state
+ * Switch between entering a yield, a price or a spot curve
+ * @param {string} mode - 'yield', 'price' or 'spot'
+ * @param {Object} options - { focus: whether to move focus to the new input }
  */
-function updateCalculations() {
-  const { couponRate, ytm, years, faceValue, frequency, errors } = state;
-  
-  // Don't calculate if there are validation errors
-  if (hasErrors(errors)) {
-    setState({ bondCalculations: null });
-    return;
-  }
+function switchInputMode(mode, { focus = true } = {}) {
+  const errors = { ...state.errors };
   
-  try {
-    // Calculate bond metrics
-    const calculations = calculateBondMetrics({
-      faceValue,
-      couponRate,
-      ytm,
-      years,
-      frequency
-    });
+  Object.entries(INPUT_MODES).forEach(([name, config]) => {
+    const isActive = name === mode;
+    const button = $(config.button);
     
-    // Update state with calculations
-    setState({ bondCalculations: calculations });
+    button.classList.toggle('active', isActive);
+    button.setAttribute('aria-pressed', String(isActive));
     
-  } catch (error) {
-    console.error('Calculation error:', error);
-    setState({ bondCalculations: null });
+    // Yields and margins are checked with the other rates below
+    if (config.field === 'ytm') return;
+    
+    // Solved fields are outputs and can no longer be in error;
+    // the field that becomes the input is validated as it stands
+    const error = !isActive ? null
+      : config.field === 'spotRates' ? validateSpotRates(state.spotRates)
+      : validateField(config.field, state[config.field]);
+    
+    if (error) {
+      errors[config.field] = error;
+    } else {
+      delete errors[config.field];
+    }
+    updateFieldError(config.inputId, error);
+  });
+  
+  setState({ inputMode: mode, errors });
+  const rateErrors = applyRateLocks();
+  setState({ errors: rateErrors });
+  updateValidationSummary(rateErrors);
+  
+  $('#price').readOnly = mode !== 'price';
+  $('#spot-inputs').hidden = mode !== 'spot';
+  
+  announceToScreenReader(t(INPUT_MODES[mode].announcement));
+  
+  // Floating-rate notes are priced from a discount margin rather than a yield
+  const inputId = mode === 'yield' && state.couponType === 'floating'
+    ? 'discount-margin'
+    : INPUT_MODES[mode].inputId;
+  if (focus) {
+    focusElement($(`#${inputId}`));
   }
+  
+  updateCalculations();
 }
 
 // =============================================================================
-// VIEW TOGGLE (CHART/TABLE)
+// VIEW TOGGLE (CHART/CURVE/TABLE)
 // =============================================================================
 
 /**
- * Set up chart/table view toggle
+ * Elements and announcements for each visualizer view
+ */
+const VIEWS = {
+  chart: {
+    button: '#chart-view-btn',
+    container: '#chart-container',
+    legend: '#chart-legend',
+    comparisonLegend: '#comparison-legend',
+    options: '#chart-options',
+    exportControls: '#chart-export',
+    focus: '#chart-container',
+    announcement: 'announce.view.chart'
+  },
+  curve: {
+    button: '#curve-view-btn',
+    container: '#curve-container',
+    legend: '#curve-legend',
+    focus: '#curve-container',
+    announcement: 'announce.view.curve'
+  },
+  table: {
+    button: '#table-view-btn',
+    container: '#table-container',
+    legend: null,
+    focus: '#cash-flow-table',
+    announcement: 'announce.view.table'
+  },
+  amortization: {
+    button: '#amortization-view-btn',
+    container: '#amortization-container',
+    legend: null,
+    focus: '#amortization-table',
+    announcement: 'announce.view.amortization'
+  }
+};
+
+/**
+ * Set up chart/curve/table/amortization view toggle
  */
 function setupViewToggle() {
-  const chartBtn = $('#chart-view-btn');
-  const tableBtn = $('#table-view-btn');
+  const buttons = Object.values(VIEWS).map(({ button }) => $(button));
   
-  if (!chartBtn || !tableBtn) {
+  if (buttons.some(btn => !btn)) {
     console.error('Toggle buttons not found');
     return;
   }
   
-  listen(chartBtn, 'click', () => switchView('chart'));
-  listen(tableBtn, 'click', () => switchView('table'));
+  Object.entries(VIEWS).forEach(([view, { button }]) => {
+    listen(button, 'click', () => switchView(view));
+  });
+  
+  const carryingValue = $('#show-carrying-value');
+  if (carryingValue) {
+    listen(carryingValue, 'change', () => toggleCarryingValue(carryingValue.checked));
+  }
+  
+  const presentValues = $('#show-present-values');
+  if (presentValues) {
+    listen(presentValues, 'change', () => togglePresentValues(presentValues.checked));
+  }
+}
+
+/**
+ * Show or hide the carrying value line on the cash flow chart
+ * @param {boolean} enabled - Whether to overlay the carrying value
+ */
+function toggleCarryingValue(enabled) {
+  $('#carrying-value-legend').hidden = !enabled;
+  
+  setState({ showCarryingValue: enabled });
+  
+  announceToScreenReader(t(enabled ? 'announce.carryingShown' : 'announce.carryingHidden'));
 }
 
 /**
- * Switch between chart and table views
- * @param {string} view - 'chart' or 'table'
+ * Show or hide present value bars beside the cash flows on the chart
+ * @param {boolean} enabled - Whether to draw present values
  */
-function switchView(view) {
-  const chartBtn = $('#chart-view-btn');
-  const tableBtn = $('#table-view-btn');
-  const chartContainer = $('#chart-container');
-  const tableContainer = $('#table-container');
-  const legend = $('#chart-legend');
+function togglePresentValues(enabled) {
+  $('#present-value-legend').hidden = !enabled;
+  
+  setState({ showPresentValues: enabled });
+  
+  announceToScreenReader(t(enabled ? 'announce.presentValuesShown' : 'announce.presentValuesHidden'));
+}
+
+/**
+ * Switch between chart, price-yield curve, table and amortization views
+ * @param {string} view - 'chart', 'curve', 'table' or 'amortization'
+ * @param {Object} options - { focus: whether to move focus to the new view }
+ */
+function switchView(view, { focus = true } = {}) {
+  const comparing = state.compareMode;
   
   // Update state
   setState({ viewMode: view });
   
-  // Update button states
-  if (view === 'chart') {
-    chartBtn.classList.add('active');
-    chartBtn.setAttribute('aria-pressed', 'true');
-    tableBtn.classList.remove('active');
-    tableBtn.setAttribute('aria-pressed', 'false');
-    
-    // Show chart, hide table
-    chartContainer.style.display = 'block';
-    tableContainer.style.display = 'none';
-    legend.style.display = 'flex';
+  // Update button states and show only the active view
+  Object.entries(VIEWS).forEach(([name, config]) => {
+    const isActive = name === view;
+    const button = $(config.button);
     
-    // Announce change
-    announceToScreenReader('Chart view active');
+    button.classList.toggle('active', isActive);
+    button.setAttribute('aria-pressed', String(isActive));
     
-    // Focus chart container
-    focusElement(chartContainer, 100);
+    $(config.container).style.display = isActive ? 'block' : 'none';
     
-  } else {
-    tableBtn.classList.add('active');
-    tableBtn.setAttribute('aria-pressed', 'true');
-    chartBtn.classList.remove('active');
-    chartBtn.setAttribute('aria-pressed', 'false');
+    // Comparisons have their own legend and no single-bond options
+    if (config.legend) {
+      const replaced = comparing && config.comparisonLegend;
+      $(config.legend).style.display = isActive && !replaced ? 'flex' : 'none';
+    }
     
-    // Show table, hide chart
-    tableContainer.style.display = 'block';
-    chartContainer.style.display = 'none';
-    legend.style.display = 'none';
+    if (config.comparisonLegend) {
+      $(config.comparisonLegend).style.display = isActive && comparing ? 'flex' : 'none';
+    }
     
-    // Announce change
-    announceToScreenReader('Table view active');
+    if (config.options) {
+      $(config.options).hidden = !isActive || comparing;
+    }
     
-    // Focus table
-    focusElement($('#cash-flow-table'), 100);
+    if (config.exportControls) {
+      $(config.exportControls).hidden = !isActive;
+    }
+  });
+  
+  // Announce change
+  announceToScreenReader(t(VIEWS[view].announcement));
+  
+  // Focus the active view
+  if (focus) {
+    focusElement($(VIEWS[view].focus), 100);
   }
 }
 
@@ -255,7 +1841,15 @@ function switchView(view) {
  * @param {Object} newState - Updated state
  */
 function handleStateChange(newState) {
-  const { bondCalculations, viewMode } = newState;
+  const { bondCalculations } = newState;
+  
+  renderEquationCard(newState);
+  renderWorkingPanel(newState);
+  
+  if (newState.compareMode) {
+    renderComparison(newState);
+    return;
+  }
   
   if (!bondCalculations) {
     // Clear displays if no calculations
@@ -267,22 +1861,114 @@ function handleStateChange(newState) {
     faceValue: newState.faceValue,
     couponRate: newState.couponRate,
     ytm: newState.ytm,
-    years: newState.years
+    years: newState.years,
+    frequency: newState.frequency,
+    inputMode: newState.inputMode
   });
   
-  // Update chart if in chart view
-  if (viewMode === 'chart') {
-    const showLabels = shouldShowLabels();
-    renderChart(bondCalculations.cashFlows, showLabels);
+  // Update visualizer title for the payment frequency
+  const title = $('#visualizer-title');
+  if (title) {
+    title.textContent = t('visualizer.title', { frequency: getFrequencyInfo(newState.frequency).label });
   }
   
+  // Update chart if in a chart view
+  renderActiveChart();
+  
   // Always update table (even if hidden)
   renderTable(
     bondCalculations.cashFlows,
     bondCalculations.bondPrice,
     bondCalculations.periods,
-    bondCalculations.periodicCoupon
+    bondCalculations.periodicCoupon,
+    {
+      accrual: bondCalculations.accrual,
+      accruedInterest: bondCalculations.accruedInterest,
+      flatPrice: bondCalculations.flatPrice,
+      spotCurve: bondCalculations.spotCurve,
+      structure: bondCalculations.structure,
+      floating: bondCalculations.floating,
+      frequency: newState.frequency
+    }
   );
+  
+  renderAmortizationTable(bondCalculations.amortizationSchedule, {
+    bondPrice: bondCalculations.bondPrice,
+    faceValue: newState.faceValue,
+    accrual: bondCalculations.accrual,
+    structure: bondCalculations.structure,
+    frequency: newState.frequency
+  });
+}
+
+/**
+ * Render the compared bonds in the results, chart and table
+ * @param {Object} newState - Updated state
+ */
+function renderComparison(newState) {
+  const bonds = newState.comparisonBonds;
+  
+  renderComparisonResults(bonds);
+  
+  const title = $('#visualizer-title');
+  if (title) {
+    title.textContent = t('visualizer.comparisonTitle', { count: bonds.length });
+  }
+  
+  renderActiveChart();
+  renderComparisonTable(bonds);
+}
+
+/**
+ * Render the chart for the active view (no-op in table view)
+ */
+function renderActiveChart() {
+  const { bondCalculations, viewMode, ytm, frequency, faceValue } = state;
+  const showLabels = shouldShowLabels();
+  
+  if (state.compareMode) {
+    if (viewMode === 'chart') {
+      renderComparisonChart(state.comparisonBonds, showLabels);
+    }
+    return;
+  }
+  
+  if (!bondCalculations) return;
+  
+  if (viewMode === 'chart') {
+    // Callable bonds can show the yield-to-worst redemption instead
+    const { callAnalysis } = bondCalculations;
+    const cashFlows = state.showWorstCase && callAnalysis
+      ? callAnalysis.worstCashFlows
+      : bondCalculations.cashFlows;
+    
+    renderChart(cashFlows, showLabels, frequency, {
+      carryingValues: getCarryingValues(cashFlows),
+      showPresentValues: state.showPresentValues
+    });
+  } else if (viewMode === 'curve') {
+    const curve = generatePriceYieldCurve({
+      cashFlows: bondCalculations.cashFlows,
+      ytm,
+      frequency,
+      faceValue,
+      accruedInterest: bondCalculations.accruedInterest
+    });
+    renderPriceYieldChart(curve, showLabels);
+  }
+}
+
+/**
+ * Carrying values to overlay on the cash flow chart, if shown
+ * @param {Array} cashFlows - Cash flows being charted
+ * @returns {Array|null} Carrying value at purchase, then at the end of each period
+ */
+function getCarryingValues(cashFlows) {
+  const { bondCalculations } = state;
+  if (!state.showCarryingValue) return null;
+  
+  return [bondCalculations.bondPrice, ...bondCalculations.amortizationSchedule.map(row => row.endValue)]
+    .slice(0, cashFlows.length);
 }
 
 // =============================================================================
@@ -300,11 +1986,7 @@ function setupResizeListener() {
     clearTimeout(resizeTimeout);
     resizeTimeout = setTimeout(() => {
       handleResponsiveView();
-      
-      if (state.viewMode === 'chart' && state.bondCalculations) {
-        const showLabels = shouldShowLabels();
-        renderChart(state.bondCalculations.cashFlows, showLabels);
-      }
+      renderActiveChart();
     }, 250);
   });
   
@@ -316,95 +1998,38 @@ function setupResizeListener() {
  * Handle responsive view switching based on viewport width
  */
 function handleResponsiveView() {
-  const chartBtn = $('#chart-view-btn');
+  const chartBtns = [$('#chart-view-btn'), $('#curve-view-btn')].filter(Boolean);
   const tableBtn = $('#table-view-btn');
   const viewportWidth = window.innerWidth;
   
-  // At very narrow widths (< 600px), force table view and disable chart button
+  // At very narrow widths (< 600px), force table view and disable chart buttons
   if (viewportWidth < 600) {
-    if (state.viewMode === 'chart') {
+    if (state.viewMode === 'chart' || state.viewMode === 'curve') {
       switchView('table');
     }
     
-    // Disable chart button
-    if (chartBtn) {
-      chartBtn.disabled = true;
-      chartBtn.setAttribute('aria-disabled', 'true');
-      chartBtn.title = 'Chart view not available at this screen size';
-    }
+    // Disable chart buttons
+    chartBtns.forEach(btn => {
+      btn.disabled = true;
+      btn.setAttribute('aria-disabled', 'true');
+      setTranslatedTitle(btn, 'view.unavailable');
+    });
     if (tableBtn) {
       tableBtn.disabled = false;
       tableBtn.removeAttribute('aria-disabled');
-      tableBtn.title = '';
+      setTranslatedTitle(tableBtn, null);
     }
   } else {
-    // Re-enable chart button at wider widths
-    if (chartBtn) {
-      chartBtn.disabled = false;
-      chartBtn.removeAttribute('aria-disabled');
-      chartBtn.title = '';
-    }
+    // Re-enable chart buttons at wider widths
+    chartBtns.forEach(btn => {
+      btn.disabled = false;
+      btn.removeAttribute('aria-disabled');
+      setTranslatedTitle(btn, null);
+    });
   }
-}
-
-// =============================================================================
-// SELF-TESTS
-// =============================================================================
-
-/**
- * Run self-tests to verify calculations
- */
-function runSelfTests() {
-  console.log('Running self-tests...');
-  
-  const tests = [
-    {
-      name: 'Par bond pricing',
-      inputs: { faceValue: 100, couponRate: 6, ytm: 6, years: 5, frequency: 2 },
-      expected: { price: 100, tolerance: 0.2 }
-    },
-    {
-      name: 'Premium bond pricing',
-      inputs: { faceValue: 100, couponRate: 8, ytm: 6, years: 5, frequency: 2 },
-      expected: { priceShouldBe: 'greater than 100' }
-    },
-    {
-      name: 'Discount bond pricing',
-      inputs: { faceValue: 100, couponRate: 4, ytm: 6, years: 5, frequency: 2 },
-      expected: { priceShouldBe: 'less than 100' }
-    }
-  ];
-  
-  tests.forEach(test => {
-    try {
-      const result = calculateBondMetrics(test.inputs);
-      
-      if (test.expected.price !== undefined) {
-        const diff = Math.abs(result.bondPrice - test.expected.price);
-        if (diff <= test.expected.tolerance) {
-          console.log(`Ã¢Å“â€œ ${test.name} passed`);
-        } else {
-          console.warn(`Ã¢Å“â€” ${test.name} failed: expected ${test.expected.price}, got ${result.bondPrice}`);
-        }
-      } else if (test.expected.priceShouldBe === 'greater than 100') {
-        if (result.bondPrice > 100) {
-          console.log(`Ã¢Å“â€œ ${test.name} passed`);
-        } else {
-          console.warn(`Ã¢Å“â€” ${test.name} failed: price should be > 100, got ${result.bondPrice}`);
-        }
-      } else if (test.expected.priceShouldBe === 'less than 100') {
-        if (result.bondPrice < 100) {
-          console.log(`Ã¢Å“â€œ ${test.name} passed`);
-        } else {
-          console.warn(`Ã¢Å“â€” ${test.name} failed: price should be < 100, got ${result.bondPrice}`);
-        }
-      }
-    } catch (error) {
-      console.error(`Ã¢Å“â€” ${test.name} threw error:`, error);
-    }
-  });
   
-  console.log('Self-tests complete');
+  // Single-bond views stay off while comparing bonds
+  applySingleBondViewLocks();
 }
 
 // =============================================================================
@@ -416,6 +2041,7 @@ function runSelfTests() {
  */
 function cleanup() {
   destroyChart();
+  destroyPriceYieldChart();
   console.log('Calculator cleanup complete');
 }
 
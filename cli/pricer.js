@@ -0,0 +1,382 @@
+/**
+ * Command-Line Pricer Module
+ * Resolves bond inputs given as share-link parameters, prices them with the
+ * calculations module and formats the results as a table, CSV or JSON
+ */
+
+import { state } from '../modules/state.js';
+import { calculateFromInputs } from '../modules/calculations.js';
+import { validateField } from '../modules/validation.js';
+import { readStateFromUrl, pickBondInputs, PARAM_FIELDS } from '../modules/url.js';
+import { getScheduleColumns, toCSV } from '../modules/export.js';
+
+export const OUTPUTS = ['price', 'breakdown', 'type', 'schedule'];
+export const FORMATS = ['table', 'csv', 'json'];
+
+// Giving one of these parameters switches on the mode it belongs to
+const IMPLIED_PARAMS = [
+  { params: ['price'], sets: 'mode', value: 'price' },
+  { params: ['spot'], sets: 'mode', value: 'spot' },
+  { params: ['settle', 'maturity', 'daycount'], sets: 'dates', value: '1' },
+  { params: ['sinking'], sets: 'structure', value: 'sinking' },
+  { params: ['calls'], sets: 'callable', value: '1' },
+  { params: ['ref', 'qm', 'dm'], sets: 'coupontype', value: 'floating' }
+];
+
+// Settings that decide whether each conditional parameter is used
+const GOVERNING_PARAMS = {
+  coupon: ['coupontype'],
+  ytm: ['mode', 'coupontype'],
+  years: ['dates'],
+  price: ['mode'],
+  spot: ['mode'],
+  settle: ['dates'],
+  maturity: ['dates'],
+  daycount: ['dates'],
+  sinking: ['structure'],
+  ref: ['coupontype'],
+  qm: ['coupontype'],
+  dm: ['coupontype', 'mode'],
+  calls: ['callable']
+};
+
+// Summary fields for each output, in column order
+const SUMMARY_FIELDS = {
+  price: [
+    { key: 'ytm', label: 'Yield to maturity (%)', value: c => c.ytm },
+    { key: 'price', label: 'Price (PV of cash flows)', value: c => c.bondPrice },
+    { key: 'accruedInterest', label: 'Accrued interest', value: c => c.accruedInterest },
+    { key: 'flatPrice', label: 'Flat price', value: c => c.flatPrice }
+  ],
+  breakdown: [
+    { key: 'pvCoupons', label: 'PV of coupons', value: c => c.pvCoupons },
+    { key: 'pvPrincipal', label: 'PV of principal', value: c => c.pvFaceValue }
+  ],
+  type: [
+    { key: 'type', label: 'Premium/discount', value: c => c.bondType.type },
+    { key: 'difference', label: 'Difference from face value', value: c => c.bondType.difference }
+  ]
+};
+
+// Decimal places in tables (four unless listed)
+const TABLE_DECIMALS = {
+  period: 0,
+  discountFactor: 6
+};
+
+/**
+ * Resolve share-link parameters to a complete set of calculator inputs
+ * Parameters are parsed and validated exactly as a shared link is, but
+ * rejected values are reported instead of falling back to the defaults.
+ * Parameters the mode or other settings leave unused (such as a price in
+ * yield mode) are reported as conflicts rather than dropped.
+ * @param {Object} params - Parameter strings keyed by name (see INPUT_PARAMS)
+ * @returns {Object} { inputs, errors, conflicts } with inputs as in pickBondInputs
+ */
+export function resolveInputs(params) {
+  const query = new URLSearchParams();
+
+  Object.entries(params).forEach(([param, value]) => {
+    if (value != null && value !== '') {
+      query.set(param, String(value));
+    }
+  });
+
+  IMPLIED_PARAMS.forEach(({ params: names, sets, value }) => {
+    if (!query.has(sets) && names.some(name => query.has(name))) {
+      query.set(sets, value);
+    }
+  });
+
+  const { values, rejected } = readStateFromUrl(`?${query}`);
+  // A schedule error is reported against both years and frequency
+  const errors = [...new Set(rejected.map(({ message }) => message))];
+  const inputs = pickBondInputs({ ...state, ...values });
+
+  // The price is an input only in price mode, so it has no default
+  if (inputs.inputMode === 'price' && !('price' in values) && !rejected.some(r => r.field === 'price')) {
+    errors.push(validateField('price', inputs.price));
+  }
+
+  const conflicts = [...query.keys()]
+    .filter(param => param in PARAM_FIELDS && !(PARAM_FIELDS[param] in inputs))
+    .map(param => describeConflict(param, inputs));
+
+  return { inputs, errors, conflicts };
+}
+
+/**
+ * Explain why a parameter is not used
+ * Names the governing settings changed from their defaults, or all of them
+ * when none were changed (as for a price with mode=yield).
+ * @param {string} param - Unused parameter
+ * @param {Object} inputs - Resolved inputs
+ * @returns {string} Message such as "price is not used when mode is yield"
+ */
+function describeConflict(param, inputs) {
+  const settings = GOVERNING_PARAMS[param].map(setting => {
+    const value = inputs[PARAM_FIELDS[setting]];
+    return { setting, value, changed: value !== state[PARAM_FIELDS[setting]] };
+  });
+  const reasons = settings.some(({ changed }) => changed)
+    ? settings.filter(({ changed }) => changed)
+    : settings;
+
+  return `${param} is not used when ` + reasons
+    .map(({ setting, value }) => `${setting} is ${typeof value === 'boolean' ? (value ? '1' : '0') : value}`)
+    .join(' and ');
+}
+
+/**
+ * Price a bond from share-link parameters
+ * @param {string} name - Name used in the output
+ * @param {Object} params - Parameter strings keyed by name
+ * @returns {Object} { name, inputs, calculations } or { name, error }
+ */
+export function priceBond(name, params) {
+  const { inputs, errors, conflicts } = resolveInputs(params);
+
+  if (errors.length || conflicts.length) {
+    return { name, error: [...errors, ...conflicts].join('; ') };
+  }
+
+  try {
+    return { name, inputs, calculations: calculateFromInputs(inputs).calculations };
+  } catch (error) {
+    return { name, error: error.message };
+  }
+}
+
+/**
+ * Parse a batch file of bonds
+ * CSV files have a header row of parameter names; JSON files hold an array
+ * of objects keyed by parameter name. Either may include a name field.
+ * @param {string} text - File contents
+ * @returns {Array} Bonds as { name, params }
+ * @throws {Error} If the file cannot be parsed
+ */
+export function parseBatch(text) {
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  let records;
+
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    const data = JSON.parse(trimmed);
+    records = (Array.isArray(data) ? data : [data]).map((record, index) => {
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        throw new Error(`Entry ${index + 1} is not an object`);
+      }
+      // Booleans are written as in a link
+      return Object.fromEntries(Object.entries(record).map(([key, value]) =>
+        [key, typeof value === 'boolean' ? (value ? '1' : '0') : value]
+      ));
+    });
+  } else {
+    const [header = [], ...rows] = parseCSV(trimmed);
+    records = rows
+      .filter(row => row.some(cell => cell.trim() !== ''))
+      .map(row => Object.fromEntries(header.map((column, index) => [column.trim(), row[index]])));
+  }
+
+  return records.map((record, index) => {
+    const { name, ...params } = record;
+    return { name: name ? String(name) : `Bond ${index + 1}`, params };
+  });
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields may hold commas, quotes and newlines)
+ * @param {string} text - CSV text
+ * @returns {Array} Rows as arrays of strings
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Format priced bonds for output
+ * Bonds that could not be priced are left out of tables and CSV (the
+ * caller reports them) and carry their error in JSON.
+ * @param {Array} results - Results from priceBond
+ * @param {Object} options - Output options
+ * @param {Array} options.show - Outputs to include (see OUTPUTS)
+ * @param {string} options.format - 'table', 'csv' or 'json'
+ * @param {boolean} options.batch - Whether the bonds came from a batch file
+ * @returns {string} Formatted output
+ */
+export function formatResults(results, { show, format, batch = false }) {
+  const priced = results.filter(result => !result.error);
+  const fields = OUTPUTS.filter(output => output !== 'schedule' && show.includes(output))
+    .flatMap(output => SUMMARY_FIELDS[output]);
+  const withSchedule = show.includes('schedule');
+
+  if (format === 'json') {
+    const entries = results.map(result => result.error
+      ? { name: result.name, error: result.error }
+      : toJSONEntry(result, fields, withSchedule));
+    return JSON.stringify(batch ? entries : entries[0], null, 2) + '\n';
+  }
+
+  const sections = [];
+
+  if (format === 'csv') {
+    if (fields.length) {
+      sections.push([
+        ['name', ...fields.map(({ key }) => key)],
+        ...priced.map(({ name, calculations }) => [name, ...fields.map(({ value }) => value(calculations))])
+      ]);
+    }
+    if (withSchedule) {
+      const columns = mergeScheduleColumns(priced);
+      sections.push([
+        ['name', ...columns.map(({ key }) => key)],
+        ...priced.flatMap(({ name, calculations }) => calculations.cashFlows.map(cf =>
+          [name, ...columns.map(({ key }) => cf[key])]
+        ))
+      ]);
+    }
+    // Blank line between the summary and schedule tables
+    return sections.map(rows => toCSV(rows)).join('\r\n');
+  }
+
+  // Tables: one bond as label/value pairs, a batch with a row per bond
+  if (fields.length) {
+    sections.push(batch
+      ? formatTable(['Bond', ...fields.map(({ label }) => label)],
+        priced.map(({ name, calculations }) => [name, ...fields.map(({ value }) => value(calculations))]),
+        ['name', ...fields.map(({ key }) => key)])
+      : formatTable(['', ''],
+        fields.map(({ label, value }) => [label, value(priced[0].calculations)]),
+        null, { header: false }));
+  }
+
+  if (withSchedule) {
+    priced.forEach(({ name, calculations }) => {
+      const columns = getScheduleColumns(calculations);
+      const table = formatTable(
+        columns.map(({ label }) => label),
+        calculations.cashFlows.map(cf => columns.map(({ key }) => cf[key])),
+        columns.map(({ key }) => key)
+      );
+      sections.push(batch ? `${name}\n${table}` : table);
+    });
+  }
+
+  return sections.join('\n');
+}
+
+/**
+ * Build the JSON output for one priced bond
+ * @param {Object} result - Result from priceBond
+ * @param {Array} fields - Summary fields to include
+ * @param {boolean} withSchedule - Whether to include the cash flow schedule
+ * @returns {Object} JSON entry
+ */
+function toJSONEntry({ name, inputs, calculations }, fields, withSchedule) {
+  const entry = { name, inputs };
+
+  fields.forEach(({ key, value }) => {
+    entry[key] = value(calculations);
+  });
+
+  if (withSchedule) {
+    const columns = getScheduleColumns(calculations);
+    entry.schedule = calculations.cashFlows.map(cf =>
+      Object.fromEntries(columns.map(({ key }) => [key, cf[key] === undefined ? null : cf[key]]))
+    );
+  }
+
+  return entry;
+}
+
+/**
+ * Combine the schedule columns of several bonds, keeping their order
+ * @param {Array} results - Priced results
+ * @returns {Array} Columns as { label, key }
+ */
+function mergeScheduleColumns(results) {
+  const columns = [];
+
+  results.forEach(({ calculations }) => {
+    getScheduleColumns(calculations).forEach(column => {
+      if (!columns.some(({ key }) => key === column.key)) {
+        columns.push(column);
+      }
+    });
+  });
+
+  return columns;
+}
+
+/**
+ * Lay out rows as a plain-text table with aligned columns
+ * Numbers are right-aligned, with decimal places set by TABLE_DECIMALS.
+ * @param {Array} headers - Column headings
+ * @param {Array} rows - Rows of values
+ * @param {Array} keys - Field key of each column, for number precision (optional)
+ * @param {Object} options - { header: whether to print the headings }
+ * @returns {string} Table text
+ */
+function formatTable(headers, rows, keys = null, { header = true } = {}) {
+  const cells = rows.map(row => row.map((value, index) => {
+    if (value == null) return '';
+    if (typeof value !== 'number') return String(value);
+
+    const key = keys && keys[index];
+    return value.toFixed(key in TABLE_DECIMALS ? TABLE_DECIMALS[key] : 4);
+  }));
+  const numeric = headers.map((_, index) => rows.some(row => typeof row[index] === 'number'));
+
+  const widths = headers.map((heading, index) => Math.max(
+    header ? heading.length : 0,
+    ...cells.map(row => row[index].length)
+  ));
+  const line = (values) => values
+    .map((value, index) => numeric[index] ? value.padStart(widths[index]) : value.padEnd(widths[index]))
+    .join('  ')
+    .trimEnd();
+
+  const lines = cells.map(line);
+  if (header) {
+    lines.unshift(line(headers), widths.map(width => '-'.repeat(width)).join('  '));
+  }
+
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,476 @@
+/**
+ * Bond Calculator Element Module
+ * <bond-calculator> custom element: a self-contained calculator with its own
+ * state, rendered in Shadow DOM so it can be embedded in any page, any
+ * number of times
+ *
+ * Attributes:
+ *   coupon, ytm, years, frequency - Initial inputs (the calculator's defaults
+ *     when left out); changing an attribute updates the input
+ *   panels - Space-separated panels to show: inputs, results, chart, table
+ *     (all when left out)
+ *
+ * Events:
+ *   pricechange - Fired (bubbling out of the shadow root) whenever the price
+ *     changes, with detail { price, couponRate, ytm, years, frequency,
+ *     calculations }. The price is null while the inputs are invalid.
+ *
+ * Chart.js must be loaded on the page, as it is for the calculator page.
+ * Text is shown in the language in use (see setLocale in i18n.js) when the
+ * element is created.
+ */
+
+import { createStore } from './state.js';
+import { calculateFromInputs } from './calculations.js';
+import { validateField, validateSchedule, hasErrors, describeError } from './validation.js';
+import { renderResults } from './results.js';
+import { renderTable } from './table.js';
+import { renderChart, destroyChart } from './chart.js';
+import { FREQUENCIES, getFrequencyInfo, createElement, debounce } from './utils.js';
+import { t } from './i18n.js';
+
+export const PANELS = ['inputs', 'results', 'chart', 'table'];
+
+// Attributes giving the initial inputs, and the state field each sets
+const INPUT_ATTRIBUTES = {
+  coupon: 'couponRate',
+  ytm: 'ytm',
+  years: 'years',
+  frequency: 'frequency'
+};
+
+// Inputs panel number fields (frequency is a select); labels are message keys
+const NUMBER_FIELDS = [
+  { field: 'couponRate', label: 'input.couponRate', min: 0, max: 10, step: 0.1, suffix: '%' },
+  { field: 'ytm', label: 'input.ytm', min: 0, max: 10, step: 0.1, suffix: '%' },
+  { field: 'years', label: 'input.years', min: 1, max: 5, step: 0.5, suffix: '' }
+];
+
+// Chart legend entries (matching the chart colors); labels are message keys
+const LEGEND = [
+  { label: 'legend.initialPurchase', color: '#b95b1d' },
+  { label: 'legend.coupon', color: '#3c6ae5' },
+  { label: 'legend.principal', color: '#0079a6' }
+];
+
+// Value labels on the chart overlap in narrower elements
+const LABELLED_CHART_WIDTH = 600;
+
+const DEFAULTS = createStore().state;
+
+const STYLES = `
+  :host { display: block; }
+  :host([hidden]), [hidden] { display: none !important; }
+  .panel + .panel { margin-top: 1rem; }
+  .chart-wrapper { position: relative; }
+`;
+
+/**
+ * Embeddable bond calculator
+ */
+export class BondCalculatorElement extends HTMLElement {
+  static get observedAttributes() {
+    return [...Object.keys(INPUT_ATTRIBUTES), 'panels'];
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.store = createStore();
+    this.store.subscribe(newState => this.handleStateChange(newState));
+    this.parts = null;
+    this.lastPrice = null;
+  }
+
+  /**
+   * Build the panels and price the bond when added to the page
+   */
+  connectedCallback() {
+    if (!this.parts) {
+      this.parts = buildPanels(this.shadowRoot);
+      this.setupInputListeners();
+    }
+
+    this.applyPanels();
+    this.syncInputs();
+    this.calculate();
+  }
+
+  /**
+   * Release the chart when removed from the page
+   */
+  disconnectedCallback() {
+    if (this.parts) {
+      destroyChart(this.parts.canvas);
+    }
+  }
+
+  /**
+   * Apply a changed attribute
+   * @param {string} name - Attribute name
+   * @param {string|null} oldValue - Previous value
+   * @param {string|null} newValue - New value (null when removed)
+   */
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (name === 'panels') {
+      if (this.parts) {
+        this.applyPanels();
+        this.renderPanels(this.store.state);
+      }
+      return;
+    }
+
+    const { field, value } = readInputAttribute(name, newValue);
+    this.store.state[field] = value;
+
+    if (this.parts) {
+      this.syncInputs();
+      this.calculate();
+    }
+  }
+
+  /**
+   * Current price (PV of cash flows), or null while the inputs are invalid
+   * @returns {number|null}
+   */
+  get price() {
+    const { bondCalculations } = this.store.state;
+    return bondCalculations ? bondCalculations.bondPrice : null;
+  }
+
+  /**
+   * Full calculation results (see calculateBondMetrics), or null
+   * @returns {Object|null}
+   */
+  get calculations() {
+    return this.store.state.bondCalculations;
+  }
+
+  /**
+   * Panels shown, from the panels attribute (unknown names are ignored)
+   * @returns {Array} Panel names
+   */
+  get panels() {
+    return parsePanels(this.getAttribute('panels'));
+  }
+
+  /**
+   * Update state from the inputs panel as the user types
+   */
+  setupInputListeners() {
+    Object.entries(this.parts.inputs).forEach(([field, input]) => {
+      const debouncedUpdate = debounce(() => {
+        this.store.setState({ [field]: parseFloat(input.value) });
+        this.calculate();
+      }, 300);
+
+      input.addEventListener('input', debouncedUpdate);
+      input.addEventListener('change', debouncedUpdate);
+    });
+  }
+
+  /**
+   * Show the inputs held in state in the inputs panel
+   */
+  syncInputs() {
+    Object.entries(this.parts.inputs).forEach(([field, input]) => {
+      const value = this.store.state[field];
+      input.value = Number.isFinite(value) ? String(value) : '';
+    });
+  }
+
+  /**
+   * Show only the panels named in the panels attribute
+   */
+  applyPanels() {
+    const shown = this.panels;
+
+    PANELS.forEach(panel => {
+      this.parts.panels[panel].hidden = !shown.includes(panel);
+    });
+  }
+
+  /**
+   * Validate the inputs and price the bond
+   */
+  calculate() {
+    const { state, setState } = this.store;
+    const errors = {};
+
+    Object.values(INPUT_ATTRIBUTES).forEach(field => {
+      const error = validateField(field, state[field]);
+      if (error) {
+        errors[field] = error;
+      }
+    });
+
+    if (!errors.years && !errors.frequency) {
+      const scheduleError = validateSchedule(state);
+      if (scheduleError) {
+        errors.schedule = scheduleError;
+      }
+    }
+
+    if (hasErrors(errors)) {
+      setState({ errors, bondCalculations: null });
+      return;
+    }
+
+    try {
+      const { calculations, solved } = calculateFromInputs(state);
+      setState({ ...solved, errors, bondCalculations: calculations });
+    } catch (error) {
+      console.error('Calculation error:', error);
+      setState({ errors: { calculation: describeError(error) }, bondCalculations: null });
+    }
+  }
+
+  /**
+   * Render this calculator's state and report price changes
+   * @param {Object} newState - Updated state
+   */
+  handleStateChange(newState) {
+    if (!this.parts) return;
+
+    showErrors(this.parts, newState.errors);
+    this.renderPanels(newState);
+
+    const price = this.price;
+    if (price !== this.lastPrice) {
+      this.lastPrice = price;
+      this.dispatchEvent(new CustomEvent('pricechange', {
+        bubbles: true,
+        composed: true,
+        detail: createPriceChangeDetail(newState)
+      }));
+    }
+  }
+
+  /**
+   * Render the results, chart and table panels that are shown
+   * @param {Object} currentState - State to render
+   */
+  renderPanels(currentState) {
+    const { bondCalculations, frequency } = currentState;
+    const { panels, results, canvas, table } = this.parts;
+
+    results.hidden = !bondCalculations;
+    if (!bondCalculations) return;
+
+    if (!panels.results.hidden) {
+      renderResults(bondCalculations, {
+        faceValue: currentState.faceValue,
+        couponRate: currentState.couponRate,
+        ytm: currentState.ytm,
+        years: currentState.years,
+        frequency,
+        inputMode: currentState.inputMode
+      }, results);
+    }
+
+    if (!panels.chart.hidden) {
+      const showLabels = this.clientWidth === 0 || this.clientWidth > LABELLED_CHART_WIDTH;
+      renderChart(bondCalculations.cashFlows, showLabels, frequency, {}, canvas);
+    }
+
+    if (!panels.table.hidden) {
+      renderTable(
+        bondCalculations.cashFlows,
+        bondCalculations.bondPrice,
+        bondCalculations.periods,
+        bondCalculations.periodicCoupon,
+        { structure: bondCalculations.structure, frequency },
+        table
+      );
+    }
+  }
+}
+
+/**
+ * Read an input attribute into the state field it sets
+ * Values that are not numbers become NaN and fail validation.
+ * @param {string} name - Attribute name (see INPUT_ATTRIBUTES)
+ * @param {string|null} value - Attribute value (null when removed)
+ * @returns {Object} { field, value }, with the default value when removed
+ */
+export function readInputAttribute(name, value) {
+  const field = INPUT_ATTRIBUTES[name];
+  if (value === null) {
+    return { field, value: DEFAULTS[field] };
+  }
+  return { field, value: value.trim() === '' ? NaN : Number(value) };
+}
+
+/**
+ * Read the panels attribute (unknown names are ignored)
+ * @param {string|null} value - Space-separated panel names
+ * @returns {Array} Panel names in display order, all of them when none are named
+ */
+export function parsePanels(value) {
+  const requested = (value || '').split(/\s+/);
+  const panels = PANELS.filter(panel => requested.includes(panel));
+  return panels.length ? panels : PANELS;
+}
+
+/**
+ * Build the detail of a pricechange event
+ * @param {Object} currentState - Calculator state after the change
+ * @returns {Object} { price, couponRate, ytm, years, frequency, calculations }
+ */
+export function createPriceChangeDetail(currentState) {
+  const { bondCalculations } = currentState;
+  return {
+    price: bondCalculations ? bondCalculations.bondPrice : null,
+    couponRate: currentState.couponRate,
+    ytm: currentState.ytm,
+    years: currentState.years,
+    frequency: currentState.frequency,
+    calculations: bondCalculations
+  };
+}
+
+/**
+ * Build the calculator's panels in a shadow root
+ * @param {ShadowRoot} root - Shadow root to fill
+ * @returns {Object} The elements rendered into later
+ */
+function buildPanels(root) {
+  const stylesheet = createElement('link', {
+    rel: 'stylesheet',
+    href: new URL('../styles.css', import.meta.url).href
+  });
+  const style = createElement('style', {}, STYLES);
+  const container = createElement('div', { className: 'card-content' });
+
+  // Inputs
+  const inputsPanel = createElement('div', { className: 'panel' });
+  const group = createElement('div', { className: 'input-group-inline' });
+  const inputs = {};
+
+  NUMBER_FIELDS.forEach(({ field, label, min, max, step, suffix }) => {
+    const input = createElement('input', {
+      type: 'number',
+      id: field,
+      className: 'input-field-inline',
+      min: String(min),
+      max: String(max),
+      step: String(step)
+    });
+    inputs[field] = input;
+    group.appendChild(createInputItem(field, t(label), input, suffix));
+  });
+
+  const frequency = createElement('select', { id: 'frequency', className: 'input-field-inline input-select' });
+  Object.keys(FREQUENCIES).forEach(value => {
+    frequency.appendChild(createElement('option', { value }, getFrequencyInfo(value).label));
+  });
+  inputs.frequency = frequency;
+  group.appendChild(createInputItem('frequency', t('input.frequency'), frequency, ''));
+
+  const summary = createElement('div', { className: 'validation-summary', role: 'alert' });
+  summary.hidden = true;
+  summary.appendChild(createElement('div', { className: 'validation-title' }, t('validation.title')));
+  const errorList = createElement('ul');
+  summary.appendChild(errorList);
+
+  inputsPanel.appendChild(group);
+  inputsPanel.appendChild(summary);
+
+  // Results
+  const resultsPanel = createElement('div', { className: 'panel' });
+  const results = createElement('div', { className: 'results-content' });
+  resultsPanel.appendChild(results);
+
+  // Chart
+  const chartPanel = createElement('div', { className: 'panel' });
+  const legend = createElement('div', { className: 'legend' });
+  LEGEND.forEach(({ label, color }) => {
+    const item = createElement('span', { className: 'legend-item' });
+    const swatch = createElement('span', { className: 'legend-color' });
+    swatch.style.backgroundColor = color;
+    swatch.style.border = '1px solid #333';
+    item.appendChild(swatch);
+    item.appendChild(document.createTextNode(t(label)));
+    legend.appendChild(item);
+  });
+  const chartWrapper = createElement('div', {
+    className: 'chart-wrapper',
+    role: 'region',
+    'aria-label': t('chart.descriptionTitle')
+  });
+  const canvas = createElement('canvas');
+  chartWrapper.appendChild(canvas);
+  chartPanel.appendChild(legend);
+  chartPanel.appendChild(chartWrapper);
+
+  // Table
+  const tablePanel = createElement('div', {
+    className: 'panel table-wrapper',
+    role: 'region',
+    'aria-label': t('table.label'),
+    tabindex: '-1'
+  });
+  const table = createElement('table', { className: 'data-table' });
+  tablePanel.appendChild(table);
+  tablePanel.appendChild(createElement('p', { className: 'table-note' }, t('table.note')));
+
+  [inputsPanel, resultsPanel, chartPanel, tablePanel].forEach(panel => container.appendChild(panel));
+  [stylesheet, style, container].forEach(node => root.appendChild(node));
+
+  return {
+    panels: { inputs: inputsPanel, results: resultsPanel, chart: chartPanel, table: tablePanel },
+    inputs,
+    summary,
+    errorList,
+    results,
+    canvas,
+    table
+  };
+}
+
+/**
+ * Create a labelled input in the inputs panel
+ * @param {string} id - Input ID (unique within the shadow root)
+ * @param {string} label - Label text
+ * @param {Element} input - Input or select
+ * @param {string} suffix - Unit shown after the input
+ * @returns {Element} Input item
+ */
+function createInputItem(id, label, input, suffix) {
+  const item = createElement('div', { className: 'input-inline' });
+  item.appendChild(createElement('label', { for: id, className: 'input-label-inline' }, label));
+
+  const wrapper = createElement('div', { className: 'input-with-suffix-inline' });
+  wrapper.appendChild(input);
+  wrapper.appendChild(createElement('span', { className: 'input-suffix-inline' }, suffix || '\u00A0'));
+  item.appendChild(wrapper);
+
+  return item;
+}
+
+/**
+ * Mark invalid inputs and list the errors
+ * @param {Object} parts - Elements from buildPanels
+ * @param {Object} errors - Error messages by field
+ */
+function showErrors({ inputs, summary, errorList }, errors) {
+  Object.entries(inputs).forEach(([field, input]) => {
+    const invalid = Boolean(errors[field] || (field === 'years' && errors.schedule));
+    input.classList.toggle('error', invalid);
+    if (invalid) {
+      input.setAttribute('aria-invalid', 'true');
+    } else {
+      input.removeAttribute('aria-invalid');
+    }
+  });
+
+  errorList.innerHTML = '';
+  Object.values(errors).forEach(message => {
+    errorList.appendChild(createElement('li', {}, message));
+  });
+  summary.hidden = !hasErrors(errors);
+}
+
+if (!customElements.get('bond-calculator')) {
+  customElements.define('bond-calculator', BondCalculatorElement);
+}
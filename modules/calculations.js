@@ -3,6 +3,117 @@
  * Pure functions for bond valuation mathematics
  */
 
+/**
+ * Create an error for inputs that cannot be parsed or priced
+ * The code names the problem so the interface can describe it in the
+ * language in use (see validation.js); the message is for everyone else.
+ * @param {string} code - Problem code
+ * @param {string} message - Error message
+ * @param {Object} params - Values to place in the description
+ * @returns {Error} Error with a code
+ */
+function createCodedError(code, message, params = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.params = params;
+  return error;
+}
+
+/**
+ * Parse a sinking fund schedule
+ * Entries are year:percent pairs, each redeeming a percentage of the
+ * original face value on that payment date ("2:20, 3:20, 4:20").
+ * @param {string} text - Schedule as typed by the user
+ * @returns {Array} Redemptions as { year, percent }
+ * @throws {Error} If the text is not a valid schedule
+ */
+export function parseSinkingSchedule(text) {
+  const entries = String(text || '')
+    .split(/[,;\s]+/)
+    .filter(Boolean);
+  
+  return entries.map(entry => {
+    const [year, percent] = entry.split(':').map(Number);
+    if (!Number.isFinite(year) || !Number.isFinite(percent)) {
+      throw createCodedError('sinkingPairs', 'Use year:percent pairs, e.g. 3:20');
+    }
+    return { year, percent };
+  });
+}
+
+/**
+ * Generate the coupon and principal payments for a bond structure
+ * Coupons are paid on the principal outstanding at the start of each period.
+ * - bullet: all principal at maturity
+ * - zero: no coupons, all principal at maturity
+ * - amortizing: level payments that fully repay principal by maturity
+ * - sinking: scheduled partial redemptions, remainder at maturity
+ * @param {Object} params - Bond parameters
+ * @param {number} params.faceValue - Face value of the bond
+ * @param {number} params.couponRate - Annual coupon rate (percentage)
+ * @param {number} params.years - Years to maturity
+ * @param {number} params.frequency - Payment frequency per year
+ * @param {string} params.structure - 'bullet', 'zero', 'amortizing' or 'sinking'
+ * @param {Array} params.sinkingSchedule - Redemptions from parseSinkingSchedule
+ * @returns {Array} Payments as { period, coupon, principal, outstanding }
+ * @throws {Error} If a redemption is not on a payment date before maturity
+ */
+export function generatePrincipalSchedule({
+  faceValue,
+  couponRate,
+  years,
+  frequency,
+  structure = 'bullet',
+  sinkingSchedule = []
+}) {
+  const periods = years * frequency;
+  const periodicCouponRate = structure === 'zero' ? 0 : couponRate / 100 / frequency;
+  
+  // Scheduled redemptions by period
+  const redemptions = {};
+  if (structure === 'sinking') {
+    sinkingSchedule.forEach(({ year, percent }) => {
+      const period = Math.round(year * frequency);
+      if (Math.abs(year * frequency - period) > 1e-9 || period < 1) {
+        throw createCodedError('sinkingDate', `Sinking fund year ${year} is not a payment date`, { year });
+      }
+      if (period >= periods) {
+        throw createCodedError('sinkingMaturity', `Sinking fund year ${year} must be before maturity`, {
+          year,
+          years
+        });
+      }
+      redemptions[period] = (redemptions[period] || 0) + faceValue * percent / 100;
+    });
+  }
+  
+  // Level payment covering interest and principal
+  const levelPayment = periodicCouponRate === 0
+    ? faceValue / periods
+    : faceValue * periodicCouponRate / (1 - Math.pow(1 + periodicCouponRate, -periods));
+  
+  const schedule = [];
+  let outstanding = faceValue;
+  
+  for (let t = 1; t <= periods; t++) {
+    const coupon = outstanding * periodicCouponRate;
+    let principal;
+    
+    if (t === periods) {
+      principal = outstanding;
+    } else if (structure === 'amortizing') {
+      principal = levelPayment - coupon;
+    } else {
+      principal = Math.min(redemptions[t] || 0, outstanding);
+    }
+    
+    outstanding = t === periods ? 0 : outstanding - principal;
+    schedule.push({ period: t, coupon, principal, outstanding });
+  }
+  
+  return schedule;
+}
+
 /**
  * Calculate bond price using present value formula
  * @param {Object} params - Bond parameters
@@ -11,22 +122,33 @@
  * @param {number} params.ytm - Yield to maturity (percentage)
  * @param {number} params.years - Years to maturity
  * @param {number} params.frequency - Payment frequency per year
+ * @param {string} params.structure - Bond structure (see generatePrincipalSchedule)
+ * @param {Array} params.sinkingSchedule - Redemptions for sinking fund bonds
  * @returns {Object} Bond price components
  */
-export function calculateBondPrice({ faceValue, couponRate, ytm, years, frequency }) {
+export function calculateBondPrice({
+  faceValue,
+  couponRate,
+  ytm,
+  years,
+  frequency,
+  structure = 'bullet',
+  sinkingSchedule = []
+}) {
   const periods = years * frequency;
-  const periodicCouponRate = couponRate / 100 / frequency;
   const periodicYield = ytm / 100 / frequency;
-  const periodicCoupon = faceValue * periodicCouponRate;
+  const schedule = generatePrincipalSchedule({
+    faceValue, couponRate, years, frequency, structure, sinkingSchedule
+  });
   
-  // Calculate present value of coupon payments
+  // Calculate present value of coupon and principal payments
   let pvCoupons = 0;
-  for (let t = 1; t <= periods; t++) {
-    pvCoupons += periodicCoupon / Math.pow(1 + periodicYield, t);
-  }
-  
-  // Calculate present value of face value
-  const pvFaceValue = faceValue / Math.pow(1 + periodicYield, periods);
+  let pvFaceValue = 0;
+  schedule.forEach(({ period, coupon, principal }) => {
+    const discount = Math.pow(1 + periodicYield, period);
+    pvCoupons += coupon / discount;
+    pvFaceValue += principal / discount;
+  });
   
   // Total bond price
   const price = pvCoupons + pvFaceValue;
@@ -35,54 +157,642 @@ export function calculateBondPrice({ faceValue, couponRate, ytm, years, frequenc
     price, 
     pvCoupons, 
     pvFaceValue,
-    periodicCoupon,
+    periodicCoupon: schedule.length ? schedule[0].coupon : 0, // Current period's coupon
     periodicYield,
-    periods
+    periods,
+    schedule
+  };
+}
+
+/**
+ * Solve for the periodic yield that discounts a set of cash flows to a price
+ * Newton-Raphson steps are used while they stay inside a bracketing interval;
+ * otherwise the interval is bisected, so a root is always found if one exists.
+ * @param {Array} flows - Cash flows as { time, amount } (time in periods)
+ * @param {number} targetPrice - Price to solve for
+ * @param {Object} options - Solver options
+ * @param {number} options.tolerance - Maximum pricing error accepted
+ * @param {number} options.maxIterations - Iteration limit
+ * @param {number} options.guess - Initial periodic yield guess
+ * @returns {Object} Periodic yield with convergence details
+ */
+export function solvePeriodicYield(flows, targetPrice, {
+  tolerance = 1e-10,
+  maxIterations = 200,
+  guess = 0.03
+} = {}) {
+  const failure = (code, message, iterations = 0) => ({
+    periodicYield: NaN,
+    converged: false,
+    iterations,
+    residual: NaN,
+    code,
+    message
+  });
+
+  if (!Number.isFinite(targetPrice) || targetPrice <= 0) {
+    return failure('price', 'Price must be a positive number');
+  }
+
+  if (!flows.length || flows.some(f => !Number.isFinite(f.amount) || f.amount < 0)) {
+    return failure('flows', 'Cash flows must be non-negative numbers');
+  }
+
+  // Price error and its derivative with respect to the periodic yield
+  const evaluate = (y) => {
+    let value = -targetPrice;
+    let slope = 0;
+    flows.forEach(({ time, amount }) => {
+      const discounted = amount / Math.pow(1 + y, time);
+      value += discounted;
+      slope -= time * discounted / (1 + y);
+    });
+    return { value, slope };
+  };
+
+  // Bracket the root: price falls as yield rises
+  let lower = -0.99;
+  let upper = 1;
+  if (evaluate(lower).value < 0) {
+    return failure('priceHigh', 'Price is above the range the solver can reach');
+  }
+  while (evaluate(upper).value > 0) {
+    upper *= 2;
+    if (upper > 1e6) {
+      return failure('priceLow', 'Price is too low for any positive yield');
+    }
+  }
+
+  let y = Math.min(Math.max(guess, lower), upper);
+
+  for (let i = 1; i <= maxIterations; i++) {
+    const { value, slope } = evaluate(y);
+
+    if (Math.abs(value) <= tolerance) {
+      return { periodicYield: y, converged: true, iterations: i, residual: value, code: '', message: '' };
+    }
+
+    // Narrow the bracket around the root
+    if (value > 0) {
+      lower = y;
+    } else {
+      upper = y;
+    }
+
+    // Take the Newton step if it lands inside the bracket, else bisect
+    const newton = slope !== 0 ? y - value / slope : NaN;
+    y = (newton > lower && newton < upper) ? newton : (lower + upper) / 2;
+
+    if (upper - lower < 1e-15) {
+      const { value: residual } = evaluate(y);
+      return { periodicYield: y, converged: true, iterations: i, residual, code: '', message: '' };
+    }
+  }
+
+  return failure('iterations', `Solver did not converge in ${maxIterations} iterations`, maxIterations);
+}
+
+/**
+ * Calculate yield to maturity implied by a bond price
+ * Between coupon dates the price is the flat (clean) price; accrued
+ * interest is added to get the full price the cash flows must discount to.
+ * @param {Object} params - Bond parameters
+ * @param {number} params.faceValue - Face value of the bond
+ * @param {number} params.couponRate - Annual coupon rate (percentage)
+ * @param {number} params.price - Flat bond price (same units as face value)
+ * @param {number} params.years - Years to maturity (from the last coupon date)
+ * @param {number} params.frequency - Payment frequency per year
+ * @param {number} params.accrualFraction - Fraction of the coupon period elapsed
+ * @param {string} params.structure - Bond structure (see generatePrincipalSchedule)
+ * @param {Array} params.sinkingSchedule - Redemptions for sinking fund bonds
+ * @param {Object} options - Solver options (see solvePeriodicYield)
+ * @returns {Object} Yield to maturity (percentage) with convergence details
+ */
+export function calculateYieldFromPrice({
+  faceValue,
+  couponRate,
+  price,
+  years,
+  frequency,
+  accrualFraction = 0,
+  structure = 'bullet',
+  sinkingSchedule = []
+}, options = {}) {
+  const schedule = generatePrincipalSchedule({
+    faceValue, couponRate, years, frequency, structure, sinkingSchedule
+  });
+  const currentCoupon = schedule.length ? schedule[0].coupon : 0;
+  const fullPrice = price + currentCoupon * accrualFraction;
+
+  const flows = schedule.map(({ period, coupon, principal }) => ({
+    time: period - accrualFraction,
+    amount: coupon + principal
+  }));
+
+  const solution = solvePeriodicYield(flows, fullPrice, {
+    guess: couponRate / 100 / frequency,
+    ...options
+  });
+
+  return {
+    ...solution,
+    ytm: solution.periodicYield * frequency * 100
+  };
+}
+
+/**
+ * Parse an ISO date string (YYYY-MM-DD) as a UTC date
+ * @param {string} value - ISO date string
+ * @returns {Date|null} Date, or null if the string is not a valid date
+ */
+export function parseISODate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  
+  // Reject dates that roll over (e.g. 2025-02-30)
+  return date.getUTCMonth() === month - 1 ? date : null;
+}
+
+/**
+ * Format a UTC date as an ISO date string (YYYY-MM-DD)
+ * @param {Date} date - Date to format
+ * @returns {string} ISO date string
+ */
+export function formatISODate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Add calendar months to a date, clamping to the end of the month
+ * @param {Date} date - Start date
+ * @param {number} months - Months to add (may be negative)
+ * @returns {Date} New date
+ */
+export function addMonths(date, months) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay)));
+}
+
+/**
+ * Check whether a date is the last day of February
+ * @param {Date} date - Date
+ * @returns {boolean} True for 28 February (29 in leap years)
+ */
+function isLastDayOfFebruary(date) {
+  return date.getUTCMonth() === 1 &&
+    date.getUTCDate() === new Date(Date.UTC(date.getUTCFullYear(), 2, 0)).getUTCDate();
+}
+
+/**
+ * Count days between two dates under a day-count convention
+ * @param {Date} start - Start date
+ * @param {Date} end - End date
+ * @param {string} dayCount - '30/360' or 'actual/actual'
+ * @returns {number} Day count
+ */
+export function countDays(start, end, dayCount) {
+  if (dayCount === '30/360') {
+    // US (NASD) 30/360: the 31st and the end of February count as the 30th
+    let d1 = start.getUTCDate();
+    let d2 = end.getUTCDate();
+    if (isLastDayOfFebruary(start) && isLastDayOfFebruary(end)) d2 = 30;
+    if (isLastDayOfFebruary(start)) d1 = 30;
+    if (d1 === 31) d1 = 30;
+    if (d2 === 31 && d1 === 30) d2 = 30;
+    
+    return 360 * (end.getUTCFullYear() - start.getUTCFullYear()) +
+      30 * (end.getUTCMonth() - start.getUTCMonth()) +
+      (d2 - d1);
+  }
+  
+  return Math.round((end - start) / 86400000);
+}
+
+/**
+ * Locate a settlement date within the coupon schedule
+ * Coupon dates are generated backwards from maturity, so the remaining
+ * periods are whole and the elapsed part of the current period is
+ * measured under the chosen day-count convention.
+ * @param {Object} params - Date parameters
+ * @param {string} params.settlementDate - Settlement date (YYYY-MM-DD)
+ * @param {string} params.maturityDate - Maturity date (YYYY-MM-DD)
+ * @param {number} params.frequency - Payment frequency per year
+ * @param {string} params.dayCount - '30/360' or 'actual/actual'
+ * @returns {Object} Remaining periods, accrual fraction and coupon dates
+ */
+export function calculateAccrualPeriod({ settlementDate, maturityDate, frequency, dayCount }) {
+  const settlement = parseISODate(settlementDate);
+  const maturity = parseISODate(maturityDate);
+  
+  if (!settlement || !maturity || maturity <= settlement) {
+    throw createCodedError('maturityAfterSettlement', 'Maturity date must be after a valid settlement date');
+  }
+  
+  const monthsPerPeriod = 12 / frequency;
+  
+  // Coupon dates after settlement, latest first
+  const couponDates = [];
+  let periodsBack = 0;
+  let couponDate = maturity;
+  while (couponDate > settlement) {
+    couponDates.unshift(couponDate);
+    periodsBack += 1;
+    couponDate = addMonths(maturity, -periodsBack * monthsPerPeriod);
+  }
+  
+  const previousCouponDate = couponDate;
+  const nextCouponDate = couponDates[0];
+  
+  const daysAccrued = countDays(previousCouponDate, settlement, dayCount);
+  const daysInPeriod = dayCount === '30/360'
+    ? 360 / frequency
+    : countDays(previousCouponDate, nextCouponDate, dayCount);
+  
+  return {
+    periods: couponDates.length,
+    accrualFraction: daysAccrued / daysInPeriod,
+    daysAccrued,
+    daysInPeriod,
+    dayCount,
+    settlementDate: formatISODate(settlement),
+    previousCouponDate: formatISODate(previousCouponDate),
+    nextCouponDate: formatISODate(nextCouponDate),
+    couponDates: couponDates.map(formatISODate)
+  };
+}
+
+/**
+ * Project the coupon and discount rates of a floating-rate note
+ * The reference rate is assumed to stay at its current level, so every
+ * coupon resets to reference + quoted margin and every flow is discounted
+ * at reference + discount margin.
+ * @param {Object} floating - Note terms
+ * @param {number} floating.referenceRate - Market reference rate (percentage)
+ * @param {number} floating.quotedMargin - Quoted margin (basis points)
+ * @param {number} floating.discountMargin - Discount (required) margin (basis points)
+ * @returns {Object} Annual coupon and discount rates (percentages)
+ */
+export function getFloatingRates({ referenceRate, quotedMargin, discountMargin }) {
+  return {
+    couponRate: referenceRate + quotedMargin / 100,
+    discountRate: referenceRate + discountMargin / 100
   };
 }
 
 /**
  * Generate cash flow schedule for the bond
+ * Each flow carries its time from settlement in periods, which is
+ * fractional when settling between coupon dates, and when a yield or spot
+ * discounting is given, its discount factor, present value and the running
+ * total of present values (which reaches the full price at maturity).
  * @param {Object} params - Bond parameters and calculated values
+ * @param {number} params.accrualFraction - Fraction of the coupon period elapsed
+ * @param {Object} params.accrual - Settlement details from calculateAccrualPeriod
+ * @param {Array} params.schedule - Payments from generatePrincipalSchedule (bullet if omitted)
+ * @param {Object} params.floating - Floating-rate note terms (see getFloatingRates)
+ * @param {number} params.periodicYield - Yield per period (decimal) to discount at
+ * @param {Array} params.discounting - Spot rate and discount factor of each flow
+ *   after the purchase (from calculateSpotPrice; used instead of periodicYield)
  * @returns {Array} Array of cash flow objects
  */
-export function generateCashFlows({ faceValue, frequency, years, periodicCoupon, bondPrice }) {
+export function generateCashFlows({
+  faceValue,
+  frequency,
+  years,
+  periodicCoupon,
+  bondPrice,
+  accrual = null,
+  schedule = null,
+  floating = null,
+  periodicYield = null,
+  discounting = null
+}) {
   const periods = years * frequency;
+  const accrualFraction = accrual ? accrual.accrualFraction : 0;
+  // Floating coupons are projected at the reference rate plus quoted margin
+  const projectedRate = floating ? getFloatingRates(floating).couponRate : null;
   const cashFlows = [];
   
   // Initial purchase (negative cash flow at t=0)
   cashFlows.push({
     period: 0,
+    time: 0,
     yearLabel: 0,
+    date: accrual ? accrual.settlementDate : null,
     couponPayment: 0,
     principalPayment: -bondPrice,
-    totalCashFlow: -bondPrice
+    totalCashFlow: -bondPrice,
+    outstandingPrincipal: faceValue
   });
   
   // Periodic cash flows
   for (let t = 1; t <= periods; t++) {
-    const couponPayment = periodicCoupon;
-    const principalPayment = (t === periods) ? faceValue : 0;
+    const payment = schedule ? schedule[t - 1] : null;
+    const couponPayment = payment ? payment.coupon
+      : floating ? faceValue * projectedRate / 100 / frequency
+      : periodicCoupon;
+    const principalPayment = payment ? payment.principal : (t === periods ? faceValue : 0);
     const totalCashFlow = couponPayment + principalPayment;
+    const time = t - accrualFraction;
     
     cashFlows.push({
       period: t,
-      yearLabel: t / frequency,
+      time,
+      yearLabel: time / frequency,
+      date: accrual ? accrual.couponDates[t - 1] : null,
       couponPayment,
       principalPayment,
-      totalCashFlow
+      totalCashFlow,
+      outstandingPrincipal: payment ? payment.outstanding : (t === periods ? 0 : faceValue),
+      projectedRate, // Annual coupon rate projected for floating-rate notes (null if fixed)
+      ...(discounting ? { spotRate: discounting[t - 1].spotRate } : {})
     });
   }
   
+  if (discounting) {
+    return discountCashFlows(cashFlows, (cf) => discounting[cf.period - 1].discountFactor);
+  }
+  if (periodicYield != null) {
+    return discountCashFlows(cashFlows, (cf) => 1 / Math.pow(1 + periodicYield, cf.time));
+  }
+  return cashFlows;
+}
+
+/**
+ * Record the discount factor, present value and cumulative present value of
+ * each cash flow after the purchase (which is already a present value)
+ * @param {Array} cashFlows - Cash flow schedule from generateCashFlows (updated in place)
+ * @param {Function} getDiscountFactor - Returns the discount factor for a cash flow
+ * @returns {Array} The cash flows
+ */
+function discountCashFlows(cashFlows, getDiscountFactor) {
+  let cumulativePV = 0;
+  
+  cashFlows.slice(1).forEach(cf => {
+    cf.discountFactor = getDiscountFactor(cf);
+    cf.presentValue = cf.totalCashFlow * cf.discountFactor;
+    cumulativePV += cf.presentValue;
+    cf.cumulativePV = cumulativePV;
+  });
+  
   return cashFlows;
 }
 
+/**
+ * Parse a spot-rate term structure
+ * Accepts either one annual rate per period ("5.0, 5.2, 5.4") or
+ * tenor:rate pairs with tenors in years ("0.5:5.0, 2:5.6, 5:6.5").
+ * @param {string} text - Spot rates as typed by the user
+ * @returns {Object} Curve as { type: 'period', rates } or { type: 'tenor', points }
+ * @throws {Error} If the text is not a valid curve
+ */
+export function parseSpotCurve(text) {
+  const entries = String(text || '')
+    .split(/[,;\s]+/)
+    .filter(Boolean);
+  
+  if (!entries.length) {
+    throw createCodedError('spotEmpty', 'Enter at least one spot rate');
+  }
+  
+  const byTenor = entries.some(entry => entry.includes(':'));
+  
+  if (!byTenor) {
+    const rates = entries.map(Number);
+    if (rates.some(rate => !Number.isFinite(rate))) {
+      throw createCodedError('spotNumbers', 'Spot rates must be numbers');
+    }
+    return { type: 'period', rates };
+  }
+  
+  const points = entries.map(entry => {
+    const [tenor, rate] = entry.split(':').map(Number);
+    if (!Number.isFinite(tenor) || !Number.isFinite(rate)) {
+      throw createCodedError('spotPairs', 'Use years:rate pairs, e.g. 1:5.2');
+    }
+    return { tenor, rate };
+  });
+  
+  if (points.some((point, i) => point.tenor <= 0 || (i > 0 && point.tenor <= points[i - 1].tenor))) {
+    throw createCodedError('spotTenors', 'Tenors must be positive and increasing');
+  }
+  
+  return { type: 'tenor', points };
+}
+
+/**
+ * Look up the spot rate for a cash flow
+ * Per-period curves reuse their last rate beyond the final period; tenor
+ * curves are interpolated linearly and held flat beyond their end points.
+ * @param {Object} curve - Curve from parseSpotCurve
+ * @param {number} period - Payment number (1-based)
+ * @param {number} years - Time of the payment in years
+ * @returns {number} Annual spot rate (percentage)
+ */
+export function getSpotRate(curve, period, years) {
+  if (curve.type === 'period') {
+    return curve.rates[Math.min(period, curve.rates.length) - 1];
+  }
+  
+  const { points } = curve;
+  if (years <= points[0].tenor) return points[0].rate;
+  
+  for (let i = 1; i < points.length; i++) {
+    if (years <= points[i].tenor) {
+      const prev = points[i - 1];
+      const next = points[i];
+      const weight = (years - prev.tenor) / (next.tenor - prev.tenor);
+      return prev.rate + weight * (next.rate - prev.rate);
+    }
+  }
+  
+  return points[points.length - 1].rate;
+}
+
+/**
+ * Price a bond by discounting each cash flow at its own spot rate
+ * Spot rates are annual rates compounded at the payment frequency.
+ * @param {Object} params - Bond parameters
+ * @param {number} params.faceValue - Face value of the bond
+ * @param {number} params.couponRate - Annual coupon rate (percentage)
+ * @param {number} params.years - Years to maturity (from the last coupon date)
+ * @param {number} params.frequency - Payment frequency per year
+ * @param {Object} params.accrual - Settlement details from calculateAccrualPeriod (optional)
+ * @param {Object} params.spotCurve - Curve from parseSpotCurve
+ * @param {string} params.structure - Bond structure (see generatePrincipalSchedule)
+ * @param {Array} params.sinkingSchedule - Redemptions for sinking fund bonds
+ * @returns {Object} Price components, per-flow discounting and equivalent yield
+ */
+export function calculateSpotPrice({
+  faceValue,
+  couponRate,
+  years,
+  frequency,
+  accrual = null,
+  spotCurve,
+  structure = 'bullet',
+  sinkingSchedule = []
+}) {
+  const periods = years * frequency;
+  const accrualFraction = accrual ? accrual.accrualFraction : 0;
+  const schedule = generatePrincipalSchedule({
+    faceValue, couponRate, years, frequency, structure, sinkingSchedule
+  });
+  
+  let pvCoupons = 0;
+  let pvFaceValue = 0;
+  const discounting = [];
+  const flows = [];
+  
+  schedule.forEach(({ period, coupon, principal }) => {
+    const time = period - accrualFraction;
+    const spotRate = getSpotRate(spotCurve, period, time / frequency);
+    const discountFactor = 1 / Math.pow(1 + spotRate / 100 / frequency, time);
+    
+    pvCoupons += coupon * discountFactor;
+    pvFaceValue += principal * discountFactor;
+    
+    discounting.push({ spotRate, discountFactor });
+    flows.push({ time, amount: coupon + principal });
+  });
+  
+  const price = pvCoupons + pvFaceValue;
+  
+  // Single yield that gives the same price as the curve
+  const solution = solvePeriodicYield(flows, price, {
+    guess: getSpotRate(spotCurve, periods, years) / 100 / frequency
+  });
+  
+  return {
+    price,
+    pvCoupons,
+    pvFaceValue,
+    discounting,
+    yieldSolution: {
+      ...solution,
+      ytm: solution.periodicYield * frequency * 100
+    }
+  };
+}
+
+/**
+ * Discount the future cash flows of a schedule at a flat periodic yield
+ * @param {Array} cashFlows - Cash flow schedule from generateCashFlows
+ * @param {number} periodicYield - Yield per period (decimal)
+ * @returns {number} Present value of all cash flows after period 0
+ */
+export function priceCashFlows(cashFlows, periodicYield) {
+  return cashFlows
+    .filter(cf => cf.period > 0)
+    .reduce((sum, cf) => sum + cf.totalCashFlow / Math.pow(1 + periodicYield, cf.time), 0);
+}
+
+/**
+ * Calculate interest-rate risk measures for a cash flow schedule
+ * Durations are in years and convexity in years squared.
+ * @param {Object} params - Risk parameters
+ * @param {Array} params.cashFlows - Cash flow schedule from generateCashFlows
+ * @param {number} params.ytm - Yield to maturity (percentage)
+ * @param {number} params.frequency - Payment frequency per year
+ * @param {number} params.yieldShift - Yield change for approximations (percentage)
+ * @returns {Object} Duration, convexity and PVBP measures
+ */
+export function calculateRiskMeasures({ cashFlows, ytm, frequency, yieldShift = 0.01 }) {
+  const periodicYield = ytm / 100 / frequency;
+  const price = priceCashFlows(cashFlows, periodicYield);
+  
+  // Weighted sums of discounted cash flows by time (in periods)
+  let timeWeighted = 0;
+  let convexityWeighted = 0;
+  cashFlows.forEach(({ period, time, totalCashFlow }) => {
+    if (period <= 0) return;
+    const pv = totalCashFlow / Math.pow(1 + periodicYield, time);
+    timeWeighted += time * pv;
+    convexityWeighted += time * (time + 1) * pv;
+  });
+  
+  const macaulayDuration = timeWeighted / price / frequency;
+  const modifiedDuration = macaulayDuration / (1 + periodicYield);
+  const convexity = convexityWeighted / price /
+    Math.pow(1 + periodicYield, 2) / Math.pow(frequency, 2);
+  
+  // Reprice with the yield shifted down and up
+  const shift = yieldShift / 100;
+  const priceDown = priceCashFlows(cashFlows, (ytm / 100 - shift) / frequency);
+  const priceUp = priceCashFlows(cashFlows, (ytm / 100 + shift) / frequency);
+  
+  const approximateDuration = (priceDown - priceUp) / (2 * shift * price);
+  
+  // Price value of a basis point
+  const pvbp = (priceDown - priceUp) / 2 * (0.0001 / shift);
+  
+  return {
+    macaulayDuration,
+    modifiedDuration,
+    approximateDuration,
+    convexity,
+    pvbp
+  };
+}
+
+/**
+ * Generate the price-yield curve for a cash flow schedule
+ * Includes the duration tangent at the current yield; the gap between the
+ * curve and the tangent is the effect of convexity.
+ * @param {Object} params - Curve parameters
+ * @param {Array} params.cashFlows - Cash flow schedule from generateCashFlows
+ * @param {number} params.ytm - Current yield to maturity (percentage)
+ * @param {number} params.frequency - Payment frequency per year
+ * @param {number} params.faceValue - Face value (par line)
+ * @param {number} params.accruedInterest - Accrued interest, removed to plot flat prices
+ * @param {number} params.range - Yield range either side of the YTM (percentage points)
+ * @param {number} params.steps - Number of intervals across the range
+ * @returns {Object} Curve points, tangent points, current point and par value
+ */
+export function generatePriceYieldCurve({
+  cashFlows,
+  ytm,
+  frequency,
+  faceValue,
+  accruedInterest = 0,
+  range = 5,
+  steps = 40
+}) {
+  const lower = Math.min(ytm, Math.max(0, ytm - range));
+  const upper = ytm + range;
+  
+  const fullPrice = priceCashFlows(cashFlows, ytm / 100 / frequency);
+  const { modifiedDuration } = calculateRiskMeasures({ cashFlows, ytm, frequency });
+  
+  const points = [];
+  const tangent = [];
+  for (let i = 0; i <= steps; i++) {
+    const y = lower + (upper - lower) * i / steps;
+    const tangentPrice = fullPrice * (1 - modifiedDuration * (y - ytm) / 100);
+    points.push({ ytm: y, price: priceCashFlows(cashFlows, y / 100 / frequency) - accruedInterest });
+    tangent.push({ ytm: y, price: tangentPrice - accruedInterest });
+  }
+  
+  return {
+    points,
+    tangent,
+    current: { ytm, price: fullPrice - accruedInterest },
+    parValue: faceValue
+  };
+}
+
 /**
  * Determine if bond is trading at premium, discount, or par
  * @param {number} bondPrice - Current bond price
  * @param {number} faceValue - Face value
  * @param {number} tolerance - Tolerance for "par" determination
- * @returns {Object} Bond type and details
+ * @returns {Object} Bond type, the message key naming it, and the
+ *   difference from face value
  */
 export function analyzeBondType(bondPrice, faceValue, tolerance = 0.01) {
   const difference = bondPrice - faceValue;
@@ -90,34 +800,233 @@ export function analyzeBondType(bondPrice, faceValue, tolerance = 0.01) {
   if (Math.abs(difference) < tolerance) {
     return {
       type: 'par',
-      description: 'Par bond',
+      label: 'results.bondType.par',
       difference: 0
     };
   } else if (difference > 0) {
     return {
       type: 'premium',
-      description: 'Premium bond',
+      label: 'results.bondType.premium',
       difference: difference
     };
   } else {
     return {
       type: 'discount',
-      description: 'Discount bond',
+      label: 'results.bondType.discount',
       difference: Math.abs(difference)
     };
   }
 }
 
+/**
+ * Generate the premium/discount amortization schedule
+ * Uses the effective interest method: each period the carrying value earns
+ * interest at the yield, and the coupon received in excess of that interest
+ * amortizes the premium (a shortfall accretes the discount). The carrying
+ * value is pulled to the principal outstanding, reaching par at maturity.
+ * @param {Object} params - Amortization parameters
+ * @param {Array} params.cashFlows - Cash flows from generateCashFlows
+ * @param {number} params.bondPrice - Full price paid (carrying value at settlement)
+ * @param {number} params.ytm - Yield to maturity (percentage)
+ * @param {number} params.frequency - Payment frequency per year
+ * @returns {Array} Rows of { period, yearLabel, date, startValue, interest,
+ *   coupon, amortization, principal, endValue }
+ */
+export function generateAmortizationSchedule({ cashFlows, bondPrice, ytm, frequency }) {
+  const periodicYield = ytm / 100 / frequency;
+  const lastIndex = cashFlows.length - 1;
+  const schedule = [];
+  let carryingValue = bondPrice;
+  
+  for (let i = 1; i <= lastIndex; i++) {
+    const cf = cashFlows[i];
+    const elapsed = cf.time - cashFlows[i - 1].time;
+    const interest = carryingValue * (Math.pow(1 + periodicYield, elapsed) - 1);
+    const amortization = cf.couponPayment - interest;
+    // Principal repaid before maturity reduces the carrying value;
+    // the final repayment redeems the ending carrying value
+    const principal = i === lastIndex ? 0 : cf.principalPayment;
+    const endValue = carryingValue - amortization - principal;
+    
+    schedule.push({
+      period: cf.period,
+      yearLabel: cf.yearLabel,
+      date: cf.date,
+      startValue: carryingValue,
+      interest,
+      coupon: cf.couponPayment,
+      amortization,
+      principal,
+      endValue
+    });
+    
+    carryingValue = endValue;
+  }
+  
+  return schedule;
+}
+
+/**
+ * Parse a call schedule
+ * Entries are year:price pairs, the call price quoted per 100 par
+ * ("3:102, 4:101"). Entries are returned in call date order.
+ * @param {string} text - Schedule as typed by the user
+ * @returns {Array} Call dates as { year, price }
+ * @throws {Error} If the text is not a valid schedule
+ */
+export function parseCallSchedule(text) {
+  const entries = String(text || '')
+    .split(/[,;\s]+/)
+    .filter(Boolean);
+  
+  return entries
+    .map(entry => {
+      const [year, price] = entry.split(':').map(Number);
+      if (!Number.isFinite(year) || !Number.isFinite(price)) {
+        throw createCodedError('callPairs', 'Use year:price pairs, e.g. 3:102');
+      }
+      return { year, price };
+    })
+    .sort((a, b) => a.year - b.year);
+}
+
+/**
+ * Calculate yield to each call date and yield to worst
+ * If called, the bond pays its scheduled flows up to the call date and then
+ * the outstanding principal at the call price. Each scenario is solved for
+ * the yield that prices its flows at the bond's (full) price; yield to worst
+ * is the lowest of the yields to call and the yield to maturity.
+ * @param {Object} params - Call parameters
+ * @param {Array} params.cashFlows - Cash flows from generateCashFlows
+ * @param {number} params.bondPrice - Full price paid for the bond
+ * @param {number} params.ytm - Yield to maturity (percentage)
+ * @param {number} params.frequency - Payment frequency per year
+ * @param {Array} params.callSchedule - Call dates from parseCallSchedule
+ * @returns {Object} Yield to each call, first call and worst, with the worst-case cash flows
+ * @throws {Error} If a call is not on a payment date before maturity
+ */
+export function calculateCallYields({ cashFlows, bondPrice, ytm, frequency, callSchedule }) {
+  const periods = cashFlows.length - 1;
+  
+  const calls = callSchedule.map(({ year, price }) => {
+    const period = Math.round(year * frequency);
+    if (Math.abs(year * frequency - period) > 1e-9 || period < 1) {
+      throw createCodedError('callDate', `Call year ${year} is not a payment date`, { year });
+    }
+    if (period >= periods) {
+      throw createCodedError('callMaturity', `Call year ${year} must be before maturity`, {
+        year,
+        years: periods / frequency
+      });
+    }
+    
+    // Scheduled flows up to the call, then the balance redeemed at the call price
+    const scenario = cashFlows.slice(0, period + 1).map(cf => ({ ...cf }));
+    const callDate = scenario[period];
+    const redemption = callDate.outstandingPrincipal * price / 100;
+    callDate.principalPayment += redemption;
+    callDate.totalCashFlow += redemption;
+    callDate.outstandingPrincipal = 0;
+    
+    const flows = scenario.slice(1).map(cf => ({ time: cf.time, amount: cf.totalCashFlow }));
+    const solution = solvePeriodicYield(flows, bondPrice, { guess: ytm / 100 / frequency });
+    
+    // Discount the called flows at the yield to call, so their PVs add up to the price
+    if (solution.converged) {
+      discountCashFlows(scenario, (cf) => 1 / Math.pow(1 + solution.periodicYield, cf.time));
+    }
+    
+    return {
+      year,
+      period,
+      price,
+      ytc: solution.periodicYield * frequency * 100,
+      converged: solution.converged,
+      cashFlows: scenario
+    };
+  });
+  
+  // Yield to worst over every redemption the issuer could choose
+  const scenarios = [
+    ...calls.filter(call => call.converged).map(call => ({ yield: call.ytc, call })),
+    { yield: ytm, call: null }
+  ];
+  const worst = scenarios.reduce((low, scenario) => scenario.yield < low.yield ? scenario : low);
+  
+  return {
+    calls,
+    yieldToFirstCall: calls.length && calls[0].converged ? calls[0].ytc : null,
+    yieldToWorst: worst.yield,
+    worstCall: worst.call, // null when maturity is the worst case
+    worstCashFlows: worst.call ? worst.call.cashFlows : cashFlows
+  };
+}
+
 /**
  * Calculate all bond metrics
+ * When an accrual period is given, bondPrice is the full (dirty) price at
+ * settlement and flatPrice excludes accrued interest. When a spot curve is
+ * given, the ytm parameter is ignored: cash flows are discounted at their
+ * spot rates and yield-based measures use the equivalent single yield.
+ * For a floating-rate note, couponRate and ytm are replaced by the
+ * reference rate plus the quoted and discount margins.
  * @param {Object} params - Bond parameters from state
+ * @param {Object} params.accrual - Settlement details from calculateAccrualPeriod (optional)
+ * @param {Object} params.spotCurve - Curve from parseSpotCurve (optional)
+ * @param {string} params.structure - Bond structure (see generatePrincipalSchedule)
+ * @param {Array} params.sinkingSchedule - Redemptions for sinking fund bonds
+ * @param {Object} params.floating - Floating-rate note terms (optional, see getFloatingRates)
+ * @param {Array} params.callSchedule - Call dates for callable bonds (optional, see parseCallSchedule)
  * @returns {Object} Complete bond calculations
  */
 export function calculateBondMetrics(params) {
-  const { faceValue, couponRate, ytm, years, frequency } = params;
+  const {
+    faceValue,
+    years,
+    frequency,
+    accrual = null,
+    spotCurve = null,
+    structure = 'bullet',
+    sinkingSchedule = [],
+    floating = null,
+    callSchedule = []
+  } = params;
+  let { couponRate, ytm } = params;
+  
+  // Project floating coupons and discount at reference + discount margin
+  if (floating) {
+    const rates = getFloatingRates(floating);
+    couponRate = rates.couponRate;
+    ytm = rates.discountRate;
+  }
+  
+  // Discount at the spot curve and find the equivalent yield
+  let spot = null;
+  if (spotCurve) {
+    spot = calculateSpotPrice({
+      faceValue, couponRate, years, frequency, accrual, spotCurve, structure, sinkingSchedule
+    });
+    if (!spot.yieldSolution.converged) {
+      const { code, message, iterations } = spot.yieldSolution;
+      throw createCodedError('spotYieldSolve', `Could not solve for equivalent yield: ${message}`, {
+        reason: code,
+        iterations
+      });
+    }
+    ytm = spot.yieldSolution.ytm;
+  }
   
   // Calculate bond price components
-  const priceData = calculateBondPrice({ faceValue, couponRate, ytm, years, frequency });
+  const priceData = calculateBondPrice({
+    faceValue, couponRate, ytm, years, frequency, structure, sinkingSchedule
+  });
+  
+  // Roll the price on the last coupon date forward to settlement
+  const accrualFraction = accrual ? accrual.accrualFraction : 0;
+  const growth = Math.pow(1 + priceData.periodicYield, accrualFraction);
+  const fullPrice = spot ? spot.price : priceData.price * growth;
+  const accruedInterest = priceData.periodicCoupon * accrualFraction;
+  const flatPrice = fullPrice - accruedInterest;
   
   // Generate cash flow schedule
   const cashFlows = generateCashFlows({
@@ -125,20 +1034,154 @@ export function calculateBondMetrics(params) {
     frequency,
     years,
     periodicCoupon: priceData.periodicCoupon,
-    bondPrice: priceData.price
+    bondPrice: fullPrice,
+    accrual,
+    schedule: priceData.schedule,
+    floating,
+    periodicYield: priceData.periodicYield,
+    discounting: spot ? spot.discounting : null
   });
   
-  // Analyze bond type
-  const bondType = analyzeBondType(priceData.price, faceValue);
+  // Analyze bond type (quoted on the flat price)
+  const bondType = analyzeBondType(flatPrice, faceValue);
+  
+  // Interest-rate risk measures
+  const risk = calculateRiskMeasures({ cashFlows, ytm, frequency });
+  
+  // Pull to par of the carrying value
+  const amortizationSchedule = generateAmortizationSchedule({
+    cashFlows, bondPrice: fullPrice, ytm, frequency
+  });
+  
+  // Yields to call and to worst for callable bonds
+  const callAnalysis = callSchedule.length
+    ? calculateCallYields({ cashFlows, bondPrice: fullPrice, ytm, frequency, callSchedule })
+    : null;
   
   return {
-    bondPrice: priceData.price,
-    pvCoupons: priceData.pvCoupons,
-    pvFaceValue: priceData.pvFaceValue,
+    ytm,
+    bondPrice: fullPrice,
+    flatPrice,
+    accruedInterest,
+    accrual,
+    spotCurve,
+    structure,
+    // The discount margin equivalent to the spot-curve price in spot mode
+    floating: floating && { ...floating, couponRate, discountMargin: (ytm - floating.referenceRate) * 100 },
+    callAnalysis,
+    yieldSolution: spot ? spot.yieldSolution : null,
+    pvCoupons: spot ? spot.pvCoupons : priceData.pvCoupons * growth,
+    pvFaceValue: spot ? spot.pvFaceValue : priceData.pvFaceValue * growth,
     periodicCoupon: priceData.periodicCoupon,
     periodicYield: priceData.periodicYield,
     periods: priceData.periods,
     cashFlows,
-    bondType
+    amortizationSchedule,
+    bondType,
+    macaulayDuration: risk.macaulayDuration,
+    modifiedDuration: risk.modifiedDuration,
+    approximateDuration: risk.approximateDuration,
+    convexity: risk.convexity,
+    pvbp: risk.pvbp
+  };
+}
+
+/**
+ * Calculate bond metrics from a full set of calculator inputs
+ * Resolves the input mode, settlement dates, schedules and floating-rate
+ * terms before pricing, so any saved set of inputs can be priced alone.
+ * @param {Object} inputs - Input values as held in state (see state.js)
+ * @returns {Object} { calculations, solved }: the bond metrics, and the ytm,
+ *   price (per 100 par) and discount margin implied by the inputs
+ * @throws {Error} If a schedule is invalid or the yield cannot be solved
+ */
+export function calculateFromInputs(inputs) {
+  const { faceValue, frequency, price, inputMode = 'yield', structure = 'bullet' } = inputs;
+  let { couponRate, ytm, years } = inputs;
+  let yieldSolution = null;
+  let accrual = null;
+  
+  const sinkingSchedule = structure === 'sinking' ? parseSinkingSchedule(inputs.sinkingSchedule) : [];
+  const callSchedule = inputs.callable ? parseCallSchedule(inputs.callSchedule) : [];
+  
+  // In spot mode, each cash flow is discounted at its own spot rate
+  const spotCurve = inputMode === 'spot' ? parseSpotCurve(inputs.spotRates) : null;
+  
+  // Floating-rate notes project coupons from the reference rate
+  let floating = null;
+  if (inputs.couponType === 'floating') {
+    floating = {
+      referenceRate: inputs.referenceRate,
+      quotedMargin: inputs.quotedMargin,
+      discountMargin: inputs.discountMargin
+    };
+    couponRate = getFloatingRates(floating).couponRate;
+  }
+  
+  // Between coupon dates, the remaining periods come from the coupon schedule
+  if (inputs.useDates) {
+    accrual = calculateAccrualPeriod({
+      settlementDate: inputs.settlementDate,
+      maturityDate: inputs.maturityDate,
+      frequency,
+      dayCount: inputs.dayCount
+    });
+    years = accrual.periods / frequency;
+  }
+  
+  // In price mode, solve for the yield implied by the quoted (flat) price
+  if (inputMode === 'price') {
+    yieldSolution = calculateYieldFromPrice({
+      faceValue,
+      couponRate,
+      price: price * faceValue / 100,
+      years,
+      frequency,
+      accrualFraction: accrual ? accrual.accrualFraction : 0,
+      structure,
+      sinkingSchedule
+    });
+    
+    if (!yieldSolution.converged) {
+      const { code, message, iterations } = yieldSolution;
+      throw createCodedError('yieldSolve', `Could not solve for yield: ${message}`, {
+        reason: code,
+        iterations
+      });
+    }
+    
+    ytm = yieldSolution.ytm;
+    
+    // The implied yield sets the discount margin over the reference rate
+    if (floating) {
+      floating.discountMargin = (ytm - floating.referenceRate) * 100;
+    }
+  }
+  
+  const calculations = calculateBondMetrics({
+    faceValue,
+    couponRate,
+    ytm,
+    years,
+    frequency,
+    accrual,
+    spotCurve,
+    structure,
+    sinkingSchedule,
+    floating,
+    callSchedule
+  });
+  
+  // The values solved for in this input mode
+  const solved = inputMode === 'price'
+    ? { ytm }
+    : { ytm: calculations.ytm, price: calculations.flatPrice / faceValue * 100 };
+  if (floating && inputMode !== 'yield') {
+    solved.discountMargin = calculations.floating.discountMargin;
+  }
+  
+  return {
+    calculations: { ...calculations, yieldSolution: yieldSolution || calculations.yieldSolution },
+    solved
   };
-}
\ No newline at end of file
+}
@@ -0,0 +1,350 @@
+/**
+ * Chart Export Module
+ * Downloads the cash flow (or comparison) chart as a high-resolution PNG
+ * or a vector SVG, with its value labels and the legend shown on the page
+ */
+
+import { escapeHTML } from './utils.js';
+import { drawCurrentChart } from './chart.js';
+import { downloadFile } from './export.js';
+
+// Chart size in CSS pixels, independent of the window
+const EXPORT_WIDTH = 1200;
+const EXPORT_HEIGHT = 600;
+
+// PNG resolution relative to the CSS size (3x suits projectors and print)
+const PNG_SCALE = 3;
+
+// Legend row above the chart
+const LEGEND_HEIGHT = 48;
+const LEGEND_FONT = '14px sans-serif';
+const LEGEND_TEXT_COLOR = '#333';
+const LEGEND_SWATCH = 16;
+const LEGEND_LINE = 20;
+const LEGEND_GAP = 8;
+const LEGEND_SPACING = 16;
+
+const LINE_DASHES = {
+  solid: [],
+  dashed: [6, 4],
+  dotted: [2, 3]
+};
+
+/**
+ * Download the chart currently on screen
+ * @param {string} format - 'png' or 'svg'
+ * @returns {boolean} Whether there was a chart to export
+ */
+export function exportChart(format) {
+  const legend = readLegend();
+  const { svg, size, filename, type } = getChartExport(format);
+
+  const file = drawCurrentChart(size, (chart) => svg ? createSVG(chart, legend) : createPNG(chart, legend));
+
+  if (!file) {
+    console.error('No chart to export');
+    return false;
+  }
+
+  downloadFile(file, filename, type);
+  return true;
+}
+
+/**
+ * Choose how to draw and name a chart export
+ * SVG is drawn at 1x, as its shapes scale; anything else is a PNG.
+ * @param {string} format - 'png' or 'svg'
+ * @returns {Object} { svg, size (for drawCurrentChart), filename, type }
+ */
+export function getChartExport(format) {
+  const svg = format === 'svg';
+  return {
+    svg,
+    size: { width: EXPORT_WIDTH, height: EXPORT_HEIGHT, pixelRatio: svg ? 1 : PNG_SCALE },
+    filename: `bond-cash-flows-chart.${svg ? 'svg' : 'png'}`,
+    type: svg ? 'image/svg+xml' : 'image/png'
+  };
+}
+
+/**
+ * Read the visible chart legend from the page
+ * @returns {Array} Items as { text, color, line } (line is the dash style, or null for a swatch)
+ */
+function readLegend() {
+  const legend = [...document.querySelectorAll('#chart-legend, #comparison-legend')]
+    .find(element => element.style.display !== 'none');
+
+  if (!legend) return [];
+
+  return [...legend.querySelectorAll('.legend-item')]
+    .filter(item => !item.hidden)
+    .map(item => {
+      const line = item.querySelector('.legend-line');
+      const swatch = item.querySelector('.legend-color');
+
+      return {
+        text: item.textContent.trim(),
+        color: line ? line.style.borderColor : swatch.style.backgroundColor,
+        line: line ? Object.keys(LINE_DASHES).find(style => line.classList.contains(style)) || 'dashed' : null
+      };
+    });
+}
+
+/**
+ * Position legend items in a centred row
+ * @param {Array} legend - Items from readLegend
+ * @returns {Array} Items with x (left edge of the marker) and textX
+ */
+function layoutLegend(legend) {
+  const ctx = document.createElement('canvas').getContext('2d');
+  ctx.font = LEGEND_FONT;
+
+  const widths = legend.map(item =>
+    (item.line ? LEGEND_LINE : LEGEND_SWATCH) + LEGEND_GAP + ctx.measureText(item.text).width
+  );
+  const total = widths.reduce((sum, width) => sum + width, 0) +
+    LEGEND_SPACING * Math.max(legend.length - 1, 0);
+
+  let x = (EXPORT_WIDTH - total) / 2;
+  return legend.map((item, index) => {
+    const placed = {
+      ...item,
+      x,
+      textX: x + (item.line ? LEGEND_LINE : LEGEND_SWATCH) + LEGEND_GAP
+    };
+    x += widths[index] + LEGEND_SPACING;
+    return placed;
+  });
+}
+
+/**
+ * Draw the legend and chart onto a white PNG
+ * @param {Object} chart - Chart.js instance drawn at PNG_SCALE
+ * @param {Array} legend - Items from readLegend
+ * @returns {Uint8Array} PNG file contents
+ */
+function createPNG(chart, legend) {
+  const canvas = document.createElement('canvas');
+  canvas.width = EXPORT_WIDTH * PNG_SCALE;
+  canvas.height = (EXPORT_HEIGHT + LEGEND_HEIGHT) * PNG_SCALE;
+
+  const ctx = canvas.getContext('2d');
+  ctx.scale(PNG_SCALE, PNG_SCALE);
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, EXPORT_WIDTH, EXPORT_HEIGHT + LEGEND_HEIGHT);
+
+  const middle = LEGEND_HEIGHT / 2;
+  layoutLegend(legend).forEach(item => {
+    if (item.line) {
+      ctx.strokeStyle = item.color;
+      ctx.lineWidth = 2;
+      ctx.setLineDash(LINE_DASHES[item.line]);
+      ctx.beginPath();
+      ctx.moveTo(item.x, middle);
+      ctx.lineTo(item.x + LEGEND_LINE, middle);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    } else {
+      ctx.fillStyle = item.color;
+      ctx.fillRect(item.x, middle - LEGEND_SWATCH / 2, LEGEND_SWATCH, LEGEND_SWATCH);
+      ctx.strokeStyle = '#333';
+      ctx.lineWidth = 1;
+      ctx.strokeRect(item.x, middle - LEGEND_SWATCH / 2, LEGEND_SWATCH, LEGEND_SWATCH);
+    }
+
+    ctx.font = LEGEND_FONT;
+    ctx.fillStyle = LEGEND_TEXT_COLOR;
+    ctx.textBaseline = 'middle';
+    ctx.fillText(item.text, item.textX, middle);
+  });
+
+  ctx.drawImage(chart.canvas, 0, LEGEND_HEIGHT, EXPORT_WIDTH, EXPORT_HEIGHT);
+
+  // Decode the data URL rather than wait on the asynchronous toBlob
+  const binary = atob(canvas.toDataURL('image/png').split(',')[1]);
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Redraw the chart as SVG elements from its laid-out geometry
+ * Covers what the cash flow and comparison charts use: y grid lines, axis
+ * borders, tick labels, the x axis title, bars, line overlays and the
+ * value labels from the chart's label plugin.
+ * @param {Object} chart - Chart.js instance drawn at 1x
+ * @param {Array} legend - Items from readLegend
+ * @returns {string} SVG document
+ */
+function createSVG(chart, legend) {
+  const { chartArea, scales } = chart;
+  const height = EXPORT_HEIGHT + LEGEND_HEIGHT;
+  const parts = [];
+
+  parts.push(`<rect width="${EXPORT_WIDTH}" height="${height}" fill="#fff"/>`);
+
+  // Legend
+  const middle = LEGEND_HEIGHT / 2;
+  parts.push('<g class="legend">');
+  layoutLegend(legend).forEach(item => {
+    if (item.line) {
+      const dash = LINE_DASHES[item.line].join(' ');
+      parts.push(`<line x1="${round(item.x)}" y1="${middle}" x2="${round(item.x + LEGEND_LINE)}" y2="${middle}"` +
+        ` ${paint('stroke', item.color)} stroke-width="2"${dash ? ` stroke-dasharray="${dash}"` : ''}/>`);
+    } else {
+      parts.push(`<rect x="${round(item.x)}" y="${middle - LEGEND_SWATCH / 2}" width="${LEGEND_SWATCH}" height="${LEGEND_SWATCH}"` +
+        ` ${paint('fill', item.color)} stroke="#333" stroke-width="1"/>`);
+    }
+    parts.push(text(item.text, item.textX, middle, { font: LEGEND_FONT, color: LEGEND_TEXT_COLOR, baseline: 'middle' }));
+  });
+  parts.push('</g>');
+
+  parts.push(`<g class="chart" transform="translate(0 ${LEGEND_HEIGHT})">`);
+
+  // Horizontal grid lines at each y tick
+  const yScale = scales.y;
+  const gridColor = yScale.options.grid.color;
+  yScale.ticks.forEach((tick, index) => {
+    const y = round(yScale.getPixelForTick(index));
+    parts.push(`<line x1="${round(chartArea.left)}" y1="${y}" x2="${round(chartArea.right)}" y2="${y}"` +
+      ` ${paint('stroke', gridColor)} stroke-width="1"/>`);
+  });
+
+  // Axis borders
+  [scales.x, yScale].forEach(scale => {
+    const vertical = scale === yScale;
+    const x = round(chartArea.left);
+    const y = round(chartArea.bottom);
+    parts.push(`<line x1="${x}" y1="${vertical ? round(chartArea.top) : y}" ` +
+      `x2="${vertical ? x : round(chartArea.right)}" y2="${y}" ` +
+      `${paint('stroke', scale.options.border.color)} stroke-width="${scale.options.border.width}"/>`);
+  });
+
+  // Tick labels, placed exactly as Chart.js placed them
+  Object.values(scales).forEach(scale => {
+    scale.getLabelItems().forEach(({ label, font, color, options }) => {
+      const [x, y] = options.translation;
+      const rotation = options.rotation * 180 / Math.PI;
+      parts.push(text([].concat(label).join(' '), 0, options.textOffset || 0, {
+        font: font.string,
+        color,
+        align: options.textAlign,
+        baseline: options.textBaseline,
+        transform: `translate(${round(x)} ${round(y)})${rotation ? ` rotate(${round(rotation)})` : ''}`
+      }));
+    });
+  });
+
+  // X axis title, centred below the tick labels
+  const title = scales.x.options.title;
+  if (title.display) {
+    const { size, weight, family, lineHeight } = { ...Chart.defaults.font, ...title.font };
+    parts.push(text(title.text, (chartArea.left + chartArea.right) / 2,
+      scales.x.bottom - title.padding.bottom - size * lineHeight / 2,
+      { font: `${weight || 'normal'} ${size}px ${family}`, color: title.color, align: 'center', baseline: 'middle' }));
+  }
+
+  // Bars and line overlays
+  chart.data.datasets.forEach((dataset, datasetIndex) => {
+    const meta = chart.getDatasetMeta(datasetIndex);
+    const elements = meta.data.filter((element, index) =>
+      dataset.data[index] != null && Number.isFinite(element.y)
+    );
+
+    if (meta.type === 'bar') {
+      elements.forEach(bar => {
+        parts.push(`<rect x="${round(bar.x - bar.width / 2)}" y="${round(Math.min(bar.y, bar.base))}" ` +
+          `width="${round(bar.width)}" height="${round(Math.abs(bar.base - bar.y))}" ` +
+          `${paint('fill', bar.options.backgroundColor)} stroke="#333" stroke-width="1"/>`);
+      });
+    } else if (meta.type === 'line') {
+      const points = elements.map(point => `${round(point.x)},${round(point.y)}`).join(' ');
+      parts.push(`<polyline points="${points}" fill="none" ` +
+        `${paint('stroke', dataset.borderColor)} stroke-width="${dataset.borderWidth}"/>`);
+      elements.forEach(point => {
+        parts.push(`<circle cx="${round(point.x)}" cy="${round(point.y)}" r="${point.options.radius}" ` +
+          `${paint('fill', point.options.backgroundColor)} ${paint('stroke', point.options.borderColor)}/>`);
+      });
+    }
+  });
+
+  // Value labels from the chart's label plugin
+  const labelPlugin = chart.config.plugins.find(plugin => plugin.getLabels);
+  if (labelPlugin) {
+    labelPlugin.getLabels(chart).forEach(label => {
+      parts.push(text(label.text, label.x, label.y, {
+        font: labelPlugin.font,
+        color: labelPlugin.color,
+        align: 'center',
+        baseline: label.baseline
+      }));
+    });
+  }
+
+  parts.push('</g>');
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${EXPORT_WIDTH}" height="${height}" ` +
+    `viewBox="0 0 ${EXPORT_WIDTH} ${height}" font-family="${escapeHTML(Chart.defaults.font.family)}">\n` +
+    parts.join('\n') +
+    '\n</svg>\n';
+}
+
+/**
+ * Build an SVG text element using canvas text alignment names
+ * @param {string} content - Text
+ * @param {number} x - Anchor x
+ * @param {number} y - Anchor y
+ * @param {Object} options - font (CSS shorthand), color, align, baseline, transform
+ * @returns {string} SVG markup
+ */
+function text(content, x, y, { font, color, align = 'left', baseline = 'alphabetic', transform = '' }) {
+  const anchors = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' };
+  const baselines = { top: 'hanging', middle: 'central', bottom: 'text-after-edge', alphabetic: 'alphabetic' };
+
+  return `<text x="${round(x)}" y="${round(y)}"` +
+    (transform ? ` transform="${transform}"` : '') +
+    ` text-anchor="${anchors[align] || 'start'}" dominant-baseline="${baselines[baseline] || 'alphabetic'}"` +
+    ` ${fontAttributes(font)} ${paint('fill', color)}>${escapeHTML(content)}</text>`;
+}
+
+/**
+ * Split a CSS font shorthand ('bold 11px sans-serif') into SVG attributes,
+ * which more editors read than the CSS font property
+ * @param {string} font - CSS font shorthand
+ * @returns {string} SVG attributes
+ */
+function fontAttributes(font) {
+  const match = /^(?:(.*?)\s+)?([\d.]+)px\s+(.+)$/.exec(font);
+  if (!match) return '';
+
+  const [, style = '', size, family] = match;
+  const weight = style.split(/\s+/).find(word => /^(bold|bolder|lighter|\d{3})$/.test(word));
+
+  return `font-family="${escapeHTML(family)}" font-size="${size}"` +
+    (weight ? ` font-weight="${weight}"` : '');
+}
+
+/**
+ * Build a fill or stroke attribute, splitting rgba() into a color and an
+ * opacity for editors that do not read CSS colors with alpha
+ * @param {string} attribute - 'fill' or 'stroke'
+ * @param {string} color - CSS color
+ * @returns {string} SVG attributes
+ */
+function paint(attribute, color) {
+  const match = /^rgba\(\s*([\d.]+),\s*([\d.]+),\s*([\d.]+),\s*([\d.]+)\s*\)$/.exec(String(color));
+
+  if (match) {
+    return `${attribute}="rgb(${match[1]}, ${match[2]}, ${match[3]})" ${attribute}-opacity="${match[4]}"`;
+  }
+
+  return `${attribute}="${escapeHTML(color)}"`;
+}
+
+/**
+ * Round a coordinate to two decimal places for compact output
+ * @param {number} value - Coordinate
+ * @returns {number} Rounded coordinate
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
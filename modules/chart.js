@@ -3,46 +3,181 @@
  * Chart rendering using Chart.js with keyboard accessibility
  */
 
-import { formatCurrency } from './utils.js';
+import { formatCurrency, announceChartUpdate, getFrequencyInfo, createElement } from './utils.js';
+import { t, formatNumber } from './i18n.js';
 
 // CFA Brand Colors (WCAG AA verified)
 const COLORS = {
   coupon: '#3369FF',      // 4.55:1 contrast
   mint: '#49b2b8',
   purchase: '#f2af81',
+  carrying: '#7a46ff',    // Purple Bold - carrying value overlay
+  presentValue: '#6b7280', // Gray - present value bars
   darkText: '#06005a'
 };
 
-let chartInstance = null;
-let currentFocusIndex = 0;
-let isKeyboardMode = false;
+// One color per bond in comparison mode
+const BOND_COLORS = [COLORS.coupon, COLORS.mint, COLORS.carrying, COLORS.purchase];
+
+// Value labels overlap beyond this many bars (e.g. monthly payments)
+const MAX_LABELLED_BARS = 21;
+
+// Value label fonts (grouped bars are narrower)
+const STACKED_LABEL_FONT = 'bold 11px sans-serif';
+const GROUPED_LABEL_FONT = 'bold 10px sans-serif';
+
+// Chart.js instance, configuration builder and keyboard focus of each canvas
+const chartViews = new WeakMap();
+
+/**
+ * Get the chart state kept for a canvas, creating it on first use
+ * @param {HTMLCanvasElement} canvas - Chart canvas
+ * @returns {Object} { chart, createConfig, focusIndex, keyboardMode }
+ */
+export function getChartView(canvas) {
+  let view = chartViews.get(canvas);
+  
+  if (!view) {
+    view = { chart: null, createConfig: null, focusIndex: 0, keyboardMode: false };
+    chartViews.set(canvas, view);
+  }
+  
+  return view;
+}
+
+/**
+ * Check whether a canvas has keyboard focus (in the page or a shadow root)
+ * @param {HTMLCanvasElement} canvas - Chart canvas
+ * @returns {boolean} True if focused
+ */
+export function hasFocus(canvas) {
+  return canvas.getRootNode().activeElement === canvas;
+}
 
 /**
  * Create or update bond cash flow chart
  * @param {Array} cashFlows - Array of cash flow objects
  * @param {boolean} showLabels - Whether to show value labels
+ * @param {number} frequency - Payment frequency per year
+ * @param {Object} overlays - What to draw with the cash flows
+ * @param {Array} overlays.carryingValues - Carrying value at each bar to overlay as a line (optional)
+ * @param {boolean} overlays.showPresentValues - Draw each flow's present value beside it
+ * @param {HTMLCanvasElement} canvas - Canvas to draw on (defaults to the page's chart)
  */
-export function renderChart(cashFlows, showLabels = true) {
-  const canvas = document.getElementById('bond-chart');
-  
+export function renderChart(cashFlows, showLabels = true, frequency = 2, overlays = {},
+  canvas = document.getElementById('bond-chart')) {
   if (!canvas) {
     console.error('Chart canvas not found');
     return;
   }
   
   // Make canvas focusable and add keyboard navigation
-  canvas.setAttribute('tabindex', '0');
-  canvas.setAttribute('role', 'img');
-  canvas.setAttribute('aria-roledescription', 'interactive chart');
-  canvas.setAttribute(
-    'aria-label',
-    'Interactive chart. Press Enter to focus, then use arrow keys to explore data points.'
-  );
+  makeCanvasInteractive(canvas);
 
   const ctx = canvas.getContext('2d');
+  const view = getChartView(canvas);
+  
+  // Destroy existing chart instance
+  if (view.chart) {
+    view.chart.destroy();
+  }
+  
+  // Reset focus index
+  view.focusIndex = 0;
+  
+  // Describe a bar (and any overlays) to screen readers
+  const { carryingValues = null, showPresentValues = false } = overlays;
+  const announceIndex = (index) => announceDataPoint(
+    cashFlows[index], cashFlows[index].totalCashFlow, carryingValues && carryingValues[index], showPresentValues
+  );
+  
+  view.createConfig = (target) => createCashFlowChartConfig(
+    target, cashFlows, showLabels, frequency, overlays, announceIndex
+  );
+  view.chart = new Chart(ctx, view.createConfig(canvas));
+  
+  // Add keyboard navigation
+  setupKeyboardNavigation(canvas, cashFlows.length, announceIndex);
+}
+
+/**
+ * Draw the cash flow chart off screen and return it as an image
+ * Used where a static copy is needed (such as the printable report).
+ * @param {Array} cashFlows - Array of cash flow objects
+ * @param {number} frequency - Payment frequency per year
+ * @param {Object} overlays - What to draw with the cash flows (see renderChart)
+ * @param {Object} size - Image { width, height } in CSS pixels
+ * @returns {string} PNG data URL
+ */
+export function renderChartImage(cashFlows, frequency = 2, overlays = {}, { width = 960, height = 480 } = {}) {
+  return drawOffscreen(
+    (canvas) => createCashFlowChartConfig(canvas, cashFlows, true, frequency, overlays, () => {}),
+    { width, height, pixelRatio: 2 },
+    (chart) => chart.toBase64Image('image/png')
+  );
+}
+
+/**
+ * Draw the chart currently on screen (cash flows or comparison) again off
+ * screen at a fixed size, so it can be exported independently of the layout
+ * @param {Object} size - { width, height } in CSS pixels and pixelRatio
+ * @param {Function} read - Called with the drawn Chart.js instance
+ * @param {HTMLCanvasElement} canvas - On-screen canvas (defaults to the page's chart)
+ * @returns {*} The result of read, or null if no chart has been drawn
+ */
+export function drawCurrentChart(size, read, canvas = document.getElementById('bond-chart')) {
+  const view = canvas && chartViews.get(canvas);
+  if (!view || !view.createConfig) return null;
+  
+  return drawOffscreen(view.createConfig, size, read);
+}
+
+/**
+ * Draw a chart once on a detached canvas and destroy it after reading
+ * @param {Function} createConfig - Builds the configuration for a canvas
+ * @param {Object} size - { width, height } in CSS pixels and pixelRatio
+ * @param {Function} read - Called with the drawn Chart.js instance
+ * @returns {*} The result of read
+ */
+function drawOffscreen(createConfig, { width, height, pixelRatio = 1 }, read) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  
+  const config = createConfig(canvas);
+  
+  // Draw once at a fixed size and resolution
+  Object.assign(config.options, {
+    responsive: false,
+    animation: false,
+    devicePixelRatio: pixelRatio
+  });
+  
+  const chart = new Chart(canvas.getContext('2d'), config);
+  try {
+    return read(chart);
+  } finally {
+    chart.destroy();
+  }
+}
+
+/**
+ * Build the Chart.js configuration for the stacked cash flow chart
+ * Present values are a second stack beside the nominal cash flows.
+ * @param {HTMLCanvasElement} canvas - Canvas the chart is drawn on
+ * @param {Array} cashFlows - Array of cash flow objects
+ * @param {boolean} showLabels - Whether to show value labels
+ * @param {number} frequency - Payment frequency per year
+ * @param {Object} overlays - { carryingValues, showPresentValues } (see renderChart)
+ * @param {Function} announceIndex - Announces the data point at an index
+ * @returns {Object} Chart.js configuration
+ */
+function createCashFlowChartConfig(canvas, cashFlows, showLabels, frequency, overlays, announceIndex) {
+  const { carryingValues = null, showPresentValues = false } = overlays;
+  showLabels = showLabels && cashFlows.length <= MAX_LABELLED_BARS;
   
   // Prepare data for Chart.js
-  const labels = cashFlows.map(cf => cf.yearLabel);
+  const labels = cashFlows.map(cf => displayYears(cf.yearLabel));
 
   
   // Separate coupon and principal data
@@ -52,22 +187,14 @@ export function renderChart(cashFlows, showLabels = true) {
   // Calculate total for labels
   const totalData = cashFlows.map(cf => cf.totalCashFlow);
   
-  // Destroy existing chart instance
-  if (chartInstance) {
-    chartInstance.destroy();
-  }
-  
-  // Reset focus index
-  currentFocusIndex = 0;
-  
-  // Create new chart with custom label drawing
-  chartInstance = new Chart(ctx, {
+  // Custom label drawing in the plugins below
+  return {
     type: 'bar',
     data: {
       labels: labels,
       datasets: [
         {
-          label: 'Principal repayment',
+          label: t('chart.principalRepayment'),
           data: principalData,
           backgroundColor: principalData.map(val => 
             val >= 0 ? COLORS.mint : COLORS.purchase
@@ -77,13 +204,32 @@ export function renderChart(cashFlows, showLabels = true) {
           stack: 'cashflow'
         },
         {
-          label: 'Coupon payment',
+          label: t('chart.couponPayment'),
           data: couponData,
           backgroundColor: COLORS.coupon,
           borderColor: '#333',
           borderWidth: 1,
           stack: 'cashflow'
-        }
+        },
+        // The purchase is already a present value
+        ...(showPresentValues ? [{
+          label: t('chart.presentValue'),
+          data: cashFlows.map(cf => cf.period === 0 ? null : cf.presentValue),
+          backgroundColor: COLORS.presentValue,
+          borderColor: '#333',
+          borderWidth: 1,
+          stack: 'presentValue'
+        }] : []),
+        ...(carryingValues ? [{
+          type: 'line',
+          label: t('chart.carryingValue'),
+          data: carryingValues,
+          borderColor: COLORS.carrying,
+          backgroundColor: COLORS.carrying,
+          borderWidth: 2,
+          pointRadius: 3,
+          fill: false
+        }] : [])
       ]
     },
     options: {
@@ -95,12 +241,11 @@ export function renderChart(cashFlows, showLabels = true) {
       },
 onHover: (event, activeElements) => {
   // Skip if keyboard focus already active
-  if (isKeyboardMode && document.activeElement === canvas) return;
+  if (hasFocus(canvas) && getChartView(canvas).keyboardMode) return;
 
   // Announce hovered data point
   if (activeElements.length > 0) {
-    const index = activeElements[0].index;
-    announceDataPoint(cashFlows[index], totalData[index]);
+    announceIndex(activeElements[0].index);
   }
 }
 
@@ -116,16 +261,20 @@ onHover: (event, activeElements) => {
           callbacks: {
             title: (context) => {
               const index = context[0].dataIndex;
-              return `Period: ${cashFlows[index].yearLabel} years`;
+              return t('chart.tooltipPeriod', { years: displayYears(cashFlows[index].yearLabel) });
             },
             label: (context) => {
               const value = context.parsed.y;
               return `${context.dataset.label}: ${formatCurrency(value, true)}`;
             },
+            afterLabel: (context) => {
+              if (context.dataset.stack !== 'presentValue') return '';
+              return `  ${t('chart.discountFactor', { factor: formatNumber(cashFlows[context.dataIndex].discountFactor, 6) })}`;
+            },
             footer: (context) => {
               const index = context[0].dataIndex;
               const total = totalData[index];
-              return `Total: ${formatCurrency(total, true)}`;
+              return t('chart.total', { amount: formatCurrency(total, true) });
             }
           }
         }
@@ -134,7 +283,7 @@ onHover: (event, activeElements) => {
         x: {
           title: {
             display: true,
-            text: 'Years'
+            text: t('chart.yearsAxis', { frequency: getFrequencyInfo(frequency).label.toLowerCase() })
           },
           grid: {
             display: false
@@ -166,156 +315,411 @@ onHover: (event, activeElements) => {
     plugins: [{
       // Custom plugin to draw labels on top of stacked bars
       id: 'stackedBarLabels',
+      font: STACKED_LABEL_FONT,
+      color: COLORS.darkText,
+      getLabels: (chart) => showLabels ? getStackedBarLabels(chart, totalData) : [],
       afterDatasetsDraw: (chart) => {
         if (!showLabels) return;
+        drawValueLabels(chart.ctx, getStackedBarLabels(chart, totalData), STACKED_LABEL_FONT);
+      }
+    },
+    outerBordersPlugin,
+    keyboardFocusPlugin(canvas)
+  ]
+  };
+}
+
+/**
+ * Create or update the comparison chart: grouped bars of each bond's
+ * total cash flow, aligned on one time axis
+ * @param {Array} bonds - Bonds as { name, calculations }
+ * @param {boolean} showLabels - Whether to show value labels
+ */
+export function renderComparisonChart(bonds, showLabels = true) {
+  const canvas = document.getElementById('bond-chart');
+  
+  if (!canvas) {
+    console.error('Chart canvas not found');
+    return;
+  }
+  
+  makeCanvasInteractive(canvas);
+  
+  const ctx = canvas.getContext('2d');
+  const view = getChartView(canvas);
+  
+  // Bonds may pay at different times (frequencies, settlement dates)
+  const flowsByTime = bonds.map(bond => new Map(
+    bond.calculations.cashFlows.map(cf => [formatYears(cf.yearLabel), cf])
+  ));
+  const times = [...new Set(flowsByTime.flatMap(flows => [...flows.keys()]))]
+    .sort((a, b) => a - b);
+  const flowAt = (bondIndex, index) => flowsByTime[bondIndex].get(times[index]) || null;
+  
+  showLabels = showLabels && times.length * bonds.length <= MAX_LABELLED_BARS;
+  
+  renderComparisonLegend(bonds);
+  
+  if (view.chart) {
+    view.chart.destroy();
+  }
+  
+  view.focusIndex = 0;
+  
+  const announceIndex = (index) => announceChartUpdate(
+    [t('chart.announcePeriod', { years: displayYears(times[index]) })].concat(bonds.map((bond, bondIndex) => {
+      const cf = flowAt(bondIndex, index);
+      return cf
+        ? t('chart.announceBond', { name: bond.name, amount: formatCurrency(cf.totalCashFlow, true) })
+        : t('chart.announceNoPayment', { name: bond.name });
+    })).join(' ')
+  );
+  
+  view.createConfig = (target) => ({
+    type: 'bar',
+    data: {
+      labels: times.map(displayYears),
+      datasets: bonds.map((bond, bondIndex) => ({
+        label: bond.name,
+        data: times.map((time, index) => {
+          const cf = flowAt(bondIndex, index);
+          return cf ? cf.totalCashFlow : null;
+        }),
+        backgroundColor: BOND_COLORS[bondIndex % BOND_COLORS.length],
+        borderColor: '#333',
+        borderWidth: 1
+      }))
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: {
+        mode: 'index',
+        intersect: false
+      },
+      onHover: (event, activeElements) => {
+        if (hasFocus(target) && getChartView(target).keyboardMode) return;
         
-        const ctx = chart.ctx;
-        ctx.save();
-        ctx.font = 'bold 11px sans-serif';
-        ctx.fillStyle = COLORS.darkText;
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'bottom';
-        
-        // Find the highest positive bar to align negative labels
-        const meta0 = chart.getDatasetMeta(0);
-        const meta1 = chart.getDatasetMeta(1);
-        
-        let maxPositiveY = chart.scales.y.top;
-        chart.data.labels.forEach((label, index) => {
-          const total = totalData[index];
-          if (total > 0 && meta0.data[index] && meta1.data[index]) {
-            const topY = Math.min(meta0.data[index].y, meta1.data[index].y);
-            maxPositiveY = Math.max(maxPositiveY, topY);
+        if (activeElements.length > 0) {
+          announceIndex(activeElements[0].index);
+        }
+      },
+      plugins: {
+        title: {
+          display: false
+        },
+        legend: {
+          display: false // Using custom legend in HTML
+        },
+        tooltip: {
+          callbacks: {
+            title: (context) => t('chart.tooltipPeriod', { years: displayYears(times[context[0].dataIndex]) }),
+            label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y, true)}`,
+            afterLabel: (context) => {
+              const cf = flowAt(context.datasetIndex, context.dataIndex);
+              if (!cf || cf.period === 0) return '';
+              return `  ${t('chart.tooltipBreakdown', {
+                coupon: formatCurrency(cf.couponPayment, true),
+                principal: formatCurrency(cf.principalPayment, true)
+              })}`;
+            }
           }
-        });
-        
-        chart.data.labels.forEach((label, index) => {
-          const total = totalData[index];
-          if (Math.abs(total) < 0.01) return;
-          
-          if (!meta0.data[index] || !meta1.data[index]) return;
-          
-          const bar0 = meta0.data[index];
-          const bar1 = meta1.data[index];
-          
-          const x = bar1.x;
-          let y;
-          
-          if (total < 0) {
-            // For negative bars, align with the positive labels
-            y = maxPositiveY - 5;
-          } else {
-            // For positive bars, place above the bar as before
-            y = Math.min(bar0.y, bar1.y) - 5;
+        }
+      },
+      scales: {
+        x: {
+          title: {
+            display: true,
+            text: t('chart.years')
+          },
+          grid: {
+            display: false
           }
-          
-          // Draw the label (use parentheses for negative values)
-          ctx.fillText(formatCurrency(total, false), x, y);
-        });
-        
-        ctx.restore();
+        },
+        y: {
+          title: {
+            display: false
+          },
+          ticks: {
+            callback: function(value) {
+              return formatCurrency(value);
+            }
+          },
+          grid: {
+            color: 'rgba(0, 0, 0, 0.05)'
+          }
+        }
+      },
+      layout: {
+        padding: {
+          left: 20,
+          right: 30,
+          top: showLabels ? 40 : 20,
+          bottom: 60
+        }
       }
     },
-    {
-      id: 'outerBorders',
+    plugins: [{
+      // Label each bar with its value: above inflows, below the purchase
+      id: 'groupedBarLabels',
+      font: GROUPED_LABEL_FONT,
+      color: COLORS.darkText,
+      getLabels: (chart) => showLabels ? getGroupedBarLabels(chart) : [],
       afterDatasetsDraw: (chart) => {
-        const ctx = chart.ctx;
-        ctx.save();
-        ctx.strokeStyle = '#333';
-        ctx.lineWidth = 1;
-
-        // Loop through all datasets and bars
-        chart.data.datasets.forEach((dataset, datasetIndex) => {
-          const meta = chart.getDatasetMeta(datasetIndex);
-          meta.data.forEach((bar) => {
-            // Each bar is a rectangle, with these properties:
-            // bar.x (center X), bar.y (top Y), bar.base (bottom Y), bar.width, bar.height
-            const x = bar.x - bar.width / 2;
-            const y = Math.min(bar.y, bar.base);
-            const width = bar.width;
-            const height = Math.abs(bar.base - bar.y);
-
-            // Draw a rectangle around the filled bar
-            ctx.strokeRect(x, y, width, height);
-          });
-        });
-
-        ctx.restore();
+        if (!showLabels) return;
+        drawValueLabels(chart.ctx, getGroupedBarLabels(chart), GROUPED_LABEL_FONT);
       }
     },
-    {
-      // Keyboard focus highlight plugin
-      id: 'keyboardFocus',
-      afterDatasetsDraw: (chart) => {
-        if (document.activeElement !== canvas) return;
-        
-        const ctx = chart.ctx;
-        const meta0 = chart.getDatasetMeta(0);
-        const meta1 = chart.getDatasetMeta(1);
-        
-        if (!meta0.data[currentFocusIndex] || !meta1.data[currentFocusIndex]) return;
-        
-        const bar0 = meta0.data[currentFocusIndex];
-        const bar1 = meta1.data[currentFocusIndex];
-        
-        // Find the actual top and bottom of the stacked bars
-        const allYValues = [bar0.y, bar0.base, bar1.y, bar1.base];
-        const topY = Math.min(...allYValues);
-        const bottomY = Math.max(...allYValues);
-        
-        // Draw focus indicator
-        ctx.save();
-        ctx.strokeStyle = COLORS.darkText;
-        ctx.lineWidth = 3;
-        ctx.setLineDash([5, 5]);
-        
-        const x = bar1.x - bar1.width / 2 - 4;
-        const y = topY - 4;
-        const width = bar1.width + 8;
-        const height = bottomY - topY + 8;
-        
-        ctx.strokeRect(x, y, width, height);
-        ctx.restore();
-      }
-    }
+    outerBordersPlugin,
+    keyboardFocusPlugin(target)
   ]
   });
+  view.chart = new Chart(ctx, view.createConfig(canvas));
   
-  // Add keyboard navigation
-  setupKeyboardNavigation(canvas, cashFlows, totalData);
+  setupKeyboardNavigation(canvas, times.length, announceIndex);
+}
+
+/**
+ * Fill the comparison legend with each bond's name and bar color
+ * @param {Array} bonds - Bonds as { name }
+ */
+function renderComparisonLegend(bonds) {
+  const legend = document.getElementById('comparison-legend');
+  if (!legend) return;
+  
+  legend.innerHTML = '';
+  bonds.forEach((bond, index) => {
+    const item = createElement('span', { className: 'legend-item' });
+    const swatch = createElement('span', { className: 'legend-color' });
+    swatch.style.backgroundColor = BOND_COLORS[index % BOND_COLORS.length];
+    swatch.style.border = '1px solid #333';
+    item.appendChild(swatch);
+    item.appendChild(document.createTextNode(bond.name));
+    legend.appendChild(item);
+  });
+}
+
+/**
+ * Make the chart canvas focusable and describe how to explore it
+ * @param {HTMLCanvasElement} canvas - The chart canvas
+ * @param {string} instructions - Message key of the exploration instructions
+ */
+export function makeCanvasInteractive(canvas, instructions = 'chart.instructions') {
+  canvas.setAttribute('tabindex', '0');
+  canvas.setAttribute('role', 'img');
+  canvas.setAttribute('aria-roledescription', t('chart.roleDescription'));
+  canvas.setAttribute('aria-label', t(instructions));
+}
+
+/**
+ * Find the drawn bars at a data index, skipping line overlays and gaps
+ * @param {Object} chart - Chart.js instance
+ * @param {number} index - Data index
+ * @returns {Array} Bars as { datasetIndex, bar }
+ */
+function getBarsAtIndex(chart, index) {
+  return chart.data.datasets
+    .map((dataset, datasetIndex) => ({
+      datasetIndex,
+      meta: chart.getDatasetMeta(datasetIndex),
+      value: dataset.data[index]
+    }))
+    .filter(({ meta, value }) => meta.type === 'bar' && meta.data[index] && value != null)
+    .map(({ datasetIndex, meta }) => ({ datasetIndex, bar: meta.data[index] }));
+}
+
+/**
+ * Position the total above each stack of the cash flow chart
+ * Purchase labels line up with the lowest positive label.
+ * @param {Object} chart - Chart.js instance
+ * @param {Array} totalData - Total cash flow at each index
+ * @returns {Array} Labels as { text, x, y, baseline }
+ */
+function getStackedBarLabels(chart, totalData) {
+  const labels = [];
+  
+  // Find the highest positive bar to align negative labels
+  const meta0 = chart.getDatasetMeta(0);
+  const meta1 = chart.getDatasetMeta(1);
+  
+  let maxPositiveY = chart.scales.y.top;
+  chart.data.labels.forEach((label, index) => {
+    const total = totalData[index];
+    if (total > 0 && meta0.data[index] && meta1.data[index]) {
+      const topY = Math.min(meta0.data[index].y, meta1.data[index].y);
+      maxPositiveY = Math.max(maxPositiveY, topY);
+    }
+  });
+  
+  chart.data.labels.forEach((label, index) => {
+    const total = totalData[index];
+    if (Math.abs(total) < 0.01) return;
+    
+    if (!meta0.data[index] || !meta1.data[index]) return;
+    
+    const bar0 = meta0.data[index];
+    const bar1 = meta1.data[index];
+    
+    // For negative bars, align with the positive labels;
+    // for positive bars, place above the bar
+    const y = total < 0 ? maxPositiveY - 5 : Math.min(bar0.y, bar1.y) - 5;
+    
+    // Use parentheses for negative values
+    labels.push({ text: formatCurrency(total, false), x: bar1.x, y, baseline: 'bottom' });
+  });
+  
+  return labels;
+}
+
+/**
+ * Position a value label on each bar of the comparison chart
+ * @param {Object} chart - Chart.js instance
+ * @returns {Array} Labels as { text, x, y, baseline }
+ */
+function getGroupedBarLabels(chart) {
+  const labels = [];
+  
+  chart.data.datasets.forEach((dataset, datasetIndex) => {
+    const meta = chart.getDatasetMeta(datasetIndex);
+    meta.data.forEach((bar, index) => {
+      const value = dataset.data[index];
+      if (value == null || Math.abs(value) < 0.01) return;
+      
+      labels.push({
+        text: formatCurrency(value, false),
+        x: bar.x,
+        y: value < 0 ? bar.y + 5 : bar.y - 5,
+        baseline: value < 0 ? 'top' : 'bottom'
+      });
+    });
+  });
+  
+  return labels;
+}
+
+/**
+ * Draw value labels centred on their positions
+ * @param {CanvasRenderingContext2D} ctx - Chart context
+ * @param {Array} labels - Labels as { text, x, y, baseline }
+ * @param {string} font - CSS font
+ */
+function drawValueLabels(ctx, labels, font) {
+  ctx.save();
+  ctx.font = font;
+  ctx.fillStyle = COLORS.darkText;
+  ctx.textAlign = 'center';
+  
+  labels.forEach(({ text, x, y, baseline }) => {
+    ctx.textBaseline = baseline;
+    ctx.fillText(text, x, y);
+  });
+  
+  ctx.restore();
+}
+
+/**
+ * Outline every bar, including stacked segments
+ */
+const outerBordersPlugin = {
+  id: 'outerBorders',
+  afterDatasetsDraw: (chart) => {
+    const ctx = chart.ctx;
+    ctx.save();
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = 1;
+
+    // Loop through all bar datasets (skipping line overlays) and bars
+    chart.data.datasets.forEach((dataset, datasetIndex) => {
+      const meta = chart.getDatasetMeta(datasetIndex);
+      if (meta.type !== 'bar') return;
+      meta.data.forEach((bar) => {
+        // Each bar is a rectangle, with these properties:
+        // bar.x (center X), bar.y (top Y), bar.base (bottom Y), bar.width, bar.height
+        const x = bar.x - bar.width / 2;
+        const y = Math.min(bar.y, bar.base);
+        const width = bar.width;
+        const height = Math.abs(bar.base - bar.y);
+
+        // Draw a rectangle around the filled bar
+        ctx.strokeRect(x, y, width, height);
+      });
+    });
+
+    ctx.restore();
+  }
+};
+
+/**
+ * Create the keyboard focus highlight plugin
+ * Draws a dashed box around all bars at the focused index.
+ * @param {HTMLCanvasElement} canvas - The chart canvas
+ * @returns {Object} Chart.js plugin
+ */
+function keyboardFocusPlugin(canvas) {
+  return {
+    id: 'keyboardFocus',
+    afterDatasetsDraw: (chart) => {
+      if (!hasFocus(canvas)) return;
+      
+      const bars = getBarsAtIndex(chart, getChartView(canvas).focusIndex).map(({ bar }) => bar);
+      if (bars.length === 0) return;
+      
+      // Find the actual extent of the (stacked or grouped) bars
+      const allYValues = bars.flatMap(bar => [bar.y, bar.base]);
+      const topY = Math.min(...allYValues);
+      const bottomY = Math.max(...allYValues);
+      const left = Math.min(...bars.map(bar => bar.x - bar.width / 2));
+      const right = Math.max(...bars.map(bar => bar.x + bar.width / 2));
+      
+      // Draw focus indicator
+      const ctx = chart.ctx;
+      ctx.save();
+      ctx.strokeStyle = COLORS.darkText;
+      ctx.lineWidth = 3;
+      ctx.setLineDash([5, 5]);
+      ctx.strokeRect(left - 4, topY - 4, right - left + 8, bottomY - topY + 8);
+      ctx.restore();
+    }
+  };
 }
 
 /**
  * Setup keyboard navigation for the chart
  * @param {HTMLCanvasElement} canvas - The chart canvas
- * @param {Array} cashFlows - Array of cash flow objects
- * @param {Array} totalData - Array of total values
+ * @param {number} count - Number of data points
+ * @param {Function} announceIndex - Announces the data point at an index
+ * @param {Function} elementsAtIndex - Finds the drawn elements to show in the
+ *   tooltip at an index (see getBarsAtIndex)
  */
-function setupKeyboardNavigation(canvas, cashFlows, totalData) {
+export function setupKeyboardNavigation(canvas, count, announceIndex, elementsAtIndex = getBarsAtIndex) {
+  const view = getChartView(canvas);
+  
   // Remove existing listeners to avoid duplicates
-  const oldListener = canvas._keydownListener;
-  if (oldListener) {
-    canvas.removeEventListener('keydown', oldListener);
-  }
+  ['keydown', 'focus', 'blur', 'mousemove'].forEach(event => {
+    const oldListener = canvas[`_${event}Listener`];
+    if (oldListener) {
+      canvas.removeEventListener(event, oldListener);
+    }
+  });
   
   // Create new listener
   const keydownListener = (e) => {
-    const maxIndex = cashFlows.length - 1;
-    let newIndex = currentFocusIndex;
+    const maxIndex = count - 1;
+    let newIndex = view.focusIndex;
     
     // Enable keyboard mode on any arrow key press
-    isKeyboardMode = true;
+    view.keyboardMode = true;
     
     switch(e.key) {
       case 'ArrowRight':
       case 'ArrowDown':
         e.preventDefault();
-        newIndex = Math.min(currentFocusIndex + 1, maxIndex);
+        newIndex = Math.min(view.focusIndex + 1, maxIndex);
         break;
       case 'ArrowLeft':
       case 'ArrowUp':
         e.preventDefault();
-        newIndex = Math.max(currentFocusIndex - 1, 0);
+        newIndex = Math.max(view.focusIndex - 1, 0);
         break;
       case 'Home':
         e.preventDefault();
@@ -329,93 +733,115 @@ function setupKeyboardNavigation(canvas, cashFlows, totalData) {
         return;
     }
     
-    if (newIndex !== currentFocusIndex) {
-      currentFocusIndex = newIndex;
-      chartInstance.update('none'); // Update without animation
-      announceDataPoint(cashFlows[currentFocusIndex], totalData[currentFocusIndex]);
+    if (newIndex !== view.focusIndex) {
+      view.focusIndex = newIndex;
+      view.chart.update('none'); // Update without animation
+      announceIndex(view.focusIndex);
       
       // Show tooltip at focused bar
-      showTooltipAtIndex(currentFocusIndex);
+      showTooltipAtIndex(view.chart, view.focusIndex, elementsAtIndex);
     }
   };
   
-  // Store listener reference for cleanup
-  canvas._keydownListener = keydownListener;
-  canvas.addEventListener('keydown', keydownListener);
-  
   // Focus handler to redraw focus indicator and show initial tooltip
   const focusListener = () => {
-    isKeyboardMode = true;
-    showTooltipAtIndex(currentFocusIndex);
-    announceDataPoint(cashFlows[currentFocusIndex], totalData[currentFocusIndex]);
+    view.keyboardMode = true;
+    showTooltipAtIndex(view.chart, view.focusIndex, elementsAtIndex);
+    announceIndex(view.focusIndex);
   };
   
   const blurListener = () => {
-    chartInstance.tooltip.setActiveElements([], {x: 0, y: 0});
-    chartInstance.update('none');
+    view.chart.tooltip.setActiveElements([], {x: 0, y: 0});
+    view.chart.update('none');
   };
   
-  canvas._focusListener = focusListener;
-  canvas._blurListener = blurListener;
-  canvas.addEventListener('focus', focusListener);
-  canvas.addEventListener('blur', blurListener);
-  
   // Disable keyboard mode when mouse moves over chart
-  const mouseMoveListener = () => {
-    isKeyboardMode = false;
+  const mousemoveListener = () => {
+    view.keyboardMode = false;
   };
   
-  canvas._mouseMoveListener = mouseMoveListener;
-  canvas.addEventListener('mousemove', mouseMoveListener);
+  // Store listener references for cleanup
+  Object.entries({
+    keydown: keydownListener,
+    focus: focusListener,
+    blur: blurListener,
+    mousemove: mousemoveListener
+  }).forEach(([event, listener]) => {
+    canvas[`_${event}Listener`] = listener;
+    canvas.addEventListener(event, listener);
+  });
 }
 
 /**
  * Show tooltip at a specific data index
+ * @param {Object} chart - Chart.js instance
  * @param {number} index - Data point index
+ * @param {Function} elementsAtIndex - Finds the drawn elements at an index,
+ *   as { datasetIndex, bar }
  */
-function showTooltipAtIndex(index) {
-  if (!chartInstance) return;
-  
-  const meta0 = chartInstance.getDatasetMeta(0);
-  const meta1 = chartInstance.getDatasetMeta(1);
+function showTooltipAtIndex(chart, index, elementsAtIndex = getBarsAtIndex) {
+  if (!chart) return;
   
-  if (!meta0.data[index] || !meta1.data[index]) return;
+  const bars = elementsAtIndex(chart, index);
+  if (bars.length === 0) return;
   
-  // Set active elements for both datasets at this index
-  chartInstance.tooltip.setActiveElements([
-    {datasetIndex: 0, index: index},
-    {datasetIndex: 1, index: index}
-  ], {
-    x: meta1.data[index].x,
-    y: meta1.data[index].y
-  });
+  // Set active elements for every bar at this index
+  chart.tooltip.setActiveElements(
+    bars.map(({ datasetIndex }) => ({ datasetIndex, index })),
+    {
+      x: bars[bars.length - 1].bar.x,
+      y: Math.min(...bars.map(({ bar }) => bar.y))
+    }
+  );
   
-  chartInstance.update('none');
+  chart.update('none');
 }
 
 /**
  * Announce data point for screen readers
  * @param {Object} cashFlow - Cash flow object
  * @param {number} total - Total cash flow
+ * @param {number} carryingValue - Carrying value when overlaid (optional)
+ * @param {boolean} showPresentValue - Whether present values are drawn
  */
-function announceDataPoint(cashFlow, total) {
-  // Create or update live region for screen reader announcements
-  let liveRegion = document.getElementById('chart-live-region');
-  if (!liveRegion) {
-    liveRegion = document.createElement('div');
-    liveRegion.id = 'chart-live-region';
-    liveRegion.setAttribute('aria-live', 'polite');
-    liveRegion.setAttribute('aria-atomic', 'true');
-    liveRegion.className = 'sr-only';
-    document.body.appendChild(liveRegion);
+function announceDataPoint(cashFlow, total, carryingValue = null, showPresentValue = false) {
+  const sentences = [
+    t('chart.announcePeriod', { years: displayYears(cashFlow.yearLabel) }),
+    t('chart.announceCoupon', { amount: formatCurrency(cashFlow.couponPayment, true) }),
+    t('chart.announcePrincipal', { amount: formatCurrency(cashFlow.principalPayment, true) }),
+    t('chart.announceTotal', { amount: formatCurrency(total, true) })
+  ];
+  
+  if (showPresentValue && cashFlow.period > 0) {
+    sentences.push(t('chart.announcePresentValue', {
+      amount: formatCurrency(cashFlow.presentValue, true),
+      factor: formatNumber(cashFlow.discountFactor, 6)
+    }));
   }
   
-  const announcement = `Period ${cashFlow.yearLabel} years. ` +
-    `Coupon payment: ${formatCurrency(cashFlow.couponPayment, true)}. ` +
-    `Principal repayment: ${formatCurrency(cashFlow.principalPayment, true)}. ` +
-    `Total: ${formatCurrency(total, true)}.`;
+  if (carryingValue != null) {
+    sentences.push(t('chart.announceCarryingValue', { amount: formatCurrency(carryingValue) }));
+  }
   
-  liveRegion.textContent = announcement;
+  announceChartUpdate(sentences.join(' '));
+}
+
+/**
+ * Format a time in years, trimming fractional times (between coupon dates)
+ * @param {number} years - Time in years
+ * @returns {number} Years rounded to two decimals
+ */
+function formatYears(years) {
+  return Number(years.toFixed(2));
+}
+
+/**
+ * Show a time in years in the language in use, trimmed as by formatYears
+ * @param {number} years - Time in years
+ * @returns {string} Formatted years
+ */
+function displayYears(years) {
+  return formatNumber(years, 2, { minimumFractionDigits: 0 });
 }
 
 /**
@@ -428,10 +854,14 @@ export function shouldShowLabels() {
 
 /**
  * Cleanup chart resources
+ * @param {HTMLCanvasElement} canvas - Chart canvas (defaults to the page's chart)
  */
-export function destroyChart() {
-  if (chartInstance) {
-    chartInstance.destroy();
-    chartInstance = null;
+export function destroyChart(canvas = document.getElementById('bond-chart')) {
+  const view = canvas && chartViews.get(canvas);
+  if (!view) return;
+  
+  if (view.chart) {
+    view.chart.destroy();
   }
+  chartViews.delete(canvas);
 }
\ No newline at end of file
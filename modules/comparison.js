@@ -0,0 +1,108 @@
+/**
+ * Bond Comparison Module
+ * Prices two to four sets of bond inputs side by side and renders the
+ * list of bonds being compared
+ */
+
+import { $, createElement, formatCurrency, describeBondTerms } from './utils.js';
+import { calculateFromInputs } from './calculations.js';
+import { t, formatPercent } from './i18n.js';
+
+export const MIN_COMPARISON_BONDS = 2;
+export const MAX_COMPARISON_BONDS = 4;
+
+let nextId = 1;
+
+/**
+ * Price a set of inputs for the comparison
+ * @param {string} name - Bond name shown in column headings and the legend
+ * @param {Object} inputs - Complete input values (state fields)
+ * @returns {Object} Bond as { id, name, inputs, calculations }
+ * @throws {Error} If the inputs cannot be priced
+ */
+export function createComparisonBond(name, inputs) {
+  const { calculations } = calculateFromInputs(inputs);
+
+  return {
+    id: `bond-${nextId++}`,
+    name,
+    inputs,
+    calculations
+  };
+}
+
+/**
+ * Price a set of inputs and add it to the bonds being compared
+ * @param {Array} bonds - Bonds from createComparisonBond
+ * @param {string} name - Bond name
+ * @param {Object} inputs - Complete input values (state fields)
+ * @returns {Array|null} New list of bonds, or null if the list is full
+ * @throws {Error} If the inputs cannot be priced
+ */
+export function addComparisonBond(bonds, name, inputs) {
+  if (bonds.length >= MAX_COMPARISON_BONDS) return null;
+
+  return [...bonds, createComparisonBond(name, inputs)];
+}
+
+/**
+ * Remove a bond from those being compared
+ * @param {Array} bonds - Bonds from createComparisonBond
+ * @param {string} id - ID of the bond to remove
+ * @returns {Array} New list of bonds
+ */
+export function removeComparisonBond(bonds, id) {
+  return bonds.filter(bond => bond.id !== id);
+}
+
+/**
+ * Check whether there are enough bonds to show the comparison
+ * @param {Array} bonds - Bonds from createComparisonBond
+ * @returns {boolean} True from two bonds
+ */
+export function canCompare(bonds) {
+  return bonds.length >= MIN_COMPARISON_BONDS;
+}
+
+/**
+ * Render the list of bonds being compared
+ * @param {Array} bonds - Bonds from createComparisonBond
+ * @param {Object} handlers - onRemove callback taking a bond
+ */
+export function renderComparisonList(bonds, handlers) {
+  const list = $('#comparison-list');
+  const empty = $('#comparison-empty');
+
+  if (!list) {
+    console.error('Comparison list not found');
+    return;
+  }
+
+  list.innerHTML = '';
+  if (empty) {
+    empty.hidden = bonds.length > 0;
+  }
+
+  bonds.forEach(bond => {
+    const item = createElement('li', { className: 'scenario-item' });
+
+    item.appendChild(createElement('span', { className: 'scenario-name' }, bond.name));
+    item.appendChild(createElement('span', { className: 'scenario-summary' }, t('scenarios.summary', {
+      terms: describeBondTerms(bond.inputs),
+      price: formatCurrency(bond.calculations.bondPrice),
+      ytm: formatPercent(bond.calculations.ytm, 3)
+    })));
+
+    const actions = createElement('div', { className: 'scenario-actions' });
+    const remove = createElement('button', {
+      type: 'button',
+      className: 'scenario-btn',
+      'aria-label': t('comparison.removeLabel', { name: bond.name })
+    }, t('comparison.remove'));
+    remove.addEventListener('click', () => handlers.onRemove(bond));
+    actions.appendChild(remove);
+
+    item.appendChild(actions);
+    list.appendChild(item);
+  });
+}
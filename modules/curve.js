@@ -0,0 +1,282 @@
+/**
+ * Price-Yield Curve Module
+ * Plots bond price across a range of yields using Chart.js,
+ * with the same keyboard exploration as the cash flow chart
+ */
+
+import { formatCurrency, announceChartUpdate } from './utils.js';
+import { t, formatPercent } from './i18n.js';
+import {
+  getChartView,
+  hasFocus,
+  makeCanvasInteractive,
+  setupKeyboardNavigation,
+  destroyChart
+} from './chart.js';
+
+// CFA Brand Colors (WCAG AA verified)
+const COLORS = {
+  price: '#b95b1d',       // Orange Deep - bond price/PV
+  yield: '#7a46ff',       // Purple Bold - current yield
+  par: '#0079a6',         // Teal Data - face value
+  tangent: '#6b7280',     // Gray - duration tangent
+  darkText: '#06005a'
+};
+
+/**
+ * Create or update the price-yield curve chart
+ * @param {Object} curve - Curve data from generatePriceYieldCurve
+ * @param {boolean} showLabels - Whether to label the current point
+ * @param {HTMLCanvasElement} canvas - Canvas to draw on (defaults to the page's curve)
+ */
+export function renderPriceYieldChart(curve, showLabels = true,
+  canvas = document.getElementById('price-yield-chart')) {
+  if (!canvas) {
+    console.error('Price-yield canvas not found');
+    return;
+  }
+
+  // Make canvas focusable and add keyboard navigation
+  makeCanvasInteractive(canvas, 'curve.instructions');
+
+  const ctx = canvas.getContext('2d');
+  const view = getChartView(canvas);
+
+  const { points, tangent, current, parValue } = curve;
+  const curveData = points.map(p => ({ x: p.ytm, y: p.price }));
+  const tangentData = tangent.map(p => ({ x: p.ytm, y: p.price }));
+  const parData = [
+    { x: points[0].ytm, y: parValue },
+    { x: points[points.length - 1].ytm, y: parValue }
+  ];
+
+  // Destroy existing chart instance
+  if (view.chart) {
+    view.chart.destroy();
+  }
+
+  // Start exploration at the point closest to the current yield
+  view.focusIndex = closestIndex(points, current.ytm);
+  const announceIndex = (index) => announceCurvePoint(points[index], curve);
+
+  view.chart = new Chart(ctx, {
+    type: 'scatter',
+    data: {
+      datasets: [
+        {
+          label: t('legend.bondPrice'),
+          data: curveData,
+          showLine: true,
+          borderColor: COLORS.price,
+          backgroundColor: COLORS.price,
+          borderWidth: 2,
+          pointRadius: 0,
+          pointHoverRadius: 5
+        },
+        {
+          label: t('legend.durationTangent'),
+          data: tangentData,
+          showLine: true,
+          borderColor: COLORS.tangent,
+          borderWidth: 1.5,
+          borderDash: [6, 4],
+          pointRadius: 0,
+          pointHoverRadius: 0
+        },
+        {
+          label: t('legend.parValue'),
+          data: parData,
+          showLine: true,
+          borderColor: COLORS.par,
+          borderWidth: 1.5,
+          borderDash: [2, 3],
+          pointRadius: 0,
+          pointHoverRadius: 0
+        },
+        {
+          label: t('curve.currentPoint'),
+          data: [{ x: current.ytm, y: current.price }],
+          borderColor: '#333',
+          backgroundColor: COLORS.yield,
+          pointRadius: 6,
+          pointHoverRadius: 7
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: {
+        mode: 'nearest',
+        axis: 'x',
+        intersect: false
+      },
+      onHover: (event, activeElements) => {
+        // Skip if keyboard focus already active
+        if (hasFocus(canvas) && view.keyboardMode) return;
+
+        const hovered = activeElements.find(el => el.datasetIndex === 0);
+        if (hovered) {
+          announceIndex(hovered.index);
+        }
+      },
+      plugins: {
+        title: {
+          display: false
+        },
+        legend: {
+          display: false // Using custom legend in HTML
+        },
+        tooltip: {
+          filter: (item) => item.datasetIndex === 0 || item.datasetIndex === 3,
+          callbacks: {
+            title: (context) => t('curve.tooltipYield', { ytm: formatPercent(context[0].parsed.x) }),
+            label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y)}`
+          }
+        }
+      },
+      scales: {
+        x: {
+          type: 'linear',
+          title: {
+            display: true,
+            text: t('curve.yieldAxis')
+          },
+          ticks: {
+            callback: (value) => formatPercent(value, 2, { minimumFractionDigits: 0 })
+          },
+          grid: {
+            display: false
+          }
+        },
+        y: {
+          title: {
+            display: true,
+            text: t('curve.priceAxis')
+          },
+          ticks: {
+            callback: (value) => formatCurrency(value)
+          },
+          grid: {
+            color: 'rgba(0, 0, 0, 0.05)'
+          }
+        }
+      },
+      layout: {
+        padding: {
+          left: 20,
+          right: 30,
+          top: 20,
+          bottom: 20
+        }
+      }
+    },
+    plugins: [{
+      // Label the current yield/price point
+      id: 'currentPointLabel',
+      afterDatasetsDraw: (chart) => {
+        if (!showLabels) return;
+
+        const point = chart.getDatasetMeta(3).data[0];
+        if (!point) return;
+
+        const ctx = chart.ctx;
+        ctx.save();
+        ctx.font = 'bold 11px sans-serif';
+        ctx.fillStyle = COLORS.darkText;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(
+          t('curve.pointLabel', { ytm: formatPercent(current.ytm), price: formatCurrency(current.price) }),
+          point.x + 8,
+          point.y - 8
+        );
+        ctx.restore();
+      }
+    },
+    {
+      // Keyboard focus highlight plugin
+      id: 'keyboardFocus',
+      afterDatasetsDraw: (chart) => {
+        if (!hasFocus(canvas)) return;
+
+        const point = chart.getDatasetMeta(0).data[view.focusIndex];
+        if (!point) return;
+
+        const ctx = chart.ctx;
+        ctx.save();
+        ctx.strokeStyle = COLORS.darkText;
+        ctx.lineWidth = 3;
+        ctx.setLineDash([5, 5]);
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, 9, 0, 2 * Math.PI);
+        ctx.stroke();
+        ctx.restore();
+      }
+    }
+  ]
+  });
+
+  // Add keyboard navigation
+  setupKeyboardNavigation(canvas, points.length, announceIndex, getCurvePointAtIndex);
+}
+
+/**
+ * Find the curve point closest to a yield
+ * @param {Array} points - Curve points
+ * @param {number} ytm - Yield to maturity (percentage)
+ * @returns {number} Index of the closest point
+ */
+function closestIndex(points, ytm) {
+  let best = 0;
+  points.forEach((p, index) => {
+    if (Math.abs(p.ytm - ytm) < Math.abs(points[best].ytm - ytm)) {
+      best = index;
+    }
+  });
+  return best;
+}
+
+/**
+ * Find the drawn curve point at a data index, for the keyboard tooltip
+ * @param {Object} chart - Chart.js instance
+ * @param {number} index - Data index
+ * @returns {Array} The point as { datasetIndex, bar }, if drawn
+ */
+function getCurvePointAtIndex(chart, index) {
+  const point = chart.getDatasetMeta(0).data[index];
+  return point ? [{ datasetIndex: 0, bar: point }] : [];
+}
+
+/**
+ * Announce a curve point for screen readers
+ * @param {Object} point - Curve point ({ ytm, price })
+ * @param {Object} curve - Curve data
+ */
+function announceCurvePoint(point, curve) {
+  const difference = point.price - curve.parValue;
+  let relativeToPar = t('curve.atPar');
+  if (Math.abs(difference) >= 0.01) {
+    relativeToPar = t(difference > 0 ? 'curve.abovePar' : 'curve.belowPar', {
+      amount: formatCurrency(Math.abs(difference))
+    });
+  }
+
+  const tangentPoint = curve.tangent[curve.points.indexOf(point)];
+  const convexityGap = tangentPoint ? point.price - tangentPoint.price : 0;
+
+  announceChartUpdate(t('curve.announce', {
+    ytm: formatPercent(point.ytm),
+    price: formatCurrency(point.price),
+    relativeToPar,
+    convexity: formatCurrency(convexityGap)
+  }));
+}
+
+/**
+ * Cleanup curve chart resources
+ * @param {HTMLCanvasElement} canvas - Chart canvas (defaults to the page's curve)
+ */
+export function destroyPriceYieldChart(canvas = document.getElementById('price-yield-chart')) {
+  destroyChart(canvas);
+}
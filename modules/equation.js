@@ -0,0 +1,120 @@
+/**
+ * Equation Module
+ * Builds the bond valuation equation and renders it in the equation card,
+ * in symbols or with the current bond's values substituted
+ */
+
+import { formatCurrency } from './utils.js';
+import { t } from './i18n.js';
+import {
+  identifier,
+  number,
+  operator,
+  text,
+  row,
+  fraction,
+  power,
+  subscript,
+  group,
+  withAttributes,
+  toMathML,
+  toHTML,
+  toSpeech
+} from './mathml.js';
+
+// Colour of each symbol, carried over to the values substituted for it
+export const SYMBOL_STYLES = {
+  PV: { color: '#b95b1d' },
+  PMT: { color: '#3c6ae5', bold: true },
+  r: { color: '#7a46ff' },
+  FV: { color: '#0079a6', bold: true }
+};
+
+/**
+ * Build the valuation equation PV = PMT/r × [1 − 1/(1 + r)^T] + FV/(1 + r)^T
+ * With a zero rate (r formatted as 0), the substituted form is PV = PMT × T + FV.
+ * @param {Object} values - Formatted { PMT, r, T, FV } to substitute (symbols when null)
+ * @param {string} result - Formatted price to show after the equation (optional)
+ * @returns {Object} Expression (see mathml.js)
+ */
+export function createValuationEquation(values = null, result = null) {
+  const term = (name, style = {}) => values
+    ? number(values[name], style)
+    : identifier(name, style);
+
+  const PMT = term('PMT', SYMBOL_STYLES.PMT);
+  const r = term('r', SYMBOL_STYLES.r);
+  const T = term('T');
+  const FV = term('FV', SYMBOL_STYLES.FV);
+  const PV = subscript(identifier('PV', SYMBOL_STYLES.PV), text(t('equation.couponBond'), SYMBOL_STYLES.PV));
+  const compound = power(group(row(number(1), operator('+'), r)), T);
+
+  const terms = values && Number(values.r) === 0
+    ? [PV, operator('='), PMT, operator('×'), T, operator('+'), FV]
+    : [
+      PV, operator('='),
+      withAttributes(fraction(PMT, withAttributes(row(r), { class: 'denominator-r' })), { linethickness: '1.2px' }),
+      operator('×'),
+      group(row(number(1), operator('−'), fraction(number(1), compound)), '[', ']'),
+      operator('+'),
+      fraction(FV, compound)
+    ];
+
+  if (result) {
+    terms.push(operator('='), number(result, SYMBOL_STYLES.PV));
+  }
+
+  return row(...terms);
+}
+
+/**
+ * Render the valuation equation in the equation card, as MathML and as the
+ * HTML fallback (one of which is hidden, depending on MathML support)
+ * @param {string} form - 'symbolic', or 'numeric' for the current values
+ * @param {Object|null} working - Current bond from getWorkingSteps (null while
+ *   the inputs are invalid)
+ */
+export function renderEquation(form, working) {
+  const mathml = document.getElementById('mathml-equation');
+  const fallback = document.getElementById('html-equation');
+  const description = document.getElementById('equation-description');
+  const note = document.getElementById('equation-note');
+
+  if (!mathml || !fallback) {
+    console.error('Equation containers not found');
+    return;
+  }
+
+  let expression = createValuationEquation();
+  let substituted = false;
+  let message = '';
+
+  if (form === 'numeric') {
+    if (!working) {
+      message = t('equation.invalid');
+    } else if (working.limitation) {
+      message = t('equation.unavailable', { limitation: working.limitation });
+    } else {
+      expression = working.equation;
+      substituted = true;
+      if (working.settlement) {
+        message = t('equation.settlement', { price: formatCurrency(working.settlement.fullPrice) });
+      }
+    }
+  }
+
+  mathml.innerHTML = '';
+  mathml.appendChild(toMathML(expression, { display: 'block' }));
+  fallback.innerHTML = '';
+  fallback.appendChild(toHTML(expression));
+
+  if (description) {
+    description.textContent = substituted
+      ? t('equation.substituted', { equation: toSpeech(expression) })
+      : t('equation.description');
+  }
+  if (note) {
+    note.textContent = message;
+    note.hidden = !message;
+  }
+}
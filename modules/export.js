@@ -0,0 +1,363 @@
+/**
+ * Export Module
+ * Builds the cash flow schedule as CSV or an Excel workbook (.xlsx) in the
+ * browser, with raw numbers so the maths can be checked in a spreadsheet
+ */
+
+import { t } from './i18n.js';
+
+/**
+ * Label and value of each input that applies to the bond
+ * @param {Object} calculations - Bond calculations from calculateBondMetrics
+ * @param {Object} inputs - Input values (see pickInputs in url.js)
+ * @returns {Array} Rows as [label, value]
+ */
+export function buildInputRows(calculations, inputs) {
+  const { accrual, structure, floating } = calculations;
+
+  const rows = [
+    [t('export.faceValue'), inputs.faceValue],
+    [t('export.frequency'), inputs.frequency],
+    [t('export.structure'), t(`structure.${structure}`)],
+    [t('export.couponType'), t(floating ? 'couponType.floating' : 'couponType.fixed')]
+  ];
+
+  if (floating) {
+    rows.push(
+      [t('export.referenceRate'), floating.referenceRate],
+      [t('export.quotedMargin'), floating.quotedMargin],
+      [t('export.discountMargin'), floating.discountMargin],
+      [t('export.projectedRate'), floating.couponRate]
+    );
+  } else {
+    rows.push([t('export.couponRate'), structure === 'zero' ? 0 : inputs.couponRate]);
+  }
+
+  if (inputs.inputMode === 'price') {
+    rows.push([t('export.price'), inputs.price]);
+  } else if (inputs.inputMode === 'spot') {
+    rows.push([t('export.spotRates'), inputs.spotRates]);
+  }
+
+  if (accrual) {
+    rows.push(
+      [t('export.settlementDate'), accrual.settlementDate],
+      [t('export.maturityDate'), inputs.maturityDate],
+      [t('export.dayCount'), accrual.dayCount]
+    );
+  } else {
+    rows.push([t('export.years'), inputs.years]);
+  }
+
+  if (structure === 'sinking') {
+    rows.push([t('export.sinkingSchedule'), inputs.sinkingSchedule]);
+  }
+  if (inputs.callable) {
+    rows.push([t('export.callSchedule'), inputs.callSchedule]);
+  }
+
+  return rows;
+}
+
+/**
+ * Build the export rows: a header block of inputs and results, then the schedule
+ * Numbers are left unformatted (rates in percent, amounts in currency units).
+ * @param {Object} calculations - Bond calculations from calculateBondMetrics
+ * @param {Object} inputs - Input values (see pickInputs in url.js)
+ * @returns {Array} Rows as arrays of strings, numbers or null (empty cell)
+ */
+export function buildScheduleRows(calculations, inputs) {
+  const { cashFlows, accrual, structure } = calculations;
+  const repaidEarly = structure === 'amortizing' || structure === 'sinking';
+
+  // --------------------------------------------------------------
+  // 1. Header block: inputs, price and PV breakdown
+  // --------------------------------------------------------------
+  const header = [
+    [t('export.title')],
+    [t('export.exported'), new Date().toISOString()],
+    [],
+    [t('export.inputs')],
+    ...buildInputRows(calculations, inputs)
+  ];
+
+  header.push(
+    [],
+    [t('export.results')],
+    [t('export.ytm'), calculations.ytm],
+    [t('export.periodicYield'), calculations.periodicYield],
+    [t('export.periodicCoupon'), calculations.periodicCoupon],
+    [t(accrual ? 'export.fullPrice' : 'export.bondPrice'), calculations.bondPrice]
+  );
+
+  if (accrual) {
+    header.push(
+      [t('export.accruedInterest'), calculations.accruedInterest],
+      [t('export.flatPrice'), calculations.flatPrice]
+    );
+  }
+
+  header.push(
+    [t('export.pvCoupons'), calculations.pvCoupons],
+    [t(repaidEarly ? 'export.pvPrincipal' : 'export.pvFace'), calculations.pvFaceValue],
+    []
+  );
+
+  // --------------------------------------------------------------
+  // 2. Schedule columns (matching the cash flow table)
+  // --------------------------------------------------------------
+  const columns = getScheduleColumns(calculations);
+
+  // The purchase at period 0 has no rate or discount factor
+  const rows = cashFlows.map(cf => columns.map(({ key }) => {
+    const value = cf[key];
+    return value === undefined ? null : value;
+  }));
+
+  return [...header, columns.map(({ label }) => label), ...rows];
+}
+
+/**
+ * Columns of the cash flow schedule that apply to a bond
+ * @param {Object} calculations - Bond calculations from calculateBondMetrics
+ * @returns {Array} Columns as { label, key } where key is a cash flow field
+ */
+export function getScheduleColumns({ accrual, spotCurve, structure, floating }) {
+  const repaidEarly = structure === 'amortizing' || structure === 'sinking';
+
+  return [
+    { label: t('export.column.period'), key: 'period' },
+    ...(accrual ? [{ label: t('export.column.date'), key: 'date' }] : []),
+    { label: t('export.column.time'), key: 'time' },
+    { label: t('export.column.year'), key: 'yearLabel' },
+    { label: t('export.column.couponPayment'), key: 'couponPayment' },
+    { label: t('export.column.principalPayment'), key: 'principalPayment' },
+    { label: t('export.column.totalCashFlow'), key: 'totalCashFlow' },
+    ...(repaidEarly ? [{ label: t('export.column.outstandingPrincipal'), key: 'outstandingPrincipal' }] : []),
+    ...(floating ? [{ label: t('export.projectedRate'), key: 'projectedRate' }] : []),
+    ...(spotCurve ? [{ label: t('export.column.spotRate'), key: 'spotRate' }] : []),
+    { label: t('export.column.discountFactor'), key: 'discountFactor' },
+    { label: t('export.column.presentValue'), key: 'presentValue' },
+    { label: t('export.column.cumulativePV'), key: 'cumulativePV' }
+  ];
+}
+
+/**
+ * Convert rows to CSV text (RFC 4180 quoting)
+ * @param {Array} rows - Rows from buildScheduleRows
+ * @returns {string} CSV text
+ */
+export function toCSV(rows) {
+  return rows.map(row => row.map(value => {
+    if (value == null) return '';
+    if (typeof value === 'number') return String(value);
+
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Convert rows to an Excel workbook with one worksheet
+ * Numbers are stored as numeric cells and text as inline strings.
+ * @param {Array} rows - Rows from buildScheduleRows
+ * @param {string} sheetName - Worksheet name
+ * @returns {Uint8Array} .xlsx file contents
+ */
+export function toXLSX(rows, sheetName = 'Cash flows') {
+  const sheetRows = rows.map((row, rowIndex) => {
+    const cells = row.map((value, colIndex) => {
+      const ref = `${columnName(colIndex)}${rowIndex + 1}`;
+      if (value == null) return '';
+      if (typeof value === 'number') {
+        return Number.isFinite(value) ? `<c r="${ref}"><v>${value}</v></c>` : '';
+      }
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXML(String(value))}</t></is></c>`;
+    }).join('');
+    return `<row r="${rowIndex + 1}">${cells}</row>`;
+  }).join('');
+
+  const files = {
+    '[Content_Types].xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+</Types>`,
+    '_rels/.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`,
+    'xl/workbook.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="${escapeXML(sheetName)}" sheetId="1" r:id="rId1"/></sheets>
+</workbook>`,
+    'xl/_rels/workbook.xml.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+</Relationships>`,
+    'xl/worksheets/sheet1.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetData>${sheetRows}</sheetData>
+</worksheet>`
+  };
+
+  return createZip(files);
+}
+
+/**
+ * Offer content to the user as a file download
+ * @param {string|Uint8Array} content - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+export function downloadFile(content, filename, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.style.display = 'none';
+
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser time to start the download before releasing the data
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Export the cash flow schedule as a CSV or .xlsx download
+ * @param {string} format - 'csv' or 'xlsx'
+ * @param {Object} calculations - Bond calculations
+ * @param {Object} inputs - Input values (see pickInputs in url.js)
+ */
+export function exportSchedule(format, calculations, inputs) {
+  const rows = buildScheduleRows(calculations, inputs);
+
+  if (format === 'xlsx') {
+    downloadFile(
+      toXLSX(rows, t('export.sheetName')),
+      'bond-cash-flows.xlsx',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    );
+  } else {
+    // Byte order mark so Excel reads the file as UTF-8
+    downloadFile(`\uFEFF${toCSV(rows)}`, 'bond-cash-flows.csv', 'text/csv;charset=utf-8');
+  }
+}
+
+/**
+ * Spreadsheet column name for a zero-based index (0 = A, 26 = AA)
+ * @param {number} index - Column index
+ * @returns {string} Column name
+ */
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + (n - 1) % 26) + name;
+  }
+  return name;
+}
+
+/**
+ * Escape text for XML content and attributes
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXML(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// CRC-32 lookup table for ZIP entries
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Compute the CRC-32 checksum of bytes
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned checksum
+ */
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Package files in an uncompressed ZIP archive (the .xlsx container)
+ * @param {Object} files - File contents keyed by path
+ * @returns {Uint8Array} ZIP archive
+ */
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([path, content]) => {
+    const name = encoder.encode(path);
+    const data = encoder.encode(content);
+    const crc = crc32(data);
+
+    // Local file header, then the stored (uncompressed) data
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true); // Version needed
+    local.setUint16(8, 0, true); // Stored
+    local.setUint16(12, 0x21, true); // Date: 1980-01-01
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    localParts.push(new Uint8Array(local.buffer), name, data);
+
+    // Central directory entry pointing back at the local header
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true);
+    central.setUint16(4, 20, true); // Version made by
+    central.setUint16(6, 20, true); // Version needed
+    central.setUint16(10, 0, true); // Stored
+    central.setUint16(14, 0x21, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+
+  // End of central directory record
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, Object.keys(files).length, true);
+  end.setUint16(10, Object.keys(files).length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(offset + centralSize + 22);
+  let position = 0;
+  parts.forEach(part => {
+    zip.set(part, position);
+    position += part.length;
+  });
+
+  return zip;
+}
@@ -0,0 +1,286 @@
+/**
+ * Internationalization Module
+ * Message catalogs, the language and currency in use, and locale-aware
+ * number, percent and currency formatting
+ */
+
+import en from './locales/en.js';
+import fr from './locales/fr.js';
+import zhCN from './locales/zh-CN.js';
+
+/**
+ * Supported languages, by language tag
+ * `name` is shown in the language's own script; `intl` is the tag used
+ * for number formatting.
+ */
+export const LOCALES = {
+  en: { name: 'English', intl: 'en-US', messages: en },
+  fr: { name: 'Français', intl: 'fr-FR', messages: fr },
+  'zh-CN': { name: '简体中文', intl: 'zh-CN', messages: zhCN }
+};
+
+/**
+ * Currencies amounts can be shown in (ISO 4217 codes)
+ * Only the symbol changes; amounts are not converted.
+ */
+export const CURRENCIES = ['USD', 'EUR', 'GBP', 'CNY', 'JPY', 'CHF'];
+
+export const DEFAULT_LOCALE = 'en';
+export const DEFAULT_CURRENCY = 'USD';
+
+const STORAGE_KEY = 'bond-calculator-locale';
+
+// Language and currency in use
+const settings = { locale: DEFAULT_LOCALE, currency: DEFAULT_CURRENCY };
+
+/**
+ * Set the language and currency used by t() and the formatters
+ * @param {string} locale - Language tag (key of LOCALES)
+ * @param {string} currency - Currency code (one of CURRENCIES)
+ * @returns {boolean} True if both are supported and now in use
+ */
+export function setLocale(locale, currency = settings.currency) {
+  if (!LOCALES[locale] || !CURRENCIES.includes(currency)) {
+    console.error(`Unsupported language or currency: ${locale}, ${currency}`);
+    return false;
+  }
+
+  settings.locale = locale;
+  settings.currency = currency;
+  return true;
+}
+
+/**
+ * Get the language in use
+ * @returns {string} Language tag
+ */
+export function getLocale() {
+  return settings.locale;
+}
+
+/**
+ * Get the currency in use
+ * @returns {string} Currency code
+ */
+export function getCurrency() {
+  return settings.currency;
+}
+
+/**
+ * Find the supported language closest to a list of preferred languages
+ * A tag matches exactly or by its language subtag (fr-CA matches fr,
+ * zh and zh-Hans match zh-CN).
+ * @param {Array} languages - Language tags in order of preference (as navigator.languages)
+ * @returns {string} Supported language tag (the default when none match)
+ */
+export function matchLocale(languages = []) {
+  const supported = Object.keys(LOCALES);
+
+  for (const tag of languages) {
+    const exact = supported.find(locale => locale.toLowerCase() === String(tag).toLowerCase());
+    if (exact) return exact;
+
+    const language = String(tag).split('-')[0].toLowerCase();
+    const partial = supported.find(locale => locale.split('-')[0] === language);
+    if (partial) return partial;
+  }
+
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Read the saved language and currency, or match the browser's languages
+ * @param {Array} languages - Browser languages, used when nothing is saved
+ * @returns {Object} { locale, currency }
+ */
+export function loadLocalePreference(languages = []) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    if (stored && LOCALES[stored.locale] && CURRENCIES.includes(stored.currency)) {
+      return { locale: stored.locale, currency: stored.currency };
+    }
+  } catch (error) {
+    console.error('Could not read the language preference:', error);
+  }
+
+  return { locale: matchLocale(languages), currency: DEFAULT_CURRENCY };
+}
+
+/**
+ * Save the language and currency for the next visit
+ * @param {Object} preference - { locale, currency }
+ * @returns {boolean} True if stored (false if storage is full or blocked)
+ */
+export function saveLocalePreference({ locale, currency }) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ locale, currency }));
+    return true;
+  } catch (error) {
+    console.error('Could not save the language preference:', error);
+    return false;
+  }
+}
+
+/**
+ * Translate a message into the language in use
+ * Messages missing from a catalog fall back to English. {name} placeholders
+ * are filled from params; messages with plural forms ({ one, other }) are
+ * chosen by params.count.
+ * @param {string} key - Message key
+ * @param {Object} params - Placeholder values
+ * @returns {string} Translated message (the key itself when unknown)
+ */
+export function t(key, params = {}) {
+  const { messages, intl } = LOCALES[settings.locale];
+  let message = key in messages ? messages[key] : en[key];
+
+  if (message === undefined) {
+    console.error(`Missing message: ${key}`);
+    return key;
+  }
+
+  if (typeof message === 'object') {
+    const form = new Intl.PluralRules(intl).select(params.count);
+    message = message[form] || message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    name in params ? String(params[name]) : placeholder
+  );
+}
+
+/**
+ * Format a number with the separators of the language in use
+ * @param {number} value - Number
+ * @param {number} decimals - Number of decimal places
+ * @param {Object} options - Further Intl.NumberFormat options (override decimals)
+ * @returns {string} Formatted number
+ */
+export function formatNumber(value, decimals = 2, options = {}) {
+  return new Intl.NumberFormat(LOCALES[settings.locale].intl, {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+    ...options
+  }).format(value);
+}
+
+/**
+ * Read a number typed with the separators of the language in use
+ * Group separators are optional and spaces are ignored; the symbol of the
+ * currency in use may lead or follow the number.
+ * @param {string} text - Number as typed
+ * @returns {number} Number, or NaN if the text is not one
+ */
+export function parseNumber(text) {
+  const { intl } = LOCALES[settings.locale];
+  const partOf = (parts, type) => (parts.find(part => part.type === type) || { value: '' }).value;
+  const numberParts = new Intl.NumberFormat(intl).formatToParts(12345.6);
+  const symbol = partOf(new Intl.NumberFormat(intl, {
+    style: 'currency',
+    currency: settings.currency,
+    currencyDisplay: 'narrowSymbol'
+  }).formatToParts(1), 'currency');
+
+  // French groups with a (narrow) no-break space, removed with the other spaces
+  const group = partOf(numberParts, 'group').replace(/\s/g, '');
+  const decimal = partOf(numberParts, 'decimal');
+
+  // The minus sign may come before or after a leading symbol (-$5 or $-5)
+  let number = String(text).replace(/\s/g, '');
+  let negative = number.startsWith('-');
+  if (negative) number = number.slice(1);
+  if (symbol && number.startsWith(symbol)) {
+    number = number.slice(symbol.length);
+  } else if (symbol && number.endsWith(symbol)) {
+    number = number.slice(0, -symbol.length);
+  }
+  if (!negative && number.startsWith('-')) {
+    negative = true;
+    number = number.slice(1);
+  }
+
+  const escape = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const digits = group ? `(\\d{1,3}(${escape(group)}\\d{3})+|\\d*)` : '\\d*';
+  const pattern = new RegExp(`^${digits}(${escape(decimal)}\\d+)?$`);
+  if (!/\d/.test(number) || !pattern.test(number)) return NaN;
+
+  const value = Number((group ? number.split(group).join('') : number).replace(decimal, '.'));
+  return negative ? -value : value;
+}
+
+/**
+ * Format a percentage, such as a rate or yield
+ * @param {number} value - Percentage (6.5 for 6.5%)
+ * @param {number} decimals - Number of decimal places
+ * @param {Object} options - Further Intl.NumberFormat options
+ * @returns {string} Formatted percentage
+ */
+export function formatPercent(value, decimals = 2, options = {}) {
+  return formatNumber(value / 100, decimals, { style: 'percent', ...options });
+}
+
+/**
+ * Format an amount in the currency in use, without a sign
+ * Currencies are shown by their narrow symbol ($ rather than US$).
+ * @param {number} value - Amount (the absolute value is shown)
+ * @param {number} decimals - Number of decimal places
+ * @returns {string} Formatted amount
+ */
+export function formatMoney(value, decimals = 2) {
+  return formatNumber(Math.abs(value), decimals, {
+    style: 'currency',
+    currency: settings.currency,
+    currencyDisplay: 'narrowSymbol'
+  });
+}
+
+/**
+ * Format a date and time in the language in use
+ * @param {Date} date - Date
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @returns {string} Formatted date
+ */
+export function formatDate(date, options = { dateStyle: 'long' }) {
+  return new Intl.DateTimeFormat(LOCALES[settings.locale].intl, options).format(date);
+}
+
+/**
+ * Name a currency in the language in use
+ * @param {string} currency - Currency code
+ * @returns {string} Currency name (the code where names are unavailable)
+ */
+export function getCurrencyName(currency) {
+  try {
+    return new Intl.DisplayNames([LOCALES[settings.locale].intl], { type: 'currency' }).of(currency);
+  } catch (error) {
+    return currency;
+  }
+}
+
+/**
+ * Translate the page's static text into the language in use
+ * Elements name their message in data-i18n (text), data-i18n-label
+ * (aria-label), data-i18n-title (title) or data-i18n-placeholder.
+ * @param {Element|Document} root - Element whose descendants to translate
+ */
+export function translatePage(root = document) {
+  const attributes = {
+    'data-i18n-label': 'aria-label',
+    'data-i18n-title': 'title',
+    'data-i18n-placeholder': 'placeholder'
+  };
+
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.getAttribute('data-i18n'));
+  });
+
+  Object.entries(attributes).forEach(([source, target]) => {
+    root.querySelectorAll(`[${source}]`).forEach(element => {
+      element.setAttribute(target, t(element.getAttribute(source)));
+    });
+  });
+
+  if (root === document) {
+    document.documentElement.lang = settings.locale;
+  }
+}
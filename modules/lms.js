@@ -0,0 +1,171 @@
+/**
+ * LMS Messaging Module
+ * postMessage API for a parent page (such as an LMS) that embeds the
+ * calculator in an iframe: set inputs, read the calculations and
+ * subscribe to changes
+ *
+ * Every message is an object whose type starts with "bond-calculator:".
+ * Requests may carry a requestId, which is echoed in the reply.
+ *
+ *   set-inputs { inputs }      -> inputs-set { accepted, rejected, inputs, bondCalculations, errors }
+ *   get-calculations           -> calculations { inputs, bondCalculations, errors }
+ *   subscribe                  -> subscribed { ... }, then change { ... } after each recalculation
+ *   unsubscribe                -> unsubscribed
+ *   complete-exercise { exercise, result } -> exercise-completed { recorded }
+ *
+ * Inputs are keyed by state field (see state.js) and checked as a shared
+ * link is (see acceptInputs). Failed requests are answered with error
+ * { message }. The calculator announces itself with ready on load.
+ *
+ * Only the parent origin named by the lms_origin launch parameter may send
+ * messages, and without it the API stays off: any page can frame the
+ * calculator, and complete-exercise records statements for the learner.
+ */
+
+import { acceptInputs, pickInputs } from './url.js';
+
+export const MESSAGE_PREFIX = 'bond-calculator:';
+
+/**
+ * Find the origin of the parent page allowed to send messages
+ * Sandboxed and file:// parents have an opaque origin, which they can be
+ * allowed with lms_origin=null.
+ * The embedding page is never trusted on its own say (document.referrer is
+ * whatever page framed the calculator).
+ * @param {string} search - Query string with the launch parameters
+ * @returns {string|null} Origin, or null if none is given or it is invalid
+ */
+export function readParentOrigin(search) {
+  const origin = new URLSearchParams(search).get('lms_origin');
+  if (!origin) return null;
+  if (origin === 'null') return origin;
+
+  try {
+    const url = new URL(origin);
+    return url.origin === 'null' ? null : url.origin;
+  } catch (error) {
+    console.error('Invalid LMS origin:', origin);
+    return null;
+  }
+}
+
+/**
+ * Start answering messages from the parent page
+ * Only messages from the parent window at the allowed origin are handled,
+ * and replies go back to that origin.
+ * @param {Object} app - Calculator hooks
+ * @param {Function} app.getState - Returns the current state
+ * @param {Function} app.applyInputs - Applies accepted input values
+ * @param {Function} app.subscribe - Subscribes to state changes
+ * @param {Function} app.completeExercise - Records a completed exercise;
+ *   returns whether it was recorded
+ * @param {string|null} parentOrigin - Origin allowed to send messages
+ *   (see readParentOrigin)
+ * @param {Window} win - Window the calculator runs in
+ * @returns {Object|null} { stop } or null when not embedded in a frame or
+ *   no parent origin is allowed
+ */
+export function startMessageAPI({ getState, applyInputs, subscribe, completeExercise }, parentOrigin, win = window) {
+  const parent = win.parent;
+  if (!parent || parent === win) return null;
+  if (!parentOrigin) {
+    console.error('LMS messages are disabled: the parent origin is unknown (set lms_origin)');
+    return null;
+  }
+
+  let subscribed = false;
+  let lastCalculations = null;
+  let stopped = false;
+
+  const post = (type, data) => {
+    // Opaque ("null") origins cannot be targeted; only the parent window is sent to
+    parent.postMessage({ type: `${MESSAGE_PREFIX}${type}`, ...data }, parentOrigin === 'null' ? '*' : parentOrigin);
+  };
+
+  const handlers = {
+    'set-inputs': ({ inputs }) => {
+      if (!inputs || typeof inputs !== 'object' || Array.isArray(inputs)) {
+        throw new Error('set-inputs needs an inputs object');
+      }
+
+      const { values, rejected } = acceptInputs(inputs);
+      if (Object.keys(values).length > 0) {
+        applyInputs(values);
+      }
+
+      return { type: 'inputs-set', accepted: Object.keys(values), rejected, ...createSnapshot(getState()) };
+    },
+
+    'get-calculations': () => ({ type: 'calculations', ...createSnapshot(getState()) }),
+
+    subscribe: () => {
+      subscribed = true;
+      lastCalculations = getState().bondCalculations;
+      return { type: 'subscribed', ...createSnapshot(getState()) };
+    },
+
+    unsubscribe: () => {
+      subscribed = false;
+      return { type: 'unsubscribed' };
+    },
+
+    'complete-exercise': ({ exercise = {}, result = {} }) => ({
+      type: 'exercise-completed',
+      recorded: completeExercise(exercise, result)
+    })
+  };
+
+  const listener = (event) => {
+    const message = event.data;
+    if (event.source !== parent || event.origin !== parentOrigin ||
+        !message || typeof message.type !== 'string' ||
+        !message.type.startsWith(MESSAGE_PREFIX)) {
+      return;
+    }
+
+    const action = message.type.slice(MESSAGE_PREFIX.length);
+    const requestId = message.requestId === undefined ? null : message.requestId;
+
+    try {
+      if (!Object.prototype.hasOwnProperty.call(handlers, action)) {
+        throw new Error(`Unknown message type: ${message.type}`);
+      }
+      const { type, ...data } = handlers[action](message);
+      post(type, { requestId, ...data });
+    } catch (error) {
+      console.error('LMS message error:', error);
+      post('error', { requestId, message: error.message });
+    }
+  };
+
+  // Tell subscribers about each new set of calculations (or invalid inputs)
+  subscribe((current) => {
+    if (stopped || !subscribed || current.bondCalculations === lastCalculations) return;
+
+    lastCalculations = current.bondCalculations;
+    post('change', createSnapshot(current));
+  });
+
+  win.addEventListener('message', listener);
+  post('ready', {});
+
+  return {
+    stop: () => {
+      stopped = true;
+      win.removeEventListener('message', listener);
+    }
+  };
+}
+
+/**
+ * Copy what the parent page is told about the calculator
+ * @param {Object} current - Calculator state
+ * @returns {Object} { inputs, bondCalculations, errors }
+ */
+function createSnapshot(current) {
+  return {
+    inputs: pickInputs(current),
+    bondCalculations: current.bondCalculations,
+    errors: current.errors
+  };
+}
@@ -0,0 +1,568 @@
+/**
+ * English Messages
+ * The reference catalog: every key used by the calculator is defined here,
+ * and other languages fall back to it for keys they lack.
+ * {name} marks a placeholder; { one, other } objects are plural forms.
+ */
+
+export default {
+  // Page
+  'page.title': 'Bond Valuation Calculator | CFA Institute',
+  'skip.label': 'Skip links',
+  'skip.calculator': 'Skip to calculator',
+  'skip.table': 'Skip to data table',
+  'locale.group': 'Language and currency',
+  'locale.language': 'Language:',
+  'locale.currency': 'Currency:',
+
+  // Equation card
+  'equation.title': 'Bond Valuation Equation',
+  'equation.intro': 'Equation 6 shows the price of a coupon bond expressed as:',
+  'equation.formGroup': 'Equation form',
+  'equation.symbolic': 'Symbols',
+  'equation.numeric': 'Current values',
+  'equation.region': 'Bond valuation equation',
+  'equation.couponBond': 'coupon bond',
+  'equation.description': 'Equation showing the price of a coupon bond as the sum of the present value of all ' +
+    'coupon payments and the face value, discounted at the yield to maturity.',
+  'equation.invalid': 'Correct the inputs to see their values in the equation.',
+  'equation.unavailable': 'The current bond cannot be priced with this equation. {limitation}',
+  'equation.settlement': 'This is the price on the last coupon date. Grown at r to settlement, the full price ' +
+    'is {price}.',
+  'equation.substituted': 'Bond valuation equation with the current values substituted: {equation}.',
+  'math.equals': 'equals',
+  'math.plus': 'plus',
+  'math.minus': 'minus',
+  'math.times': 'times',
+  'math.dividedBy': 'divided by',
+  'math.approximately': 'is approximately',
+  'math.fraction': '{numerator} divided by {denominator}',
+  'math.power': '{base} to the power {exponent}',
+  'math.quantity': 'the quantity {expression},',
+
+  // Results card
+  'results.cardTitle': 'Results and Analysis',
+  'results.priceTitle': 'PV Bond Price',
+  'results.perPar': 'per {par} par',
+  'results.fullPricePerPar': 'full price per {par} par',
+  'results.flatPrice': 'Flat (clean) price: {price}',
+  'results.accruedInterest': 'Accrued interest: {amount} ({days}/{daysInPeriod} days, {dayCount})',
+  'results.settlementDates': 'Settlement {settlement}; last coupon {lastCoupon}',
+  'results.equivalentYieldTitle': 'Equivalent Yield to Maturity',
+  'results.impliedYieldTitle': 'Implied Yield to Maturity',
+  'results.spotYieldNote': 'Single yield giving the spot-curve price.',
+  'results.iterations': { one: 'Solved in {count} iteration', other: 'Solved in {count} iterations' },
+  'results.discountMargin': 'Discount margin: {margin} over {rate} reference',
+  'results.callTitle': 'Yields to Call',
+  'results.ytm': 'Yield to maturity',
+  'results.yieldToFirstCall': 'Yield to first call (year {year} at {price})',
+  'results.yieldToCall': 'Yield to call (year {year} at {price})',
+  'results.notSolved': 'Not solved',
+  'results.ytw': 'Yield to worst',
+  'results.worstCalled': 'Worst case: called in year {year} at {price}',
+  'results.worstHeld': 'Worst case: held to maturity',
+  'results.analysisTitle': 'Premium—Discount Analysis',
+  'results.bondType.par': 'Par bond',
+  'results.bondType.premium': 'Premium bond',
+  'results.bondType.discount': 'Discount bond',
+  'results.parAnalysis': 'Trading at par. Coupon rate ≈ YTM ({ytm})',
+  'results.premiumAnalysis': 'Trading {amount} above par. Coupon ({coupon}) > YTM ({ytm})',
+  'results.discountAnalysis': 'Trading {amount} below par. YTM ({ytm}) > coupon ({coupon})',
+  'results.parFloatingAnalysis': 'Trading at par. Quoted margin ({quoted}) ≈ discount margin ({discount})',
+  'results.premiumFloatingAnalysis': 'Trading {amount} above par. Quoted margin ({quoted}) > discount margin ({discount})',
+  'results.discountFloatingAnalysis': 'Trading {amount} below par. Discount margin ({discount}) > quoted margin ({quoted})',
+  'results.pvCoupons': 'PV coupons: {amount}',
+  'results.pvPrincipal': 'PV principal: {amount}',
+  'results.pvFace': 'PV face: {amount}',
+  'results.margin': '{margin} bp',
+  'results.riskTitle': 'Risk Measures',
+  'results.macaulayDuration': 'Macaulay duration',
+  'results.years': '{years} years',
+  'results.modifiedDuration': 'Modified duration',
+  'results.approximateDuration': 'Approximate duration',
+  'results.convexity': 'Convexity',
+  'results.pvbp': 'PVBP (per 1 bp)',
+  'results.comparingTitle': 'Comparing {count} Bonds',
+  'results.terms': 'Terms',
+  'results.pvBondPrice': 'PV bond price',
+  'results.notCallable': 'Not callable',
+  'results.premiumDiscount': 'Premium/discount',
+  'results.parAmount': 'At par',
+  'results.premiumAmount': '{amount} premium',
+  'results.discountAmount': '{amount} discount',
+  'results.comparisonCaption': 'Price, yield and risk measures of each bond, one column per bond',
+  'working.show': 'Show working',
+  'working.title': 'Worked Solution',
+  'working.limitation.spot': 'Each cash flow is discounted at its own spot rate, so there is no single r to ' +
+    'substitute. The table view shows the rate and discount factor applied to each payment.',
+  'working.limitation.amortizing': 'Principal is repaid before maturity, so the coupons are not a level ' +
+    'annuity and FV is not repaid in one sum. The table view shows the present value of each payment.',
+  'working.notApplicable': 'The annuity-plus-lump-sum equation does not apply to this bond. {limitation}',
+  'working.intro': 'Substituting PMT = {PMT} (coupon per period), r = {r} (rate per period), T = {T} ' +
+    '(periods) and FV = {FV} (face value) into the bond valuation equation:',
+  'working.step.rate': 'Periodic rate',
+  'working.step.annuity': 'Annuity factor',
+  'working.step.pvCoupons': 'PV of coupons',
+  'working.step.discount': 'Discount factor',
+  'working.step.pvFace': 'PV of face value',
+  'working.step.price': 'Price',
+  'working.step.fullPrice': 'Full price at settlement',
+  'working.note.floatingRate': 'The annual rate is the reference rate plus the discount margin, paid in equal ' +
+    'periods.',
+  'working.note.rate': 'The annual yield to maturity is split evenly over the payments in a year.',
+  'working.note.zeroAnnuity': 'With no discounting, the annuity factor is the number of payments.',
+  'working.note.annuity': 'The value today of 1 paid at the end of each of the T periods.',
+  'working.note.discount': 'The value today of 1 paid after T periods.',
+  'working.note.lastCoupon': 'On the last coupon date.',
+  'working.note.elapsed': '{percent} of the current coupon period has elapsed.',
+
+  // Saved scenarios
+  'scenarios.title': 'Saved Scenarios',
+  'scenarios.nameLabel': 'Name:',
+  'scenarios.namePlaceholder': 'e.g. Textbook example 1',
+  'scenarios.save': 'Save current inputs',
+  'scenarios.empty': 'No saved scenarios yet. Saved scenarios stay in this browser.',
+  'scenarios.list': 'Saved scenarios',
+  'scenarios.defaultName': 'Scenario {number}',
+  'scenarios.copyName': '{name} (copy)',
+  'scenarios.summary': '{terms}: {price} at {ytm} YTM',
+  'scenarios.actions': 'Actions for {name}',
+  'scenarios.action': '{action} {name}',
+  'scenarios.load': 'Load',
+  'scenarios.compare': 'Compare',
+  'scenarios.rename': 'Rename',
+  'scenarios.duplicate': 'Duplicate',
+  'scenarios.delete': 'Delete',
+  'scenarios.newName': 'New name for {name}',
+
+  // Bond comparison
+  'comparison.title': 'Compare Bonds',
+  'comparison.add': 'Add current bond',
+  'comparison.show': 'Show comparison',
+  'comparison.hide': 'Hide comparison',
+  'comparison.empty': 'Add two to four bonds, from the current inputs or saved scenarios, ' +
+    'to see their results, cash flows and schedules side by side.',
+  'comparison.list': 'Bonds to compare',
+  'comparison.defaultName': 'Bond {number}',
+  'comparison.remove': 'Remove',
+  'comparison.removeLabel': 'Remove {name} from comparison',
+  'comparison.unavailable': 'Not available while comparing bonds',
+
+  // Practice
+  'practice.title': 'Practice',
+  'practice.question': 'Question:',
+  'practice.mixed': 'Mixed',
+  'practice.price': 'Price',
+  'practice.type': 'Premium or discount',
+  'practice.pvCoupons': 'PV of coupons',
+  'practice.new': 'New problem',
+  'practice.empty': 'Drill with randomly generated bonds: work out the answer, check it, ' +
+    'and ask for hints or the worked answer when stuck.',
+  'practice.check': 'Check answer',
+  'practice.hint': 'Hint',
+  'practice.reveal': 'Show answer',
+  'practice.load': 'Try it in the calculator',
+  'practice.hints': 'Hints',
+  'practice.worked': 'Worked answer',
+  'practice.prompt.price': 'What is the price of the bond?',
+  'practice.prompt.type': 'Does the bond trade at a premium, at a discount or at par?',
+  'practice.prompt.pvCoupons': 'What is the present value of the coupon payments?',
+  'practice.problem': 'A bond with a face value of {face} pays a coupon of {coupon} ({payments}) and ' +
+    'matures in {years}. Its yield to maturity is {ytm}. {prompt}',
+  'practice.payments': { one: 'one payment a year', other: '{count} payments a year' },
+  'practice.score': 'Score: {correct} of {attempted}',
+  'practice.scoreEmpty': 'Score: 0 of 0',
+  'practice.answer': 'Answer:',
+  'practice.answerWithin': 'Answer (to within {tolerance}):',
+  'practice.choice.premium': 'Premium',
+  'practice.choice.discount': 'Discount',
+  'practice.choice.par': 'Par',
+  'practice.feedback.correct': 'Correct!',
+  'practice.feedback.incorrect': 'Not quite. Try again, or ask for a hint.',
+  'practice.feedback.incorrectRevealed': 'Not quite.',
+  'practice.feedback.invalidChoice': 'Choose premium, discount or par.',
+  'practice.feedback.invalidNumber': 'Enter the answer as a number, e.g. {example}.',
+  'practice.hint.compare': 'Compare the coupon rate with the yield to maturity.',
+  'practice.hint.premium': 'A bond whose coupons pay more than the market yield ' +
+    'is worth more than its face value.',
+  'practice.hint.coupon': {
+    one: 'The single payment includes a coupon of {coupon} ÷ {frequency} × {face} = {payment}.',
+    other: 'Each of the {periods} payments includes a coupon of {coupon} ÷ {frequency} × {face} = {payment}.'
+  },
+  'practice.hint.rate': 'Discount at the periodic yield of {ytm} ÷ {frequency} = {rate} per period.',
+  'practice.hint.annuity': 'The coupons are an annuity: PV = C × [1 − (1 + r)^−N] ÷ r.',
+  'practice.hint.price': {
+    one: 'Price = PV of the coupons + PV of the {face} repaid after {periods} period.',
+    other: 'Price = PV of the coupons + PV of the {face} repaid after {periods} periods.'
+  },
+  'practice.step.coupon': 'Coupon per period: C = {coupon} ÷ {frequency} × {face} = {payment}.',
+  'practice.step.rate': {
+    one: 'Periodic yield: r = {ytm} ÷ {frequency} = {rate}, over N = {periods} period.',
+    other: 'Periodic yield: r = {ytm} ÷ {frequency} = {rate}, over N = {periods} periods.'
+  },
+  'practice.step.pvCoupons': 'PV of coupons = {payment} × [1 − (1 + {rate})^−{periods}] ÷ {rate} = {pv}.',
+  'practice.step.pvFace': 'PV of face value = {face} ÷ (1 + {rate})^{periods} = {pv}.',
+  'practice.step.price': 'Price = {pvCoupons} + {pvFace} = {price}.',
+  'practice.step.above': 'The price is above the {face} face value because the ' +
+    '{coupon} coupon rate is above the {ytm} yield.',
+  'practice.step.below': 'The price is below the {face} face value because the ' +
+    '{coupon} coupon rate is below the {ytm} yield.',
+  'practice.step.equal': 'The price is equal to the {face} face value because the ' +
+    '{coupon} coupon rate is equal to the {ytm} yield.',
+  'practice.step.answer': 'Answer: {answer}.',
+
+  // Visualizer
+  'visualizer.title': 'Bond Cash Flows: {frequency} Payment Frequency',
+  'visualizer.comparisonTitle': 'Bond Cash Flows: Comparing {count} Bonds',
+  'legend.initialPurchase': 'Initial purchase',
+  'legend.coupon': 'Coupon payment',
+  'legend.principal': 'Principal repayment',
+  'legend.carryingValue': 'Carrying value',
+  'legend.presentValue': 'Present value',
+  'legend.bondPrice': 'Bond price',
+  'legend.durationTangent': 'Duration tangent',
+  'legend.parValue': 'Par value',
+  'legend.currentYield': 'Current yield',
+  'view.group': 'View mode - switch between chart, price-yield curve and table',
+  'view.chart': 'Show Chart',
+  'view.curve': 'Show Price–Yield',
+  'view.table': 'Show Table',
+  'view.amortization': 'Show Amortization',
+  'view.unavailable': 'Chart view not available at this screen size',
+  'options.carryingValue': 'Show carrying value (pull to par)',
+  'options.presentValues': 'Show present values',
+  'options.worstCase': 'Show worst-case redemption (yield to worst)',
+  'export.chartLabel': 'Download chart:',
+  'export.png': 'PNG image',
+  'export.svg': 'SVG (vector)',
+  'export.pngName': 'PNG image',
+  'export.svgName': 'SVG',
+  'export.label': 'Export current bond:',
+  'export.csv': 'CSV',
+  'export.xlsx': 'Excel (.xlsx)',
+  'export.report': 'Generate report',
+  'export.sheetName': 'Cash flows',
+  'export.title': 'Bond Cash Flow Schedule',
+  'export.exported': 'Exported',
+  'export.inputs': 'Inputs',
+  'export.results': 'Results',
+  'export.faceValue': 'Face value',
+  'export.frequency': 'Payments per year',
+  'export.structure': 'Bond structure',
+  'export.couponType': 'Coupon type',
+  'export.referenceRate': 'Reference rate (%)',
+  'export.quotedMargin': 'Quoted margin (bp)',
+  'export.discountMargin': 'Discount margin (bp)',
+  'export.projectedRate': 'Projected coupon rate (%)',
+  'export.couponRate': 'Coupon rate (%)',
+  'export.price': 'Quoted flat price (per 100 par)',
+  'export.spotRates': 'Spot rates (years:rate %)',
+  'export.settlementDate': 'Settlement date',
+  'export.maturityDate': 'Maturity date',
+  'export.dayCount': 'Day count',
+  'export.years': 'Years to maturity',
+  'export.sinkingSchedule': 'Sinking fund (year:% of face)',
+  'export.callSchedule': 'Call schedule (year:price)',
+  'export.ytm': 'Yield to maturity (%)',
+  'export.periodicYield': 'Periodic yield',
+  'export.periodicCoupon': 'Periodic coupon',
+  'export.fullPrice': 'Full price (PV of all cash flows)',
+  'export.bondPrice': 'Bond price (PV of all cash flows)',
+  'export.accruedInterest': 'Accrued interest',
+  'export.flatPrice': 'Flat price',
+  'export.pvCoupons': 'PV of coupons',
+  'export.pvPrincipal': 'PV of principal',
+  'export.pvFace': 'PV of face value',
+  'export.column.period': 'Period',
+  'export.column.date': 'Date',
+  'export.column.time': 'Time (periods)',
+  'export.column.year': 'Year',
+  'export.column.couponPayment': 'Coupon payment',
+  'export.column.principalPayment': 'Principal repayment',
+  'export.column.totalCashFlow': 'Total cash flow',
+  'export.column.outstandingPrincipal': 'Outstanding principal',
+  'export.column.spotRate': 'Spot rate (%)',
+  'export.column.discountFactor': 'Discount factor',
+  'export.column.presentValue': 'PV of cash flow',
+  'export.column.cumulativePV': 'Cumulative PV',
+
+  // Cash flow chart
+  'chart.descriptionTitle': 'Bond cash flows over time',
+  'chart.description': 'This chart displays the complete cash flow timeline for a bond investment. ' +
+    'At period 0, the initial purchase price is shown as a negative cash flow (money paid out). ' +
+    'Then, at each payment period, the bond pays a coupon payment shown in blue. ' +
+    'At the final maturity date, both the last coupon payment and the principal repayment ' +
+    '(shown in teal) are received. The stacked bars show how coupon and principal payments ' +
+    'combine at each period. Use the arrow keys to navigate between data points and hear ' +
+    'the specific values for each period.',
+  'chart.principalRepayment': 'Principal repayment',
+  'chart.couponPayment': 'Coupon payment',
+  'chart.presentValue': 'Present value',
+  'chart.carryingValue': 'Carrying value',
+  'chart.tooltipPeriod': 'Period: {years} years',
+  'chart.discountFactor': 'Discount factor {factor}',
+  'chart.total': 'Total: {amount}',
+  'chart.yearsAxis': 'Years ({frequency} payments)',
+  'chart.tooltipBreakdown': 'Coupon {coupon}, principal {principal}',
+  'chart.years': 'Years',
+  'chart.roleDescription': 'interactive chart',
+  'chart.instructions': 'Interactive chart. Press Enter to focus, then use arrow keys to explore data points.',
+  'chart.announcePeriod': 'Period {years} years.',
+  'chart.announceBond': '{name}: {amount}.',
+  'chart.announceNoPayment': '{name}: no payment.',
+  'chart.announceCoupon': 'Coupon payment: {amount}.',
+  'chart.announcePrincipal': 'Principal repayment: {amount}.',
+  'chart.announceTotal': 'Total: {amount}.',
+  'chart.announcePresentValue': 'Present value: {amount} (discount factor {factor}).',
+  'chart.announceCarryingValue': 'Carrying value: {amount}.',
+
+  // Price-yield curve
+  'curve.descriptionTitle': 'Bond price across yields',
+  'curve.description': 'This chart plots the bond price at a range of yields to maturity for the current ' +
+    'coupon rate and maturity. Price falls as yield rises, and the curve bows above the ' +
+    'straight duration tangent drawn through the current yield and price; that gap is ' +
+    'convexity. A horizontal line marks par value, and a highlighted point marks the ' +
+    'current yield and price. Use the arrow keys to move along the curve and hear the ' +
+    'price at each yield.',
+  'curve.instructions': 'Interactive price-yield chart. Press Enter to focus, then use arrow keys to explore ' +
+    'prices at each yield.',
+  'curve.currentPoint': 'Current yield and price',
+  'curve.tooltipYield': 'Yield: {ytm}',
+  'curve.yieldAxis': 'Yield to maturity (%)',
+  'curve.priceAxis': 'Bond price',
+  'curve.pointLabel': '{ytm}, {price}',
+  'curve.atPar': 'at par',
+  'curve.abovePar': '{amount} above par',
+  'curve.belowPar': '{amount} below par',
+  'curve.announce': 'Yield {ytm}. Price: {price}, {relativeToPar}. Convexity adds {convexity} over the ' +
+    'duration estimate.',
+
+  // Cash flow table
+  'table.caption': 'Bond cash flow schedule showing period, coupon payments, ' +
+    'principal repayment, total cash flows, and the discount factor, ' +
+    'present value and cumulative present value of each cash flow',
+  'table.period': 'Period ({period})',
+  'table.date': 'Date',
+  'table.year': 'Year',
+  'table.couponPayment': 'Coupon Payment',
+  'table.principalRepayment': 'Principal Repayment',
+  'table.totalCashFlow': 'Total Cash Flow',
+  'table.outstandingPrincipal': 'Outstanding Principal',
+  'table.projectedRate': 'Projected Coupon Rate',
+  'table.spotRate': 'Spot Rate',
+  'table.discountFactor': 'Discount Factor',
+  'table.presentValue': 'PV of Cash Flow',
+  'table.cumulativePV': 'Cumulative PV',
+  'table.sumOfPVs': 'Sum of PVs of cash flows:',
+  'table.fullPrice': 'Full price:',
+  'table.bondPrice': 'Bond Price:',
+  'table.difference': 'Difference (sum of PVs less price):',
+  'table.lessAccrued': 'Less accrued interest ({days}/{daysInPeriod} days, {dayCount}):',
+  'table.flatPrice': 'Flat price:',
+  'table.label': 'Bond cash flow table',
+  'table.loaded': 'Table view loaded with bond cash flows.',
+  'table.note': 'Note: Values in parentheses indicate negative cash flows (outflows).',
+  'table.comparisonCaption': 'Cash flows of the compared bonds in time order, showing the year, ' +
+    'bond, period, coupon payment, principal repayment and total cash flow',
+  'table.bond': 'Bond',
+  'table.periodNumber': 'Period',
+  'table.comparisonPrice': '{name} price (PV of all cash flows):',
+  'table.comparisonFullPrice': '{name} full price (PV of all cash flows):',
+  'table.comparisonLabel': 'Cash flow table comparing {count} bonds',
+
+  // Amortization schedule
+  'amortization.caption': 'Amortization schedule showing, for each period, the carrying value at the start, ' +
+    'interest income at the yield to maturity, coupon received, premium or discount ' +
+    'amortized, and the ending carrying value',
+  'amortization.startValue': 'Carrying Value (Start)',
+  'amortization.interest': 'Interest at YTM',
+  'amortization.coupon': 'Coupon Received',
+  'amortization.amortization': 'Amortization',
+  'amortization.principal': 'Principal Repaid',
+  'amortization.endValue': 'Carrying Value (End)',
+  'amortization.totals': 'Totals:',
+  'amortization.premium': 'Premium at purchase (price {price} less par {par}):',
+  'amortization.discount': 'Discount at purchase (price {price} less par {par}):',
+  'amortization.premiumFullPrice': 'Premium at purchase (full price {price} less par {par}):',
+  'amortization.discountFullPrice': 'Discount at purchase (full price {price} less par {par}):',
+  'amortization.label': 'Premium and discount amortization schedule',
+  'amortization.note': 'Note: Effective interest method. Positive amortization reduces a premium; ' +
+    'negative amortization accretes a discount.',
+
+  // Calculator inputs
+  'calculator.title': 'Bond Cash Flow Calculator',
+  'input.faceValue': 'Face value (1-1,000,000):',
+  'input.frequency': 'Payment frequency:',
+  'input.couponType': 'Coupon:',
+  'input.structure': 'Bond structure:',
+  'input.help': 'Enter values and the calculator updates results and the chart automatically.',
+  'input.couponRate': 'Coupon rate (0-10):',
+  'input.ytm': 'Yield-to-maturity (0-10):',
+  'input.years': 'Years-to-maturity (1-5):',
+  'input.price': 'Price per 100 par (50-150):',
+  'input.spotRates': 'Spot rates (%):',
+  'input.spotRatesHelp': 'One rate per period (e.g. 5.0, 5.2, 5.4) or years:rate pairs that are ' +
+    'interpolated (e.g. 1:5.2, 5:6.5).',
+  'input.referenceRate': 'Reference rate (0-10):',
+  'input.quotedMargin': 'Quoted margin (0-500):',
+  'input.discountMargin': 'Discount margin (0-500):',
+  'input.sinkingSchedule': 'Sinking fund (% of face):',
+  'input.sinkingScheduleHelp': 'Year:percent pairs redeemed before maturity (e.g. 2:20, 3:20); the ' +
+    'remainder is repaid at maturity.',
+  'input.useDates': 'Price on a settlement date',
+  'input.settlementDate': 'Settlement date:',
+  'input.maturityDate': 'Maturity date:',
+  'input.dayCount': 'Day count:',
+  'input.callable': 'Callable bond',
+  'input.callSchedule': 'Call schedule (price per 100 par):',
+  'input.callScheduleHelp': 'Year:price pairs on payment dates (e.g. 3:102 is callable at 102 after ' +
+    '3 years).',
+  'unit.bp': 'bp',
+  'frequency.1': 'Annual',
+  'frequency.2': 'Semi-annual',
+  'frequency.4': 'Quarterly',
+  'frequency.12': 'Monthly',
+  'frequency.other': '{frequency} per year',
+  'period.1': 'year',
+  'period.2': 'half-year',
+  'period.4': 'quarter',
+  'period.12': 'month',
+  'period.other': 'period',
+  'couponType.fixed': 'Fixed rate',
+  'couponType.floating': 'Floating rate (FRN)',
+  'structure.bullet': 'Bullet',
+  'structure.zero': 'Zero-coupon',
+  'structure.amortizing': 'Amortizing (level payment)',
+  'structure.sinking': 'Sinking fund',
+  'dayCount.actual': 'Actual/actual',
+  'mode.label': 'Enter:',
+  'mode.yield': 'Yield (solve for price)',
+  'mode.price': 'Price (solve for yield)',
+  'mode.spot': 'Spot curve (solve for both)',
+  'terms.floating': 'Floating rate',
+  'terms.zero': 'Zero-coupon',
+  'terms.coupon': '{rate} coupon',
+  'terms.matures': 'matures {date}',
+  'terms.years': { one: '{years} year', other: '{years} years' },
+
+  // Validation
+  'validation.title': 'Please correct the following:',
+  'validation.field.faceValue': 'Face value',
+  'validation.field.frequency': 'Payment frequency',
+  'validation.field.couponRate': 'Coupon rate',
+  'validation.field.ytm': 'Yield to maturity',
+  'validation.field.years': 'Years to maturity',
+  'validation.field.price': 'Bond price',
+  'validation.field.referenceRate': 'Reference rate',
+  'validation.field.quotedMargin': 'Quoted margin (bp)',
+  'validation.field.discountMargin': 'Discount margin (bp)',
+  'validation.required': '{field} is required',
+  'validation.min': '{field} must be at least {min}',
+  'validation.max': '{field} must be at most {max}',
+  'validation.options': '{field} must be one of {options}',
+  'validation.type.number': '{field} must be a number',
+  'validation.type.boolean': '{field} must be a boolean',
+  'validation.type.string': '{field} must be text',
+  'validation.schedule': '{field} must be a whole number of payment periods (multiples of {step})',
+  'validation.settlementRequired': 'Settlement date is required',
+  'validation.maturityRequired': 'Maturity date is required',
+  'validation.maturityAfterSettlement': 'Maturity date must be after the settlement date',
+  'validation.maturityMax': 'Maturity date must be at most {years} years after settlement',
+  'validation.spotEmpty': 'Enter at least one spot rate',
+  'validation.spotNumbers': 'Spot rates must be numbers',
+  'validation.spotPairs': 'Use years:rate pairs, e.g. 1:5.2',
+  'validation.spotTenors': 'Tenors must be positive and increasing',
+  'validation.spotRange': 'Spot rates must be between {min} and {max}',
+  'validation.sinkingEmpty': 'Enter at least one year:percent redemption',
+  'validation.sinkingPairs': 'Use year:percent pairs, e.g. 3:20',
+  'validation.sinkingPercent': 'Redemption percentages must be greater than 0',
+  'validation.sinkingDate': 'Year {year} is not a payment date',
+  'validation.sinkingMaturity': 'Year {year} must be before maturity ({years} years)',
+  'validation.sinkingTotal': 'Redemptions must total less than 100% of face value',
+  'validation.callEmpty': 'Enter at least one year:price call date',
+  'validation.callPairs': 'Use year:price pairs, e.g. 3:102',
+  'validation.callDate': 'Call year {year} is not a payment date',
+  'validation.callMaturity': 'Call year {year} must be before maturity ({years} years)',
+  'validation.callDuplicate': 'Call year {year} is listed more than once',
+  'validation.callPrice': 'Call prices must be between {min} and {max}',
+  'validation.yieldSolve': 'Could not solve for yield: {reason}',
+  'validation.spotYieldSolve': 'Could not solve for equivalent yield: {reason}',
+  'validation.solver.price': 'Price must be a positive number',
+  'validation.solver.flows': 'Cash flows must be non-negative numbers',
+  'validation.solver.priceHigh': 'Price is above the range the solver can reach',
+  'validation.solver.priceLow': 'Price is too low for any positive yield',
+  'validation.solver.iterations': 'Solver did not converge in {iterations} iterations',
+
+  // Report
+  'report.print': 'Print or save as PDF',
+  'report.close': 'Close report',
+  'report.title': 'Bond Valuation Report',
+  'report.generated': 'Generated {date}',
+  'report.results': 'Results and Analysis',
+  'report.cashFlows': 'Bond Cash Flows',
+  'report.schedule': 'Cash Flow Schedule',
+  'report.chartAlt': 'Bar chart of the bond cash flows: the purchase price paid at period 0, then the coupon ' +
+    'and principal payments received in each period. The same values are listed in the cash flow ' +
+    'schedule.',
+
+  // Screen reader announcements
+  'announce.locale': 'Language set to {language}. Amounts are shown in {currency}.',
+  'announce.linkRejected': 'Some values in the link were invalid and were reset: {messages}',
+  'announce.scenarioInvalid': 'Correct the inputs before saving a scenario.',
+  'announce.scenarioNotSaved': 'Scenario could not be saved. Browser storage may be full or disabled.',
+  'announce.scenarioSaved': 'Saved scenario {name}.',
+  'announce.scenarioLoaded': 'Loaded scenario {name}.',
+  'announce.scenarioNotComparable': 'Scenario {name} has invalid values and cannot be compared.',
+  'announce.scenarioRenamed': 'Renamed scenario to {name}.',
+  'announce.scenarioDuplicated': 'Duplicated as {name}.',
+  'announce.scenarioDeleted': 'Deleted scenario {name}.',
+  'announce.comparisonInvalid': 'Correct the inputs before adding the bond to the comparison.',
+  'announce.comparisonFull': 'Up to {max} bonds can be compared. Remove one first.',
+  'announce.comparisonError': '{name} could not be priced: {message}',
+  'announce.comparisonAdded': 'Added {name} to the comparison ({count} of {max}).',
+  'announce.comparisonRemoved': 'Removed {name} from the comparison.',
+  'announce.comparisonShown': 'Comparing {count} bonds. Results, chart and table show each bond side by side.',
+  'announce.comparisonHidden': 'Comparison hidden. Showing the current bond.',
+  'announce.practiceProblem': 'New problem. {problem}',
+  'announce.practiceScore': '{feedback} Score: {correct} of {attempted}.',
+  'announce.practiceHint': 'Hint {number}: {hint}',
+  'announce.practiceRevealed': 'Worked answer shown.',
+  'announce.practiceLoaded': 'Loaded the practice bond into the calculator.',
+  'announce.equationSymbolic': 'Equation shown in symbols.',
+  'announce.equationNumeric': 'Equation shown with the current values substituted.',
+  'announce.workingShown': 'Worked solution shown below the results.',
+  'announce.workingHidden': 'Worked solution hidden.',
+  'announce.exportInvalid': 'Correct the inputs before exporting the schedule.',
+  'announce.exported': 'Cash flow schedule exported as {name}.',
+  'announce.exportError': 'The schedule could not be exported: {message}',
+  'announce.chartDownloaded': 'Chart downloaded as {name}.',
+  'announce.chartMissing': 'There is no chart to download. Correct the inputs first.',
+  'announce.chartError': 'The chart could not be downloaded: {message}',
+  'announce.reportInvalid': 'Correct the inputs before generating a report.',
+  'announce.reportReady': 'Report ready. Use Print or save as PDF, or Close report to return.',
+  'announce.floatingRate': 'Floating-rate note. Coupons are the reference rate plus the quoted margin, ' +
+    'discounted at the reference rate plus the discount margin.',
+  'announce.fixedRate': 'Fixed-rate bond.',
+  'announce.structure.bullet': 'Bullet bond. Principal is repaid at maturity.',
+  'announce.structure.zero': 'Zero-coupon bond. No coupons are paid.',
+  'announce.structure.amortizing': 'Amortizing bond. Level payments repay principal over the term.',
+  'announce.structure.sinking': 'Sinking fund bond. Enter the scheduled redemptions.',
+  'announce.datesOn': 'Settlement date pricing on. Years to maturity is set by the dates.',
+  'announce.datesOff': 'Settlement date pricing off.',
+  'announce.worstCaseOff': 'Chart shows cash flows held to maturity.',
+  'announce.worstCaseCalled': 'Chart shows cash flows if called in year {year}.',
+  'announce.worstCaseHeld': 'Worst case is holding to maturity.',
+  'announce.callableOn': 'Callable bond. Yields to call and yield to worst are shown with the results.',
+  'announce.callableOff': 'Callable bond off.',
+  'announce.mode.yield': 'Yield input mode. Enter a yield to solve for price.',
+  'announce.mode.price': 'Price input mode. Enter a price to solve for yield to maturity.',
+  'announce.mode.spot': 'Spot curve input mode. Enter spot rates to solve for price and equivalent yield.',
+  'announce.view.chart': 'Chart view active',
+  'announce.view.curve': 'Price-yield curve view active',
+  'announce.view.table': 'Table view active',
+  'announce.view.amortization': 'Amortization schedule view active',
+  'announce.carryingShown': 'Carrying value shown. It converges to face value by maturity.',
+  'announce.carryingHidden': 'Carrying value hidden.',
+  'announce.presentValuesShown': 'Present values shown beside each cash flow. Together they add up to the price.',
+  'announce.presentValuesHidden': 'Present values hidden.'
+};
@@ -0,0 +1,574 @@
+/**
+ * French Messages
+ * Keys match en.js; see there for what each message is used for.
+ */
+
+export default {
+  // Page
+  'page.title': 'Calculateur d’évaluation obligataire | CFA Institute',
+  'skip.label': 'Liens d’accès rapide',
+  'skip.calculator': 'Aller au calculateur',
+  'skip.table': 'Aller au tableau de données',
+  'locale.group': 'Langue et devise',
+  'locale.language': 'Langue :',
+  'locale.currency': 'Devise :',
+
+  // Equation card
+  'equation.title': 'Équation d’évaluation d’une obligation',
+  'equation.intro': 'L’équation 6 exprime le prix d’une obligation à coupons ainsi :',
+  'equation.formGroup': 'Forme de l’équation',
+  'equation.symbolic': 'Symboles',
+  'equation.numeric': 'Valeurs actuelles',
+  'equation.region': 'Équation d’évaluation d’une obligation',
+  'equation.couponBond': 'obligation à coupons',
+  'equation.description': 'Équation donnant le prix d’une obligation à coupons comme la somme de la valeur ' +
+    'actuelle de tous les coupons et de la valeur nominale, actualisés au rendement à l’échéance.',
+  'equation.invalid': 'Corrigez les saisies pour voir leurs valeurs dans l’équation.',
+  'equation.unavailable': 'L’obligation actuelle ne peut pas être évaluée avec cette équation. {limitation}',
+  'equation.settlement': 'Il s’agit du prix à la dernière date de coupon. Capitalisé au taux r jusqu’au ' +
+    'règlement, le prix plein est de {price}.',
+  'equation.substituted': 'Équation d’évaluation d’une obligation avec les valeurs actuelles : {equation}.',
+  'math.equals': 'égale',
+  'math.plus': 'plus',
+  'math.minus': 'moins',
+  'math.times': 'fois',
+  'math.dividedBy': 'divisé par',
+  'math.approximately': 'vaut environ',
+  'math.fraction': '{numerator} divisé par {denominator}',
+  'math.power': '{base} puissance {exponent}',
+  'math.quantity': 'la quantité {expression},',
+
+  // Results card
+  'results.cardTitle': 'Résultats et analyse',
+  'results.priceTitle': 'Prix de l’obligation (VA)',
+  'results.perPar': 'pour {par} de nominal',
+  'results.fullPricePerPar': 'prix plein coupon pour {par} de nominal',
+  'results.flatPrice': 'Prix pied de coupon : {price}',
+  'results.accruedInterest': 'Coupon couru : {amount} ({days}/{daysInPeriod} jours, {dayCount})',
+  'results.settlementDates': 'Règlement le {settlement} ; dernier coupon le {lastCoupon}',
+  'results.equivalentYieldTitle': 'Rendement à l’échéance équivalent',
+  'results.impliedYieldTitle': 'Rendement à l’échéance implicite',
+  'results.spotYieldNote': 'Taux unique donnant le prix de la courbe zéro-coupon.',
+  'results.iterations': { one: 'Résolu en {count} itération', other: 'Résolu en {count} itérations' },
+  'results.discountMargin': 'Marge d’actualisation : {margin} au-dessus du taux de référence de {rate}',
+  'results.callTitle': 'Rendements au remboursement anticipé',
+  'results.ytm': 'Rendement à l’échéance',
+  'results.yieldToFirstCall': 'Rendement au premier remboursement anticipé (année {year} à {price})',
+  'results.yieldToCall': 'Rendement au remboursement anticipé (année {year} à {price})',
+  'results.notSolved': 'Non résolu',
+  'results.ytw': 'Rendement le plus défavorable',
+  'results.worstCalled': 'Cas le plus défavorable : remboursement en année {year} à {price}',
+  'results.worstHeld': 'Cas le plus défavorable : détention jusqu’à l’échéance',
+  'results.analysisTitle': 'Analyse prime—décote',
+  'results.bondType.par': 'Obligation au pair',
+  'results.bondType.premium': 'Obligation avec prime',
+  'results.bondType.discount': 'Obligation avec décote',
+  'results.parAnalysis': 'Cotée au pair. Taux du coupon ≈ rendement ({ytm})',
+  'results.premiumAnalysis': 'Cotée {amount} au-dessus du pair. Coupon ({coupon}) > rendement ({ytm})',
+  'results.discountAnalysis': 'Cotée {amount} au-dessous du pair. Rendement ({ytm}) > coupon ({coupon})',
+  'results.parFloatingAnalysis': 'Cotée au pair. Marge faciale ({quoted}) ≈ marge d’actualisation ({discount})',
+  'results.premiumFloatingAnalysis': 'Cotée {amount} au-dessus du pair. ' +
+    'Marge faciale ({quoted}) > marge d’actualisation ({discount})',
+  'results.discountFloatingAnalysis': 'Cotée {amount} au-dessous du pair. ' +
+    'Marge d’actualisation ({discount}) > marge faciale ({quoted})',
+  'results.pvCoupons': 'VA des coupons : {amount}',
+  'results.pvPrincipal': 'VA du principal : {amount}',
+  'results.pvFace': 'VA du nominal : {amount}',
+  'results.margin': '{margin} pb',
+  'results.riskTitle': 'Mesures de risque',
+  'results.macaulayDuration': 'Duration de Macaulay',
+  'results.years': '{years} ans',
+  'results.modifiedDuration': 'Duration modifiée',
+  'results.approximateDuration': 'Duration approchée',
+  'results.convexity': 'Convexité',
+  'results.pvbp': 'Valeur d’un point de base (VPB)',
+  'results.comparingTitle': 'Comparaison de {count} obligations',
+  'results.terms': 'Caractéristiques',
+  'results.pvBondPrice': 'Prix de l’obligation (VA)',
+  'results.notCallable': 'Non remboursable par anticipation',
+  'results.premiumDiscount': 'Prime/décote',
+  'results.parAmount': 'Au pair',
+  'results.premiumAmount': 'Prime de {amount}',
+  'results.discountAmount': 'Décote de {amount}',
+  'results.comparisonCaption': 'Prix, rendement et mesures de risque de chaque obligation, une colonne par obligation',
+  'working.show': 'Afficher le calcul',
+  'working.title': 'Solution détaillée',
+  'working.limitation.spot': 'Chaque flux est actualisé à son propre taux au comptant : il n’y a donc pas de ' +
+    'taux r unique à substituer. La vue tableau indique le taux et le facteur d’actualisation appliqués ' +
+    'à chaque paiement.',
+  'working.limitation.amortizing': 'Le principal est remboursé avant l’échéance : les coupons ne forment donc ' +
+    'pas une annuité constante et FV n’est pas remboursé en une fois. La vue tableau indique la valeur ' +
+    'actuelle de chaque paiement.',
+  'working.notApplicable': 'L’équation annuité plus capital ne s’applique pas à cette obligation. {limitation}',
+  'working.intro': 'En substituant PMT = {PMT} (coupon par période), r = {r} (taux par période), T = {T} ' +
+    '(périodes) et FV = {FV} (valeur nominale) dans l’équation d’évaluation :',
+  'working.step.rate': 'Taux périodique',
+  'working.step.annuity': 'Facteur d’annuité',
+  'working.step.pvCoupons': 'VA des coupons',
+  'working.step.discount': 'Facteur d’actualisation',
+  'working.step.pvFace': 'VA de la valeur nominale',
+  'working.step.price': 'Prix',
+  'working.step.fullPrice': 'Prix plein au règlement',
+  'working.note.floatingRate': 'Le taux annuel est le taux de référence plus la marge d’actualisation, versé ' +
+    'en périodes égales.',
+  'working.note.rate': 'Le rendement annuel à l’échéance est réparti également entre les paiements de l’année.',
+  'working.note.zeroAnnuity': 'Sans actualisation, le facteur d’annuité est le nombre de paiements.',
+  'working.note.annuity': 'La valeur aujourd’hui de 1 versé à la fin de chacune des T périodes.',
+  'working.note.discount': 'La valeur aujourd’hui de 1 versé après T périodes.',
+  'working.note.lastCoupon': 'À la dernière date de coupon.',
+  'working.note.elapsed': '{percent} de la période de coupon en cours s’est écoulé.',
+
+  // Saved scenarios
+  'scenarios.title': 'Scénarios enregistrés',
+  'scenarios.nameLabel': 'Nom :',
+  'scenarios.namePlaceholder': 'p. ex. Exemple du manuel 1',
+  'scenarios.save': 'Enregistrer les saisies',
+  'scenarios.empty': 'Aucun scénario enregistré. Les scénarios restent dans ce navigateur.',
+  'scenarios.list': 'Scénarios enregistrés',
+  'scenarios.defaultName': 'Scénario {number}',
+  'scenarios.copyName': '{name} (copie)',
+  'scenarios.summary': '{terms} : {price} à {ytm} de rendement',
+  'scenarios.actions': 'Actions pour {name}',
+  'scenarios.action': '{action} {name}',
+  'scenarios.load': 'Charger',
+  'scenarios.compare': 'Comparer',
+  'scenarios.rename': 'Renommer',
+  'scenarios.duplicate': 'Dupliquer',
+  'scenarios.delete': 'Supprimer',
+  'scenarios.newName': 'Nouveau nom pour {name}',
+
+  // Bond comparison
+  'comparison.title': 'Comparer des obligations',
+  'comparison.add': 'Ajouter l’obligation actuelle',
+  'comparison.show': 'Afficher la comparaison',
+  'comparison.hide': 'Masquer la comparaison',
+  'comparison.empty': 'Ajoutez deux à quatre obligations, à partir des saisies ou des scénarios enregistrés, ' +
+    'pour comparer côte à côte leurs résultats, flux et échéanciers.',
+  'comparison.list': 'Obligations à comparer',
+  'comparison.defaultName': 'Obligation {number}',
+  'comparison.remove': 'Retirer',
+  'comparison.removeLabel': 'Retirer {name} de la comparaison',
+  'comparison.unavailable': 'Indisponible pendant la comparaison d’obligations',
+
+  // Practice
+  'practice.title': 'Entraînement',
+  'practice.question': 'Question :',
+  'practice.mixed': 'Variées',
+  'practice.price': 'Prix',
+  'practice.type': 'Prime ou décote',
+  'practice.pvCoupons': 'VA des coupons',
+  'practice.new': 'Nouveau problème',
+  'practice.empty': 'Entraînez-vous sur des obligations générées au hasard : trouvez la réponse, vérifiez-la, ' +
+    'et demandez un indice ou la solution en cas de blocage.',
+  'practice.check': 'Vérifier la réponse',
+  'practice.hint': 'Indice',
+  'practice.reveal': 'Afficher la solution',
+  'practice.load': 'Essayer dans le calculateur',
+  'practice.hints': 'Indices',
+  'practice.worked': 'Solution détaillée',
+  'practice.prompt.price': 'Quel est le prix de l’obligation ?',
+  'practice.prompt.type': 'L’obligation se négocie-t-elle avec une prime, avec une décote ou au pair ?',
+  'practice.prompt.pvCoupons': 'Quelle est la valeur actuelle des coupons ?',
+  'practice.problem': 'Une obligation de nominal {face} verse un coupon de {coupon} ({payments}) et arrive à ' +
+    'échéance dans {years}. Son rendement à l’échéance est de {ytm}. {prompt}',
+  'practice.payments': { one: 'un paiement par an', other: '{count} paiements par an' },
+  'practice.score': 'Score : {correct} sur {attempted}',
+  'practice.scoreEmpty': 'Score : 0 sur 0',
+  'practice.answer': 'Réponse :',
+  'practice.answerWithin': 'Réponse (à {tolerance} près) :',
+  'practice.choice.premium': 'Prime',
+  'practice.choice.discount': 'Décote',
+  'practice.choice.par': 'Au pair',
+  'practice.feedback.correct': 'Correct !',
+  'practice.feedback.incorrect': 'Pas tout à fait. Réessayez ou demandez un indice.',
+  'practice.feedback.incorrectRevealed': 'Pas tout à fait.',
+  'practice.feedback.invalidChoice': 'Choisissez prime, décote ou au pair.',
+  'practice.feedback.invalidNumber': 'Saisissez la réponse sous forme de nombre, par ex. {example}.',
+  'practice.hint.compare': 'Comparez le taux du coupon au rendement à l’échéance.',
+  'practice.hint.premium': 'Une obligation dont les coupons rapportent plus que le ' +
+    'rendement du marché vaut plus que son nominal.',
+  'practice.hint.coupon': {
+    one: 'L’unique paiement comprend un coupon de {coupon} ÷ {frequency} × {face} = {payment}.',
+    other: 'Chacun des {periods} paiements comprend un coupon de {coupon} ÷ {frequency} × {face} = {payment}.'
+  },
+  'practice.hint.rate': 'Actualisez au rendement périodique de {ytm} ÷ {frequency} = {rate} par période.',
+  'practice.hint.annuity': 'Les coupons forment une annuité : VA = C × [1 − (1 + r)^−N] ÷ r.',
+  'practice.hint.price': {
+    one: 'Prix = VA des coupons + VA des {face} remboursés après {periods} période.',
+    other: 'Prix = VA des coupons + VA des {face} remboursés après {periods} périodes.'
+  },
+  'practice.step.coupon': 'Coupon par période : C = {coupon} ÷ {frequency} × {face} = {payment}.',
+  'practice.step.rate': {
+    one: 'Rendement périodique : r = {ytm} ÷ {frequency} = {rate}, sur N = {periods} période.',
+    other: 'Rendement périodique : r = {ytm} ÷ {frequency} = {rate}, sur N = {periods} périodes.'
+  },
+  'practice.step.pvCoupons': 'VA des coupons = {payment} × [1 − (1 + {rate})^−{periods}] ÷ {rate} = {pv}.',
+  'practice.step.pvFace': 'VA du nominal = {face} ÷ (1 + {rate})^{periods} = {pv}.',
+  'practice.step.price': 'Prix = {pvCoupons} + {pvFace} = {price}.',
+  'practice.step.above': 'Le prix est supérieur au nominal de {face}, car le taux du coupon ' +
+    'de {coupon} est supérieur au rendement de {ytm}.',
+  'practice.step.below': 'Le prix est inférieur au nominal de {face}, car le taux du coupon ' +
+    'de {coupon} est inférieur au rendement de {ytm}.',
+  'practice.step.equal': 'Le prix est égal au nominal de {face}, car le taux du coupon ' +
+    'de {coupon} est égal au rendement de {ytm}.',
+  'practice.step.answer': 'Réponse : {answer}.',
+
+  // Visualizer
+  'visualizer.title': 'Flux de trésorerie de l’obligation – périodicité : {frequency}',
+  'visualizer.comparisonTitle': 'Flux de trésorerie : comparaison de {count} obligations',
+  'legend.initialPurchase': 'Achat initial',
+  'legend.coupon': 'Paiement du coupon',
+  'legend.principal': 'Remboursement du principal',
+  'legend.carryingValue': 'Valeur comptable',
+  'legend.presentValue': 'Valeur actuelle',
+  'legend.bondPrice': 'Prix de l’obligation',
+  'legend.durationTangent': 'Tangente de duration',
+  'legend.parValue': 'Valeur au pair',
+  'legend.currentYield': 'Rendement actuel',
+  'view.group': 'Mode d’affichage : graphique, courbe prix-rendement ou tableau',
+  'view.chart': 'Graphique',
+  'view.curve': 'Prix–rendement',
+  'view.table': 'Tableau',
+  'view.amortization': 'Amortissement',
+  'view.unavailable': 'Graphique indisponible sur un écran de cette taille',
+  'options.carryingValue': 'Afficher la valeur comptable (convergence vers le pair)',
+  'options.presentValues': 'Afficher les valeurs actuelles',
+  'options.worstCase': 'Afficher le remboursement le plus défavorable',
+  'export.chartLabel': 'Télécharger le graphique :',
+  'export.png': 'Image PNG',
+  'export.svg': 'SVG (vectoriel)',
+  'export.pngName': 'image PNG',
+  'export.svgName': 'SVG',
+  'export.label': 'Exporter l’obligation :',
+  'export.csv': 'CSV',
+  'export.xlsx': 'Excel (.xlsx)',
+  'export.report': 'Générer un rapport',
+  'export.sheetName': 'Flux',
+  'export.title': 'Échéancier des flux de l’obligation',
+  'export.exported': 'Exporté le',
+  'export.inputs': 'Saisies',
+  'export.results': 'Résultats',
+  'export.faceValue': 'Valeur nominale',
+  'export.frequency': 'Paiements par an',
+  'export.structure': 'Structure de l’obligation',
+  'export.couponType': 'Type de coupon',
+  'export.referenceRate': 'Taux de référence (%)',
+  'export.quotedMargin': 'Marge cotée (pb)',
+  'export.discountMargin': 'Marge d’actualisation (pb)',
+  'export.projectedRate': 'Taux du coupon projeté (%)',
+  'export.couponRate': 'Taux du coupon (%)',
+  'export.price': 'Prix pied de coupon coté (pour 100 de nominal)',
+  'export.spotRates': 'Taux au comptant (années:taux %)',
+  'export.settlementDate': 'Date de règlement',
+  'export.maturityDate': 'Date d’échéance',
+  'export.dayCount': 'Base de calcul',
+  'export.years': 'Années jusqu’à l’échéance',
+  'export.sinkingSchedule': 'Fonds d’amortissement (année:% du nominal)',
+  'export.callSchedule': 'Calendrier de remboursement anticipé (année:prix)',
+  'export.ytm': 'Rendement à l’échéance (%)',
+  'export.periodicYield': 'Rendement périodique',
+  'export.periodicCoupon': 'Coupon périodique',
+  'export.fullPrice': 'Prix plein (VA de tous les flux)',
+  'export.bondPrice': 'Prix de l’obligation (VA de tous les flux)',
+  'export.accruedInterest': 'Intérêts courus',
+  'export.flatPrice': 'Prix pied de coupon',
+  'export.pvCoupons': 'VA des coupons',
+  'export.pvPrincipal': 'VA du principal',
+  'export.pvFace': 'VA de la valeur nominale',
+  'export.column.period': 'Période',
+  'export.column.date': 'Date',
+  'export.column.time': 'Temps (périodes)',
+  'export.column.year': 'Année',
+  'export.column.couponPayment': 'Coupon',
+  'export.column.principalPayment': 'Remboursement du principal',
+  'export.column.totalCashFlow': 'Flux total',
+  'export.column.outstandingPrincipal': 'Principal restant dû',
+  'export.column.spotRate': 'Taux au comptant (%)',
+  'export.column.discountFactor': 'Facteur d’actualisation',
+  'export.column.presentValue': 'VA du flux',
+  'export.column.cumulativePV': 'VA cumulée',
+
+  // Cash flow chart
+  'chart.descriptionTitle': 'Flux de trésorerie de l’obligation dans le temps',
+  'chart.description': 'Ce graphique présente l’ensemble des flux de trésorerie d’un placement obligataire. ' +
+    'À la période 0, le prix d’achat apparaît comme un flux négatif (somme versée). ' +
+    'Ensuite, à chaque période de paiement, l’obligation verse un coupon, en bleu. ' +
+    'À l’échéance, le dernier coupon et le remboursement du principal (en bleu-vert) sont reçus. ' +
+    'Les barres empilées montrent comment coupons et principal se cumulent à chaque période. ' +
+    'Utilisez les flèches pour parcourir les points et entendre les valeurs de chaque période.',
+  'chart.principalRepayment': 'Remboursement du principal',
+  'chart.couponPayment': 'Paiement du coupon',
+  'chart.presentValue': 'Valeur actuelle',
+  'chart.carryingValue': 'Valeur comptable',
+  'chart.tooltipPeriod': 'Période : {years} ans',
+  'chart.discountFactor': 'Facteur d’actualisation {factor}',
+  'chart.total': 'Total : {amount}',
+  'chart.yearsAxis': 'Années (paiements : {frequency})',
+  'chart.tooltipBreakdown': 'Coupon {coupon}, principal {principal}',
+  'chart.years': 'Années',
+  'chart.roleDescription': 'graphique interactif',
+  'chart.instructions': 'Graphique interactif. Appuyez sur Entrée pour le sélectionner, ' +
+    'puis utilisez les flèches pour parcourir les points.',
+  'chart.announcePeriod': 'Période {years} ans.',
+  'chart.announceBond': '{name} : {amount}.',
+  'chart.announceNoPayment': '{name} : aucun paiement.',
+  'chart.announceCoupon': 'Paiement du coupon : {amount}.',
+  'chart.announcePrincipal': 'Remboursement du principal : {amount}.',
+  'chart.announceTotal': 'Total : {amount}.',
+  'chart.announcePresentValue': 'Valeur actuelle : {amount} (facteur d’actualisation {factor}).',
+  'chart.announceCarryingValue': 'Valeur comptable : {amount}.',
+
+  // Price-yield curve
+  'curve.descriptionTitle': 'Prix de l’obligation selon le rendement',
+  'curve.description': 'Ce graphique trace le prix de l’obligation pour une gamme de rendements à l’échéance, ' +
+    'avec le taux du coupon et l’échéance actuels. Le prix baisse quand le rendement monte, et la courbe ' +
+    'passe au-dessus de la tangente de duration tracée au rendement et au prix actuels ; cet écart est ' +
+    'la convexité. Une ligne horizontale marque la valeur au pair et un point mis en évidence le rendement ' +
+    'et le prix actuels. Utilisez les flèches pour suivre la courbe et entendre le prix à chaque rendement.',
+  'curve.instructions': 'Graphique prix-rendement interactif. Appuyez sur Entrée pour le sélectionner, puis ' +
+    'utilisez les flèches pour parcourir les prix à chaque rendement.',
+  'curve.currentPoint': 'Rendement et prix actuels',
+  'curve.tooltipYield': 'Rendement : {ytm}',
+  'curve.yieldAxis': 'Rendement à l’échéance (%)',
+  'curve.priceAxis': 'Prix de l’obligation',
+  'curve.pointLabel': '{ytm} ; {price}',
+  'curve.atPar': 'au pair',
+  'curve.abovePar': '{amount} au-dessus du pair',
+  'curve.belowPar': '{amount} au-dessous du pair',
+  'curve.announce': 'Rendement {ytm}. Prix : {price}, {relativeToPar}. La convexité ajoute {convexity} à ' +
+    'l’estimation par la duration.',
+
+  // Cash flow table
+  'table.caption': 'Échéancier des flux de l’obligation : période, coupons, remboursement du principal, ' +
+    'flux totaux, ainsi que le facteur d’actualisation, la valeur actuelle et la valeur actuelle cumulée ' +
+    'de chaque flux',
+  'table.period': 'Période ({period})',
+  'table.date': 'Date',
+  'table.year': 'Année',
+  'table.couponPayment': 'Coupon',
+  'table.principalRepayment': 'Remboursement du principal',
+  'table.totalCashFlow': 'Flux total',
+  'table.outstandingPrincipal': 'Principal restant dû',
+  'table.projectedRate': 'Taux du coupon projeté',
+  'table.spotRate': 'Taux zéro-coupon',
+  'table.discountFactor': 'Facteur d’actualisation',
+  'table.presentValue': 'VA du flux',
+  'table.cumulativePV': 'VA cumulée',
+  'table.sumOfPVs': 'Somme des VA des flux :',
+  'table.fullPrice': 'Prix plein coupon :',
+  'table.bondPrice': 'Prix de l’obligation :',
+  'table.difference': 'Écart (somme des VA moins le prix) :',
+  'table.lessAccrued': 'Moins le coupon couru ({days}/{daysInPeriod} jours, {dayCount}) :',
+  'table.flatPrice': 'Prix pied de coupon :',
+  'table.label': 'Tableau des flux de l’obligation',
+  'table.loaded': 'Vue tableau chargée avec les flux de l’obligation.',
+  'table.note': 'Remarque : les valeurs entre parenthèses sont des flux négatifs (sorties).',
+  'table.comparisonCaption': 'Flux des obligations comparées par ordre chronologique : année, ' +
+    'obligation, période, coupon, remboursement du principal et flux total',
+  'table.bond': 'Obligation',
+  'table.periodNumber': 'Période',
+  'table.comparisonPrice': 'Prix de {name} (VA de tous les flux) :',
+  'table.comparisonFullPrice': 'Prix plein coupon de {name} (VA de tous les flux) :',
+  'table.comparisonLabel': 'Tableau des flux comparant {count} obligations',
+
+  // Amortization schedule
+  'amortization.caption': 'Tableau d’amortissement indiquant, pour chaque période, la valeur comptable ' +
+    'en début de période, les intérêts au rendement à l’échéance, le coupon reçu, la prime ou décote ' +
+    'amortie et la valeur comptable en fin de période',
+  'amortization.startValue': 'Valeur comptable (début)',
+  'amortization.interest': 'Intérêts au rendement',
+  'amortization.coupon': 'Coupon reçu',
+  'amortization.amortization': 'Amortissement',
+  'amortization.principal': 'Principal remboursé',
+  'amortization.endValue': 'Valeur comptable (fin)',
+  'amortization.totals': 'Totaux :',
+  'amortization.premium': 'Prime à l’achat (prix {price} moins pair {par}) :',
+  'amortization.discount': 'Décote à l’achat (prix {price} moins pair {par}) :',
+  'amortization.premiumFullPrice': 'Prime à l’achat (prix plein coupon {price} moins pair {par}) :',
+  'amortization.discountFullPrice': 'Décote à l’achat (prix plein coupon {price} moins pair {par}) :',
+  'amortization.label': 'Tableau d’amortissement de la prime et de la décote',
+  'amortization.note': 'Remarque : méthode du taux d’intérêt effectif. Un amortissement positif réduit ' +
+    'une prime ; un amortissement négatif résorbe une décote.',
+
+  // Calculator inputs
+  'calculator.title': 'Calculateur de flux obligataires',
+  'input.faceValue': 'Valeur nominale (1-1 000 000) :',
+  'input.frequency': 'Périodicité des paiements :',
+  'input.couponType': 'Coupon :',
+  'input.structure': 'Structure :',
+  'input.help': 'Saisissez des valeurs : les résultats et le graphique se mettent à jour automatiquement.',
+  'input.couponRate': 'Taux du coupon (0-10) :',
+  'input.ytm': 'Rendement à l’échéance (0-10) :',
+  'input.years': 'Années jusqu’à l’échéance (1-5) :',
+  'input.price': 'Prix pour 100 de nominal (50-150) :',
+  'input.spotRates': 'Taux zéro-coupon (%) :',
+  'input.spotRatesHelp': 'Un taux par période (p. ex. 5.0, 5.2, 5.4) ou des paires années:taux ' +
+    'interpolées (p. ex. 1:5.2, 5:6.5).',
+  'input.referenceRate': 'Taux de référence (0-10) :',
+  'input.quotedMargin': 'Marge faciale (0-500) :',
+  'input.discountMargin': 'Marge d’actualisation (0-500) :',
+  'input.sinkingSchedule': 'Fonds d’amortissement (% du nominal) :',
+  'input.sinkingScheduleHelp': 'Paires année:pourcentage remboursées avant l’échéance (p. ex. 2:20, 3:20) ; ' +
+    'le reste est remboursé à l’échéance.',
+  'input.useDates': 'Évaluer à une date de règlement',
+  'input.settlementDate': 'Date de règlement :',
+  'input.maturityDate': 'Date d’échéance :',
+  'input.dayCount': 'Base de calcul :',
+  'input.callable': 'Obligation remboursable par anticipation',
+  'input.callSchedule': 'Calendrier de remboursement (prix pour 100 de nominal) :',
+  'input.callScheduleHelp': 'Paires année:prix aux dates de paiement (p. ex. 3:102 est remboursable ' +
+    'à 102 après 3 ans).',
+  'unit.bp': 'pb',
+  'frequency.1': 'Annuelle',
+  'frequency.2': 'Semestrielle',
+  'frequency.4': 'Trimestrielle',
+  'frequency.12': 'Mensuelle',
+  'frequency.other': '{frequency} par an',
+  'period.1': 'année',
+  'period.2': 'semestre',
+  'period.4': 'trimestre',
+  'period.12': 'mois',
+  'period.other': 'période',
+  'couponType.fixed': 'Taux fixe',
+  'couponType.floating': 'Taux variable (FRN)',
+  'structure.bullet': 'In fine',
+  'structure.zero': 'Zéro-coupon',
+  'structure.amortizing': 'Amortissable (annuités constantes)',
+  'structure.sinking': 'Fonds d’amortissement',
+  'dayCount.actual': 'Exact/exact',
+  'mode.label': 'Saisir :',
+  'mode.yield': 'Rendement (calcul du prix)',
+  'mode.price': 'Prix (calcul du rendement)',
+  'mode.spot': 'Courbe zéro-coupon (calcul des deux)',
+  'terms.floating': 'Taux variable',
+  'terms.zero': 'Zéro-coupon',
+  'terms.coupon': 'coupon de {rate}',
+  'terms.matures': 'échéance le {date}',
+  'terms.years': { one: '{years} an', other: '{years} ans' },
+
+  // Validation
+  'validation.title': 'Veuillez corriger les points suivants :',
+  'validation.field.faceValue': 'La valeur nominale',
+  'validation.field.frequency': 'La périodicité des paiements',
+  'validation.field.couponRate': 'Le taux du coupon',
+  'validation.field.ytm': 'Le rendement à l’échéance',
+  'validation.field.years': 'La durée jusqu’à l’échéance',
+  'validation.field.price': 'Le prix de l’obligation',
+  'validation.field.referenceRate': 'Le taux de référence',
+  'validation.field.quotedMargin': 'La marge faciale (pb)',
+  'validation.field.discountMargin': 'La marge d’actualisation (pb)',
+  'validation.required': '{field} est obligatoire',
+  'validation.min': '{field} doit être au moins égal(e) à {min}',
+  'validation.max': '{field} doit être au plus égal(e) à {max}',
+  'validation.options': '{field} doit valoir {options}',
+  'validation.type.number': '{field} doit être un nombre',
+  'validation.type.boolean': '{field} doit être un booléen',
+  'validation.type.string': '{field} doit être du texte',
+  'validation.schedule': '{field} doit correspondre à un nombre entier de périodes (multiples de {step})',
+  'validation.settlementRequired': 'La date de règlement est obligatoire',
+  'validation.maturityRequired': 'La date d’échéance est obligatoire',
+  'validation.maturityAfterSettlement': 'La date d’échéance doit suivre la date de règlement',
+  'validation.maturityMax': 'La date d’échéance doit se situer au plus {years} ans après le règlement',
+  'validation.spotEmpty': 'Saisissez au moins un taux zéro-coupon',
+  'validation.spotNumbers': 'Les taux zéro-coupon doivent être des nombres',
+  'validation.spotPairs': 'Utilisez des paires années:taux, par ex. 1:5.2',
+  'validation.spotTenors': 'Les échéances doivent être positives et croissantes',
+  'validation.spotRange': 'Les taux zéro-coupon doivent être compris entre {min} et {max}',
+  'validation.sinkingEmpty': 'Saisissez au moins un remboursement année:pourcentage',
+  'validation.sinkingPairs': 'Utilisez des paires année:pourcentage, par ex. 3:20',
+  'validation.sinkingPercent': 'Les pourcentages remboursés doivent être supérieurs à 0',
+  'validation.sinkingDate': 'L’année {year} n’est pas une date de paiement',
+  'validation.sinkingMaturity': 'L’année {year} doit précéder l’échéance ({years} ans)',
+  'validation.sinkingTotal': 'Les remboursements doivent totaliser moins de 100 % du nominal',
+  'validation.callEmpty': 'Saisissez au moins une date de remboursement année:prix',
+  'validation.callPairs': 'Utilisez des paires année:prix, par ex. 3:102',
+  'validation.callDate': 'L’année de remboursement {year} n’est pas une date de paiement',
+  'validation.callMaturity': 'L’année de remboursement {year} doit précéder l’échéance ({years} ans)',
+  'validation.callDuplicate': 'L’année de remboursement {year} figure plusieurs fois',
+  'validation.callPrice': 'Les prix de remboursement doivent être compris entre {min} et {max}',
+  'validation.yieldSolve': 'Impossible de calculer le rendement : {reason}',
+  'validation.spotYieldSolve': 'Impossible de calculer le rendement équivalent : {reason}',
+  'validation.solver.price': 'Le prix doit être un nombre positif',
+  'validation.solver.flows': 'Les flux de trésorerie doivent être des nombres positifs ou nuls',
+  'validation.solver.priceHigh': 'Le prix dépasse la plage accessible au solveur',
+  'validation.solver.priceLow': 'Le prix est trop bas pour tout rendement positif',
+  'validation.solver.iterations': 'Le solveur n’a pas convergé en {iterations} itérations',
+
+  // Report
+  'report.print': 'Imprimer ou enregistrer en PDF',
+  'report.close': 'Fermer le rapport',
+  'report.title': 'Rapport d’évaluation obligataire',
+  'report.generated': 'Généré le {date}',
+  'report.results': 'Résultats et analyse',
+  'report.cashFlows': 'Flux de l’obligation',
+  'report.schedule': 'Échéancier des flux',
+  'report.chartAlt': 'Diagramme en barres des flux de l’obligation : le prix d’achat payé à la période 0, ' +
+    'puis les coupons et remboursements du principal reçus à chaque période. Les mêmes valeurs figurent ' +
+    'dans l’échéancier des flux.',
+
+  // Screen reader announcements
+  'announce.locale': 'Langue : {language}. Les montants sont affichés en {currency}.',
+  'announce.linkRejected': 'Certaines valeurs du lien étaient invalides et ont été réinitialisées : {messages}',
+  'announce.scenarioInvalid': 'Corrigez les saisies avant d’enregistrer un scénario.',
+  'announce.scenarioNotSaved': 'Le scénario n’a pas pu être enregistré. ' +
+    'Le stockage du navigateur est peut-être plein ou désactivé.',
+  'announce.scenarioSaved': 'Scénario {name} enregistré.',
+  'announce.scenarioLoaded': 'Scénario {name} chargé.',
+  'announce.scenarioNotComparable': 'Le scénario {name} contient des valeurs invalides et ne peut pas être comparé.',
+  'announce.scenarioRenamed': 'Scénario renommé en {name}.',
+  'announce.scenarioDuplicated': 'Dupliqué sous le nom {name}.',
+  'announce.scenarioDeleted': 'Scénario {name} supprimé.',
+  'announce.comparisonInvalid': 'Corrigez les saisies avant d’ajouter l’obligation à la comparaison.',
+  'announce.comparisonFull': 'Vous pouvez comparer jusqu’à {max} obligations. Retirez-en une d’abord.',
+  'announce.comparisonError': 'Impossible d’évaluer {name} : {message}',
+  'announce.comparisonAdded': '{name} ajoutée à la comparaison ({count} sur {max}).',
+  'announce.comparisonRemoved': '{name} retirée de la comparaison.',
+  'announce.comparisonShown': 'Comparaison de {count} obligations. ' +
+    'Résultats, graphique et tableau les présentent côte à côte.',
+  'announce.comparisonHidden': 'Comparaison masquée. Affichage de l’obligation actuelle.',
+  'announce.practiceProblem': 'Nouveau problème. {problem}',
+  'announce.practiceScore': '{feedback} Score : {correct} sur {attempted}.',
+  'announce.practiceHint': 'Indice {number} : {hint}',
+  'announce.practiceRevealed': 'Solution détaillée affichée.',
+  'announce.practiceLoaded': 'L’obligation de l’exercice a été chargée dans le calculateur.',
+  'announce.equationSymbolic': 'Équation affichée en symboles.',
+  'announce.equationNumeric': 'Équation affichée avec les valeurs actuelles.',
+  'announce.workingShown': 'Solution détaillée affichée sous les résultats.',
+  'announce.workingHidden': 'Solution détaillée masquée.',
+  'announce.exportInvalid': 'Corrigez les saisies avant d’exporter l’échéancier.',
+  'announce.exported': 'Échéancier des flux exporté au format {name}.',
+  'announce.exportError': 'L’échéancier n’a pas pu être exporté : {message}',
+  'announce.chartDownloaded': 'Graphique téléchargé au format {name}.',
+  'announce.chartMissing': 'Aucun graphique à télécharger. Corrigez d’abord les saisies.',
+  'announce.chartError': 'Le graphique n’a pas pu être téléchargé : {message}',
+  'announce.reportInvalid': 'Corrigez les saisies avant de générer un rapport.',
+  'announce.reportReady': 'Rapport prêt. Utilisez Imprimer ou enregistrer en PDF, ou Fermer le rapport pour revenir.',
+  'announce.floatingRate': 'Obligation à taux variable. Les coupons valent le taux de référence plus la marge ' +
+    'faciale, actualisés au taux de référence plus la marge d’actualisation.',
+  'announce.fixedRate': 'Obligation à taux fixe.',
+  'announce.structure.bullet': 'Obligation in fine. Le principal est remboursé à l’échéance.',
+  'announce.structure.zero': 'Obligation zéro-coupon. Aucun coupon n’est versé.',
+  'announce.structure.amortizing': 'Obligation amortissable. Des annuités constantes remboursent ' +
+    'le principal sur la durée.',
+  'announce.structure.sinking': 'Obligation à fonds d’amortissement. Saisissez les remboursements prévus.',
+  'announce.datesOn': 'Évaluation à une date de règlement activée. Les dates fixent la durée jusqu’à l’échéance.',
+  'announce.datesOff': 'Évaluation à une date de règlement désactivée.',
+  'announce.worstCaseOff': 'Le graphique montre les flux jusqu’à l’échéance.',
+  'announce.worstCaseCalled': 'Le graphique montre les flux en cas de remboursement en année {year}.',
+  'announce.worstCaseHeld': 'Le cas le plus défavorable est la détention jusqu’à l’échéance.',
+  'announce.callableOn': 'Obligation remboursable par anticipation. Les rendements au remboursement ' +
+    'et le rendement le plus défavorable figurent dans les résultats.',
+  'announce.callableOff': 'Remboursement anticipé désactivé.',
+  'announce.mode.yield': 'Saisie du rendement. Saisissez un rendement pour calculer le prix.',
+  'announce.mode.price': 'Saisie du prix. Saisissez un prix pour calculer le rendement à l’échéance.',
+  'announce.mode.spot': 'Saisie de la courbe zéro-coupon. Saisissez des taux zéro-coupon pour calculer ' +
+    'le prix et le rendement équivalent.',
+  'announce.view.chart': 'Vue graphique active',
+  'announce.view.curve': 'Vue courbe prix-rendement active',
+  'announce.view.table': 'Vue tableau active',
+  'announce.view.amortization': 'Vue tableau d’amortissement active',
+  'announce.carryingShown': 'Valeur comptable affichée. Elle converge vers la valeur nominale à l’échéance.',
+  'announce.carryingHidden': 'Valeur comptable masquée.',
+  'announce.presentValuesShown': 'Valeurs actuelles affichées à côté de chaque flux. Leur somme donne le prix.',
+  'announce.presentValuesHidden': 'Valeurs actuelles masquées.'
+};
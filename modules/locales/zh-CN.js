@@ -0,0 +1,524 @@
+/**
+ * Simplified Chinese Messages
+ * Keys match en.js; see there for what each message is used for.
+ */
+
+export default {
+  // Page
+  'page.title': '债券估值计算器 | CFA Institute',
+  'skip.label': '跳转链接',
+  'skip.calculator': '跳到计算器',
+  'skip.table': '跳到数据表',
+  'locale.group': '语言和货币',
+  'locale.language': '语言：',
+  'locale.currency': '货币：',
+
+  // Equation card
+  'equation.title': '债券估值公式',
+  'equation.intro': '公式 6 将附息债券的价格表示为：',
+  'equation.formGroup': '公式形式',
+  'equation.symbolic': '符号',
+  'equation.numeric': '当前数值',
+  'equation.region': '债券估值公式',
+  'equation.couponBond': '附息债券',
+  'equation.description': '该公式将附息债券的价格表示为全部票息与面值按到期收益率折现后的现值之和。',
+  'equation.invalid': '请更正输入，以在公式中查看其数值。',
+  'equation.unavailable': '当前债券无法用此公式定价。{limitation}',
+  'equation.settlement': '这是上一付息日的价格。按 r 增长至结算日，全价为 {price}。',
+  'equation.substituted': '代入当前数值的债券估值公式：{equation}。',
+  'math.equals': '等于',
+  'math.plus': '加',
+  'math.minus': '减',
+  'math.times': '乘以',
+  'math.dividedBy': '除以',
+  'math.approximately': '约等于',
+  'math.fraction': '{numerator}除以{denominator}',
+  'math.power': '{base}的{exponent}次方',
+  'math.quantity': '括号内{expression}，',
+
+  // Results card
+  'results.cardTitle': '结果与分析',
+  'results.priceTitle': '债券价格（现值）',
+  'results.perPar': '每 {par} 面值',
+  'results.fullPricePerPar': '每 {par} 面值的全价',
+  'results.flatPrice': '净价：{price}',
+  'results.accruedInterest': '应计利息：{amount}（{days}/{daysInPeriod} 天，{dayCount}）',
+  'results.settlementDates': '结算日 {settlement}；上一付息日 {lastCoupon}',
+  'results.equivalentYieldTitle': '等价到期收益率',
+  'results.impliedYieldTitle': '隐含到期收益率',
+  'results.spotYieldNote': '得出即期利率曲线价格的单一收益率。',
+  'results.iterations': { other: '迭代 {count} 次求解' },
+  'results.discountMargin': '贴现利差：参考利率 {rate} 之上 {margin}',
+  'results.callTitle': '赎回收益率',
+  'results.ytm': '到期收益率',
+  'results.yieldToFirstCall': '首次赎回收益率（第 {year} 年，价格 {price}）',
+  'results.yieldToCall': '赎回收益率（第 {year} 年，价格 {price}）',
+  'results.notSolved': '未求出',
+  'results.ytw': '最差收益率',
+  'results.worstCalled': '最差情形：第 {year} 年以 {price} 赎回',
+  'results.worstHeld': '最差情形：持有至到期',
+  'results.analysisTitle': '溢价—折价分析',
+  'results.bondType.par': '平价债券',
+  'results.bondType.premium': '溢价债券',
+  'results.bondType.discount': '折价债券',
+  'results.parAnalysis': '按面值交易。票面利率 ≈ 到期收益率（{ytm}）',
+  'results.premiumAnalysis': '高于面值 {amount} 交易。票面利率（{coupon}）> 到期收益率（{ytm}）',
+  'results.discountAnalysis': '低于面值 {amount} 交易。到期收益率（{ytm}）> 票面利率（{coupon}）',
+  'results.parFloatingAnalysis': '按面值交易。报价利差（{quoted}）≈ 贴现利差（{discount}）',
+  'results.premiumFloatingAnalysis': '高于面值 {amount} 交易。报价利差（{quoted}）> 贴现利差（{discount}）',
+  'results.discountFloatingAnalysis': '低于面值 {amount} 交易。贴现利差（{discount}）> 报价利差（{quoted}）',
+  'results.pvCoupons': '票息现值：{amount}',
+  'results.pvPrincipal': '本金现值：{amount}',
+  'results.pvFace': '面值现值：{amount}',
+  'results.margin': '{margin} 个基点',
+  'results.riskTitle': '风险指标',
+  'results.macaulayDuration': '麦考利久期',
+  'results.years': '{years} 年',
+  'results.modifiedDuration': '修正久期',
+  'results.approximateDuration': '近似久期',
+  'results.convexity': '凸性',
+  'results.pvbp': '基点价值（每 1 个基点）',
+  'results.comparingTitle': '比较 {count} 只债券',
+  'results.terms': '条款',
+  'results.pvBondPrice': '债券价格（现值）',
+  'results.notCallable': '不可赎回',
+  'results.premiumDiscount': '溢价/折价',
+  'results.parAmount': '平价',
+  'results.premiumAmount': '溢价 {amount}',
+  'results.discountAmount': '折价 {amount}',
+  'results.comparisonCaption': '各债券的价格、收益率和风险指标，每只债券一列',
+  'working.show': '显示计算过程',
+  'working.title': '详细解答',
+  'working.limitation.spot': '每笔现金流按各自的即期利率折现，因此没有单一的 r 可代入。表格视图显示每笔付款所用的利率和折现因子。',
+  'working.limitation.amortizing': '本金在到期前偿还，因此票息不是等额年金，FV 也不是一次性偿还。表格视图显示每笔付款的现值。',
+  'working.notApplicable': '年金加一次性偿还的公式不适用于此债券。{limitation}',
+  'working.intro': '将 PMT = {PMT}（每期票息）、r = {r}（每期利率）、T = {T}（期数）和 FV = {FV}（面值）代入债券估值公式：',
+  'working.step.rate': '每期利率',
+  'working.step.annuity': '年金因子',
+  'working.step.pvCoupons': '票息现值',
+  'working.step.discount': '折现因子',
+  'working.step.pvFace': '面值现值',
+  'working.step.price': '价格',
+  'working.step.fullPrice': '结算日全价',
+  'working.note.floatingRate': '年利率为参考利率加折现边际，按等长期间支付。',
+  'working.note.rate': '年到期收益率平均分配到一年内的各次付款。',
+  'working.note.zeroAnnuity': '不折现时，年金因子等于付款次数。',
+  'working.note.annuity': '在 T 期中每期期末支付 1 的今日价值。',
+  'working.note.discount': '在 T 期后支付 1 的今日价值。',
+  'working.note.lastCoupon': '于上一付息日。',
+  'working.note.elapsed': '当前付息期已过去 {percent}。',
+
+  // Saved scenarios
+  'scenarios.title': '已保存的情景',
+  'scenarios.nameLabel': '名称：',
+  'scenarios.namePlaceholder': '例如：教材例题 1',
+  'scenarios.save': '保存当前输入',
+  'scenarios.empty': '尚无已保存的情景。情景保存在此浏览器中。',
+  'scenarios.list': '已保存的情景',
+  'scenarios.defaultName': '情景 {number}',
+  'scenarios.copyName': '{name}（副本）',
+  'scenarios.summary': '{terms}：{price}，到期收益率 {ytm}',
+  'scenarios.actions': '{name} 的操作',
+  'scenarios.action': '{action} {name}',
+  'scenarios.load': '载入',
+  'scenarios.compare': '比较',
+  'scenarios.rename': '重命名',
+  'scenarios.duplicate': '复制',
+  'scenarios.delete': '删除',
+  'scenarios.newName': '{name} 的新名称',
+
+  // Bond comparison
+  'comparison.title': '比较债券',
+  'comparison.add': '添加当前债券',
+  'comparison.show': '显示比较',
+  'comparison.hide': '隐藏比较',
+  'comparison.empty': '从当前输入或已保存的情景中添加二至四只债券，并排查看其结果、现金流和计划表。',
+  'comparison.list': '待比较的债券',
+  'comparison.defaultName': '债券 {number}',
+  'comparison.remove': '移除',
+  'comparison.removeLabel': '从比较中移除 {name}',
+  'comparison.unavailable': '比较债券时不可用',
+
+  // Practice
+  'practice.title': '练习',
+  'practice.question': '题型：',
+  'practice.mixed': '混合',
+  'practice.price': '价格',
+  'practice.type': '溢价或折价',
+  'practice.pvCoupons': '票息现值',
+  'practice.new': '新题目',
+  'practice.empty': '用随机生成的债券练习：算出答案并检查，遇到困难时可查看提示或详细解答。',
+  'practice.check': '检查答案',
+  'practice.hint': '提示',
+  'practice.reveal': '显示答案',
+  'practice.load': '在计算器中尝试',
+  'practice.hints': '提示',
+  'practice.worked': '详细解答',
+  'practice.prompt.price': '该债券的价格是多少？',
+  'practice.prompt.type': '该债券是溢价、折价还是平价交易？',
+  'practice.prompt.pvCoupons': '票息支付的现值是多少？',
+  'practice.problem': '一只面值为 {face} 的债券，票面利率为 {coupon}（{payments}），{years}后到期。其到期收益率为 {ytm}。{prompt}',
+  'practice.payments': { other: '每年付息 {count} 次' },
+  'practice.score': '得分：{correct} / {attempted}',
+  'practice.scoreEmpty': '得分：0 / 0',
+  'practice.answer': '答案：',
+  'practice.answerWithin': '答案（误差不超过 {tolerance}）：',
+  'practice.choice.premium': '溢价',
+  'practice.choice.discount': '折价',
+  'practice.choice.par': '平价',
+  'practice.feedback.correct': '正确！',
+  'practice.feedback.incorrect': '不太对。请再试一次，或查看提示。',
+  'practice.feedback.incorrectRevealed': '不太对。',
+  'practice.feedback.invalidChoice': '请选择溢价、折价或平价。',
+  'practice.feedback.invalidNumber': '请以数字形式输入答案，例如 {example}。',
+  'practice.hint.compare': '比较票面利率与到期收益率。',
+  'practice.hint.premium': '票息高于市场收益率的债券，价值高于其面值。',
+  'practice.hint.coupon': { other: '{periods} 次付款中，每次包含票息 {coupon} ÷ {frequency} × {face} = {payment}。' },
+  'practice.hint.rate': '按每期收益率 {ytm} ÷ {frequency} = {rate} 折现。',
+  'practice.hint.annuity': '票息构成年金：PV = C × [1 − (1 + r)^−N] ÷ r。',
+  'practice.hint.price': { other: '价格 = 票息现值 + {periods} 期后偿还的 {face} 的现值。' },
+  'practice.step.coupon': '每期票息：C = {coupon} ÷ {frequency} × {face} = {payment}。',
+  'practice.step.rate': { other: '每期收益率：r = {ytm} ÷ {frequency} = {rate}，共 N = {periods} 期。' },
+  'practice.step.pvCoupons': '票息现值 = {payment} × [1 − (1 + {rate})^−{periods}] ÷ {rate} = {pv}。',
+  'practice.step.pvFace': '面值现值 = {face} ÷ (1 + {rate})^{periods} = {pv}。',
+  'practice.step.price': '价格 = {pvCoupons} + {pvFace} = {price}。',
+  'practice.step.above': '价格高于 {face} 的面值，因为 {coupon} 的票面利率高于 {ytm} 的收益率。',
+  'practice.step.below': '价格低于 {face} 的面值，因为 {coupon} 的票面利率低于 {ytm} 的收益率。',
+  'practice.step.equal': '价格等于 {face} 的面值，因为 {coupon} 的票面利率等于 {ytm} 的收益率。',
+  'practice.step.answer': '答案：{answer}。',
+
+  // Visualizer
+  'visualizer.title': '债券现金流：{frequency}',
+  'visualizer.comparisonTitle': '债券现金流：比较 {count} 只债券',
+  'legend.initialPurchase': '初始购买',
+  'legend.coupon': '票息支付',
+  'legend.principal': '本金偿还',
+  'legend.carryingValue': '账面价值',
+  'legend.presentValue': '现值',
+  'legend.bondPrice': '债券价格',
+  'legend.durationTangent': '久期切线',
+  'legend.parValue': '面值',
+  'legend.currentYield': '当前收益率',
+  'view.group': '视图模式：在图表、价格—收益率曲线和表格之间切换',
+  'view.chart': '显示图表',
+  'view.curve': '显示价格—收益率',
+  'view.table': '显示表格',
+  'view.amortization': '显示摊销',
+  'view.unavailable': '此屏幕尺寸下无法使用图表视图',
+  'options.carryingValue': '显示账面价值（向面值收敛）',
+  'options.presentValues': '显示现值',
+  'options.worstCase': '显示最差赎回情形（最差收益率）',
+  'export.chartLabel': '下载图表：',
+  'export.png': 'PNG 图片',
+  'export.svg': 'SVG（矢量）',
+  'export.pngName': 'PNG 图片',
+  'export.svgName': 'SVG',
+  'export.label': '导出当前债券：',
+  'export.csv': 'CSV',
+  'export.xlsx': 'Excel (.xlsx)',
+  'export.report': '生成报告',
+  'export.sheetName': '现金流',
+  'export.title': '债券现金流表',
+  'export.exported': '导出时间',
+  'export.inputs': '输入',
+  'export.results': '结果',
+  'export.faceValue': '面值',
+  'export.frequency': '每年付息次数',
+  'export.structure': '债券结构',
+  'export.couponType': '票息类型',
+  'export.referenceRate': '参考利率（%）',
+  'export.quotedMargin': '报价利差（基点）',
+  'export.discountMargin': '折现利差（基点）',
+  'export.projectedRate': '预计票面利率（%）',
+  'export.couponRate': '票面利率（%）',
+  'export.price': '报价净价（每 100 面值）',
+  'export.spotRates': '即期利率（年:利率 %）',
+  'export.settlementDate': '结算日',
+  'export.maturityDate': '到期日',
+  'export.dayCount': '计息基准',
+  'export.years': '剩余年限',
+  'export.sinkingSchedule': '偿债基金（年:面值 %）',
+  'export.callSchedule': '赎回计划（年:价格）',
+  'export.ytm': '到期收益率（%）',
+  'export.periodicYield': '每期收益率',
+  'export.periodicCoupon': '每期票息',
+  'export.fullPrice': '全价（全部现金流的现值）',
+  'export.bondPrice': '债券价格（全部现金流的现值）',
+  'export.accruedInterest': '应计利息',
+  'export.flatPrice': '净价',
+  'export.pvCoupons': '票息现值',
+  'export.pvPrincipal': '本金现值',
+  'export.pvFace': '面值现值',
+  'export.column.period': '期数',
+  'export.column.date': '日期',
+  'export.column.time': '时间（期）',
+  'export.column.year': '年份',
+  'export.column.couponPayment': '票息支付',
+  'export.column.principalPayment': '本金偿还',
+  'export.column.totalCashFlow': '总现金流',
+  'export.column.outstandingPrincipal': '未偿本金',
+  'export.column.spotRate': '即期利率（%）',
+  'export.column.discountFactor': '折现因子',
+  'export.column.presentValue': '现金流现值',
+  'export.column.cumulativePV': '累计现值',
+
+  // Cash flow chart
+  'chart.descriptionTitle': '债券现金流随时间变化',
+  'chart.description': '此图表显示一项债券投资的完整现金流时间线。第 0 期的初始购买价格显示为负现金流（支出）。' +
+    '之后每个付息期，债券支付以蓝色显示的票息。到期日收到最后一笔票息和本金偿还（以青色显示）。' +
+    '堆叠柱形显示每期票息与本金如何合计。使用方向键在数据点之间移动，收听每期的具体数值。',
+  'chart.principalRepayment': '本金偿还',
+  'chart.couponPayment': '票息支付',
+  'chart.presentValue': '现值',
+  'chart.carryingValue': '账面价值',
+  'chart.tooltipPeriod': '期间：{years} 年',
+  'chart.discountFactor': '贴现因子 {factor}',
+  'chart.total': '合计：{amount}',
+  'chart.yearsAxis': '年（{frequency}）',
+  'chart.tooltipBreakdown': '票息 {coupon}，本金 {principal}',
+  'chart.years': '年',
+  'chart.roleDescription': '交互式图表',
+  'chart.instructions': '交互式图表。按 Enter 键聚焦，然后使用方向键浏览数据点。',
+  'chart.announcePeriod': '第 {years} 年。',
+  'chart.announceBond': '{name}：{amount}。',
+  'chart.announceNoPayment': '{name}：无支付。',
+  'chart.announceCoupon': '票息支付：{amount}。',
+  'chart.announcePrincipal': '本金偿还：{amount}。',
+  'chart.announceTotal': '合计：{amount}。',
+  'chart.announcePresentValue': '现值：{amount}（贴现因子 {factor}）。',
+  'chart.announceCarryingValue': '账面价值：{amount}。',
+
+  // Price-yield curve
+  'curve.descriptionTitle': '不同收益率下的债券价格',
+  'curve.description': '此图表按当前票面利率和期限，绘制一系列到期收益率下的债券价格。收益率上升时价格下降，' +
+    '曲线向上弯曲，位于经过当前收益率和价格的久期切线之上；这一差距就是凸性。水平线标出面值，' +
+    '突出显示的点标出当前收益率和价格。使用方向键沿曲线移动，收听每个收益率下的价格。',
+  'curve.instructions': '交互式价格-收益率图表。按 Enter 键聚焦，然后使用方向键查看各收益率下的价格。',
+  'curve.currentPoint': '当前收益率和价格',
+  'curve.tooltipYield': '收益率：{ytm}',
+  'curve.yieldAxis': '到期收益率（%）',
+  'curve.priceAxis': '债券价格',
+  'curve.pointLabel': '{ytm}，{price}',
+  'curve.atPar': '平价',
+  'curve.abovePar': '高于面值 {amount}',
+  'curve.belowPar': '低于面值 {amount}',
+  'curve.announce': '收益率 {ytm}。价格：{price}，{relativeToPar}。凸性使价格比久期估计高出 {convexity}。',
+
+  // Cash flow table
+  'table.caption': '债券现金流计划表，显示期数、票息支付、本金偿还、总现金流，以及每笔现金流的贴现因子、现值和累计现值',
+  'table.period': '期数（{period}）',
+  'table.date': '日期',
+  'table.year': '年',
+  'table.couponPayment': '票息支付',
+  'table.principalRepayment': '本金偿还',
+  'table.totalCashFlow': '总现金流',
+  'table.outstandingPrincipal': '未偿本金',
+  'table.projectedRate': '预测票面利率',
+  'table.spotRate': '即期利率',
+  'table.discountFactor': '贴现因子',
+  'table.presentValue': '现金流现值',
+  'table.cumulativePV': '累计现值',
+  'table.sumOfPVs': '现金流现值合计：',
+  'table.fullPrice': '全价：',
+  'table.bondPrice': '债券价格：',
+  'table.difference': '差额（现值合计减价格）：',
+  'table.lessAccrued': '减应计利息（{days}/{daysInPeriod} 天，{dayCount}）：',
+  'table.flatPrice': '净价：',
+  'table.label': '债券现金流表',
+  'table.loaded': '表格视图已载入债券现金流。',
+  'table.note': '注：括号中的数值表示负现金流（流出）。',
+  'table.comparisonCaption': '按时间顺序排列的所比较债券现金流，显示年份、债券、期数、票息支付、本金偿还和总现金流',
+  'table.bond': '债券',
+  'table.periodNumber': '期数',
+  'table.comparisonPrice': '{name} 价格（全部现金流的现值）：',
+  'table.comparisonFullPrice': '{name} 全价（全部现金流的现值）：',
+  'table.comparisonLabel': '比较 {count} 只债券的现金流表',
+
+  // Amortization schedule
+  'amortization.caption': '摊销计划表，显示每期的期初账面价值、按到期收益率计算的利息收入、收到的票息、' +
+    '摊销的溢价或折价，以及期末账面价值',
+  'amortization.startValue': '账面价值（期初）',
+  'amortization.interest': '按到期收益率计算的利息',
+  'amortization.coupon': '收到的票息',
+  'amortization.amortization': '摊销额',
+  'amortization.principal': '偿还的本金',
+  'amortization.endValue': '账面价值（期末）',
+  'amortization.totals': '合计：',
+  'amortization.premium': '购买时的溢价（价格 {price} 减面值 {par}）：',
+  'amortization.discount': '购买时的折价（价格 {price} 减面值 {par}）：',
+  'amortization.premiumFullPrice': '购买时的溢价（全价 {price} 减面值 {par}）：',
+  'amortization.discountFullPrice': '购买时的折价（全价 {price} 减面值 {par}）：',
+  'amortization.label': '溢价和折价摊销计划表',
+  'amortization.note': '注：采用实际利率法。正摊销额减少溢价；负摊销额累积折价。',
+
+  // Calculator inputs
+  'calculator.title': '债券现金流计算器',
+  'input.faceValue': '面值（1-1,000,000）：',
+  'input.frequency': '付息频率：',
+  'input.couponType': '票息：',
+  'input.structure': '债券结构：',
+  'input.help': '输入数值后，计算器会自动更新结果和图表。',
+  'input.couponRate': '票面利率（0-10）：',
+  'input.ytm': '到期收益率（0-10）：',
+  'input.years': '剩余年限（1-5）：',
+  'input.price': '每 100 面值价格（50-150）：',
+  'input.spotRates': '即期利率（%）：',
+  'input.spotRatesHelp': '每期一个利率（例如 5.0, 5.2, 5.4），或用于插值的 年:利率 对（例如 1:5.2, 5:6.5）。',
+  'input.referenceRate': '参考利率（0-10）：',
+  'input.quotedMargin': '报价利差（0-500）：',
+  'input.discountMargin': '贴现利差（0-500）：',
+  'input.sinkingSchedule': '偿债基金（面值的 %）：',
+  'input.sinkingScheduleHelp': '到期前赎回的 年:百分比 对（例如 2:20, 3:20）；其余部分在到期时偿还。',
+  'input.useDates': '按结算日定价',
+  'input.settlementDate': '结算日：',
+  'input.maturityDate': '到期日：',
+  'input.dayCount': '计息基准：',
+  'input.callable': '可赎回债券',
+  'input.callSchedule': '赎回计划（每 100 面值价格）：',
+  'input.callScheduleHelp': '付息日的 年:价格 对（例如 3:102 表示 3 年后可按 102 赎回）。',
+  'unit.bp': '基点',
+  'frequency.1': '年付',
+  'frequency.2': '半年付',
+  'frequency.4': '季付',
+  'frequency.12': '月付',
+  'frequency.other': '每年 {frequency} 次',
+  'period.1': '年',
+  'period.2': '半年',
+  'period.4': '季度',
+  'period.12': '月',
+  'period.other': '期',
+  'couponType.fixed': '固定利率',
+  'couponType.floating': '浮动利率（FRN）',
+  'structure.bullet': '到期一次还本',
+  'structure.zero': '零息',
+  'structure.amortizing': '分期摊还（等额支付）',
+  'structure.sinking': '偿债基金',
+  'dayCount.actual': '实际/实际',
+  'mode.label': '输入：',
+  'mode.yield': '收益率（求价格）',
+  'mode.price': '价格（求收益率）',
+  'mode.spot': '即期利率曲线（同时求两者）',
+  'terms.floating': '浮动利率',
+  'terms.zero': '零息',
+  'terms.coupon': '票面利率 {rate}',
+  'terms.matures': '{date} 到期',
+  'terms.years': { other: '{years} 年' },
+
+  // Validation
+  'validation.title': '请更正以下内容：',
+  'validation.field.faceValue': '面值',
+  'validation.field.frequency': '付息频率',
+  'validation.field.couponRate': '票面利率',
+  'validation.field.ytm': '到期收益率',
+  'validation.field.years': '剩余年限',
+  'validation.field.price': '债券价格',
+  'validation.field.referenceRate': '参考利率',
+  'validation.field.quotedMargin': '报价利差（基点）',
+  'validation.field.discountMargin': '贴现利差（基点）',
+  'validation.required': '{field}为必填项',
+  'validation.min': '{field}不能小于 {min}',
+  'validation.max': '{field}不能大于 {max}',
+  'validation.options': '{field}必须是 {options} 之一',
+  'validation.type.number': '{field} 必须是数字',
+  'validation.type.boolean': '{field} 必须是布尔值',
+  'validation.type.string': '{field} 必须是文本',
+  'validation.schedule': '{field}必须是整数个付息期（{step} 的倍数）',
+  'validation.settlementRequired': '结算日为必填项',
+  'validation.maturityRequired': '到期日为必填项',
+  'validation.maturityAfterSettlement': '到期日必须晚于结算日',
+  'validation.maturityMax': '到期日不能晚于结算日后 {years} 年',
+  'validation.spotEmpty': '请至少输入一个即期利率',
+  'validation.spotNumbers': '即期利率必须为数字',
+  'validation.spotPairs': '请使用 年:利率 格式，例如 1:5.2',
+  'validation.spotTenors': '期限必须为正且递增',
+  'validation.spotRange': '即期利率必须介于 {min} 和 {max} 之间',
+  'validation.sinkingEmpty': '请至少输入一项 年:百分比 赎回',
+  'validation.sinkingPairs': '请使用 年:百分比 格式，例如 3:20',
+  'validation.sinkingPercent': '赎回百分比必须大于 0',
+  'validation.sinkingDate': '第 {year} 年不是付息日',
+  'validation.sinkingMaturity': '第 {year} 年必须早于到期（{years} 年）',
+  'validation.sinkingTotal': '赎回总额必须少于面值的 100%',
+  'validation.callEmpty': '请至少输入一个 年:价格 赎回日',
+  'validation.callPairs': '请使用 年:价格 格式，例如 3:102',
+  'validation.callDate': '赎回年份 {year} 不是付息日',
+  'validation.callMaturity': '赎回年份 {year} 必须早于到期（{years} 年）',
+  'validation.callDuplicate': '赎回年份 {year} 重复列出',
+  'validation.callPrice': '赎回价格必须介于 {min} 和 {max} 之间',
+  'validation.yieldSolve': '无法求解收益率：{reason}',
+  'validation.spotYieldSolve': '无法求解等效收益率：{reason}',
+  'validation.solver.price': '价格必须为正数',
+  'validation.solver.flows': '现金流必须为非负数',
+  'validation.solver.priceHigh': '价格超出求解器可达范围',
+  'validation.solver.priceLow': '价格过低，无法得到任何正收益率',
+  'validation.solver.iterations': '求解器在 {iterations} 次迭代内未收敛',
+
+  // Report
+  'report.print': '打印或另存为 PDF',
+  'report.close': '关闭报告',
+  'report.title': '债券估值报告',
+  'report.generated': '生成于 {date}',
+  'report.results': '结果与分析',
+  'report.cashFlows': '债券现金流',
+  'report.schedule': '现金流表',
+  'report.chartAlt': '债券现金流柱状图：第 0 期支付的购买价格，以及此后每期收到的票息和本金。现金流表列出了相同的数值。',
+
+  // Screen reader announcements
+  'announce.locale': '语言已设为{language}。金额以{currency}显示。',
+  'announce.linkRejected': '链接中的部分数值无效，已被重置：{messages}',
+  'announce.scenarioInvalid': '请先更正输入，再保存情景。',
+  'announce.scenarioNotSaved': '无法保存情景。浏览器存储可能已满或已禁用。',
+  'announce.scenarioSaved': '已保存情景 {name}。',
+  'announce.scenarioLoaded': '已载入情景 {name}。',
+  'announce.scenarioNotComparable': '情景 {name} 含有无效数值，无法比较。',
+  'announce.scenarioRenamed': '情景已重命名为 {name}。',
+  'announce.scenarioDuplicated': '已复制为 {name}。',
+  'announce.scenarioDeleted': '已删除情景 {name}。',
+  'announce.comparisonInvalid': '请先更正输入，再将债券加入比较。',
+  'announce.comparisonFull': '最多可比较 {max} 只债券。请先移除一只。',
+  'announce.comparisonError': '无法为 {name} 定价：{message}',
+  'announce.comparisonAdded': '已将 {name} 加入比较（{count}/{max}）。',
+  'announce.comparisonRemoved': '已从比较中移除 {name}。',
+  'announce.comparisonShown': '正在比较 {count} 只债券。结果、图表和表格并排显示各债券。',
+  'announce.comparisonHidden': '已隐藏比较。显示当前债券。',
+  'announce.practiceProblem': '新题目。{problem}',
+  'announce.practiceScore': '{feedback} 得分：{correct}/{attempted}。',
+  'announce.practiceHint': '提示 {number}：{hint}',
+  'announce.practiceRevealed': '已显示详细解答。',
+  'announce.practiceLoaded': '已将练习债券载入计算器。',
+  'announce.equationSymbolic': '公式以符号显示。',
+  'announce.equationNumeric': '公式代入当前数值显示。',
+  'announce.workingShown': '详细解答显示在结果下方。',
+  'announce.workingHidden': '已隐藏详细解答。',
+  'announce.exportInvalid': '请先更正输入，再导出计划表。',
+  'announce.exported': '现金流计划表已导出为 {name}。',
+  'announce.exportError': '无法导出计划表：{message}',
+  'announce.chartDownloaded': '图表已下载为 {name}。',
+  'announce.chartMissing': '没有可下载的图表。请先更正输入。',
+  'announce.chartError': '无法下载图表：{message}',
+  'announce.reportInvalid': '请先更正输入，再生成报告。',
+  'announce.reportReady': '报告已生成。使用“打印或另存为 PDF”，或“关闭报告”返回。',
+  'announce.floatingRate': '浮动利率票据。票息为参考利率加报价利差，按参考利率加贴现利差贴现。',
+  'announce.fixedRate': '固定利率债券。',
+  'announce.structure.bullet': '到期一次还本债券。本金在到期时偿还。',
+  'announce.structure.zero': '零息债券。不支付票息。',
+  'announce.structure.amortizing': '分期摊还债券。等额支付在期限内偿还本金。',
+  'announce.structure.sinking': '偿债基金债券。请输入计划赎回。',
+  'announce.datesOn': '已开启按结算日定价。剩余年限由日期确定。',
+  'announce.datesOff': '已关闭按结算日定价。',
+  'announce.worstCaseOff': '图表显示持有至到期的现金流。',
+  'announce.worstCaseCalled': '图表显示第 {year} 年被赎回时的现金流。',
+  'announce.worstCaseHeld': '最差情形为持有至到期。',
+  'announce.callableOn': '可赎回债券。赎回收益率和最差收益率随结果显示。',
+  'announce.callableOff': '已关闭可赎回。',
+  'announce.mode.yield': '收益率输入模式。输入收益率以求价格。',
+  'announce.mode.price': '价格输入模式。输入价格以求到期收益率。',
+  'announce.mode.spot': '即期利率曲线输入模式。输入即期利率以求价格和等价收益率。',
+  'announce.view.chart': '图表视图已启用',
+  'announce.view.curve': '价格—收益率曲线视图已启用',
+  'announce.view.table': '表格视图已启用',
+  'announce.view.amortization': '摊销计划表视图已启用',
+  'announce.carryingShown': '已显示账面价值。它在到期时收敛于面值。',
+  'announce.carryingHidden': '已隐藏账面价值。',
+  'announce.presentValuesShown': '每笔现金流旁显示现值。现值合计即为价格。',
+  'announce.presentValuesHidden': '已隐藏现值。'
+};
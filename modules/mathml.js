@@ -0,0 +1,279 @@
+/**
+ * MathML Module
+ * Builds equations as small expression trees and renders them as MathML,
+ * as HTML (for browsers without MathML) or as a sentence for screen readers
+ */
+
+import { t } from './i18n.js';
+
+const MATHML_NS = 'http://www.w3.org/1998/Math/MathML';
+
+/**
+ * Identifier (such as PMT or r)
+ * @param {string} name - Identifier
+ * @param {Object} style - { color, bold } (optional)
+ * @returns {Object} Expression node
+ */
+export function identifier(name, style = {}) {
+  return { type: 'mi', text: name, ...style };
+}
+
+/**
+ * Number
+ * @param {number|string} value - Number, or text already formatted
+ * @param {Object} style - { color, bold } (optional)
+ * @returns {Object} Expression node
+ */
+export function number(value, style = {}) {
+  return { type: 'mn', text: String(value), ...style };
+}
+
+/**
+ * Operator (such as =, + or ×)
+ * @param {string} symbol - Operator
+ * @returns {Object} Expression node
+ */
+export function operator(symbol) {
+  return { type: 'mo', text: symbol };
+}
+
+/**
+ * Text
+ * @param {string} value - Text
+ * @param {Object} style - { color, bold } (optional)
+ * @returns {Object} Expression node
+ */
+export function text(value, style = {}) {
+  return { type: 'mtext', text: value, ...style };
+}
+
+/**
+ * Row of expressions read left to right
+ * @param {...Object} children - Expression nodes
+ * @returns {Object} Expression node
+ */
+export function row(...children) {
+  return { type: 'mrow', children };
+}
+
+/**
+ * Fraction
+ * @param {Object} numerator - Expression node
+ * @param {Object} denominator - Expression node
+ * @returns {Object} Expression node
+ */
+export function fraction(numerator, denominator) {
+  return { type: 'mfrac', children: [numerator, denominator] };
+}
+
+/**
+ * Power
+ * @param {Object} base - Expression node
+ * @param {Object} exponent - Expression node
+ * @returns {Object} Expression node
+ */
+export function power(base, exponent) {
+  return { type: 'msup', children: [base, exponent] };
+}
+
+/**
+ * Subscript
+ * @param {Object} base - Expression node
+ * @param {Object} script - Expression node
+ * @returns {Object} Expression node
+ */
+export function subscript(base, script) {
+  return { type: 'msub', children: [base, script] };
+}
+
+/**
+ * Add MathML attributes to an expression (such as linethickness or class)
+ * The attributes only affect the MathML rendering.
+ * @param {Object} node - Expression node
+ * @param {Object} attributes - Attribute values by name
+ * @returns {Object} Expression node
+ */
+export function withAttributes(node, attributes) {
+  return { ...node, attributes: { ...node.attributes, ...attributes } };
+}
+
+/**
+ * Expression in brackets
+ * @param {Object} content - Expression node
+ * @param {string} open - Opening bracket
+ * @param {string} close - Closing bracket
+ * @returns {Object} Expression node
+ */
+export function group(content, open = '(', close = ')') {
+  return { type: 'group', children: [content], open, close };
+}
+
+/**
+ * Render an expression as a MathML element
+ * @param {Object} expression - Expression node
+ * @param {Object} options - { display: 'block' or 'inline', label: text alternative }
+ * @returns {Element} <math> element
+ */
+export function toMathML(expression, { display = 'inline', label = '' } = {}) {
+  const math = document.createElementNS(MATHML_NS, 'math');
+  math.setAttribute('display', display);
+  if (label) {
+    math.setAttribute('alttext', label);
+  }
+  math.appendChild(createNode(expression));
+  return math;
+}
+
+/**
+ * Create the MathML for an expression node
+ * @param {Object} node - Expression node
+ * @returns {Element} MathML element
+ */
+function createNode(node) {
+  if (node.type === 'group') {
+    return createNode(row(operator(node.open), ...node.children, operator(node.close)));
+  }
+
+  const element = document.createElementNS(MATHML_NS, node.type);
+
+  if (node.children) {
+    node.children.forEach(child => element.appendChild(createNode(child)));
+  } else {
+    element.textContent = node.text;
+  }
+
+  if (node.color) {
+    element.setAttribute('mathcolor', node.color);
+  }
+  if (node.bold) {
+    element.setAttribute('mathvariant', 'bold');
+  }
+  Object.entries(node.attributes || {}).forEach(([name, value]) => {
+    element.setAttribute(name, value);
+  });
+
+  return element;
+}
+
+// Operators written without surrounding spaces in HTML
+const TIGHT_OPERATORS = ['(', ')', '[', ']', '/'];
+
+/**
+ * Render an expression as HTML text with <sub> and <sup>
+ * Fractions are written inline as a/b, with compound operands in brackets.
+ * @param {Object} expression - Expression node
+ * @returns {Element} <span> element
+ */
+export function toHTML(expression) {
+  const span = document.createElement('span');
+  appendHTML(span, expression);
+  return span;
+}
+
+/**
+ * Append the HTML for an expression node
+ * @param {Element} parent - Element to append to
+ * @param {Object} node - Expression node
+ */
+function appendHTML(parent, node) {
+  switch (node.type) {
+    case 'mo':
+      parent.appendChild(document.createTextNode(
+        TIGHT_OPERATORS.includes(node.text) ? node.text : ` ${node.text} `
+      ));
+      return;
+    case 'mrow':
+      node.children.forEach(child => appendHTML(parent, child));
+      return;
+    case 'group':
+      appendHTML(parent, row(operator(node.open), ...node.children, operator(node.close)));
+      return;
+    case 'mfrac':
+      appendOperandHTML(parent, node.children[0]);
+      parent.appendChild(document.createTextNode('/'));
+      appendOperandHTML(parent, node.children[1]);
+      return;
+    case 'msup':
+    case 'msub': {
+      appendOperandHTML(parent, node.children[0]);
+      const script = document.createElement(node.type === 'msup' ? 'sup' : 'sub');
+      appendHTML(script, node.children[1]);
+      parent.appendChild(script);
+      return;
+    }
+    default: {
+      const span = document.createElement('span');
+      span.textContent = node.text;
+      if (node.color) {
+        span.style.color = node.color;
+      }
+      if (node.bold) {
+        span.className = 'bold';
+      }
+      parent.appendChild(span);
+    }
+  }
+}
+
+/**
+ * Append an operand, in brackets if it has more than one term
+ * @param {Element} parent - Element to append to
+ * @param {Object} node - Expression node
+ */
+function appendOperandHTML(parent, node) {
+  const compound = node.type === 'mrow' && node.children.length > 1;
+  appendHTML(parent, compound ? group(node) : node);
+}
+
+/**
+ * Message keys of the spoken words for operators
+ */
+const SPOKEN_OPERATORS = {
+  '=': 'math.equals',
+  '+': 'math.plus',
+  '-': 'math.minus',
+  '−': 'math.minus',
+  '×': 'math.times',
+  '÷': 'math.dividedBy',
+  '≈': 'math.approximately'
+};
+
+/**
+ * Describe an expression in words for screen readers, in the language in use
+ * Fractions, powers and brackets with more than one term are read as
+ * "the quantity ..." so the grouping is not lost.
+ * @param {Object} node - Expression node
+ * @returns {string} Spoken form
+ */
+export function toSpeech(node) {
+  switch (node.type) {
+    case 'mo':
+      return SPOKEN_OPERATORS[node.text] ? t(SPOKEN_OPERATORS[node.text]) : node.text;
+    case 'mrow':
+      return node.children.map(toSpeech).join(' ');
+    case 'group':
+      return speakOperand(node.children[0]);
+    case 'mfrac':
+      return t('math.fraction', {
+        numerator: speakOperand(node.children[0]),
+        denominator: speakOperand(node.children[1])
+      });
+    case 'msup':
+      return t('math.power', { base: speakOperand(node.children[0]), exponent: speakOperand(node.children[1]) });
+    case 'msub':
+      return `${toSpeech(node.children[0])} ${toSpeech(node.children[1])}`;
+    default:
+      return node.text;
+  }
+}
+
+/**
+ * Describe an operand, marking compound expressions as one quantity
+ * @param {Object} node - Expression node
+ * @returns {string} Spoken form
+ */
+function speakOperand(node) {
+  const content = node.type === 'group' ? node.children[0] : node;
+  const compound = content.type === 'mrow' && content.children.length > 1;
+  return compound ? t('math.quantity', { expression: toSpeech(content) }) : toSpeech(content);
+}
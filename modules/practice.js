@@ -0,0 +1,389 @@
+/**
+ * Practice Module
+ * Generates random bond problems within the input validation ranges,
+ * grades answers with calculateBondMetrics and renders the practice panel
+ */
+
+import { $, createElement, formatCurrency } from './utils.js';
+import { calculateBondMetrics } from './calculations.js';
+import { VALIDATION_RULES } from './validation.js';
+import { t, formatNumber, formatPercent, parseNumber } from './i18n.js';
+
+/**
+ * Questions a problem can ask: the message keys of their label and prompt,
+ * and the (English) name recorded for the exercise
+ */
+export const QUESTIONS = {
+  price: { label: 'practice.price', prompt: 'practice.prompt.price', name: 'price' },
+  type: { label: 'practice.type', prompt: 'practice.prompt.type', name: 'premium or discount' },
+  pvCoupons: { label: 'practice.pvCoupons', prompt: 'practice.prompt.pvCoupons', name: 'PV of coupons' }
+};
+
+// Numeric answers within this much per 100 of face value are correct
+export const ANSWER_TOLERANCE = 0.05;
+
+const CLASSIFICATIONS = ['premium', 'discount', 'par'];
+
+// Rates are whole multiples of this many percentage points, above zero
+// (a zero coupon or yield makes the PV questions trivial)
+const RATE_STEP = 0.25;
+
+// Face values used in problems, where the face value range allows them
+const FACE_VALUES = [100, 1000, 10000];
+
+/**
+ * List the values of a field that are multiples of a step within its
+ * validation range
+ * @param {string} field - Field in VALIDATION_RULES
+ * @param {number} step - Step between values
+ * @returns {Array} Values from the smallest to the largest
+ */
+function getRangeValues(field, step) {
+  const { min, max } = VALIDATION_RULES[field];
+  const values = [];
+
+  for (let i = Math.ceil(min / step); i * step <= max + 1e-9; i++) {
+    values.push(Number((i * step).toFixed(6)));
+  }
+
+  return values;
+}
+
+/**
+ * Generate a random plain (fixed-coupon bullet) bond problem
+ * @param {string} question - Question from QUESTIONS (random when null)
+ * @param {Function} random - Random number generator returning [0, 1)
+ * @returns {Object} Problem as { id, question, inputs }
+ */
+export function generateProblem(question = null, random = Math.random) {
+  const pick = (values) => values[Math.floor(random() * values.length)];
+  const { min: minFace, max: maxFace } = VALIDATION_RULES.faceValue;
+
+  const inputs = {
+    faceValue: pick(FACE_VALUES.filter(value => value >= minFace && value <= maxFace)),
+    couponRate: pick(getRangeValues('couponRate', RATE_STEP).filter(value => value > 0)),
+    ytm: pick(getRangeValues('ytm', RATE_STEP).filter(value => value > 0)),
+    years: pick(getRangeValues('years', 1)),
+    frequency: pick(VALIDATION_RULES.frequency.options)
+  };
+  const asked = question || pick(Object.keys(QUESTIONS));
+
+  return {
+    id: [asked, inputs.faceValue, inputs.couponRate, inputs.ytm, inputs.years, inputs.frequency].join('-'),
+    question: asked,
+    inputs
+  };
+}
+
+/**
+ * Describe a problem's bond and question
+ * @param {Object} problem - Problem from generateProblem
+ * @returns {string} Problem statement
+ */
+export function describeProblem({ question, inputs }) {
+  const { faceValue, couponRate, ytm, years, frequency } = inputs;
+
+  return t('practice.problem', {
+    face: formatCurrency(faceValue),
+    coupon: formatRate(couponRate),
+    payments: t('practice.payments', { count: frequency }),
+    years: t('terms.years', { count: years, years: formatNumber(years, 0) }),
+    ytm: formatRate(ytm),
+    prompt: t(QUESTIONS[question].prompt)
+  });
+}
+
+/**
+ * Calculate the answer to a problem
+ * @param {Object} problem - Problem from generateProblem
+ * @returns {Object} { answer, calculations }: a number, or premium/discount/par
+ */
+export function solveProblem({ question, inputs }) {
+  const calculations = calculateBondMetrics(inputs);
+  const answers = {
+    price: calculations.bondPrice,
+    type: calculations.bondType.type,
+    pvCoupons: calculations.pvCoupons
+  };
+
+  return { answer: answers[question], calculations };
+}
+
+/**
+ * Grade an answer
+ * Numbers are read with the separators of the language in use and may
+ * include the currency symbol (see parseNumber).
+ * @param {Object} problem - Problem from generateProblem
+ * @param {string} answer - Answer as entered
+ * @returns {Object} { valid, correct, expected } or { valid: false, feedback, message }
+ */
+export function gradeAnswer(problem, answer) {
+  const { answer: expected } = solveProblem(problem);
+  const text = String(answer).trim().toLowerCase();
+
+  if (problem.question === 'type') {
+    if (!CLASSIFICATIONS.includes(text)) {
+      return { valid: false, feedback: 'invalidChoice', message: describeFeedback('invalidChoice') };
+    }
+    return { valid: true, correct: text === expected, expected };
+  }
+
+  const given = parseNumber(text);
+  if (!Number.isFinite(given)) {
+    return { valid: false, feedback: 'invalidNumber', message: describeFeedback('invalidNumber') };
+  }
+
+  const tolerance = ANSWER_TOLERANCE * problem.inputs.faceValue / 100;
+  return { valid: true, correct: Math.abs(given - expected) <= tolerance, expected };
+}
+
+/**
+ * Describe the outcome of checking an answer in the language in use
+ * @param {string} feedback - 'correct', 'incorrect', 'incorrectRevealed',
+ *   'invalidChoice' or 'invalidNumber'
+ * @returns {string} Feedback text
+ */
+export function describeFeedback(feedback) {
+  return t(`practice.feedback.${feedback}`, { example: formatNumber(1043.76) });
+}
+
+/**
+ * Hints for a problem, from a nudge to the method
+ * @param {Object} problem - Problem from generateProblem
+ * @returns {Array} Hint texts, to be shown one at a time
+ */
+export function getHints(problem) {
+  const { faceValue, couponRate, ytm, years, frequency } = problem.inputs;
+  const periods = years * frequency;
+
+  if (problem.question === 'type') {
+    return [t('practice.hint.compare'), t('practice.hint.premium')];
+  }
+
+  const hints = [
+    t('practice.hint.coupon', {
+      count: periods,
+      periods: formatNumber(periods, 0),
+      coupon: formatRate(couponRate),
+      frequency: formatNumber(frequency, 0),
+      face: formatCurrency(faceValue),
+      payment: formatCurrency(faceValue * couponRate / 100 / frequency)
+    }),
+    t('practice.hint.rate', {
+      ytm: formatRate(ytm),
+      frequency: formatNumber(frequency, 0),
+      rate: formatRate(ytm / frequency)
+    })
+  ];
+
+  if (problem.question === 'pvCoupons') {
+    hints.push(t('practice.hint.annuity'));
+  } else {
+    hints.push(t('practice.hint.price', {
+      count: periods,
+      periods: formatNumber(periods, 0),
+      face: formatCurrency(faceValue)
+    }));
+  }
+
+  return hints;
+}
+
+/**
+ * Work through a problem step by step
+ * @param {Object} problem - Problem from generateProblem
+ * @returns {Array} Steps, ending with the answer
+ */
+export function getWorkedSolution(problem) {
+  const { faceValue, couponRate, ytm, frequency } = problem.inputs;
+  const { answer, calculations } = solveProblem(problem);
+  const { periodicCoupon, periods, pvCoupons, pvFaceValue, bondPrice } = calculations;
+  const r = formatRate(ytm / frequency);
+  const periodsText = formatNumber(periods, 0);
+
+  const steps = [
+    t('practice.step.coupon', {
+      coupon: formatRate(couponRate),
+      frequency: formatNumber(frequency, 0),
+      face: formatCurrency(faceValue),
+      payment: formatCurrency(periodicCoupon)
+    }),
+    t('practice.step.rate', {
+      ytm: formatRate(ytm),
+      frequency: formatNumber(frequency, 0),
+      rate: r,
+      count: periods,
+      periods: periodsText
+    }),
+    t('practice.step.pvCoupons', {
+      payment: formatCurrency(periodicCoupon),
+      rate: r,
+      periods: periodsText,
+      pv: formatCurrency(pvCoupons)
+    })
+  ];
+
+  if (problem.question === 'pvCoupons') {
+    return [...steps, t('practice.step.answer', { answer: formatCurrency(answer) })];
+  }
+
+  steps.push(
+    t('practice.step.pvFace', {
+      face: formatCurrency(faceValue),
+      rate: r,
+      periods: periodsText,
+      pv: formatCurrency(pvFaceValue)
+    }),
+    t('practice.step.price', {
+      pvCoupons: formatCurrency(pvCoupons),
+      pvFace: formatCurrency(pvFaceValue),
+      price: formatCurrency(bondPrice)
+    })
+  );
+
+  if (problem.question === 'price') {
+    return [...steps, t('practice.step.answer', { answer: formatCurrency(answer) })];
+  }
+
+  const comparison = couponRate > ytm ? 'above' : couponRate < ytm ? 'below' : 'equal';
+  return [
+    ...steps,
+    t(`practice.step.${comparison}`, {
+      face: formatCurrency(faceValue),
+      coupon: formatRate(couponRate),
+      ytm: formatRate(ytm)
+    }),
+    t('practice.step.answer', { answer: t(`practice.choice.${answer}`).toLowerCase() })
+  ];
+}
+
+/**
+ * Format a rate in percent without trailing zeros
+ * @param {number} rate - Rate in percent
+ * @returns {string} Rate to at most four decimals
+ */
+function formatRate(rate) {
+  return formatPercent(rate, 4, { minimumFractionDigits: 0 });
+}
+
+/**
+ * Render the practice panel
+ * @param {Object|null} session - Practice session from state (see state.js)
+ */
+export function renderPractice(session) {
+  const form = $('#practice-form');
+  const field = $('#practice-answer-field');
+
+  if (!form || !field) {
+    console.error('Practice panel not found');
+    return;
+  }
+
+  const problem = session && session.problem;
+  $('#practice-empty').hidden = Boolean(problem);
+  form.hidden = !problem;
+  $('#practice-score').textContent = session
+    ? t('practice.score', {
+      correct: formatNumber(session.correct, 0),
+      attempted: formatNumber(session.attempted, 0)
+    })
+    : t('practice.scoreEmpty');
+
+  if (!problem) return;
+
+  // Keep a typed answer while hints and feedback change (or the language does)
+  if (field.dataset.problemId !== problem.id) {
+    field.dataset.problemId = problem.id;
+    renderAnswerField(field, problem);
+  }
+  $('#practice-problem').textContent = describeProblem(problem);
+  translateAnswerField(field, problem);
+
+  const hints = getHints(problem);
+  const hintList = $('#practice-hints');
+  hintList.innerHTML = '';
+  hints.slice(0, session.hintsShown).forEach(hint => {
+    hintList.appendChild(createElement('li', {}, hint));
+  });
+  hintList.hidden = session.hintsShown === 0;
+
+  const feedback = $('#practice-feedback');
+  feedback.textContent = session.feedback ? describeFeedback(session.feedback) : '';
+  feedback.className = `practice-feedback${session.result ? (session.result.correct ? ' correct' : ' incorrect') : ''}`;
+
+  const steps = $('#practice-steps');
+  steps.innerHTML = '';
+  if (session.revealed) {
+    getWorkedSolution(problem).forEach(step => {
+      steps.appendChild(createElement('li', {}, step));
+    });
+  }
+  $('#practice-worked').hidden = !session.revealed;
+
+  $('#practice-hint-btn').disabled = session.hintsShown >= hints.length;
+  $('#practice-reveal-btn').disabled = session.revealed;
+  $('#practice-load-btn').disabled = !session.scored;
+}
+
+/**
+ * Build the answer input for a problem: a number, or a choice of
+ * premium, discount or par
+ * @param {Element} field - Container for the answer input
+ * @param {Object} problem - Problem from generateProblem
+ */
+function renderAnswerField(field, problem) {
+  field.innerHTML = '';
+
+  if (problem.question === 'type') {
+    const group = createElement('fieldset', { className: 'practice-choices' });
+    group.appendChild(createElement('legend', { className: 'input-label-inline' }));
+    CLASSIFICATIONS.forEach(value => {
+      const label = createElement('label', { className: 'practice-choice' });
+      label.appendChild(createElement('input', { type: 'radio', name: 'practice-answer', value }));
+      label.appendChild(createElement('span', { 'data-choice': value }));
+      group.appendChild(label);
+    });
+    field.appendChild(group);
+    return;
+  }
+
+  field.appendChild(createElement('label', { for: 'practice-answer', className: 'input-label-inline' }));
+  field.appendChild(createElement('input', {
+    type: 'text',
+    id: 'practice-answer',
+    className: 'input-field-inline input-text',
+    inputmode: 'decimal',
+    autocomplete: 'off'
+  }));
+}
+
+/**
+ * Write the answer input's label and choices in the language in use
+ * @param {Element} field - Container for the answer input
+ * @param {Object} problem - Problem from generateProblem
+ */
+function translateAnswerField(field, problem) {
+  if (problem.question === 'type') {
+    field.querySelector('legend').textContent = t('practice.answer');
+    field.querySelectorAll('[data-choice]').forEach(choice => {
+      choice.textContent = ` ${t(`practice.choice.${choice.getAttribute('data-choice')}`)}`;
+    });
+    return;
+  }
+
+  field.querySelector('label').textContent = t('practice.answerWithin', {
+    tolerance: formatCurrency(ANSWER_TOLERANCE * problem.inputs.faceValue / 100)
+  });
+}
+
+/**
+ * Read the answer entered in the practice panel
+ * @returns {string} Answer text ('' if none)
+ */
+export function readPracticeAnswer() {
+  const choice = document.querySelector('input[name="practice-answer"]:checked');
+  if (choice) return choice.value;
+
+  const input = $('#practice-answer');
+  return input ? input.value : '';
+}
@@ -0,0 +1,160 @@
+/**
+ * Report Module
+ * Assembles a printable bond valuation report from the equation card and
+ * the results, chart and table render modules
+ */
+
+import { $, createElement } from './utils.js';
+import { renderResults } from './results.js';
+import { renderTable } from './table.js';
+import { buildInputRows } from './export.js';
+import { t, formatNumber, formatDate } from './i18n.js';
+
+/**
+ * Render the report for the current bond
+ * @param {Object} calculations - Bond calculations
+ * @param {Object} inputs - Input values (see pickInputs in url.js)
+ * @param {string} chartImage - Cash flow chart as an image data URL
+ */
+export function renderReport(calculations, inputs, chartImage) {
+  const content = $('#report-content');
+
+  if (!content) {
+    console.error('Report container not found');
+    return;
+  }
+
+  content.innerHTML = '';
+
+  const date = $('#report-date');
+  if (date) {
+    date.textContent = describeReportDate(new Date());
+  }
+
+  // 1. The valuation equation, as shown in the equation card
+  const equation = createSection(t('equation.title'));
+  const source = $('#equation-card .equation-container');
+  if (source) {
+    equation.appendChild(cloneWithoutIds(source));
+  }
+  content.appendChild(equation);
+
+  // 2. Inputs
+  const inputSection = createSection(t('export.inputs'));
+  inputSection.appendChild(createInputList(buildReportInputs(calculations, inputs)));
+  content.appendChild(inputSection);
+
+  // 3. Results and analysis boxes
+  const results = createSection(t('report.results'));
+  const resultsContent = createElement('div', { className: 'report-results' });
+  results.appendChild(resultsContent);
+  content.appendChild(results);
+  renderResults(calculations, {
+    faceValue: inputs.faceValue,
+    couponRate: inputs.couponRate,
+    ytm: calculations.ytm,
+    years: inputs.years,
+    frequency: inputs.frequency,
+    inputMode: inputs.inputMode
+  }, resultsContent);
+
+  // 4. Static copy of the cash flow chart
+  const chart = createSection(t('report.cashFlows'));
+  chart.appendChild(createElement('img', {
+    className: 'report-chart',
+    src: chartImage,
+    alt: t('report.chartAlt')
+  }));
+  content.appendChild(chart);
+
+  // 5. Full cash flow table, starting on a new page
+  const schedule = createSection(t('report.schedule'));
+  schedule.classList.add('page-break');
+  const table = createElement('table', { className: 'data-table' });
+  schedule.appendChild(table);
+  content.appendChild(schedule);
+  renderTable(
+    calculations.cashFlows,
+    calculations.bondPrice,
+    calculations.periods,
+    calculations.periodicCoupon,
+    {
+      accrual: calculations.accrual,
+      accruedInterest: calculations.accruedInterest,
+      flatPrice: calculations.flatPrice,
+      spotCurve: calculations.spotCurve,
+      structure: calculations.structure,
+      floating: calculations.floating,
+      frequency: inputs.frequency
+    },
+    table
+  );
+}
+
+/**
+ * Describe when the report was generated
+ * @param {Date} date - Generation time
+ * @returns {string} Date line in the language in use
+ */
+export function describeReportDate(date) {
+  return t('report.generated', {
+    date: formatDate(date, { dateStyle: 'long', timeStyle: 'short' })
+  });
+}
+
+/**
+ * Build the report's input rows as text
+ * Numbers are shown with the separators of the language in use.
+ * @param {Object} calculations - Bond calculations
+ * @param {Object} inputs - Input values (see pickInputs in url.js)
+ * @returns {Array} Rows as [label, text]
+ */
+export function buildReportInputs(calculations, inputs) {
+  return buildInputRows(calculations, inputs).map(([label, value]) => [
+    label,
+    typeof value === 'number' ? formatNumber(value, 4, { minimumFractionDigits: 0 }) : String(value)
+  ]);
+}
+
+/**
+ * Create a titled report section
+ * @param {string} title - Section heading
+ * @returns {Element} Section element
+ */
+function createSection(title) {
+  const section = createElement('section', { className: 'report-section' });
+  section.appendChild(createElement('h2', { className: 'report-heading' }, title));
+  return section;
+}
+
+/**
+ * Create a definition list of input labels and values
+ * @param {Array} rows - Rows as [label, text] (see buildReportInputs)
+ * @returns {Element} List element
+ */
+function createInputList(rows) {
+  const list = createElement('dl', { className: 'risk-list report-inputs' });
+
+  rows.forEach(([label, value]) => {
+    list.appendChild(createElement('dt', {}, label));
+    list.appendChild(createElement('dd', {}, value));
+  });
+
+  return list;
+}
+
+/**
+ * Deep-copy an element, dropping IDs so the copy does not clash with the page
+ * References to IDs (aria-describedby) and focusability are dropped as well.
+ * @param {Element} element - Element to copy
+ * @returns {Element} Copy
+ */
+function cloneWithoutIds(element) {
+  const copy = element.cloneNode(true);
+
+  [copy, ...copy.querySelectorAll('*')].forEach(node => {
+    ['id', 'aria-describedby', 'aria-labelledby', 'tabindex'].forEach(attr => node.removeAttribute(attr));
+  });
+
+  return copy;
+}
@@ -3,16 +3,16 @@
  * Renders bond price and analysis results
  */
 
-import { formatCurrency, createElement, setHTML } from './utils.js';
+import { formatCurrency, createElement, setHTML, describeBondTerms } from './utils.js';
+import { t, formatNumber, formatPercent } from './i18n.js';
 
 /**
  * Render results and analysis section
  * @param {Object} calculations - Bond calculations
  * @param {Object} params - Input parameters
+ * @param {Element} container - Element to render into (defaults to the results card)
  */
-export function renderResults(calculations, params) {
-  const container = document.getElementById('results-content');
-  
+export function renderResults(calculations, params, container = document.getElementById('results-content')) {
   if (!container) {
     console.error('Results container not found');
     return;
@@ -22,24 +22,45 @@ export function renderResults(calculations, params) {
   container.innerHTML = '';
   
   // Create bond price result box
-  const priceBox = createPriceBox(calculations.bondPrice);
+  const priceBox = createPriceBox(calculations, params.faceValue);
   container.appendChild(priceBox);
   
+  // Create implied yield box when solving from a quoted price or spot curve
+  if (params.inputMode !== 'yield' && calculations.yieldSolution) {
+    const yieldBox = createYieldBox(params.ytm, calculations.yieldSolution, params.inputMode, calculations.floating);
+    container.appendChild(yieldBox);
+  }
+  
+  // Create yields to call box for callable bonds
+  if (calculations.callAnalysis) {
+    const callBox = createCallBox(calculations.callAnalysis, calculations.ytm);
+    container.appendChild(callBox);
+  }
+  
   // Create premium/discount analysis box
   const analysisBox = createAnalysisBox(calculations, params);
   container.appendChild(analysisBox);
+  
+  // Create interest-rate risk measures box
+  const riskBox = createRiskBox(calculations);
+  container.appendChild(riskBox);
 }
 
 /**
  * Create bond price display box
- * @param {number} bondPrice - Bond price
+ * Between coupon dates, shows the full price with its flat price and
+ * accrued interest components.
+ * @param {Object} calculations - Bond calculations
+ * @param {number} faceValue - Face value the price is quoted for
  * @returns {Element} Price box element
  */
-function createPriceBox(bondPrice) {
+function createPriceBox(calculations, faceValue) {
+  const { bondPrice, flatPrice, accruedInterest, accrual } = calculations;
+
   const box = createElement('div', { className: 'result-box price' });
   
   const title = createElement('h5', { className: 'result-title price' }, 
-    'PV Bond Price'
+    t('results.priceTitle')
   );
   box.appendChild(title);
   
@@ -52,14 +73,143 @@ function createPriceBox(bondPrice) {
   }, formatCurrency(bondPrice));
   valueContainer.appendChild(priceValue);
   
-  // Per $100 par text
+  // Per face value text
+  const par = formatCurrency(faceValue, false, 0);
   const parText = createElement('span', { className: 'result-value-small' }, 
-    ' per $100 par'
+    ` ${t(accrual ? 'results.fullPricePerPar' : 'results.perPar', { par })}`
   );
   valueContainer.appendChild(parText);
   
   box.appendChild(valueContainer);
   
+  // Full = flat + accrued interest breakdown
+  if (accrual) {
+    const details = createElement('div', { className: 'price-details' });
+    
+    const flatDiv = createElement('div', {}, 
+      t('results.flatPrice', { price: formatCurrency(flatPrice) })
+    );
+    details.appendChild(flatDiv);
+    
+    const accruedDiv = createElement('div', {}, 
+      t('results.accruedInterest', {
+        amount: formatCurrency(accruedInterest),
+        days: accrual.daysAccrued,
+        daysInPeriod: accrual.daysInPeriod,
+        dayCount: accrual.dayCount
+      })
+    );
+    details.appendChild(accruedDiv);
+    
+    const datesDiv = createElement('div', {}, 
+      t('results.settlementDates', {
+        settlement: accrual.settlementDate,
+        lastCoupon: accrual.previousCouponDate
+      })
+    );
+    details.appendChild(datesDiv);
+    
+    box.appendChild(details);
+  }
+  
+  return box;
+}
+
+/**
+ * Create implied yield to maturity display box
+ * @param {number} ytm - Implied yield to maturity (percentage)
+ * @param {Object} yieldSolution - Solver result (price or spot-curve mode)
+ * @param {string} inputMode - 'price' or 'spot'
+ * @param {Object} floating - Floating-rate note terms, or null for a fixed coupon
+ * @returns {Element} Yield box element
+ */
+function createYieldBox(ytm, yieldSolution, inputMode, floating = null) {
+  const box = createElement('div', { className: 'result-box yield' });
+  
+  const title = createElement('h5', { className: 'result-title yield' }, 
+    t(inputMode === 'spot' ? 'results.equivalentYieldTitle' : 'results.impliedYieldTitle')
+  );
+  box.appendChild(title);
+  
+  const valueContainer = createElement('div', { className: 'result-value yield' });
+  
+  const yieldValue = createElement('div', {
+    'aria-live': 'polite',
+    'aria-atomic': 'true'
+  }, formatPercent(ytm, 3));
+  valueContainer.appendChild(yieldValue);
+  
+  const iterations = yieldSolution.iterations;
+  const solverText = createElement('span', { className: 'result-value-small' }, 
+    (inputMode === 'spot' ? `${t('results.spotYieldNote')} ` : '') +
+    t('results.iterations', { count: iterations })
+  );
+  valueContainer.appendChild(solverText);
+  
+  box.appendChild(valueContainer);
+  
+  // Floating-rate notes quote the yield as a margin over the reference rate
+  if (floating) {
+    const marginDiv = createElement('div', { className: 'price-details' }, 
+      t('results.discountMargin', {
+        margin: formatMargin(floating.discountMargin),
+        rate: formatPercent(floating.referenceRate, 2)
+      })
+    );
+    box.appendChild(marginDiv);
+  }
+  
+  return box;
+}
+
+/**
+ * Create yields to call box
+ * Lists the yield to maturity and to each call date, marking the yield
+ * to worst.
+ * @param {Object} callAnalysis - Call yields from calculateCallYields
+ * @param {number} ytm - Yield to maturity (percentage)
+ * @returns {Element} Call box element
+ */
+function createCallBox(callAnalysis, ytm) {
+  const { calls, yieldToWorst, worstCall } = callAnalysis;
+  
+  const box = createElement('div', { className: 'result-box call' });
+  
+  const title = createElement('h5', { className: 'result-title call' }, 
+    t('results.callTitle')
+  );
+  box.appendChild(title);
+  
+  const rows = [[t('results.ytm'), formatPercent(ytm, 3), !worstCall]];
+  calls.forEach((call, index) => {
+    const label = t(index === 0 ? 'results.yieldToFirstCall' : 'results.yieldToCall', {
+      year: call.year,
+      price: formatNumber(call.price, 2)
+    });
+    rows.push([label, call.converged ? formatPercent(call.ytc, 3) : t('results.notSolved'), call === worstCall]);
+  });
+  
+  const list = createElement('dl', { className: 'risk-list' });
+  
+  rows.forEach(([label, value, isWorst]) => {
+    const className = isWorst ? 'worst' : '';
+    list.appendChild(createElement('dt', { className }, label));
+    list.appendChild(createElement('dd', { className }, value));
+  });
+  
+  // Yield to worst: the lowest yield the issuer's call choices allow
+  list.appendChild(createElement('dt', { className: 'worst' }, t('results.ytw')));
+  list.appendChild(createElement('dd', { className: 'worst' }, formatPercent(yieldToWorst, 3)));
+  
+  box.appendChild(list);
+  
+  const scenario = createElement('div', { className: 'price-details' }, 
+    worstCall
+      ? t('results.worstCalled', { year: worstCall.year, price: formatNumber(worstCall.price, 2) })
+      : t('results.worstHeld')
+  );
+  box.appendChild(scenario);
+  
   return box;
 }
 
@@ -70,13 +220,14 @@ function createPriceBox(bondPrice) {
  * @returns {Element} Analysis box element
  */
 function createAnalysisBox(calculations, params) {
-  const { bondPrice, bondType, pvCoupons, pvFaceValue } = calculations;
-  const { faceValue, couponRate, ytm } = params;
+  const { bondPrice, bondType, pvCoupons, pvFaceValue, structure, floating } = calculations;
+  const { faceValue, ytm } = params;
+  const couponRate = structure === 'zero' ? 0 : params.couponRate;
   
   const box = createElement('div', { className: 'result-box analysis' });
   
   const title = createElement('h5', { className: 'result-title analysis' }, 
-    'Premium—Discount Analysis'
+    t('results.analysisTitle')
   );
   box.appendChild(title);
   
@@ -88,22 +239,20 @@ function createAnalysisBox(calculations, params) {
   
   // Bond type (par, premium, or discount)
   const typeDiv = createElement('div', { className: 'analysis-type' }, 
-    bondType.description
+    t(bondType.label)
   );
   content.appendChild(typeDiv);
   
   // Analysis text
   const analysisText = createElement('div');
   
-  if (bondType.type === 'par') {
-    analysisText.textContent = `Trading at par. Coupon rate â‰ˆ YTM (${ytm.toFixed(2)}%)`;
-  } else if (bondType.type === 'premium') {
-    analysisText.innerHTML = `Trading ${formatCurrency(bondType.difference)} above par. ` +
-      `Coupon (${couponRate.toFixed(2)}%) &gt; YTM (${ytm.toFixed(2)}%)`;
-  } else {
-    analysisText.innerHTML = `Trading ${formatCurrency(bondType.difference)} below par. ` +
-      `YTM (${ytm.toFixed(2)}%) &gt; coupon (${couponRate.toFixed(2)}%)`;
-  }
+  analysisText.textContent = floating
+    ? describeFloatingMargins(bondType, floating)
+    : t(`results.${bondType.type}Analysis`, {
+      amount: formatCurrency(bondType.difference),
+      coupon: formatPercent(couponRate, 2),
+      ytm: formatPercent(ytm, 2)
+    });
   
   content.appendChild(analysisText);
   
@@ -111,15 +260,151 @@ function createAnalysisBox(calculations, params) {
   const breakdownDiv = createElement('div', { className: 'analysis-details' });
   
   const pvCouponsDiv = createElement('div');
-  pvCouponsDiv.textContent = `PV coupons: ${formatCurrency(pvCoupons)}`;
+  pvCouponsDiv.textContent = t('results.pvCoupons', { amount: formatCurrency(pvCoupons) });
   breakdownDiv.appendChild(pvCouponsDiv);
   
   const pvFaceDiv = createElement('div');
-  pvFaceDiv.textContent = `PV face: ${formatCurrency(pvFaceValue)}`;
+  // Amortizing and sinking fund bonds repay principal over the term
+  const repaidEarly = structure === 'amortizing' || structure === 'sinking';
+  pvFaceDiv.textContent = t(repaidEarly ? 'results.pvPrincipal' : 'results.pvFace', {
+    amount: formatCurrency(pvFaceValue)
+  });
   breakdownDiv.appendChild(pvFaceDiv);
   
   content.appendChild(breakdownDiv);
   box.appendChild(content);
   
   return box;
-}
\ No newline at end of file
+}
+
+/**
+ * Explain a floating-rate note's price by its quoted and discount margins
+ * The note trades at par when the market requires the margin it pays.
+ * @param {Object} bondType - Bond type from analyzeBondType
+ * @param {Object} floating - Floating-rate note terms
+ * @returns {string} Analysis text
+ */
+function describeFloatingMargins(bondType, floating) {
+  return t(`results.${bondType.type}FloatingAnalysis`, {
+    amount: formatCurrency(bondType.difference),
+    quoted: formatMargin(floating.quotedMargin),
+    discount: formatMargin(floating.discountMargin)
+  });
+}
+
+/**
+ * Format a margin in basis points
+ * @param {number} margin - Margin (basis points)
+ * @returns {string} Formatted margin
+ */
+function formatMargin(margin) {
+  return t('results.margin', { margin: formatNumber(margin, 1) });
+}
+
+/**
+ * Create interest-rate risk measures box
+ * @param {Object} calculations - Bond calculations
+ * @returns {Element} Risk box element
+ */
+function createRiskBox(calculations) {
+  const { macaulayDuration, modifiedDuration, approximateDuration, convexity, pvbp } = calculations;
+  
+  const box = createElement('div', { className: 'result-box risk' });
+  
+  const title = createElement('h5', { className: 'result-title risk' }, 
+    t('results.riskTitle')
+  );
+  box.appendChild(title);
+  
+  const rows = [
+    [t('results.macaulayDuration'), t('results.years', { years: formatNumber(macaulayDuration, 3) })],
+    [t('results.modifiedDuration'), formatNumber(modifiedDuration, 3)],
+    [t('results.approximateDuration'), formatNumber(approximateDuration, 3)],
+    [t('results.convexity'), formatNumber(convexity, 3)],
+    [t('results.pvbp'), formatCurrency(pvbp, true, 4)]
+  ];
+  
+  const list = createElement('dl', { className: 'risk-list' });
+  
+  rows.forEach(([label, value]) => {
+    list.appendChild(createElement('dt', {}, label));
+    list.appendChild(createElement('dd', {}, value));
+  });
+  
+  box.appendChild(list);
+  
+  return box;
+}
+
+/**
+ * Render the results of several bonds in parallel columns
+ * @param {Array} bonds - Bonds as { name, inputs, calculations }
+ */
+export function renderComparisonResults(bonds) {
+  const container = document.getElementById('results-content');
+  
+  if (!container) {
+    console.error('Results container not found');
+    return;
+  }
+  
+  container.innerHTML = '';
+  
+  const box = createElement('div', { className: 'result-box comparison' });
+  
+  const title = createElement('h5', { className: 'result-title comparison' }, 
+    t('results.comparingTitle', { count: bonds.length })
+  );
+  box.appendChild(title);
+  
+  // Yield to worst only applies when at least one bond is callable
+  const anyCallable = bonds.some(({ calculations }) => calculations.callAnalysis);
+  
+  const rows = [
+    [t('results.terms'), ({ inputs }) => describeBondTerms(inputs)],
+    [t('results.pvBondPrice'), ({ calculations }) => formatCurrency(calculations.bondPrice)],
+    [t('results.ytm'), ({ calculations }) => formatPercent(calculations.ytm, 3)],
+    ...(anyCallable ? [[t('results.ytw'), ({ calculations }) => calculations.callAnalysis
+      ? formatPercent(calculations.callAnalysis.yieldToWorst, 3)
+      : t('results.notCallable')]] : []),
+    [t('results.premiumDiscount'), ({ calculations }) => t(`results.${calculations.bondType.type}Amount`, {
+      amount: formatCurrency(calculations.bondType.difference)
+    })],
+    [t('results.macaulayDuration'), ({ calculations }) => t('results.years', {
+      years: formatNumber(calculations.macaulayDuration, 3)
+    })],
+    [t('results.modifiedDuration'), ({ calculations }) => formatNumber(calculations.modifiedDuration, 3)],
+    [t('results.convexity'), ({ calculations }) => formatNumber(calculations.convexity, 3)],
+    [t('results.pvbp'), ({ calculations }) => formatCurrency(calculations.pvbp, true, 4)]
+  ];
+  
+  const wrapper = createElement('div', { className: 'comparison-wrapper' });
+  const table = createElement('table', { className: 'data-table comparison-table' });
+  table.appendChild(createElement('caption', { className: 'sr-only' }, 
+    t('results.comparisonCaption')
+  ));
+  
+  const headRow = createElement('tr');
+  headRow.appendChild(createElement('td'));
+  bonds.forEach(bond => {
+    headRow.appendChild(createElement('th', { scope: 'col', className: 'text-right' }, bond.name));
+  });
+  const thead = createElement('thead');
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+  
+  const tbody = createElement('tbody');
+  rows.forEach(([label, getValue]) => {
+    const row = createElement('tr');
+    row.appendChild(createElement('th', { scope: 'row', className: 'text-left' }, label));
+    bonds.forEach(bond => {
+      row.appendChild(createElement('td', { className: 'text-right' }, getValue(bond)));
+    });
+    tbody.appendChild(row);
+  });
+  table.appendChild(tbody);
+  
+  wrapper.appendChild(table);
+  box.appendChild(wrapper);
+  container.appendChild(box);
+}
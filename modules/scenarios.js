@@ -0,0 +1,237 @@
+/**
+ * Scenario Library Module
+ * Saves named sets of inputs and their calculations to localStorage
+ * and renders the saved scenarios panel
+ */
+
+import { $, createElement, formatCurrency, describeBondTerms } from './utils.js';
+import { t, formatPercent } from './i18n.js';
+
+const STORAGE_KEY = 'bond-calculator-scenarios';
+
+/**
+ * Read saved scenarios from localStorage
+ * @returns {Array} Scenarios as { id, name, savedAt, inputs, bondCalculations }
+ */
+export function loadScenarios() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.error('Could not read saved scenarios:', error);
+    return [];
+  }
+}
+
+/**
+ * Write scenarios to localStorage
+ * @param {Array} scenarios - Scenarios to store
+ * @returns {boolean} True if stored (false if storage is full or blocked)
+ */
+function storeScenarios(scenarios) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(scenarios));
+    return true;
+  } catch (error) {
+    console.error('Could not save scenarios:', error);
+    return false;
+  }
+}
+
+/**
+ * Create a unique scenario ID
+ * @returns {string} Scenario ID
+ */
+function createId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Save a named scenario
+ * @param {string} name - Scenario name
+ * @param {Object} inputs - Input values (see pickInputs)
+ * @param {Object} bondCalculations - Calculations for the inputs
+ * @returns {Object|null} Saved scenario, or null if it could not be stored
+ */
+export function saveScenario(name, inputs, bondCalculations) {
+  const scenarios = loadScenarios();
+  const scenario = {
+    id: createId(),
+    name,
+    savedAt: new Date().toISOString(),
+    inputs,
+    bondCalculations
+  };
+
+  return storeScenarios([...scenarios, scenario]) ? scenario : null;
+}
+
+/**
+ * Rename a saved scenario
+ * @param {string} id - Scenario ID
+ * @param {string} name - New name
+ * @returns {boolean} True if renamed
+ */
+export function renameScenario(id, name) {
+  const scenarios = loadScenarios();
+  const scenario = scenarios.find(s => s.id === id);
+  if (!scenario) return false;
+
+  scenario.name = name;
+  return storeScenarios(scenarios);
+}
+
+/**
+ * Duplicate a saved scenario, placing the copy after the original
+ * @param {string} id - Scenario ID
+ * @returns {Object|null} The copy, or null if it could not be stored
+ */
+export function duplicateScenario(id) {
+  const scenarios = loadScenarios();
+  const index = scenarios.findIndex(s => s.id === id);
+  if (index === -1) return null;
+
+  const copy = {
+    ...scenarios[index],
+    id: createId(),
+    name: t('scenarios.copyName', { name: scenarios[index].name }),
+    savedAt: new Date().toISOString()
+  };
+  scenarios.splice(index + 1, 0, copy);
+
+  return storeScenarios(scenarios) ? copy : null;
+}
+
+/**
+ * Delete a saved scenario
+ * @param {string} id - Scenario ID
+ * @returns {boolean} True if deleted
+ */
+export function deleteScenario(id) {
+  const scenarios = loadScenarios();
+  const remaining = scenarios.filter(s => s.id !== id);
+  if (remaining.length === scenarios.length) return false;
+
+  return storeScenarios(remaining);
+}
+
+/**
+ * Render the saved scenarios list
+ * @param {Array} scenarios - Saved scenarios
+ * @param {Object} handlers - Callbacks taking a scenario
+ *   (onLoad, onCompare, onDuplicate, onDelete) and onRename(scenario, name)
+ */
+export function renderScenarioList(scenarios, handlers) {
+  const list = $('#scenario-list');
+  const empty = $('#scenario-empty');
+
+  if (!list) {
+    console.error('Scenario list not found');
+    return;
+  }
+
+  list.innerHTML = '';
+  if (empty) {
+    empty.hidden = scenarios.length > 0;
+  }
+
+  scenarios.forEach(scenario => {
+    const item = createElement('li', { className: 'scenario-item' });
+
+    const name = createElement('span', { className: 'scenario-name' }, scenario.name);
+    item.appendChild(name);
+    item.appendChild(createElement('span', { className: 'scenario-summary' }, describeScenario(scenario)));
+
+    const actions = createElement('div', {
+      className: 'scenario-actions',
+      role: 'group',
+      'aria-label': t('scenarios.actions', { name: scenario.name })
+    });
+
+    const buttons = [
+      ['scenarios.load', () => handlers.onLoad(scenario)],
+      ['scenarios.compare', () => handlers.onCompare(scenario)],
+      ['scenarios.rename', () => startRename(name, scenario, handlers.onRename)],
+      ['scenarios.duplicate', () => handlers.onDuplicate(scenario)],
+      ['scenarios.delete', () => handlers.onDelete(scenario)]
+    ];
+
+    buttons.forEach(([key, onClick]) => {
+      const label = t(key);
+      const button = createElement('button', {
+        type: 'button',
+        className: 'scenario-btn',
+        'aria-label': t('scenarios.action', { action: label, name: scenario.name })
+      }, label);
+      button.addEventListener('click', onClick);
+      actions.appendChild(button);
+    });
+
+    item.appendChild(actions);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Summarize a scenario's bond and its saved price and yield
+ * @param {Object} scenario - Saved scenario
+ * @returns {string} Summary text
+ */
+function describeScenario({ inputs, bondCalculations }) {
+  const terms = describeBondTerms(inputs);
+  
+  if (!bondCalculations) {
+    return terms;
+  }
+  
+  return t('scenarios.summary', {
+    terms,
+    price: formatCurrency(bondCalculations.bondPrice),
+    ytm: formatPercent(bondCalculations.ytm, 3)
+  });
+}
+
+/**
+ * Swap a scenario name for a text input to rename it
+ * Enter or leaving the field saves; Escape cancels.
+ * @param {Element} name - Name element to replace
+ * @param {Object} scenario - Saved scenario
+ * @param {Function} onRename - Callback taking (scenario, name)
+ */
+function startRename(name, scenario, onRename) {
+  const input = createElement('input', {
+    type: 'text',
+    className: 'input-field-inline input-text scenario-rename',
+    'aria-label': t('scenarios.newName', { name: scenario.name }),
+    maxlength: '80'
+  });
+  input.value = scenario.name;
+
+  let done = false;
+  const finish = (save) => {
+    if (done) return;
+    done = true;
+
+    const newName = input.value.trim();
+    if (save && newName && newName !== scenario.name) {
+      onRename(scenario, newName);
+    } else {
+      input.replaceWith(name);
+    }
+  };
+
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      finish(true);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      finish(false);
+    }
+  });
+  input.addEventListener('blur', () => finish(true));
+
+  name.replaceWith(input);
+  input.focus();
+  input.select();
+}
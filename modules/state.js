@@ -3,26 +3,75 @@
  * Observable state pattern for reactive updates
  */
 
-export const state = {
-  // Bond parameters
-  faceValue: 100,
-  couponRate: 8.6,
-  ytm: 6.5,
-  years: 5,
-  frequency: 2, // Semi-annual
-  
-  // UI state
-  viewMode: 'chart', // 'chart' or 'table'
-  
-  // Validation errors
-  errors: {},
-  
-  // Calculated values
-  bondCalculations: null,
-  
-  // Subscribers
-  listeners: []
-};
+/**
+ * Create a state object holding the calculator's defaults
+ * @returns {Object} Fresh state with no subscribers
+ */
+function createDefaultState() {
+  return {
+    // Bond parameters
+    faceValue: 100,
+    couponRate: 8.6,
+    ytm: 6.5,
+    years: 5,
+    frequency: 2, // Semi-annual
+    price: null, // Quoted price per 100 par (input in price mode)
+  
+    // Settlement date pricing
+    useDates: false, // Price between coupon dates instead of on one
+    settlementDate: '2025-05-20',
+    maturityDate: '2030-02-15',
+    dayCount: '30/360', // '30/360' or 'actual/actual'
+  
+    // Spot-rate curve (input in spot mode): rates per period or years:rate pairs
+    spotRates: '0.5:5.0, 1:5.25, 2:5.75, 3:6.1, 5:6.5',
+  
+    // Bond structure: 'bullet', 'zero', 'amortizing' or 'sinking'
+    structure: 'bullet',
+    sinkingSchedule: '2:20, 3:20, 4:20', // year:percent of face redeemed (sinking fund)
+  
+    // Floating-rate note: coupons at reference + quoted margin, discounted at reference + discount margin
+    couponType: 'fixed', // 'fixed' or 'floating'
+    referenceRate: 5.0, // Percentage
+    quotedMargin: 50, // Basis points
+    discountMargin: 75, // Basis points (input in yield mode)
+  
+    // Callable bonds: call dates as year:price per 100 par
+    callable: false,
+    callSchedule: '3:102, 4:101',
+    showWorstCase: false, // Chart the yield-to-worst redemption scenario
+  
+    // Bond comparison: two to four priced input sets shown side by side
+    compareMode: false,
+    comparisonBonds: [], // Bonds from createComparisonBond
+  
+    // Practice mode: the current problem and the session score
+    // (feedback is the outcome of the last check, shown by describeFeedback)
+    practice: null, // { problem, hintsShown, result, feedback, revealed, scored, correct, attempted }
+  
+    // UI state
+    viewMode: 'chart', // 'chart', 'curve', 'table' or 'amortization'
+    showCarryingValue: false, // Overlay the carrying value on the cash flow chart
+    showPresentValues: false, // Draw each cash flow's present value beside it
+    showWorking: false, // Show the worked solution under the results
+    equationForm: 'symbolic', // Equation card: 'symbolic' or 'numeric' (current values)
+    inputMode: 'yield', // 'yield' (solve for price), 'price' (solve for YTM) or 'spot' (solve for both)
+    locale: 'en', // Language of the interface (see LOCALES in i18n.js)
+    currency: 'USD', // Currency amounts are shown in (symbol only; amounts are not converted)
+  
+    // Validation errors
+    errors: {},
+  
+    // Calculated values
+    bondCalculations: null,
+  
+    // Subscribers
+    listeners: []
+  };
+}
+
+// The page's state
+export const state = createDefaultState();
 
 /**
  * Update state and notify all subscribers
@@ -39,4 +88,25 @@ export function setState(updates) {
  */
 export function subscribe(fn) {
   state.listeners.push(fn);
+}
+
+/**
+ * Create an independent state with its own subscribers, for calculators
+ * embedded alongside (or instead of) the page's
+ * @param {Object} overrides - Values that differ from the defaults
+ * @returns {Object} { state, setState, subscribe } working as the exports above
+ */
+export function createStore(overrides = {}) {
+  const store = Object.assign(createDefaultState(), overrides);
+  
+  return {
+    state: store,
+    setState: (updates) => {
+      Object.assign(store, updates);
+      store.listeners.forEach(fn => fn(store));
+    },
+    subscribe: (fn) => {
+      store.listeners.push(fn);
+    }
+  };
 }
\ No newline at end of file
@@ -3,7 +3,8 @@
  * Renders accessible data table for bond cash flows
  */
 
-import { $, formatCurrency, announceToScreenReader } from './utils.js';
+import { $, formatCurrency, announceToScreenReader, getFrequencyInfo, escapeHTML } from './utils.js';
+import { t, formatNumber, formatPercent } from './i18n.js';
 
 /**
  * Render cash flow table
@@ -11,9 +12,30 @@ import { $, formatCurrency, announceToScreenReader } from './utils.js';
  * @param {number} bondPrice - Bond price
  * @param {number} periods - Number of periods
  * @param {number} periodicCoupon - Periodic coupon payment
+ * @param {Object} details - Settlement, discounting, structure and frequency details
+ *   (accrual, accruedInterest, flatPrice, spotCurve, structure, floating, frequency)
+ * @param {Element} table - Table to render into (defaults to the visualizer table)
  */
-export function renderTable(cashFlows, bondPrice, periods, periodicCoupon) {
-  const table = $('#cash-flow-table');
+export function renderTable(cashFlows, bondPrice, periods, periodicCoupon, details = {}, table = $('#cash-flow-table')) {
+  const {
+    accrual,
+    accruedInterest,
+    flatPrice,
+    spotCurve,
+    structure = 'bullet',
+    floating = null,
+    frequency = 2
+  } = details;
+  const frequencyInfo = getFrequencyInfo(frequency);
+  const yearDecimals = accrual ? 2 : frequencyInfo.yearDecimals;
+  // Principal outstanding is only interesting when repaid before maturity
+  const showOutstanding = structure === 'amortizing' || structure === 'sinking';
+  // Footer labels span the columns before PV of Cash Flow; Cumulative PV follows it
+  const labelSpan = (accrual ? 6 : 5) + (showOutstanding ? 1 : 0) + (floating ? 1 : 0) + (spotCurve ? 1 : 0) + 1;
+  const trailingCells = '<td></td>';
+  // The PVs add up to the full price at maturity (to within rounding)
+  const totalPV = cashFlows.length > 1 ? cashFlows[cashFlows.length - 1].cumulativePV : 0;
+  const difference = Math.abs(totalPV - bondPrice) < 0.005 ? 0 : totalPV - bondPrice;
 
   if (!table) {
     console.error('Table element not found');
@@ -24,18 +46,22 @@ export function renderTable(cashFlows, bondPrice, periods, periodicCoupon) {
   // 1. Build the HTML string (template literals are safe here)
   // --------------------------------------------------------------
   let html = `
-    <caption class="sr-only">
-      Bond cash flow schedule showing period, coupon payments,
-      principal repayment, and total cash flows
-    </caption>
+    <caption class="sr-only">${t('table.caption')}</caption>
 
     <thead>
       <tr>
-        <th scope="col" class="text-left">Period</th>
-        <th scope="col" class="text-left">Year</th>
-        <th scope="col" class="text-right">Coupon Payment</th>
-        <th scope="col" class="text-right">Principal Repayment</th>
-        <th scope="col" class="text-right">Total Cash Flow</th>
+        <th scope="col" class="text-left">${t('table.period', { period: frequencyInfo.period })}</th>
+        ${accrual ? `<th scope="col" class="text-left">${t('table.date')}</th>` : ''}
+        <th scope="col" class="text-left">${t('table.year')}</th>
+        <th scope="col" class="text-right">${t('table.couponPayment')}</th>
+        <th scope="col" class="text-right">${t('table.principalRepayment')}</th>
+        <th scope="col" class="text-right">${t('table.totalCashFlow')}</th>
+        ${showOutstanding ? `<th scope="col" class="text-right">${t('table.outstandingPrincipal')}</th>` : ''}
+        ${floating ? `<th scope="col" class="text-right">${t('table.projectedRate')}</th>` : ''}
+        ${spotCurve ? `<th scope="col" class="text-right">${t('table.spotRate')}</th>` : ''}
+        <th scope="col" class="text-right">${t('table.discountFactor')}</th>
+        <th scope="col" class="text-right">${t('table.presentValue')}</th>
+        <th scope="col" class="text-right">${t('table.cumulativePV')}</th>
       </tr>
     </thead>
 
@@ -51,26 +77,75 @@ export function renderTable(cashFlows, bondPrice, periods, periodicCoupon) {
     html += `
       <tr>
         <td class="text-left">${cf.period}</td>
-        <td class="text-left">${cf.yearLabel.toFixed(1)}</td>
+        ${accrual ? `<td class="text-left">${cf.date}</td>` : ''}
+        <td class="text-left">${formatNumber(cf.yearLabel, yearDecimals)}</td>
         <td class="text-right">${formatCurrency(cf.couponPayment)}</td>
         <td class="text-right">${formatCurrency(cf.principalPayment)}</td>
         <td class="text-right"><strong>${formatCurrency(cf.totalCashFlow)}</strong></td>
+        ${showOutstanding ? `<td class="text-right">${formatCurrency(cf.outstandingPrincipal)}</td>` : ''}
+        ${floating ? `<td class="text-right">${isInitial ? '&mdash;' : formatPercent(cf.projectedRate, 3)}</td>` : ''}
+        ${spotCurve ? `<td class="text-right">${isInitial ? '&mdash;' : formatPercent(cf.spotRate, 3)}</td>` : ''}
+        <td class="text-right">${isInitial ? '&mdash;' : formatNumber(cf.discountFactor, 6)}</td>
+        <td class="text-right">${isInitial ? '&mdash;' : formatCurrency(cf.presentValue)}</td>
+        <td class="text-right">${isInitial ? '&mdash;' : formatCurrency(cf.cumulativePV)}</td>
       </tr>`;
   });
 
   // --------------------------------------------------------------
-  // 3. Footer with the total bond price
+  // 3. Footer reconciling the summed PVs to the bond price
   // --------------------------------------------------------------
   html += `
     </tbody>
 
     <tfoot>
       <tr>
-        <td colspan="4" class="text-right">
-          Bond Price (PV of all cash flows):
+        <td colspan="${labelSpan}" class="text-right">
+          ${t('table.sumOfPVs')}
+        </td>
+        <td class="text-right">${formatCurrency(totalPV)}</td>
+        ${trailingCells}
+      </tr>
+      <tr>
+        <td colspan="${labelSpan}" class="text-right">
+          ${t(accrual ? 'table.fullPrice' : 'table.bondPrice')}
         </td>
         <td class="text-right"><strong>${formatCurrency(bondPrice)}</strong></td>
+        ${trailingCells}
       </tr>
+      <tr>
+        <td colspan="${labelSpan}" class="text-right">
+          ${t('table.difference')}
+        </td>
+        <td class="text-right">${formatCurrency(difference, true)}</td>
+        ${trailingCells}
+      </tr>`;
+
+  // Between coupon dates, split the full price into accrued interest and flat price
+  if (accrual) {
+    const accruedLabel = t('table.lessAccrued', {
+      days: accrual.daysAccrued,
+      daysInPeriod: accrual.daysInPeriod,
+      dayCount: accrual.dayCount
+    });
+    
+    html += `
+      <tr>
+        <td colspan="${labelSpan}" class="text-right">
+          ${accruedLabel}
+        </td>
+        <td class="text-right">${formatCurrency(accruedInterest)}</td>
+        ${trailingCells}
+      </tr>
+      <tr>
+        <td colspan="${labelSpan}" class="text-right">
+          ${t('table.flatPrice')}
+        </td>
+        <td class="text-right"><strong>${formatCurrency(flatPrice)}</strong></td>
+        ${trailingCells}
+      </tr>`;
+  }
+
+  html += `
     </tfoot>
   `;
 
@@ -85,8 +160,174 @@ export function renderTable(cashFlows, bondPrice, periods, periodicCoupon) {
   // The table itself should be focusable for keyboard users.
   // We keep tabindex="0" (already on the <table> in index.html)
   // and add a clear, concise aria-label.
-  table.setAttribute('aria-label', 'Bond cash flow table');
+  table.setAttribute('aria-label', t('table.label'));
 
   // Optional: announce the switch to screen-reader users
-  announceToScreenReader('Table view loaded with bond cash flows.');
-}
\ No newline at end of file
+  announceToScreenReader(t('table.loaded'));
+}
+
+/**
+ * Render premium/discount amortization schedule
+ * @param {Array} schedule - Rows from generateAmortizationSchedule
+ * @param {Object} details - Price, structure and frequency details
+ *   (bondPrice, faceValue, accrual, structure, frequency)
+ */
+export function renderAmortizationTable(schedule, details = {}) {
+  const table = $('#amortization-table');
+  const { bondPrice, faceValue, accrual, structure = 'bullet', frequency = 2 } = details;
+  const frequencyInfo = getFrequencyInfo(frequency);
+  const yearDecimals = accrual ? 2 : frequencyInfo.yearDecimals;
+  // Principal repaid before maturity also reduces the carrying value
+  const showPrincipal = structure === 'amortizing' || structure === 'sinking';
+  const labelSpan = accrual ? 4 : 3;
+
+  if (!table) {
+    console.error('Amortization table element not found');
+    return;
+  }
+
+  const totals = schedule.reduce((sum, row) => ({
+    interest: sum.interest + row.interest,
+    coupon: sum.coupon + row.coupon,
+    amortization: sum.amortization + row.amortization
+  }), { interest: 0, coupon: 0, amortization: 0 });
+
+  let html = `
+    <caption class="sr-only">${t('amortization.caption')}</caption>
+
+    <thead>
+      <tr>
+        <th scope="col" class="text-left">${t('table.period', { period: frequencyInfo.period })}</th>
+        ${accrual ? `<th scope="col" class="text-left">${t('table.date')}</th>` : ''}
+        <th scope="col" class="text-left">${t('table.year')}</th>
+        <th scope="col" class="text-right">${t('amortization.startValue')}</th>
+        <th scope="col" class="text-right">${t('amortization.interest')}</th>
+        <th scope="col" class="text-right">${t('amortization.coupon')}</th>
+        <th scope="col" class="text-right">${t('amortization.amortization')}</th>
+        ${showPrincipal ? `<th scope="col" class="text-right">${t('amortization.principal')}</th>` : ''}
+        <th scope="col" class="text-right">${t('amortization.endValue')}</th>
+      </tr>
+    </thead>
+
+    <tbody>`;
+
+  schedule.forEach(row => {
+    html += `
+      <tr>
+        <td class="text-left">${row.period}</td>
+        ${accrual ? `<td class="text-left">${row.date}</td>` : ''}
+        <td class="text-left">${formatNumber(row.yearLabel, yearDecimals)}</td>
+        <td class="text-right">${formatCurrency(row.startValue)}</td>
+        <td class="text-right">${formatCurrency(row.interest)}</td>
+        <td class="text-right">${formatCurrency(row.coupon)}</td>
+        <td class="text-right">${formatCurrency(row.amortization)}</td>
+        ${showPrincipal ? `<td class="text-right">${formatCurrency(row.principal)}</td>` : ''}
+        <td class="text-right"><strong>${formatCurrency(row.endValue)}</strong></td>
+      </tr>`;
+  });
+
+  // Total amortization is the premium (or discount) paid over par
+  const premium = bondPrice - faceValue;
+  const premiumLabel = t(`amortization.${premium >= 0 ? 'premium' : 'discount'}${accrual ? 'FullPrice' : ''}`, {
+    price: formatCurrency(bondPrice),
+    par: formatCurrency(faceValue)
+  });
+
+  html += `
+    </tbody>
+
+    <tfoot>
+      <tr>
+        <td colspan="${labelSpan}" class="text-right">${t('amortization.totals')}</td>
+        <td class="text-right">${formatCurrency(totals.interest)}</td>
+        <td class="text-right">${formatCurrency(totals.coupon)}</td>
+        <td class="text-right"><strong>${formatCurrency(totals.amortization)}</strong></td>
+        <td colspan="${showPrincipal ? 2 : 1}"></td>
+      </tr>
+      <tr>
+        <td colspan="${labelSpan + 3}" class="text-right">
+          ${premiumLabel}
+        </td>
+        <td class="text-right"><strong>${formatCurrency(premium)}</strong></td>
+        <td colspan="${showPrincipal ? 2 : 1}"></td>
+      </tr>
+    </tfoot>
+  `;
+
+  table.innerHTML = html;
+  table.setAttribute('aria-label', t('amortization.label'));
+}
+
+/**
+ * Render the cash flows of several bonds as one table
+ * Rows are interleaved by payment time, with a column naming the bond.
+ * @param {Array} bonds - Bonds as { name, inputs, calculations }
+ */
+export function renderComparisonTable(bonds) {
+  const table = $('#cash-flow-table');
+
+  if (!table) {
+    console.error('Table element not found');
+    return;
+  }
+
+  // Enough decimals to tell every bond's payment times apart
+  const yearDecimals = Math.max(...bonds.map(({ inputs, calculations }) =>
+    calculations.accrual ? 2 : getFrequencyInfo(inputs.frequency).yearDecimals
+  ));
+
+  // Payments in time order; bonds paying at the same time keep their order
+  const rows = bonds
+    .flatMap((bond, bondIndex) => bond.calculations.cashFlows.map(cf => ({ bond, bondIndex, cf })))
+    .sort((a, b) => a.cf.yearLabel - b.cf.yearLabel || a.bondIndex - b.bondIndex);
+
+  let html = `
+    <caption class="sr-only">${t('table.comparisonCaption')}</caption>
+
+    <thead>
+      <tr>
+        <th scope="col" class="text-left">${t('table.year')}</th>
+        <th scope="col" class="text-left">${t('table.bond')}</th>
+        <th scope="col" class="text-left">${t('table.periodNumber')}</th>
+        <th scope="col" class="text-right">${t('table.couponPayment')}</th>
+        <th scope="col" class="text-right">${t('table.principalRepayment')}</th>
+        <th scope="col" class="text-right">${t('table.totalCashFlow')}</th>
+      </tr>
+    </thead>
+
+    <tbody>`;
+
+  rows.forEach(({ bond, cf }) => {
+    html += `
+      <tr>
+        <td class="text-left">${formatNumber(cf.yearLabel, yearDecimals)}</td>
+        <td class="text-left">${escapeHTML(bond.name)}</td>
+        <td class="text-left">${cf.period}</td>
+        <td class="text-right">${formatCurrency(cf.couponPayment)}</td>
+        <td class="text-right">${formatCurrency(cf.principalPayment)}</td>
+        <td class="text-right"><strong>${formatCurrency(cf.totalCashFlow)}</strong></td>
+      </tr>`;
+  });
+
+  html += `
+    </tbody>
+
+    <tfoot>`;
+
+  bonds.forEach(({ name, calculations }) => {
+    html += `
+      <tr>
+        <td colspan="5" class="text-right">
+          ${t(calculations.accrual ? 'table.comparisonFullPrice' : 'table.comparisonPrice', { name: escapeHTML(name) })}
+        </td>
+        <td class="text-right"><strong>${formatCurrency(calculations.bondPrice)}</strong></td>
+      </tr>`;
+  });
+
+  html += `
+    </tfoot>
+  `;
+
+  table.innerHTML = html;
+  table.setAttribute('aria-label', t('table.comparisonLabel', { count: bonds.length }));
+}
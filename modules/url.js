@@ -0,0 +1,226 @@
+/**
+ * URL State Module
+ * Mirrors the calculator inputs in the query string so a link opens
+ * the same bond scenario
+ */
+
+import { state } from './state.js';
+import { validateAllInputs } from './validation.js';
+import { t } from './i18n.js';
+
+/**
+ * Query parameter and type for each shareable state field
+ * Fields with `when` are written only while they are inputs rather than
+ * solved outputs; fields with `options` must be one of the listed values.
+ */
+const URL_FIELDS = {
+  faceValue: { param: 'face', type: 'number' },
+  frequency: { param: 'freq', type: 'number' },
+  couponRate: { param: 'coupon', type: 'number', when: s => s.couponType === 'fixed' },
+  ytm: { param: 'ytm', type: 'number', when: s => s.inputMode === 'yield' && s.couponType === 'fixed' },
+  years: { param: 'years', type: 'number', when: s => !s.useDates },
+  price: { param: 'price', type: 'number', when: s => s.inputMode === 'price' },
+  inputMode: { param: 'mode', type: 'string', options: ['yield', 'price', 'spot'] },
+  spotRates: { param: 'spot', type: 'string', when: s => s.inputMode === 'spot' },
+  useDates: { param: 'dates', type: 'boolean' },
+  settlementDate: { param: 'settle', type: 'string', when: s => s.useDates },
+  maturityDate: { param: 'maturity', type: 'string', when: s => s.useDates },
+  dayCount: { param: 'daycount', type: 'string', options: ['30/360', 'actual/actual'], when: s => s.useDates },
+  structure: { param: 'structure', type: 'string', options: ['bullet', 'zero', 'amortizing', 'sinking'] },
+  sinkingSchedule: { param: 'sinking', type: 'string', when: s => s.structure === 'sinking' },
+  couponType: { param: 'coupontype', type: 'string', options: ['fixed', 'floating'] },
+  referenceRate: { param: 'ref', type: 'number', when: s => s.couponType === 'floating' },
+  quotedMargin: { param: 'qm', type: 'number', when: s => s.couponType === 'floating' },
+  discountMargin: { param: 'dm', type: 'number', when: s => s.couponType === 'floating' && s.inputMode === 'yield' },
+  callable: { param: 'callable', type: 'boolean' },
+  callSchedule: { param: 'calls', type: 'string', when: s => s.callable },
+  viewMode: { param: 'view', type: 'string', options: ['chart', 'curve', 'table', 'amortization'] },
+  showCarryingValue: { param: 'carrying', type: 'boolean' },
+  showPresentValues: { param: 'pv', type: 'boolean' },
+  showWorstCase: { param: 'worst', type: 'boolean', when: s => s.callable }
+};
+
+// Display settings that are shared in links but do not describe the bond
+const VIEW_FIELDS = ['viewMode', 'showCarryingValue', 'showPresentValues', 'showWorstCase'];
+
+/**
+ * Query parameter names of the bond inputs
+ * Other front ends (such as the command-line pricer) accept the same names.
+ */
+export const INPUT_PARAMS = Object.entries(URL_FIELDS)
+  .filter(([field]) => !VIEW_FIELDS.includes(field))
+  .map(([, { param }]) => param);
+
+/**
+ * State field of each bond input parameter
+ */
+export const PARAM_FIELDS = Object.fromEntries(
+  Object.entries(URL_FIELDS)
+    .filter(([field]) => !VIEW_FIELDS.includes(field))
+    .map(([field, { param }]) => [param, field])
+);
+
+// Defaults are left out of the URL; captured before any state change
+const DEFAULTS = Object.fromEntries(
+  Object.keys(URL_FIELDS).map(field => [field, state[field]])
+);
+
+/**
+ * Copy the inputs in use out of the state
+ * Solved outputs (such as the price in yield mode) are left out.
+ * @param {Object} current - Calculator state
+ * @returns {Object} Input values keyed by state field
+ */
+export function pickInputs(current) {
+  return Object.fromEntries(
+    Object.entries(URL_FIELDS)
+      .filter(([, { when }]) => !when || when(current))
+      .map(([field]) => [field, current[field]])
+  );
+}
+
+/**
+ * Copy the bond inputs in use out of the state, without display settings
+ * @param {Object} current - Calculator state
+ * @returns {Object} Input values keyed by state field
+ */
+export function pickBondInputs(current) {
+  const inputs = pickInputs(current);
+  VIEW_FIELDS.forEach(field => delete inputs[field]);
+  return inputs;
+}
+
+/**
+ * Build the query string for the current inputs
+ * @param {Object} current - Calculator state
+ * @returns {string} Query string without the leading '?'
+ */
+export function serializeState(current) {
+  const params = new URLSearchParams();
+
+  Object.entries(pickInputs(current)).forEach(([field, value]) => {
+    const { param, type } = URL_FIELDS[field];
+    if (value == null || value === DEFAULTS[field]) return;
+
+    // Solved values carry full precision; six decimals reproduce them
+    const text = type === 'boolean' ? (value ? '1' : '0')
+      : type === 'number' ? String(Number(value.toFixed(6)))
+      : String(value);
+    params.set(param, text);
+  });
+
+  return params.toString();
+}
+
+/**
+ * Rewrite the input parameters of a query string for the current inputs
+ * Other parameters (such as the xAPI launch parameters) are kept.
+ * @param {string} search - Query string
+ * @param {Object} current - Calculator state
+ * @returns {string} Query string without the leading '?'
+ */
+export function updateQuery(search, current) {
+  const params = new URLSearchParams(search);
+  Object.values(URL_FIELDS).forEach(({ param }) => params.delete(param));
+  new URLSearchParams(serializeState(current)).forEach((value, param) => params.append(param, value));
+  return params.toString();
+}
+
+/**
+ * Replace the page URL with one describing the current inputs
+ * Uses replaceState so typing does not flood the browser history.
+ * @param {Object} current - Calculator state
+ */
+export function writeStateToUrl(current) {
+  const query = updateQuery(window.location.search, current);
+  const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+
+  if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+    window.history.replaceState(null, '', url);
+  }
+}
+
+/**
+ * Read inputs from a query string
+ * Values are parsed and checked with acceptInputs; any that fail are
+ * rejected so the calculator falls back to its defaults.
+ * @param {string} search - Query string (defaults to the page URL)
+ * @returns {Object} Accepted values and rejected { field, message } entries
+ */
+export function readStateFromUrl(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const values = {};
+
+  Object.entries(URL_FIELDS).forEach(([field, { param, type }]) => {
+    if (!params.has(param)) return;
+
+    const raw = params.get(param);
+    if (type === 'number') {
+      values[field] = raw.trim() === '' ? NaN : Number(raw);
+    } else if (type === 'boolean') {
+      values[field] = raw === '1' || raw === 'true';
+    } else {
+      values[field] = raw;
+    }
+  });
+
+  return acceptInputs(values);
+}
+
+/**
+ * Check incoming input values before they are applied to the state
+ * Values must have the right type and options, then are validated together
+ * with the rest of the inputs through validateAllInputs. Only fields the
+ * combined inputs use are validated; price mode needs a valid price.
+ * @param {Object} incoming - Input values keyed by state field
+ * @returns {Object} Accepted values and rejected { field, message } entries
+ */
+export function acceptInputs(incoming) {
+  const values = {};
+  const rejected = [];
+
+  Object.entries(incoming).forEach(([field, value]) => {
+    const rule = URL_FIELDS[field];
+    if (!rule) return;
+
+    const typeOk = rule.type === 'number' ? Number.isFinite(value)
+      : rule.type === 'boolean' ? typeof value === 'boolean'
+      : typeof value === 'string';
+
+    if (!typeOk) {
+      rejected.push({ field, message: t(`validation.type.${rule.type}`, { field: rule.param }) });
+    } else if (rule.options && !rule.options.includes(value)) {
+      rejected.push({
+        field,
+        message: t('validation.options', { field: rule.param, options: rule.options.join(', ') })
+      });
+    } else {
+      values[field] = value;
+    }
+  });
+
+  // Validate the values as they would combine with the rest of the inputs
+  const merged = { ...state, ...values };
+  const errors = validateAllInputs(merged);
+  if (errors.schedule) {
+    errors.years = errors.years || errors.schedule;
+    errors.frequency = errors.frequency || errors.schedule;
+  }
+
+  // Solving for yield needs a price, whether sent now or already set
+  if (merged.inputMode === 'price' && errors.price) {
+    errors.inputMode = errors.price;
+  }
+
+  Object.keys(values).forEach(field => {
+    const { when } = URL_FIELDS[field];
+    if (when && !when(merged)) return;
+
+    if (errors[field]) {
+      rejected.push({ field, message: errors[field] });
+      delete values[field];
+    }
+  });
+
+  return { values, rejected };
+}
@@ -3,6 +3,62 @@
  * DOM helpers, formatting, and common utilities
  */
 
+import { t, formatNumber, formatMoney, formatPercent } from './i18n.js';
+
+/**
+ * Display details for each supported payment frequency
+ * Labels and period names are in English; getFrequencyInfo translates them.
+ */
+export const FREQUENCIES = {
+  1: { label: 'Annual', period: 'year', yearDecimals: 0 },
+  2: { label: 'Semi-annual', period: 'half-year', yearDecimals: 1 },
+  4: { label: 'Quarterly', period: 'quarter', yearDecimals: 2 },
+  12: { label: 'Monthly', period: 'month', yearDecimals: 2 }
+};
+
+/**
+ * Get display details for a payment frequency
+ * @param {number} frequency - Payments per year
+ * @returns {Object} Label, period name and decimals for year labels
+ */
+export function getFrequencyInfo(frequency) {
+  if (!FREQUENCIES[frequency]) {
+    return {
+      label: t('frequency.other', { frequency }),
+      period: t('period.other'),
+      yearDecimals: 2
+    };
+  }
+  
+  return {
+    ...FREQUENCIES[frequency],
+    label: t(`frequency.${frequency}`),
+    period: t(`period.${frequency}`)
+  };
+}
+
+/**
+ * Summarize a bond's terms for lists and headings
+ * @param {Object} inputs - Input values (see pickInputs in url.js)
+ * @returns {string} Terms such as "8.6% coupon, 5 years, semi-annual"
+ */
+export function describeBondTerms(inputs) {
+  const coupon = inputs.couponType === 'floating' ? t('terms.floating')
+    : inputs.structure === 'zero' ? t('terms.zero')
+    : t('terms.coupon', { rate: formatPercent(inputs.couponRate, 4, { minimumFractionDigits: 0 }) });
+  
+  return [
+    coupon,
+    inputs.useDates
+      ? t('terms.matures', { date: inputs.maturityDate })
+      : t('terms.years', {
+        count: inputs.years,
+        years: formatNumber(inputs.years, 2, { minimumFractionDigits: 0 })
+      }),
+    getFrequencyInfo(inputs.frequency).label.toLowerCase()
+  ].join(', ');
+}
+
 /**
  * Query selector shorthand
  * @param {string} selector - CSS selector
@@ -38,22 +94,19 @@ export function debounce(fn, wait = 300) {
 }
 
 /**
- * Format number as currency
+ * Format number as currency, in the language and currency in use (see i18n.js)
  * @param {number} value - Numeric value
  * @param {boolean} signed - Include sign for negative values
+ * @param {number} decimals - Number of decimal places
  * @returns {string} Formatted currency string
  */
-export function formatCurrency(value, signed = false) {
-  const absValue = Math.abs(value);
-  const formatted = absValue.toLocaleString('en-US', {
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 2
-  });
+export function formatCurrency(value, signed = false, decimals = 2) {
+  const formatted = formatMoney(value, decimals);
   
   if (value < 0) {
-    return signed ? `-$${formatted}` : `($${formatted})`;
+    return signed ? `-${formatted}` : `(${formatted})`;
   }
-  return `$${formatted}`;
+  return formatted;
 }
 
 /**
@@ -81,6 +134,20 @@ export function createElement(tag, attrs = {}, content = '') {
   return element;
 }
 
+/**
+ * Escape text for use in HTML templates
+ * @param {string} text - Text that may contain markup characters
+ * @returns {string} Escaped text
+ */
+export function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 /**
  * Set HTML content safely
  * @param {Element} element - Target element
@@ -115,4 +182,23 @@ export function announceToScreenReader(message) {
       announcement.textContent = '';
     }, 1000);
   }
+}
+
+/**
+ * Announce chart exploration to screen readers
+ * Uses a persistent live region so each data point is read in full.
+ * @param {string} message - Message to announce
+ */
+export function announceChartUpdate(message) {
+  let liveRegion = document.getElementById('chart-live-region');
+  if (!liveRegion) {
+    liveRegion = document.createElement('div');
+    liveRegion.id = 'chart-live-region';
+    liveRegion.setAttribute('aria-live', 'polite');
+    liveRegion.setAttribute('aria-atomic', 'true');
+    liveRegion.className = 'sr-only';
+    document.body.appendChild(liveRegion);
+  }
+  
+  liveRegion.textContent = message;
 }
\ No newline at end of file
@@ -4,28 +4,65 @@
  */
 
 import { $ } from './utils.js';
+import { t } from './i18n.js';
+import { 
+  parseISODate, 
+  addMonths, 
+  calculateAccrualPeriod,
+  parseSpotCurve, 
+  parseSinkingSchedule, 
+  parseCallSchedule 
+} from './calculations.js';
 
 /**
  * Validation rules for each field
+ * Fields are named in messages by their `validation.field.*` message.
+ * Bounds are written as typed into the inputs, so they are not localized.
  */
-const VALIDATION_RULES = {
+export const VALIDATION_RULES = {
+  faceValue: {
+    min: 1,
+    max: 1000000,
+    required: true
+  },
+  frequency: {
+    options: [1, 2, 4, 12],
+    required: true
+  },
   couponRate: {
     min: 0,
     max: 10,
-    required: true,
-    label: 'Coupon rate'
+    required: true
   },
   ytm: {
     min: 0,
     max: 10,
-    required: true,
-    label: 'Yield to maturity'
+    required: true
   },
   years: {
     min: 1,
     max: 5,
-    required: true,
-    label: 'Years to maturity'
+    required: true
+  },
+  price: {
+    min: 50,
+    max: 150,
+    required: true
+  },
+  referenceRate: {
+    min: 0,
+    max: 10,
+    required: true
+  },
+  quotedMargin: {
+    min: 0,
+    max: 500,
+    required: true
+  },
+  discountMargin: {
+    min: 0,
+    max: 500,
+    required: true
   }
 };
 
@@ -39,16 +76,217 @@ export function validateField(field, value) {
   const rules = VALIDATION_RULES[field];
   if (!rules) return null;
   
+  const label = t(`validation.field.${field}`);
+  
   if (rules.required && (value === '' || value == null || isNaN(value))) {
-    return `${rules.label} is required`;
+    return t('validation.required', { field: label });
   }
   
   if (rules.min !== undefined && value < rules.min) {
-    return `${rules.label} must be at least ${rules.min}`;
+    return t('validation.min', { field: label, min: rules.min });
   }
   
   if (rules.max !== undefined && value > rules.max) {
-    return `${rules.label} must be at most ${rules.max}`;
+    return t('validation.max', { field: label, max: rules.max });
+  }
+  
+  if (rules.options && !rules.options.includes(value)) {
+    return t('validation.options', { field: label, options: rules.options.join(', ') });
+  }
+  
+  return null;
+}
+
+/**
+ * Validate that maturity falls on a payment date
+ * @param {Object} inputs - Input values
+ * @param {number} inputs.years - Years to maturity
+ * @param {number} inputs.frequency - Payment frequency per year
+ * @returns {string|null} Error message for the years field or null
+ */
+export function validateSchedule({ years, frequency }) {
+  const periods = years * frequency;
+  
+  if (Math.abs(periods - Math.round(periods)) > 1e-9) {
+    return t('validation.schedule', { field: t('validation.field.years'), step: +(1 / frequency).toFixed(4) });
+  }
+  
+  return null;
+}
+
+/**
+ * Validate settlement and maturity dates
+ * The remaining term is limited to the same maximum as years to maturity.
+ * @param {Object} dates - Date values
+ * @param {string} dates.settlementDate - Settlement date (YYYY-MM-DD)
+ * @param {string} dates.maturityDate - Maturity date (YYYY-MM-DD)
+ * @returns {Object} Error object keyed by field
+ */
+export function validateDates({ settlementDate, maturityDate }) {
+  const errors = {};
+  const settlement = parseISODate(settlementDate);
+  const maturity = parseISODate(maturityDate);
+  const maxYears = VALIDATION_RULES.years.max;
+  
+  if (!settlement) {
+    errors.settlementDate = t('validation.settlementRequired');
+  }
+  
+  if (!maturity) {
+    errors.maturityDate = t('validation.maturityRequired');
+  } else if (settlement && maturity <= settlement) {
+    errors.maturityDate = t('validation.maturityAfterSettlement');
+  } else if (settlement && maturity > addMonths(settlement, maxYears * 12)) {
+    errors.maturityDate = t('validation.maturityMax', { years: maxYears });
+  }
+  
+  return errors;
+}
+
+/**
+ * Describe a parsing or calculation error in the language in use
+ * Only errors from createCodedError in calculations.js are described;
+ * others (a DOMException has a numeric code) keep their own message.
+ * @param {Error} error - Error thrown while parsing or pricing the inputs
+ * @returns {string} Error message
+ */
+export function describeError(error) {
+  if (!error.code || !error.params) {
+    return error.message;
+  }
+  
+  const params = { ...error.params };
+  // Solver failures carry the reason the yield could not be found
+  if (params.reason) {
+    params.reason = t(`validation.solver.${params.reason}`, params);
+  }
+  return t(`validation.${error.code}`, params);
+}
+
+/**
+ * Validate a spot-rate term structure
+ * Each rate is held to the same range as yield to maturity.
+ * @param {string} text - Spot rates as typed by the user
+ * @returns {string|null} Error message or null
+ */
+export function validateSpotRates(text) {
+  let curve;
+  try {
+    curve = parseSpotCurve(text);
+  } catch (error) {
+    return describeError(error);
+  }
+  
+  const { min, max } = VALIDATION_RULES.ytm;
+  const rates = curve.type === 'period' ? curve.rates : curve.points.map(p => p.rate);
+  
+  if (rates.some(rate => rate < min || rate > max)) {
+    return t('validation.spotRange', { min, max });
+  }
+  
+  return null;
+}
+
+/**
+ * Years to maturity that schedules are checked against
+ * With dates in use, these are the remaining whole periods from the coupon
+ * schedule, as calculateFromInputs prices them.
+ * @param {Object} inputs - Input values
+ * @returns {number} Years to maturity
+ */
+function getScheduleYears(inputs) {
+  const { useDates, frequency } = inputs;
+  if (!useDates || Object.keys(validateDates(inputs)).length > 0) {
+    return inputs.years;
+  }
+  
+  return calculateAccrualPeriod(inputs).periods / frequency;
+}
+
+/**
+ * Validate a sinking fund schedule
+ * Redemptions must fall on payment dates before maturity and leave
+ * some principal to repay at maturity.
+ * @param {string} text - Schedule as typed by the user
+ * @param {Object} inputs - Schedule inputs ({ years, frequency }, and the
+ *   dates when useDates is on)
+ * @returns {string|null} Error message or null
+ */
+export function validateSinkingSchedule(text, inputs) {
+  const { frequency } = inputs;
+  const years = getScheduleYears(inputs);
+  let schedule;
+  try {
+    schedule = parseSinkingSchedule(text);
+  } catch (error) {
+    return describeError(error);
+  }
+  
+  if (schedule.length === 0) {
+    return t('validation.sinkingEmpty');
+  }
+  
+  for (const { year, percent } of schedule) {
+    if (percent <= 0) {
+      return t('validation.sinkingPercent');
+    }
+    const period = year * frequency;
+    if (year <= 0 || Math.abs(period - Math.round(period)) > 1e-9) {
+      return t('validation.sinkingDate', { year });
+    }
+    if (year >= years) {
+      return t('validation.sinkingMaturity', { year, years });
+    }
+  }
+  
+  const total = schedule.reduce((sum, { percent }) => sum + percent, 0);
+  if (total >= 100) {
+    return t('validation.sinkingTotal');
+  }
+  
+  return null;
+}
+
+/**
+ * Validate a call schedule
+ * Calls must fall on distinct payment dates before maturity, with call
+ * prices in the same range as the bond price.
+ * @param {string} text - Schedule as typed by the user
+ * @param {Object} inputs - Schedule inputs ({ years, frequency }, and the
+ *   dates when useDates is on)
+ * @returns {string|null} Error message or null
+ */
+export function validateCallSchedule(text, inputs) {
+  const { frequency } = inputs;
+  const years = getScheduleYears(inputs);
+  let schedule;
+  try {
+    schedule = parseCallSchedule(text);
+  } catch (error) {
+    return describeError(error);
+  }
+  
+  if (schedule.length === 0) {
+    return t('validation.callEmpty');
+  }
+  
+  const { min, max } = VALIDATION_RULES.price;
+  
+  for (let i = 0; i < schedule.length; i++) {
+    const { year, price } = schedule[i];
+    const period = year * frequency;
+    if (year <= 0 || Math.abs(period - Math.round(period)) > 1e-9) {
+      return t('validation.callDate', { year });
+    }
+    if (year >= years) {
+      return t('validation.callMaturity', { year, years });
+    }
+    if (i > 0 && year === schedule[i - 1].year) {
+      return t('validation.callDuplicate', { year });
+    }
+    if (price < min || price > max) {
+      return t('validation.callPrice', { min, max });
+    }
   }
   
   return null;
@@ -56,6 +294,8 @@ export function validateField(field, value) {
 
 /**
  * Validate all inputs
+ * Dates, spot rates and sinking fund and call schedules are checked only
+ * when the inputs put them in use.
  * @param {Object} inputs - Input values
  * @returns {Object} Error object
  */
@@ -69,9 +309,56 @@ export function validateAllInputs(inputs) {
     }
   });
   
+  // Settlement dates set the schedule when in use
+  if (inputs.useDates) {
+    Object.assign(errors, validateDates(inputs));
+  } else if (!errors.years && !errors.frequency) {
+    const scheduleError = validateSchedule(inputs);
+    if (scheduleError) {
+      errors.schedule = scheduleError;
+    }
+  }
+  
+  const textFields = [
+    ['spotRates', inputs.inputMode === 'spot', () => validateSpotRates(inputs.spotRates)],
+    ['sinkingSchedule', inputs.structure === 'sinking', () => validateSinkingSchedule(inputs.sinkingSchedule, inputs)],
+    ['callSchedule', inputs.callable, () => validateCallSchedule(inputs.callSchedule, inputs)]
+  ];
+  
+  textFields.forEach(([field, inUse, validate]) => {
+    const error = inUse ? validate() : null;
+    if (error) {
+      errors[field] = error;
+    }
+  });
+  
   return errors;
 }
 
+/**
+ * Check the fields in error again, as after a change of language
+ * Each message is rewritten in the language in use; a message that can no
+ * longer be reproduced (such as a calculation error) is kept as it was.
+ * @param {Object} errors - Error object keyed by field
+ * @param {Object} inputs - Input values
+ * @returns {Object} Error object with the same fields
+ */
+export function revalidateErrors(errors, inputs) {
+  const checks = {
+    schedule: () => validateSchedule(inputs),
+    settlementDate: () => validateDates(inputs).settlementDate,
+    maturityDate: () => validateDates(inputs).maturityDate,
+    spotRates: () => validateSpotRates(inputs.spotRates),
+    sinkingSchedule: () => validateSinkingSchedule(inputs.sinkingSchedule, inputs),
+    callSchedule: () => validateCallSchedule(inputs.callSchedule, inputs)
+  };
+  
+  return Object.fromEntries(Object.entries(errors).map(([field, message]) => {
+    const check = checks[field] || (() => validateField(field, inputs[field]));
+    return [field, check() || message];
+  }));
+}
+
 /**
  * Update field error display
  * @param {string} fieldId - Field ID
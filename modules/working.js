@@ -0,0 +1,231 @@
+/**
+ * Worked Solution Module
+ * Substitutes the bond's PMT, r, T and FV into the valuation equation and
+ * works through it one intermediate result at a time
+ */
+
+import { createElement, formatCurrency } from './utils.js';
+import { t, formatNumber, formatPercent } from './i18n.js';
+import {
+  identifier,
+  number,
+  operator,
+  text,
+  row,
+  fraction,
+  power,
+  subscript,
+  group,
+  toMathML,
+  toSpeech
+} from './mathml.js';
+import { SYMBOL_STYLES, createValuationEquation } from './equation.js';
+
+// Substituted values are shown without trailing zeros
+const TRIMMED = { minimumFractionDigits: 0 };
+
+/**
+ * Explain why the equation cannot reproduce a bond's price
+ * @param {Object} calculations - Bond calculations
+ * @returns {string} Explanation ('' when the equation applies)
+ */
+export function getWorkingLimitation(calculations) {
+  if (calculations.spotCurve) {
+    return t('working.limitation.spot');
+  }
+
+  if (calculations.structure === 'amortizing' || calculations.structure === 'sinking') {
+    return t('working.limitation.amortizing');
+  }
+
+  return '';
+}
+
+/**
+ * Work through the valuation equation for a bond
+ * Between coupon dates, the equation prices the bond on the last coupon
+ * date and a final step rolls the price forward to settlement.
+ * @param {Object} calculations - Bond calculations
+ * @param {Object} params - { faceValue, frequency }
+ * @returns {Object} { limitation } when the equation does not apply, or
+ *   { values, price, settlement, equation, steps }: the substituted values,
+ *   the price the equation gives, { fraction, fullPrice } between coupon
+ *   dates (otherwise null), the equation and steps as
+ *   { label, expression, value, note }
+ */
+export function getWorkingSteps(calculations, { faceValue, frequency }) {
+  const limitation = getWorkingLimitation(calculations);
+  if (limitation) {
+    return { limitation };
+  }
+
+  const { periodicCoupon, periodicYield, periods, ytm, floating, accrual } = calculations;
+  const values = { PMT: periodicCoupon, r: periodicYield, T: periods, FV: faceValue };
+
+  const growth = Math.pow(1 + periodicYield, periods);
+  const discountFactor = 1 / growth;
+  // The annuity factor tends to T as r tends to 0
+  const annuityFactor = periodicYield === 0 ? periods : (1 - discountFactor) / periodicYield;
+  const pvCoupons = periodicCoupon * annuityFactor;
+  const pvFaceValue = faceValue * discountFactor;
+  const price = pvCoupons + pvFaceValue;
+
+  const PMT = number(formatNumber(periodicCoupon), SYMBOL_STYLES.PMT);
+  const r = number(formatNumber(periodicYield, 6, TRIMMED), SYMBOL_STYLES.r);
+  const T = number(formatNumber(periods, 4, TRIMMED));
+  const FV = number(formatNumber(faceValue), SYMBOL_STYLES.FV);
+  const compound = power(group(row(number(1), operator('+'), r)), T);
+  const PV = subscript(identifier('PV', SYMBOL_STYLES.PV), text(t('equation.couponBond'), SYMBOL_STYLES.PV));
+
+  const steps = [
+    {
+      label: t('working.step.rate'),
+      expression: row(
+        identifier('r', SYMBOL_STYLES.r), operator('='),
+        fraction(number(formatPercent(ytm, 4, TRIMMED)), number(frequency)),
+        operator('='), r
+      ),
+      value: periodicYield,
+      note: floating ? t('working.note.floatingRate') : t('working.note.rate')
+    },
+    {
+      label: t('working.step.annuity'),
+      expression: periodicYield === 0
+        ? row(identifier('T'), operator('='), T)
+        : row(
+          fraction(group(row(number(1), operator('−'), fraction(number(1), compound)), '[', ']'), r),
+          operator('='), number(formatNumber(annuityFactor, 4, TRIMMED))
+        ),
+      value: annuityFactor,
+      note: periodicYield === 0 ? t('working.note.zeroAnnuity') : t('working.note.annuity')
+    },
+    {
+      label: t('working.step.pvCoupons'),
+      expression: row(
+        PMT, operator('×'), number(formatNumber(annuityFactor, 4, TRIMMED)),
+        operator('='), number(formatNumber(pvCoupons))
+      ),
+      value: pvCoupons,
+      note: ''
+    },
+    {
+      label: t('working.step.discount'),
+      expression: row(
+        fraction(number(1), compound), operator('='),
+        fraction(number(1), number(formatNumber(growth, 6, TRIMMED))),
+        operator('='), number(formatNumber(discountFactor, 6, TRIMMED))
+      ),
+      value: discountFactor,
+      note: t('working.note.discount')
+    },
+    {
+      label: t('working.step.pvFace'),
+      expression: row(
+        FV, operator('×'), number(formatNumber(discountFactor, 6, TRIMMED)),
+        operator('='), number(formatNumber(pvFaceValue))
+      ),
+      value: pvFaceValue,
+      note: ''
+    },
+    {
+      label: t('working.step.price'),
+      expression: row(
+        PV, operator('='), number(formatNumber(pvCoupons)), operator('+'),
+        number(formatNumber(pvFaceValue)), operator('='), number(formatNumber(price), SYMBOL_STYLES.PV)
+      ),
+      value: price,
+      note: accrual && accrual.accrualFraction > 0 ? t('working.note.lastCoupon') : ''
+    }
+  ];
+
+  // Between coupon dates, grow the price at r for the fraction of a period elapsed
+  let settlement = null;
+  if (accrual && accrual.accrualFraction > 0) {
+    const fullPrice = price * Math.pow(1 + periodicYield, accrual.accrualFraction);
+    settlement = { fraction: accrual.accrualFraction, fullPrice };
+    steps.push({
+      label: t('working.step.fullPrice'),
+      expression: row(
+        number(formatNumber(price)), operator('×'),
+        power(group(row(number(1), operator('+'), r)), number(formatNumber(accrual.accrualFraction, 4, TRIMMED))),
+        operator('='), number(formatNumber(fullPrice), SYMBOL_STYLES.PV)
+      ),
+      value: fullPrice,
+      note: t('working.note.elapsed', {
+        percent: formatPercent(accrual.accrualFraction * 100, 2, TRIMMED)
+      })
+    });
+  }
+
+  const equation = createValuationEquation({
+    PMT: PMT.text, r: r.text, T: T.text, FV: FV.text
+  }, formatNumber(price));
+
+  return { values, price, settlement, equation, steps };
+}
+
+/**
+ * Render the worked solution
+ * Each expression is shown as MathML and read from a sentence, since
+ * screen reader support for MathML varies.
+ * @param {Object} calculations - Bond calculations
+ * @param {Object} params - { faceValue, frequency }
+ * @param {Element} container - Element to render into
+ */
+export function renderWorking(calculations, params, container = document.getElementById('working-content')) {
+  if (!container) {
+    console.error('Working container not found');
+    return;
+  }
+
+  container.innerHTML = '';
+
+  const working = getWorkingSteps(calculations, params);
+  if (working.limitation) {
+    container.appendChild(createElement('p', { className: 'working-note' },
+      t('working.notApplicable', { limitation: working.limitation })));
+    return;
+  }
+
+  const { PMT, r, T, FV } = working.values;
+  container.appendChild(createElement('p', { className: 'working-intro' }, t('working.intro', {
+    PMT: formatCurrency(PMT),
+    r: formatNumber(r, 6, TRIMMED),
+    T: formatNumber(T, 4, TRIMMED),
+    FV: formatCurrency(FV)
+  })));
+
+  container.appendChild(createExpression(working.equation, 'block', 'working-equation'));
+
+  const list = createElement('ol', { className: 'working-steps' });
+  working.steps.forEach(({ label, expression, note }) => {
+    const item = createElement('li', { className: 'working-step' });
+    item.appendChild(createElement('span', { className: 'working-label' }, label));
+    item.appendChild(createExpression(expression, 'inline', 'working-expression'));
+    if (note) {
+      item.appendChild(createElement('span', { className: 'working-step-note' }, note));
+    }
+    list.appendChild(item);
+  });
+  container.appendChild(list);
+}
+
+/**
+ * Create an expression as MathML with a sentence for screen readers
+ * @param {Object} expression - Expression from getWorkingSteps
+ * @param {string} display - 'block' or 'inline'
+ * @param {string} className - Class of the wrapper
+ * @returns {Element} Wrapper element
+ */
+function createExpression(expression, display, className) {
+  const spoken = toSpeech(expression);
+  const wrapper = createElement('span', { className });
+
+  const math = toMathML(expression, { display, label: spoken });
+  math.setAttribute('aria-hidden', 'true');
+  wrapper.appendChild(math);
+  wrapper.appendChild(createElement('span', { className: 'sr-only' }, spoken));
+
+  return wrapper;
+}
+
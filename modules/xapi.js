@@ -0,0 +1,368 @@
+/**
+ * xAPI Module
+ * Records the learner's use of the calculator as xAPI statements and sends
+ * them to a Learning Record Store (LRS) in batches. Statements wait in
+ * localStorage while the browser is offline or the LRS cannot be reached.
+ *
+ * Enabled by the xAPI launch parameters on the page URL: endpoint, auth,
+ * actor, registration and activity_id.
+ */
+
+const STORAGE_KEY = 'bond-calculator-xapi-queue';
+const XAPI_VERSION = '1.0.3';
+
+// Oldest statements are dropped beyond this many (storage is limited)
+const MAX_QUEUED = 500;
+
+// Longest wait between retries while the LRS is unreachable
+const MAX_RETRY_DELAY = 5 * 60 * 1000;
+
+export const VERBS = {
+  interacted: { id: 'http://adlnet.gov/expapi/verbs/interacted', display: { 'en-US': 'interacted' } },
+  completed: { id: 'http://adlnet.gov/expapi/verbs/completed', display: { 'en-US': 'completed' } }
+};
+
+const ACTIVITY_TYPES = {
+  calculator: 'http://adlnet.gov/expapi/activities/simulation',
+  exercise: 'http://adlnet.gov/expapi/activities/cmi.interaction'
+};
+
+/**
+ * Read the xAPI launch parameters from a query string
+ * @param {string} search - Query string
+ * @returns {Object|null} { endpoint, auth, actor, registration, activityId },
+ *   or null unless an endpoint and a valid actor are given
+ */
+export function readLaunchParameters(search) {
+  const params = new URLSearchParams(search);
+  const endpoint = params.get('endpoint');
+  if (!endpoint) return null;
+
+  let actor;
+  try {
+    actor = normalizeActor(JSON.parse(params.get('actor') || 'null'));
+  } catch (error) {
+    console.error('Invalid xAPI actor:', error);
+    return null;
+  }
+  if (!actor) {
+    console.error('xAPI launch is missing an actor');
+    return null;
+  }
+
+  return {
+    endpoint: endpoint.endsWith('/') ? endpoint : `${endpoint}/`,
+    auth: params.get('auth'),
+    actor,
+    registration: params.get('registration'),
+    activityId: params.get('activity_id')
+  };
+}
+
+/**
+ * Convert a launch actor to an xAPI 1.0 Agent
+ * Older launchers send each identifier as a one-item array.
+ * @param {Object} actor - Actor from the launch parameters
+ * @returns {Object|null} Agent, or null if it has no identifier
+ */
+function normalizeActor(actor) {
+  if (!actor || typeof actor !== 'object') return null;
+
+  const agent = { objectType: 'Agent' };
+  ['name', 'mbox', 'mbox_sha1sum', 'openid', 'account'].forEach(key => {
+    const value = Array.isArray(actor[key]) ? actor[key][0] : actor[key];
+    if (value) {
+      agent[key] = value;
+    }
+  });
+
+  // Older launchers also name account fields differently
+  if (agent.account && agent.account.accountServiceHomePage) {
+    agent.account = { homePage: agent.account.accountServiceHomePage, name: agent.account.accountName };
+  }
+
+  return ['mbox', 'mbox_sha1sum', 'openid', 'account'].some(key => agent[key]) ? agent : null;
+}
+
+/**
+ * Create a client that queues statements and sends them to an LRS
+ * @param {Object} options - Client options
+ * @param {string} options.endpoint - LRS endpoint, ending in '/'
+ * @param {string} options.auth - Authorization header value (optional)
+ * @param {Object} options.actor - xAPI Agent for the learner
+ * @param {string} options.registration - Registration UUID (optional)
+ * @param {string} options.activityId - IRI of the calculator activity
+ * @param {number} options.batchSize - Most statements sent in one request
+ * @param {number} options.flushDelay - Milliseconds to wait for a batch to fill
+ * @param {Function} options.fetch - fetch implementation
+ * @param {Storage} options.storage - Storage for the offline queue
+ * @param {Function} options.isOnline - Whether the browser is online
+ * @returns {Object} { interacted, completed, flush, pending, stop }
+ */
+export function createXAPIClient({
+  endpoint,
+  auth = null,
+  actor,
+  registration = null,
+  activityId,
+  batchSize = 10,
+  flushDelay = 5000,
+  fetch: send = globalThis.fetch,
+  storage = globalThis.localStorage,
+  isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false
+}) {
+  let queue = loadQueue(storage);
+  let timer = null;
+  let flushing = null;
+  let failures = 0;
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Experience-API-Version': XAPI_VERSION,
+    ...(auth ? { Authorization: auth } : {})
+  };
+
+  const calculatorActivity = {
+    objectType: 'Activity',
+    id: activityId,
+    definition: {
+      type: ACTIVITY_TYPES.calculator,
+      name: { 'en-US': 'Bond valuation calculator' }
+    }
+  };
+
+  /**
+   * Describe the learner's inputs and price as result extensions
+   * @param {Object} details - { inputs, price }
+   * @returns {Object} Extensions keyed by IRI
+   */
+  const describeBond = ({ inputs, price }) => ({
+    [`${activityId}/extensions/inputs`]: inputs,
+    [`${activityId}/extensions/price`]: price
+  });
+
+  /**
+   * Build a statement by the learner
+   * @param {Object} verb - Verb from VERBS
+   * @param {Object} object - Activity
+   * @param {Object} result - Statement result
+   * @param {Object} contextActivities - Related activities (optional)
+   * @returns {Object} Statement
+   */
+  const createStatement = (verb, object, result, contextActivities = null) => ({
+    id: createUUID(),
+    actor,
+    verb,
+    object,
+    result,
+    context: {
+      ...(registration ? { registration } : {}),
+      ...(contextActivities ? { contextActivities } : {})
+    },
+    timestamp: new Date().toISOString()
+  });
+
+  /**
+   * Add a statement to the queue and send it with the next batch
+   * @param {Object} statement - Statement to send
+   */
+  const enqueue = (statement) => {
+    queue.push(statement);
+    if (queue.length > MAX_QUEUED) {
+      console.warn(`xAPI queue full; dropping ${queue.length - MAX_QUEUED} oldest statements`);
+      queue = queue.slice(-MAX_QUEUED);
+    }
+    saveQueue(storage, queue);
+
+    if (queue.length >= batchSize) {
+      flush();
+    } else {
+      schedule(flushDelay);
+    }
+  };
+
+  /**
+   * Flush the queue after a delay (unless a flush is already due)
+   * @param {number} delay - Milliseconds
+   */
+  const schedule = (delay) => {
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      flush();
+    }, delay);
+  };
+
+  /**
+   * Send queued statements in batches until the queue is empty or a
+   * request fails; failures are retried with a growing delay
+   * @param {boolean} keepalive - Let the requests outlive the page
+   * @returns {Promise<number>} Number of statements sent
+   */
+  const sendQueued = async (keepalive) => {
+    let sent = 0;
+
+    while (queue.length > 0) {
+      // Resumed by flush() when the browser comes back online
+      if (!isOnline()) return sent;
+
+      const batch = queue.slice(0, batchSize);
+      let response;
+      try {
+        response = await send(`${endpoint}statements`, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify(batch),
+          keepalive
+        });
+      } catch (error) {
+        retryLater(error.message);
+        return sent;
+      }
+
+      // 409: statements with these IDs are already stored (an earlier send got through)
+      if (response.status === 400) {
+        console.error(`LRS rejected ${batch.length} xAPI statements; dropping them`);
+      } else if (!response.ok && response.status !== 409) {
+        retryLater(`HTTP ${response.status}`);
+        return sent;
+      } else {
+        sent += batch.length;
+      }
+
+      // Statements queued while sending were added after the batch
+      queue = queue.slice(batch.length);
+      saveQueue(storage, queue);
+      failures = 0;
+    }
+
+    return sent;
+  };
+
+  /**
+   * Schedule another attempt after a failed send
+   * @param {string} reason - Why the send failed
+   */
+  const retryLater = (reason) => {
+    failures += 1;
+    const delay = Math.min(flushDelay * 2 ** failures, MAX_RETRY_DELAY);
+    console.warn(`Could not send xAPI statements (${reason}); retrying in ${Math.round(delay / 1000)}s`);
+    schedule(delay);
+  };
+
+  /**
+   * Send everything queued now
+   * @param {Object} options - { keepalive: true when the page is closing }
+   * @returns {Promise<number>} Number of statements sent
+   */
+  const flush = ({ keepalive = false } = {}) => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (!flushing) {
+      flushing = sendQueued(keepalive).finally(() => {
+        flushing = null;
+      });
+    }
+    return flushing;
+  };
+
+  return {
+    /**
+     * Record that the learner priced a bond
+     * @param {Object} details - { inputs, price }
+     */
+    interacted: (details) => {
+      enqueue(createStatement(VERBS.interacted, calculatorActivity, {
+        extensions: describeBond(details)
+      }));
+    },
+
+    /**
+     * Record that the learner completed an exercise
+     * @param {Object} exercise - { id, name }; the id is an IRI or a name
+     *   unique within the calculator
+     * @param {Object} result - { success, score (0-1), inputs, price }
+     */
+    completed: (exercise, { success, score, inputs, price } = {}) => {
+      const id = /^[a-z][a-z0-9+.-]*:/i.test(exercise.id || '')
+        ? exercise.id
+        : `${activityId}/exercises/${encodeURIComponent(exercise.id || 'exercise')}`;
+
+      enqueue(createStatement(VERBS.completed, {
+        objectType: 'Activity',
+        id,
+        definition: {
+          type: ACTIVITY_TYPES.exercise,
+          name: { 'en-US': exercise.name || 'Bond valuation exercise' }
+        }
+      }, {
+        completion: true,
+        ...(typeof success === 'boolean' ? { success } : {}),
+        ...(Number.isFinite(score) ? { score: { scaled: score } } : {}),
+        extensions: describeBond({ inputs, price })
+      }, { parent: [{ objectType: 'Activity', id: activityId }] }));
+    },
+
+    flush,
+
+    /**
+     * Number of statements waiting to be sent
+     * @returns {number}
+     */
+    pending: () => queue.length,
+
+    /**
+     * Stop any scheduled flush (statements stay queued)
+     */
+    stop: () => {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+}
+
+/**
+ * Read the offline queue
+ * @param {Storage} storage - Queue storage
+ * @returns {Array} Queued statements
+ */
+function loadQueue(storage) {
+  try {
+    const stored = JSON.parse(storage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.error('Could not read queued xAPI statements:', error);
+    return [];
+  }
+}
+
+/**
+ * Write the offline queue
+ * @param {Storage} storage - Queue storage
+ * @param {Array} queue - Queued statements
+ */
+function saveQueue(storage, queue) {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(queue));
+  } catch (error) {
+    console.error('Could not queue xAPI statements:', error);
+  }
+}
+
+/**
+ * Create a statement ID (random UUID)
+ * @returns {string} UUID
+ */
+function createUUID() {
+  if (globalThis.crypto && globalThis.crypto.randomUUID) {
+    return globalThis.crypto.randomUUID();
+  }
+
+  // randomUUID needs a secure context
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+    const r = Math.floor(Math.random() * 16);
+    return (c === 'x' ? r : (r % 4) + 8).toString(16);
+  });
+}
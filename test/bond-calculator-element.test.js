@@ -0,0 +1,99 @@
+/**
+ * Bond Calculator Element Tests
+ * Attribute parsing, store isolation and the pricechange detail
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { state } from '../modules/state.js';
+import { calculateFromInputs } from '../modules/calculations.js';
+
+// Just enough of the custom elements API to load the element without a DOM
+globalThis.HTMLElement = class {
+  attachShadow() {
+    this.shadowRoot = {};
+    return this.shadowRoot;
+  }
+};
+globalThis.customElements = { get: () => undefined, define: () => {} };
+
+const {
+  BondCalculatorElement,
+  PANELS,
+  readInputAttribute,
+  parsePanels,
+  createPriceChangeDetail
+} = await import('../modules/bond-calculator-element.js');
+
+describe('readInputAttribute', () => {
+  it('maps each attribute to its input', () => {
+    assert.deepEqual(readInputAttribute('coupon', '5'), { field: 'couponRate', value: 5 });
+    assert.deepEqual(readInputAttribute('ytm', '4.25'), { field: 'ytm', value: 4.25 });
+    assert.deepEqual(readInputAttribute('years', ' 3 '), { field: 'years', value: 3 });
+    assert.deepEqual(readInputAttribute('frequency', '4'), { field: 'frequency', value: 4 });
+  });
+
+  it('restores the default when an attribute is removed', () => {
+    assert.deepEqual(readInputAttribute('coupon', null), { field: 'couponRate', value: state.couponRate });
+    assert.deepEqual(readInputAttribute('frequency', null), { field: 'frequency', value: 2 });
+  });
+
+  it('reads blank and non-numeric values as NaN', () => {
+    assert.ok(Number.isNaN(readInputAttribute('ytm', '').value));
+    assert.ok(Number.isNaN(readInputAttribute('years', 'five').value));
+  });
+});
+
+describe('parsePanels', () => {
+  it('shows every panel when none are named', () => {
+    assert.deepEqual(parsePanels(null), PANELS);
+    assert.deepEqual(parsePanels('  '), PANELS);
+    assert.deepEqual(parsePanels('summary'), PANELS);
+  });
+
+  it('keeps known panels in display order', () => {
+    assert.deepEqual(parsePanels('table  results\tgraph'), ['results', 'table']);
+    assert.deepEqual(parsePanels('chart'), ['chart']);
+  });
+});
+
+describe('BondCalculatorElement', () => {
+  it('keeps its inputs apart from the page and other elements', () => {
+    const first = new BondCalculatorElement();
+    const second = new BondCalculatorElement();
+
+    first.attributeChangedCallback('coupon', null, '3');
+    first.attributeChangedCallback('years', null, '2');
+
+    assert.equal(first.store.state.couponRate, 3);
+    assert.equal(first.store.state.years, 2);
+    assert.equal(second.store.state.couponRate, state.couponRate);
+    assert.equal(state.years, 5);
+    assert.notEqual(first.store.state, state);
+  });
+});
+
+describe('createPriceChangeDetail', () => {
+  const inputs = { ...state, couponRate: 6, ytm: 5, years: 3, frequency: 1 };
+
+  it('reports the price with the inputs and calculations', () => {
+    const { calculations } = calculateFromInputs(inputs);
+    const detail = createPriceChangeDetail({ ...inputs, bondCalculations: calculations });
+
+    assert.deepEqual(detail, {
+      price: calculations.bondPrice,
+      couponRate: 6,
+      ytm: 5,
+      years: 3,
+      frequency: 1,
+      calculations
+    });
+  });
+
+  it('reports no price while the inputs are invalid', () => {
+    const detail = createPriceChangeDetail({ ...inputs, bondCalculations: null });
+    assert.equal(detail.price, null);
+    assert.equal(detail.calculations, null);
+  });
+});
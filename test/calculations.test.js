@@ -0,0 +1,705 @@
+/**
+ * Calculations Module Tests
+ * Textbook examples, edge cases and property checks for the bond math
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  generatePrincipalSchedule,
+  calculateBondPrice,
+  solvePeriodicYield,
+  calculateYieldFromPrice,
+  calculateAccrualPeriod,
+  countDays,
+  generateCashFlows,
+  parseSpotCurve,
+  getSpotRate,
+  priceCashFlows,
+  calculateRiskMeasures,
+  analyzeBondType,
+  generateAmortizationSchedule,
+  calculateCallYields,
+  parseCallSchedule,
+  getFloatingRates,
+  calculateBondMetrics,
+  calculateFromInputs
+} from '../modules/calculations.js';
+
+const FREQUENCIES = [1, 2, 4, 12];
+
+/**
+ * Assert two numbers agree within an absolute tolerance
+ * @param {number} actual - Computed value
+ * @param {number} expected - Expected value
+ * @param {number} tolerance - Largest accepted difference
+ */
+function assertClose(actual, expected, tolerance = 1e-9) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `expected ${expected} ± ${tolerance}, got ${actual}`
+  );
+}
+
+/**
+ * Price a bond per 100 face value
+ * @param {Object} params - Bond parameters (see calculateBondPrice)
+ * @returns {number} Price
+ */
+function price(params) {
+  return calculateBondPrice({ faceValue: 100, ...params }).price;
+}
+
+/**
+ * Seeded pseudo-random number generator (mulberry32), so property
+ * tests check the same bonds on every run
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Generator of numbers in [0, 1)
+ */
+function createRandom(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generate random bonds within the calculator's input ranges
+ * @param {number} count - Number of bonds
+ * @param {number} seed - Random seed
+ * @returns {Array} Bond parameters with faceValue 100
+ */
+function randomBonds(count, seed = 42) {
+  const random = createRandom(seed);
+  const pick = (values) => values[Math.floor(random() * values.length)];
+
+  return Array.from({ length: count }, () => ({
+    faceValue: 100,
+    couponRate: Math.round(random() * 1000) / 100,
+    ytm: Math.round(random() * 1000) / 100,
+    years: pick([1, 2, 3, 4, 5]),
+    frequency: pick(FREQUENCIES)
+  }));
+}
+
+describe('calculateBondPrice', () => {
+  describe('textbook examples', () => {
+    it('prices a 5-year 6% annual bond at 5% (CFA: 104.3295)', () => {
+      assertClose(price({ couponRate: 6, ytm: 5, years: 5, frequency: 1 }), 104.3295, 5e-5);
+    });
+
+    it('prices a 3-year 4% annual bond at 3% (CFA: 102.8286)', () => {
+      assertClose(price({ couponRate: 4, ytm: 3, years: 3, frequency: 1 }), 102.8286, 5e-5);
+    });
+
+    it('prices a 20-year 10% semi-annual bond at 11% (Fabozzi: 919.77 per 1,000)', () => {
+      const result = calculateBondPrice({ faceValue: 1000, couponRate: 10, ytm: 11, years: 20, frequency: 2 });
+      assertClose(result.price, 919.77, 5e-3);
+    });
+
+    it('prices a 5-year 8% semi-annual bond at 6% (108.5302)', () => {
+      assertClose(price({ couponRate: 8, ytm: 6, years: 5, frequency: 2 }), 108.5302, 5e-5);
+    });
+
+    it('prices a 5-year zero-coupon bond at 5% annual (78.3526)', () => {
+      assertClose(price({ couponRate: 0, ytm: 5, years: 5, frequency: 1, structure: 'zero' }), 78.3526, 5e-5);
+    });
+  });
+
+  it('splits the price into PV of coupons and PV of face value', () => {
+    const result = calculateBondPrice({ faceValue: 100, couponRate: 8, ytm: 6, years: 5, frequency: 2 });
+    assertClose(result.pvCoupons + result.pvFaceValue, result.price);
+    assertClose(result.pvFaceValue, 100 / Math.pow(1.03, 10));
+    assert.equal(result.periodicCoupon, 4);
+    assert.equal(result.periodicYield, 0.03);
+    assert.equal(result.periods, 10);
+  });
+
+  it('prices at the sum of the cash flows at zero yield', () => {
+    assertClose(price({ couponRate: 5, ytm: 0, years: 4, frequency: 2 }), 120, 1e-9);
+    assertClose(price({ couponRate: 0, ytm: 0, years: 4, frequency: 2 }), 100, 1e-9);
+  });
+
+  it('prices a zero-coupon bond from the face value alone', () => {
+    FREQUENCIES.forEach(frequency => {
+      const result = calculateBondPrice({
+        faceValue: 100, couponRate: 7, ytm: 4, years: 3, frequency, structure: 'zero'
+      });
+      assert.equal(result.pvCoupons, 0);
+      assert.equal(result.periodicCoupon, 0);
+      assertClose(result.price, 100 / Math.pow(1 + 0.04 / frequency, 3 * frequency));
+    });
+  });
+
+  for (const years of [1, 5]) {
+    for (const frequency of FREQUENCIES) {
+      it(`prices a ${years}-year bond paying ${frequency}x a year at par when coupon equals yield`, () => {
+        const result = calculateBondPrice({ faceValue: 100, couponRate: 6.5, ytm: 6.5, years, frequency });
+        assertClose(result.price, 100, 1e-9);
+        assert.equal(result.periods, years * frequency);
+        assert.equal(result.schedule.length, years * frequency);
+      });
+    }
+  }
+});
+
+describe('generatePrincipalSchedule', () => {
+  it('repays all principal at maturity for a bullet bond', () => {
+    const schedule = generatePrincipalSchedule({ faceValue: 100, couponRate: 6, years: 2, frequency: 2 });
+    assert.deepEqual(schedule.map(p => p.principal), [0, 0, 0, 100]);
+    assert.deepEqual(schedule.map(p => p.coupon), [3, 3, 3, 3]);
+  });
+
+  it('pays level amounts that fully amortize the principal', () => {
+    const schedule = generatePrincipalSchedule({
+      faceValue: 100, couponRate: 6, years: 5, frequency: 2, structure: 'amortizing'
+    });
+    const payments = schedule.map(p => p.coupon + p.principal);
+    payments.forEach(payment => assertClose(payment, payments[0], 1e-9));
+    assertClose(schedule.reduce((sum, p) => sum + p.principal, 0), 100, 1e-9);
+    assert.equal(schedule.at(-1).outstanding, 0);
+  });
+
+  it('redeems sinking fund amounts and pays coupons on the remaining balance', () => {
+    const schedule = generatePrincipalSchedule({
+      faceValue: 100,
+      couponRate: 10,
+      years: 3,
+      frequency: 1,
+      structure: 'sinking',
+      sinkingSchedule: [{ year: 1, percent: 30 }, { year: 2, percent: 30 }]
+    });
+    assert.deepEqual(schedule.map(p => p.principal), [30, 30, 40]);
+    assert.deepEqual(schedule.map(p => p.coupon), [10, 7, 4]);
+  });
+
+  it('rejects sinking fund redemptions off a payment date or at maturity', () => {
+    const params = { faceValue: 100, couponRate: 5, years: 3, frequency: 1, structure: 'sinking' };
+    assert.throws(
+      () => generatePrincipalSchedule({ ...params, sinkingSchedule: [{ year: 1.5, percent: 20 }] }),
+      /not a payment date/
+    );
+    assert.throws(
+      () => generatePrincipalSchedule({ ...params, sinkingSchedule: [{ year: 3, percent: 20 }] }),
+      /before maturity/
+    );
+  });
+});
+
+describe('calculateYieldFromPrice', () => {
+  it('recovers the 11% yield from the Fabozzi price', () => {
+    const result = calculateYieldFromPrice({
+      faceValue: 1000, couponRate: 10, price: 919.7694, years: 20, frequency: 2
+    });
+    assert.equal(result.converged, true);
+    assertClose(result.ytm, 11, 1e-5);
+  });
+
+  it('returns the coupon rate for a bond priced at par', () => {
+    FREQUENCIES.forEach(frequency => {
+      const result = calculateYieldFromPrice({ faceValue: 100, couponRate: 7, price: 100, years: 5, frequency });
+      assertClose(result.ytm, 7, 1e-9);
+    });
+  });
+
+  it('recovers the yield of a zero-coupon bond', () => {
+    const result = calculateYieldFromPrice({
+      faceValue: 100, couponRate: 0, price: 78.3526166468, years: 5, frequency: 1, structure: 'zero'
+    });
+    assertClose(result.ytm, 5, 1e-8);
+  });
+
+  it('solves a zero yield when the price equals the undiscounted cash flows', () => {
+    const result = calculateYieldFromPrice({ faceValue: 100, couponRate: 5, price: 125, years: 5, frequency: 1 });
+    assertClose(result.ytm, 0, 1e-9);
+  });
+
+  it('adds accrued interest to the flat price between coupon dates', () => {
+    const accrualFraction = 0.25;
+    const result = calculateYieldFromPrice({
+      faceValue: 100, couponRate: 6, price: 100, years: 2, frequency: 2, accrualFraction
+    });
+    const flows = [1, 2, 3, 4].map(period => ({
+      time: period - accrualFraction,
+      amount: period === 4 ? 103 : 3
+    }));
+    const fullPrice = flows.reduce((sum, { time, amount }) =>
+      sum + amount / Math.pow(1 + result.periodicYield, time), 0);
+    assertClose(fullPrice, 100 + 3 * accrualFraction, 1e-8);
+  });
+});
+
+describe('solvePeriodicYield', () => {
+  it('reports invalid inputs instead of throwing', () => {
+    const flows = [{ time: 1, amount: 105 }];
+    assert.equal(solvePeriodicYield(flows, 0).converged, false);
+    assert.equal(solvePeriodicYield(flows, -5).converged, false);
+    assert.equal(solvePeriodicYield([], 100).converged, false);
+    assert.equal(solvePeriodicYield([{ time: 1, amount: -5 }], 100).converged, false);
+  });
+
+  it('converges from a poor initial guess', () => {
+    const flows = [1, 2, 3, 4, 5].map(time => ({ time, amount: time === 5 ? 106 : 6 }));
+    const result = solvePeriodicYield(flows, 104.3294766706308, { guess: 0.9 });
+    assert.equal(result.converged, true);
+    assertClose(result.periodicYield, 0.05, 1e-10);
+  });
+});
+
+describe('calculateAccrualPeriod', () => {
+  it('counts actual days in the current coupon period', () => {
+    const accrual = calculateAccrualPeriod({
+      settlementDate: '2024-07-11', maturityDate: '2027-11-15', frequency: 2, dayCount: 'actual/actual'
+    });
+    assert.equal(accrual.periods, 7);
+    assert.equal(accrual.previousCouponDate, '2024-05-15');
+    assert.equal(accrual.nextCouponDate, '2024-11-15');
+    assert.equal(accrual.daysAccrued, 57);
+    assert.equal(accrual.daysInPeriod, 184);
+    assertClose(accrual.accrualFraction, 57 / 184);
+  });
+
+  it('counts 30/360 days', () => {
+    const accrual = calculateAccrualPeriod({
+      settlementDate: '2024-07-11', maturityDate: '2027-11-15', frequency: 2, dayCount: '30/360'
+    });
+    assert.equal(accrual.daysAccrued, 56);
+    assert.equal(accrual.daysInPeriod, 180);
+  });
+
+  it('counts the end of February as the 30th under 30/360', () => {
+    const days = (start, end) => countDays(new Date(start), new Date(end), '30/360');
+    
+    assert.equal(days('2025-02-28', '2025-03-15'), 15);
+    assert.equal(days('2024-02-29', '2024-03-15'), 15);
+    assert.equal(days('2024-02-28', '2024-03-15'), 17);
+    assert.equal(days('2024-02-29', '2025-02-28'), 360);
+    assert.equal(days('2025-02-28', '2025-08-31'), 180);
+    assert.equal(days('2025-01-15', '2025-02-28'), 43);
+  });
+
+  it('accrues from an end-of-February coupon under 30/360', () => {
+    const accrual = calculateAccrualPeriod({
+      settlementDate: '2025-03-15', maturityDate: '2026-08-31', frequency: 2, dayCount: '30/360'
+    });
+    assert.equal(accrual.previousCouponDate, '2025-02-28');
+    assert.equal(accrual.daysAccrued, 15);
+    assert.equal(accrual.daysInPeriod, 180);
+  });
+
+  it('clamps coupon dates to the end of shorter months', () => {
+    const accrual = calculateAccrualPeriod({
+      settlementDate: '2025-01-10', maturityDate: '2026-08-31', frequency: 2, dayCount: 'actual/actual'
+    });
+    assert.deepEqual(accrual.couponDates, ['2025-02-28', '2025-08-31', '2026-02-28', '2026-08-31']);
+  });
+
+  it('rejects a maturity on or before settlement', () => {
+    assert.throws(() => calculateAccrualPeriod({
+      settlementDate: '2025-01-10', maturityDate: '2025-01-10', frequency: 2, dayCount: '30/360'
+    }), /after a valid settlement date/);
+  });
+});
+
+describe('generateCashFlows', () => {
+  it('starts with the purchase and ends with coupon plus face value', () => {
+    const cashFlows = generateCashFlows({
+      faceValue: 100, frequency: 4, years: 1, periodicCoupon: 2, bondPrice: 101
+    });
+    assert.equal(cashFlows.length, 5);
+    assert.equal(cashFlows[0].totalCashFlow, -101);
+    assert.equal(cashFlows[4].totalCashFlow, 102);
+    assert.deepEqual(cashFlows.map(cf => cf.yearLabel), [0, 0.25, 0.5, 0.75, 1]);
+  });
+
+  it('discounts each flow at the periodic yield', () => {
+    const cashFlows = generateCashFlows({
+      faceValue: 100, frequency: 1, years: 2, periodicCoupon: 10, bondPrice: 100, periodicYield: 0.1
+    });
+    assert.equal(cashFlows[0].presentValue, undefined);
+    assert.ok(Math.abs(cashFlows[1].discountFactor - 1 / 1.1) < 1e-12);
+    assert.ok(Math.abs(cashFlows[1].presentValue - 10 / 1.1) < 1e-9);
+    assert.ok(Math.abs(cashFlows[2].cumulativePV - 100) < 1e-9);
+  });
+});
+
+describe('cash flow present values', () => {
+  it('add up to the full price at a yield, a quoted price and a spot curve', () => {
+    const base = { faceValue: 1000, couponRate: 6, ytm: 5, years: 5, frequency: 2 };
+    const cases = [
+      calculateBondMetrics(base),
+      calculateBondMetrics({ ...base, structure: 'sinking', sinkingSchedule: [{ year: 3, percent: 50 }] }),
+      calculateBondMetrics({ ...base, spotCurve: { type: 'period', rates: [4, 4.5, 5, 5.5] } }),
+      calculateFromInputs({ ...base, inputMode: 'price', price: 98.5, useDates: true,
+        settlementDate: '2025-05-20', maturityDate: '2030-02-15', dayCount: '30/360' }).calculations
+    ];
+
+    cases.forEach(({ cashFlows, bondPrice }) => {
+      const last = cashFlows[cashFlows.length - 1];
+      const sum = cashFlows.slice(1).reduce((total, cf) => total + cf.presentValue, 0);
+      assert.ok(Math.abs(last.cumulativePV - bondPrice) < 1e-6);
+      assert.ok(Math.abs(sum - last.cumulativePV) < 1e-9);
+    });
+  });
+
+  it('add up to the price for the called flows at the yield to call', () => {
+    const { callAnalysis, bondPrice } = calculateBondMetrics({
+      faceValue: 100, couponRate: 8, ytm: 5, years: 5, frequency: 2,
+      callSchedule: [{ year: 2, price: 100 }]
+    });
+    const flows = callAnalysis.worstCashFlows;
+    assert.equal(flows.length, 5);
+    assert.ok(Math.abs(flows[flows.length - 1].cumulativePV - bondPrice) < 1e-6);
+  });
+});
+
+describe('spot curves', () => {
+  it('parses per-period rates and tenor pairs', () => {
+    assert.deepEqual(parseSpotCurve('5, 5.2 5.4'), { type: 'period', rates: [5, 5.2, 5.4] });
+    assert.deepEqual(parseSpotCurve('1:5, 2:6'), {
+      type: 'tenor', points: [{ tenor: 1, rate: 5 }, { tenor: 2, rate: 6 }]
+    });
+    assert.throws(() => parseSpotCurve(''), /at least one/);
+    assert.throws(() => parseSpotCurve('2:5, 1:6'), /increasing/);
+  });
+
+  it('interpolates tenor curves and holds the ends flat', () => {
+    const curve = parseSpotCurve('1:5, 3:6');
+    assert.equal(getSpotRate(curve, 1, 0.5), 5);
+    assert.equal(getSpotRate(curve, 4, 2), 5.5);
+    assert.equal(getSpotRate(curve, 10, 5), 6);
+  });
+
+  it('prices at the yield when the curve is flat', () => {
+    const flat = calculateBondMetrics({
+      faceValue: 100, couponRate: 8, years: 5, frequency: 2, spotCurve: parseSpotCurve('6')
+    });
+    assertClose(flat.bondPrice, 108.53020283677581, 1e-9);
+    assertClose(flat.ytm, 6, 1e-8);
+  });
+});
+
+describe('calculateRiskMeasures', () => {
+  it('matches the Fabozzi 9% 5-year bond at par (Macaulay 4.13, modified 3.96)', () => {
+    const result = calculateBondMetrics({ faceValue: 100, couponRate: 9, ytm: 9, years: 5, frequency: 2 });
+    assertClose(result.macaulayDuration, 4.1344, 5e-5);
+    assertClose(result.modifiedDuration, 3.9564, 5e-5);
+  });
+
+  it('gives a Macaulay duration of 2.7355 for a 3-year 10% annual bond at par', () => {
+    const result = calculateBondMetrics({ faceValue: 100, couponRate: 10, ytm: 10, years: 3, frequency: 1 });
+    assertClose(result.macaulayDuration, 2.7355, 5e-5);
+  });
+
+  it('gives a zero-coupon bond a Macaulay duration equal to its maturity', () => {
+    FREQUENCIES.forEach(frequency => {
+      const result = calculateBondMetrics({
+        faceValue: 100, couponRate: 0, ytm: 5, years: 4, frequency, structure: 'zero'
+      });
+      assertClose(result.macaulayDuration, 4, 1e-9);
+    });
+  });
+
+  it('weights times by undiscounted cash flows at zero yield', () => {
+    const result = calculateBondMetrics({ faceValue: 100, couponRate: 10, ytm: 0, years: 2, frequency: 1 });
+    assertClose(result.macaulayDuration, (1 * 10 + 2 * 110) / 120, 1e-12);
+    assertClose(result.modifiedDuration, result.macaulayDuration, 1e-12);
+  });
+
+  it('values a basis point at the price change for a 1bp yield move', () => {
+    const bond = { faceValue: 100, couponRate: 9, years: 5, frequency: 2 };
+    const { cashFlows, pvbp } = calculateBondMetrics({ ...bond, ytm: 9 });
+    const down = priceCashFlows(cashFlows, 0.0899 / 2);
+    const up = priceCashFlows(cashFlows, 0.0901 / 2);
+    assertClose(pvbp, (down - up) / 2, 1e-12);
+    assertClose(pvbp, 0.0396, 5e-5);
+  });
+});
+
+describe('analyzeBondType', () => {
+  it('treats prices within the default 0.01 tolerance as par', () => {
+    assert.equal(analyzeBondType(100, 100).type, 'par');
+    assert.equal(analyzeBondType(100.0099, 100).type, 'par');
+    assert.equal(analyzeBondType(99.9901, 100).type, 'par');
+    assert.equal(analyzeBondType(100.0099, 100).difference, 0);
+  });
+
+  it('classifies prices at or beyond the tolerance as premium or discount', () => {
+    const premium = analyzeBondType(100.02, 100);
+    assert.equal(premium.type, 'premium');
+    assert.equal(premium.label, 'results.bondType.premium');
+    assertClose(premium.difference, 0.02);
+
+    const discount = analyzeBondType(99.98, 100);
+    assert.equal(discount.type, 'discount');
+    assertClose(discount.difference, 0.02);
+  });
+
+  it('uses a custom tolerance', () => {
+    assert.equal(analyzeBondType(100.4, 100, 0.5).type, 'par');
+    assert.equal(analyzeBondType(100.6, 100, 0.5).type, 'premium');
+    // A difference of exactly the tolerance is no longer par
+    assert.equal(analyzeBondType(100.5, 100, 0.5).type, 'premium');
+    assert.equal(analyzeBondType(99.5, 100, 0.5).type, 'discount');
+    assert.equal(analyzeBondType(100.001, 100, 0).type, 'premium');
+  });
+});
+
+describe('generateAmortizationSchedule', () => {
+  /**
+   * Build the schedule for a bond bought at its yield
+   * @param {Object} params - Bond parameters (see calculateBondMetrics)
+   * @returns {Array} Schedule rows
+   */
+  function schedule(params) {
+    const { cashFlows, bondPrice } = calculateBondMetrics({ faceValue: 100, ...params });
+    return generateAmortizationSchedule({ cashFlows, bondPrice, ytm: params.ytm, frequency: params.frequency });
+  }
+
+  const cases = [
+    { name: 'premium', bond: { couponRate: 8, ytm: 6, years: 5, frequency: 2 } },
+    { name: 'discount', bond: { couponRate: 4, ytm: 6, years: 5, frequency: 2 } }
+  ];
+
+  cases.forEach(({ name, bond }) => {
+    it(`pulls a ${name} bond's carrying value to par at maturity`, () => {
+      const rows = schedule(bond);
+      assert.equal(rows.length, 10);
+      assertClose(rows[rows.length - 1].endValue, 100, 1e-8);
+      rows.slice(1).forEach((row, i) => assertClose(row.startValue, rows[i].endValue, 1e-12));
+    });
+
+    it(`earns the yield on a ${name} bond's carrying value`, () => {
+      schedule(bond).forEach(row => {
+        assertClose(row.interest, row.startValue * 0.03, 1e-10);
+        assertClose(row.amortization, row.coupon - row.interest, 1e-12);
+      });
+    });
+  });
+
+  it('amortizes a premium and accretes a discount', () => {
+    const premium = schedule(cases[0].bond);
+    const discount = schedule(cases[1].bond);
+    assert.ok(premium[0].startValue > 100);
+    assert.ok(premium.every(row => row.amortization > 0));
+    assert.ok(discount[0].startValue < 100);
+    assert.ok(discount.every(row => row.amortization < 0));
+  });
+});
+
+describe('calculateCallYields', () => {
+  it('takes the lowest of the yields to call and maturity as yield to worst', () => {
+    const metrics = calculateBondMetrics({
+      faceValue: 100, couponRate: 8, ytm: 6, years: 5, frequency: 2,
+      callSchedule: parseCallSchedule('3:102, 4:101')
+    });
+    const { calls, yieldToWorst, yieldToFirstCall } = metrics.callAnalysis;
+    assert.equal(calls.length, 2);
+    assert.equal(yieldToFirstCall, calls[0].ytc);
+    assert.equal(yieldToWorst, Math.min(6, ...calls.map(call => call.ytc)));
+
+    // The first call's flows discount to the price at the yield to call
+    const flows = calls[0].cashFlows;
+    assertClose(priceCashFlows(flows, calls[0].ytc / 100 / 2), metrics.bondPrice, 1e-8);
+  });
+
+  it('rejects calls at or after maturity', () => {
+    const { cashFlows, bondPrice } = calculateBondMetrics({
+      faceValue: 100, couponRate: 8, ytm: 6, years: 2, frequency: 1
+    });
+    assert.throws(() => calculateCallYields({
+      cashFlows, bondPrice, ytm: 6, frequency: 1, callSchedule: [{ year: 2, price: 100 }]
+    }), /before maturity/);
+  });
+});
+
+describe('floating-rate notes', () => {
+  const note = { faceValue: 100, years: 3, frequency: 4 };
+
+  it('projects coupons at reference + quoted margin and discounts at reference + discount margin', () => {
+    assert.deepEqual(
+      getFloatingRates({ referenceRate: 4, quotedMargin: 150, discountMargin: 200 }),
+      { couponRate: 5.5, discountRate: 6 }
+    );
+  });
+
+  it('prices at par on a coupon date when the margins are equal', () => {
+    const metrics = calculateBondMetrics({
+      ...note, floating: { referenceRate: 4, quotedMargin: 150, discountMargin: 150 }
+    });
+    assertClose(metrics.bondPrice, 100, 1e-9);
+    assert.equal(metrics.bondType.type, 'par');
+    assertClose(metrics.cashFlows[1].couponPayment, 5.5 / 4, 1e-12);
+  });
+
+  it('prices at a discount when the discount margin exceeds the quoted margin', () => {
+    const metrics = calculateBondMetrics({
+      ...note, floating: { referenceRate: 4, quotedMargin: 150, discountMargin: 250 }
+    });
+    assert.ok(metrics.bondPrice < 100);
+    assert.equal(metrics.bondType.type, 'discount');
+    assertClose(metrics.bondPrice, price({ couponRate: 5.5, ytm: 6.5, years: 3, frequency: 4 }), 1e-9);
+  });
+
+  it('solves for the discount margin from a price', () => {
+    const inputs = {
+      ...note,
+      couponType: 'floating',
+      referenceRate: 4,
+      quotedMargin: 150,
+      discountMargin: 250,
+      inputMode: 'yield'
+    };
+    const { calculations } = calculateFromInputs(inputs);
+    const { solved } = calculateFromInputs({
+      ...inputs, discountMargin: 0, inputMode: 'price', price: calculations.bondPrice
+    });
+    assertClose(solved.discountMargin, 250, 1e-6);
+  });
+});
+
+describe('calculateFromInputs', () => {
+  const inputs = {
+    faceValue: 100,
+    couponRate: 8.6,
+    ytm: 6.5,
+    years: 5,
+    frequency: 2,
+    price: null,
+    inputMode: 'yield',
+    structure: 'bullet',
+    couponType: 'fixed'
+  };
+
+  it('solves for the price in yield mode', () => {
+    const { calculations, solved } = calculateFromInputs(inputs);
+    assertClose(solved.price, calculations.flatPrice, 1e-12);
+    assert.equal(solved.ytm, 6.5);
+  });
+
+  it('round-trips the price through price mode', () => {
+    const { solved: byYield } = calculateFromInputs(inputs);
+    const { solved: byPrice } = calculateFromInputs({ ...inputs, inputMode: 'price', price: byYield.price });
+    assertClose(byPrice.ytm, 6.5, 1e-8);
+  });
+
+  it('round-trips between settlement dates', () => {
+    const dated = {
+      ...inputs,
+      useDates: true,
+      settlementDate: '2025-05-20',
+      maturityDate: '2030-02-15',
+      dayCount: 'actual/actual'
+    };
+    const { calculations, solved } = calculateFromInputs(dated);
+    assertClose(calculations.flatPrice, calculations.bondPrice - calculations.accruedInterest, 1e-12);
+    const { solved: byPrice } = calculateFromInputs({ ...dated, inputMode: 'price', price: solved.price });
+    assertClose(byPrice.ytm, 6.5, 1e-8);
+  });
+
+  it('throws when no yield gives the price', () => {
+    assert.throws(
+      () => calculateFromInputs({ ...inputs, inputMode: 'price', price: 0 }),
+      /Could not solve for yield/
+    );
+  });
+});
+
+describe('properties', () => {
+  const bonds = randomBonds(200);
+
+  it('price is monotonically decreasing in yield', () => {
+    bonds.forEach(bond => {
+      let previous = Infinity;
+      for (let ytm = 0; ytm <= 10; ytm += 0.25) {
+        const current = price({ ...bond, ytm });
+        assert.ok(current < previous, `${JSON.stringify(bond)}: price rose at ${ytm}%`);
+        previous = current;
+      }
+    });
+  });
+
+  it('price is convex in yield', () => {
+    bonds.forEach(bond => {
+      const step = 0.5;
+      for (let ytm = step; ytm <= 10 - step; ytm += step) {
+        const curvature = price({ ...bond, ytm: ytm - step }) + price({ ...bond, ytm: ytm + step }) -
+          2 * price({ ...bond, ytm });
+        assert.ok(curvature > 0, `${JSON.stringify(bond)}: not convex at ${ytm}%`);
+      }
+    });
+  });
+
+  it('prices at a premium exactly when the coupon exceeds the yield', () => {
+    bonds.forEach(bond => {
+      const { bondType } = calculateBondMetrics(bond);
+      const expected = Math.abs(bond.couponRate - bond.ytm) < 1e-12 ? 'par'
+        : bond.couponRate > bond.ytm ? 'premium' : 'discount';
+      // Prices within the par tolerance are reported as par
+      if (bondType.type !== 'par') {
+        assert.equal(bondType.type, expected, JSON.stringify(bond));
+      }
+    });
+  });
+
+  it('recovers the yield from the price it produces', () => {
+    bonds.forEach(bond => {
+      const { ytm } = calculateYieldFromPrice({ ...bond, price: price(bond) });
+      assertClose(ytm, bond.ytm, 1e-7);
+    });
+  });
+
+  it('bounds Macaulay duration by maturity and orders the durations', () => {
+    bonds.forEach(bond => {
+      const result = calculateBondMetrics(bond);
+      assert.ok(result.macaulayDuration > 0);
+      assert.ok(result.macaulayDuration <= bond.years + 1e-12, JSON.stringify(bond));
+      assert.ok(result.modifiedDuration <= result.macaulayDuration);
+    });
+  });
+
+  it('agrees with finite-difference duration and convexity', () => {
+    bonds.forEach(bond => {
+      const { cashFlows, modifiedDuration, approximateDuration, convexity, bondPrice } = calculateBondMetrics(bond);
+      const dy = 1e-4;
+      const down = priceCashFlows(cashFlows, (bond.ytm / 100 - dy) / bond.frequency);
+      const up = priceCashFlows(cashFlows, (bond.ytm / 100 + dy) / bond.frequency);
+      assertClose(approximateDuration, modifiedDuration, 1e-4 * modifiedDuration);
+      assertClose((down + up - 2 * bondPrice) / (bondPrice * dy * dy), convexity, 1e-3 * convexity);
+    });
+  });
+
+  it('pulls the carrying value to par by maturity', () => {
+    bonds.forEach(bond => {
+      const { amortizationSchedule } = calculateBondMetrics(bond);
+      assertClose(amortizationSchedule.at(-1).endValue, 100, 1e-8);
+    });
+  });
+
+  it('repays exactly the face value under every structure', () => {
+    bonds.forEach(bond => {
+      ['bullet', 'zero', 'amortizing'].forEach(structure => {
+        const schedule = generatePrincipalSchedule({ ...bond, structure });
+        assertClose(schedule.reduce((sum, p) => sum + p.principal, 0), 100, 1e-9);
+      });
+    });
+  });
+
+  it('adds the present values of every flow up to the price', () => {
+    bonds.forEach(bond => {
+      const { cashFlows, bondPrice, periodicYield } = calculateBondMetrics(bond);
+      assertClose(priceCashFlows(cashFlows, periodicYield), bondPrice, 1e-9);
+    });
+  });
+
+  it('values a basis point at about modified duration times price', () => {
+    bonds.forEach(bond => {
+      const { cashFlows, bondPrice, modifiedDuration } = calculateBondMetrics(bond);
+      const { pvbp } = calculateRiskMeasures({ cashFlows, ytm: bond.ytm, frequency: bond.frequency });
+      assertClose(pvbp, modifiedDuration * bondPrice / 1e4, 1e-6 * bondPrice);
+    });
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * Chart Export Tests
+ * Size, format and file name of chart downloads
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getChartExport } from '../modules/chart-export.js';
+
+describe('getChartExport', () => {
+  it('draws a PNG at three times the export size', () => {
+    assert.deepEqual(getChartExport('png'), {
+      svg: false,
+      size: { width: 1200, height: 600, pixelRatio: 3 },
+      filename: 'bond-cash-flows-chart.png',
+      type: 'image/png'
+    });
+  });
+
+  it('draws an SVG at the export size', () => {
+    assert.deepEqual(getChartExport('svg'), {
+      svg: true,
+      size: { width: 1200, height: 600, pixelRatio: 1 },
+      filename: 'bond-cash-flows-chart.svg',
+      type: 'image/svg+xml'
+    });
+  });
+
+  it('exports anything else as a PNG', () => {
+    const { svg, filename, type } = getChartExport('jpg');
+    assert.equal(svg, false);
+    assert.equal(filename, 'bond-cash-flows-chart.png');
+    assert.equal(type, 'image/png');
+  });
+});
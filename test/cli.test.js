@@ -0,0 +1,152 @@
+/**
+ * Command-Line Pricer Tests
+ * Input resolution, batch parsing, output formats and exit status
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+import { resolveInputs, priceBond, parseBatch, parseCSV, formatResults } from '../cli/pricer.js';
+import { calculateBondMetrics } from '../modules/calculations.js';
+
+const CLI = fileURLToPath(new URL('../bin/bond-calculator.js', import.meta.url));
+
+/**
+ * Run the CLI
+ * @param {Array} args - Command-line arguments
+ * @param {string} input - Standard input
+ * @returns {Object} { status, stdout, stderr }
+ */
+function run(args, input = '') {
+  return spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8', timeout: 30000 });
+}
+
+describe('resolveInputs', () => {
+  it('fills in the calculator defaults', () => {
+    const { inputs, errors } = resolveInputs({ coupon: '6' });
+    assert.deepEqual(errors, []);
+    assert.equal(inputs.couponRate, 6);
+    assert.equal(inputs.ytm, 6.5);
+    assert.equal(inputs.frequency, 2);
+    assert.equal(inputs.viewMode, undefined);
+  });
+
+  it('switches modes on from the parameters given', () => {
+    assert.equal(resolveInputs({ price: '98' }).inputs.inputMode, 'price');
+    assert.equal(resolveInputs({ spot: '5, 5.5' }).inputs.inputMode, 'spot');
+    assert.equal(resolveInputs({ settle: '2025-01-15', maturity: '2027-01-15' }).inputs.useDates, true);
+    assert.equal(resolveInputs({ calls: '3:101' }).inputs.callable, true);
+    assert.equal(resolveInputs({ ref: '4' }).inputs.couponType, 'floating');
+  });
+
+  it('reports values a shared link would reject', () => {
+    assert.deepEqual(resolveInputs({ coupon: 'abc' }).errors, ['coupon must be a number']);
+    assert.deepEqual(resolveInputs({ ytm: '11' }).errors, ['Yield to maturity must be at most 10']);
+    assert.deepEqual(resolveInputs({ mode: 'price' }).errors, ['Bond price is required']);
+  });
+
+  it('reports parameters the mode or settings leave unused', () => {
+    assert.deepEqual(resolveInputs({ price: '95', mode: 'yield' }).conflicts, ['price is not used when mode is yield']);
+    assert.deepEqual(resolveInputs({ price: '95', ytm: '5' }).conflicts, ['ytm is not used when mode is price']);
+    assert.deepEqual(resolveInputs({ years: '3', settle: '2025-01-15', maturity: '2027-01-15' }).conflicts,
+      ['years is not used when dates is 1']);
+    assert.deepEqual(resolveInputs({ price: '95' }).conflicts, []);
+  });
+});
+
+describe('priceBond', () => {
+  it('prices with the same maths as the page', () => {
+    const { calculations } = priceBond('Bond', { coupon: '6', ytm: '5', freq: '1' });
+    const expected = calculateBondMetrics({ faceValue: 100, couponRate: 6, ytm: 5, years: 5, frequency: 1 });
+    assert.equal(calculations.bondPrice, expected.bondPrice);
+  });
+
+  it('fails bonds with conflicting parameters', () => {
+    assert.deepEqual(priceBond('A', { spot: '5, 5.5', mode: 'price', price: '99' }), {
+      name: 'A',
+      error: 'spot is not used when mode is price'
+    });
+  });
+
+  it('returns errors instead of throwing', () => {
+    assert.deepEqual(priceBond('Bad', { years: '1.5', freq: '1' }), {
+      name: 'Bad',
+      error: 'Years to maturity must be a whole number of payment periods (multiples of 1)'
+    });
+  });
+});
+
+describe('parseBatch', () => {
+  it('reads CSV with quoted schedules and names rows', () => {
+    const bonds = parseBatch('name,coupon,sinking\r\nA,5,"2:20, 3:20"\r\n,6,\r\n');
+    assert.deepEqual(bonds, [
+      { name: 'A', params: { coupon: '5', sinking: '2:20, 3:20' } },
+      { name: 'Bond 2', params: { coupon: '6', sinking: '' } }
+    ]);
+  });
+
+  it('reads JSON arrays and single objects', () => {
+    assert.deepEqual(parseBatch('[{"name": "A", "ytm": 5, "callable": true}]'), [
+      { name: 'A', params: { ytm: 5, callable: '1' } }
+    ]);
+    assert.deepEqual(parseBatch('{"ytm": 5}'), [{ name: 'Bond 1', params: { ytm: 5 } }]);
+    assert.throws(() => parseBatch('[1]'), /not an object/);
+  });
+
+  it('parses escaped quotes and embedded newlines', () => {
+    assert.deepEqual(parseCSV('a,"b ""c""\nd"\n1,2'), [['a', 'b "c"\nd'], ['1', '2']]);
+  });
+});
+
+describe('formatResults', () => {
+  const results = [
+    priceBond('A', { coupon: '6', ytm: '5', freq: '1' }),
+    priceBond('B', { coupon: '12' })
+  ];
+
+  it('writes raw numbers in CSV and leaves out failed bonds', () => {
+    const csv = formatResults(results, { show: ['price', 'type'], format: 'csv', batch: true });
+    const [header, row, ...rest] = parseCSV(csv.trim());
+    assert.deepEqual(header, ['name', 'ytm', 'price', 'accruedInterest', 'flatPrice', 'type', 'difference']);
+    assert.equal(row[0], 'A');
+    assert.equal(Number(row[2]), results[0].calculations.bondPrice);
+    assert.equal(rest.length, 0);
+  });
+
+  it('includes the schedule and errors in JSON', () => {
+    const entries = JSON.parse(formatResults(results, { show: ['schedule'], format: 'json', batch: true }));
+    assert.equal(entries[0].schedule.length, 6);
+    assert.equal(entries[0].schedule[5].totalCashFlow, 106);
+    assert.deepEqual(entries[1], { name: 'B', error: 'Coupon rate must be at most 10' });
+  });
+});
+
+describe('bond-calculator', () => {
+  it('prices a bond from flags', () => {
+    const { status, stdout } = run(['--coupon', '6', '--ytm', '5', '--freq', '1', '-s', 'price']);
+    assert.equal(status, 0);
+    assert.match(stdout, /Price \(PV of cash flows\)\s+104\.3295/);
+  });
+
+  it('prices a batch from standard input and exits 1 if a bond fails', () => {
+    const { status, stdout, stderr } = run(['-f', '-', '-o', 'csv', '-s', 'price'], 'name,ytm\nA,5\nB,20\n');
+    assert.equal(status, 1);
+    assert.match(stdout, /^name,ytm,price/);
+    assert.match(stdout, /\nA,5,/);
+    assert.equal(stderr, 'B: Yield to maturity must be at most 10\n');
+  });
+
+  it('exits 2 on usage errors', () => {
+    assert.equal(run(['--format', 'xml']).status, 2);
+    assert.equal(run(['--unknown']).status, 2);
+  });
+
+  it('exits 2 when flags conflict with the mode', () => {
+    const { status, stdout, stderr } = run(['--price', '95', '--mode', 'yield']);
+    assert.equal(status, 2);
+    assert.equal(stdout, '');
+    assert.match(stderr, /--price is not used when mode is yield/);
+  });
+});
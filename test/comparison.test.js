@@ -0,0 +1,66 @@
+/**
+ * Bond Comparison Tests
+ * Adding and removing the bonds compared side by side
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  MAX_COMPARISON_BONDS,
+  createComparisonBond,
+  addComparisonBond,
+  removeComparisonBond,
+  canCompare
+} from '../modules/comparison.js';
+import { createStore } from '../modules/state.js';
+
+const INPUTS = createStore().state;
+
+describe('createComparisonBond', () => {
+  it('prices the inputs under a new ID', () => {
+    const first = createComparisonBond('Bond 1', INPUTS);
+    const second = createComparisonBond('Bond 1', INPUTS);
+
+    assert.notEqual(first.id, second.id);
+    assert.equal(first.name, 'Bond 1');
+    assert.equal(first.calculations.bondPrice, second.calculations.bondPrice);
+  });
+
+  it('throws for inputs that cannot be priced', () => {
+    assert.throws(() => createComparisonBond('Bad', { ...INPUTS, inputMode: 'spot', spotRates: '1:abc' }));
+  });
+});
+
+describe('comparison list', () => {
+  it('adds bonds up to the limit', () => {
+    let bonds = [];
+    for (let i = 1; i <= MAX_COMPARISON_BONDS; i++) {
+      bonds = addComparisonBond(bonds, `Bond ${i}`, { ...INPUTS, ytm: i });
+    }
+
+    assert.deepEqual(bonds.map(bond => bond.name), ['Bond 1', 'Bond 2', 'Bond 3', 'Bond 4']);
+    assert.equal(addComparisonBond(bonds, 'Bond 5', INPUTS), null);
+  });
+
+  it('leaves the list unchanged when a bond cannot be priced', () => {
+    const bonds = addComparisonBond([], 'Bond 1', INPUTS);
+    assert.throws(() => addComparisonBond(bonds, 'Bad', { ...INPUTS, inputMode: 'spot', spotRates: '1:abc' }));
+    assert.equal(bonds.length, 1);
+  });
+
+  it('removes a bond by ID', () => {
+    const bonds = addComparisonBond(addComparisonBond([], 'Bond 1', INPUTS), 'Bond 2', INPUTS);
+    const remaining = removeComparisonBond(bonds, bonds[0].id);
+
+    assert.deepEqual(remaining.map(bond => bond.name), ['Bond 2']);
+    assert.equal(bonds.length, 2);
+    assert.deepEqual(removeComparisonBond(remaining, 'missing'), remaining);
+  });
+
+  it('compares from two bonds', () => {
+    const one = addComparisonBond([], 'Bond 1', INPUTS);
+    assert.equal(canCompare(one), false);
+    assert.equal(canCompare(addComparisonBond(one, 'Bond 2', INPUTS)), true);
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Equation Module Tests
+ * The valuation equation in symbols and with values substituted
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SYMBOL_STYLES, createValuationEquation } from '../modules/equation.js';
+import { toSpeech } from '../modules/mathml.js';
+
+/**
+ * Collect the leaf nodes of an expression
+ * @param {Object} node - Expression node
+ * @returns {Array} Leaf nodes, left to right
+ */
+function leaves(node) {
+  return node.children ? node.children.flatMap(leaves) : [node];
+}
+
+describe('createValuationEquation', () => {
+  it('writes the annuity-plus-lump-sum equation in symbols', () => {
+    assert.equal(toSpeech(createValuationEquation()),
+      'PV coupon bond equals PMT divided by r times the quantity 1 minus 1 divided by the quantity 1 plus r, ' +
+      'to the power T, plus FV divided by the quantity 1 plus r, to the power T');
+  });
+
+  it('substitutes values and shows the price', () => {
+    const equation = createValuationEquation({ PMT: '4.30', r: '0.0325', T: '10', FV: '100.00' }, '108.84');
+    const spoken = toSpeech(equation);
+
+    assert.match(spoken, /^PV coupon bond equals 4\.30 divided by 0\.0325 times/);
+    assert.match(spoken, /plus 100\.00 divided by the quantity 1 plus 0\.0325, to the power 10 equals 108\.84$/);
+  });
+
+  it('keeps the colour of each symbol on its value', () => {
+    const symbols = leaves(createValuationEquation());
+    const values = leaves(createValuationEquation({ PMT: '4.30', r: '0.0325', T: '10', FV: '100.00' }));
+
+    assert.equal(values.length, symbols.length);
+    symbols.forEach((symbol, index) => {
+      assert.equal(values[index].color, symbol.color);
+      assert.equal(values[index].bold, symbol.bold);
+    });
+    assert.equal(values.find(node => node.text === '4.30').color, SYMBOL_STYLES.PMT.color);
+  });
+
+  it('adds up the payments at a zero rate', () => {
+    const equation = createValuationEquation({ PMT: '32.50', r: '0', T: '20', FV: '1,000.00' }, '1,650.00');
+    assert.equal(toSpeech(equation), 'PV coupon bond equals 32.50 times 20 plus 1,000.00 equals 1,650.00');
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Export Tests
+ * CSV text and the .xlsx workbook built for the cash flow schedule
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildScheduleRows, toCSV, toXLSX } from '../modules/export.js';
+import { calculateBondMetrics } from '../modules/calculations.js';
+import { setLocale } from '../modules/i18n.js';
+
+const BOND = { faceValue: 1000, couponRate: 6, ytm: 5, years: 2, frequency: 2 };
+
+/**
+ * Read the entries of an uncompressed ZIP archive from its central directory
+ * @param {Uint8Array} zip - Archive bytes
+ * @returns {Object} Entry text keyed by path
+ */
+function readZip(zip) {
+  const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+  const decoder = new TextDecoder();
+  const end = zip.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054B50);
+
+  const entries = {};
+  let position = view.getUint32(end + 16, true);
+  for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+    assert.equal(view.getUint32(position, true), 0x02014B50);
+    const size = view.getUint32(position + 20, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const offset = view.getUint32(position + 42, true);
+    const name = decoder.decode(zip.subarray(position + 46, position + 46 + nameLength));
+
+    // The local header repeats the name and size ahead of the stored data
+    assert.equal(view.getUint32(offset, true), 0x04034B50);
+    assert.equal(view.getUint16(offset + 8, true), 0);
+    assert.equal(view.getUint32(offset + 22, true), size);
+    const start = offset + 30 + view.getUint16(offset + 26, true);
+    entries[name] = decoder.decode(zip.subarray(start, start + size));
+
+    position += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe('toCSV', () => {
+  afterEach(() => setLocale('en', 'USD'));
+
+  it('separates cells with commas and rows with CRLF', () => {
+    assert.equal(toCSV([['Period', 'Coupon'], [1, 30.5], [2, null, -1e-7]]),
+      'Period,Coupon\r\n1,30.5\r\n2,,-1e-7\r\n');
+  });
+
+  it('quotes text with commas, quotes or line breaks', () => {
+    assert.equal(toCSV([['Call schedule (year:price)', '3:102, 4:101']]),
+      'Call schedule (year:price),"3:102, 4:101"\r\n');
+    assert.equal(toCSV([['say "par"', 'two\nlines', 'cr\r']]),
+      '"say ""par""","two\nlines","cr\r"\r\n');
+  });
+
+  it('writes the schedule after the header block', () => {
+    const lines = toCSV(buildScheduleRows(calculateBondMetrics(BOND), BOND)).split('\r\n');
+    assert.equal(lines[0], 'Bond Cash Flow Schedule');
+    assert.ok(lines.includes('Coupon rate (%),6'));
+
+    const header = lines.findIndex(line => line.startsWith('Period,'));
+    assert.equal(lines[header],
+      'Period,Time (periods),Year,Coupon payment,Principal repayment,Total cash flow,Discount factor,PV of cash flow,Cumulative PV');
+    assert.equal(lines[header + 5].split(',')[5], '1030');
+  });
+
+  it('labels the schedule in the language in use and keeps raw numbers', () => {
+    setLocale('fr', 'EUR');
+    const lines = toCSV(buildScheduleRows(calculateBondMetrics(BOND), BOND)).split('\r\n');
+
+    assert.equal(lines[0], 'Échéancier des flux de l’obligation');
+    assert.ok(lines.includes('Taux du coupon (%),6'));
+    assert.ok(lines.includes('Structure de l’obligation,In fine'));
+    assert.ok(lines.some(line => line.startsWith('Période,Temps (périodes),Année,')));
+  });
+});
+
+describe('toXLSX', () => {
+  it('packages a workbook with one worksheet', () => {
+    const entries = readZip(toXLSX([['a']], 'Flows & PV'));
+
+    assert.deepEqual(Object.keys(entries), [
+      '[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/worksheets/sheet1.xml'
+    ]);
+    assert.match(entries['[Content_Types].xml'], /PartName="\/xl\/worksheets\/sheet1\.xml"/);
+    assert.match(entries['xl/workbook.xml'], /<sheet name="Flows &amp; PV" sheetId="1" r:id="rId1"\/>/);
+    assert.match(entries['xl/_rels/workbook.xml.rels'], /Target="worksheets\/sheet1\.xml"/);
+  });
+
+  it('stores numbers as numeric cells and text as inline strings', () => {
+    const sheet = readZip(toXLSX([['Price', 1030.5], [null, '<3:102>', NaN]]))['xl/worksheets/sheet1.xml'];
+
+    // Text is kept in the cells, so the workbook needs no shared strings part
+    assert.match(sheet, /<row r="1"><c r="A1" t="inlineStr"><is><t xml:space="preserve">Price<\/t><\/is><\/c><c r="B1"><v>1030.5<\/v><\/c><\/row>/);
+    assert.match(sheet, /<row r="2"><c r="B2" t="inlineStr"><is><t xml:space="preserve">&lt;3:102&gt;<\/t><\/is><\/c><\/row>/);
+    assert.doesNotMatch(sheet, /t="s"/);
+  });
+
+  it('names columns past Z', () => {
+    const row = Array.from({ length: 28 }, (_, i) => i);
+    const sheet = readZip(toXLSX([row]))['xl/worksheets/sheet1.xml'];
+    assert.match(sheet, /<c r="Z1"><v>25<\/v><\/c><c r="AA1"><v>26<\/v><\/c><c r="AB1"><v>27<\/v><\/c>/);
+  });
+});
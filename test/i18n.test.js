@@ -0,0 +1,157 @@
+/**
+ * Internationalization Module Tests
+ * Message lookup, locale-aware formatting and the message catalogs
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LOCALES, t, setLocale, matchLocale, formatPercent } from '../modules/i18n.js';
+import { formatCurrency, getFrequencyInfo, describeBondTerms } from '../modules/utils.js';
+import {
+  validateField,
+  revalidateErrors,
+  validateSpotRates,
+  validateSinkingSchedule,
+  validateCallSchedule
+} from '../modules/validation.js';
+
+// Intl separators: narrow no-break space (French thousands) and no-break space
+const NNBSP = '\u202f';
+const NBSP = '\u00a0';
+
+afterEach(() => setLocale('en', 'USD'));
+
+describe('t', () => {
+  it('fills placeholders', () => {
+    assert.equal(t('scenarios.defaultName', { number: 3 }), 'Scenario 3');
+    setLocale('fr');
+    assert.equal(t('scenarios.defaultName', { number: 3 }), 'Scénario 3');
+  });
+
+  it('chooses plural forms by count', () => {
+    assert.equal(t('results.iterations', { count: 1 }), 'Solved in 1 iteration');
+    assert.equal(t('results.iterations', { count: 4 }), 'Solved in 4 iterations');
+    setLocale('zh-CN');
+    assert.equal(t('results.iterations', { count: 1 }), '迭代 1 次求解');
+  });
+
+  it('returns the key for unknown messages', () => {
+    const error = console.error;
+    console.error = () => {};
+    try {
+      assert.equal(t('no.such.message'), 'no.such.message');
+    } finally {
+      console.error = error;
+    }
+  });
+
+  it('rejects unsupported languages and currencies', () => {
+    const error = console.error;
+    console.error = () => {};
+    try {
+      assert.equal(setLocale('de'), false);
+      assert.equal(setLocale('fr', 'XYZ'), false);
+      assert.equal(t('table.year'), 'Year');
+    } finally {
+      console.error = error;
+    }
+  });
+});
+
+describe('formatting', () => {
+  it('formats amounts in the currency and separators of the language', () => {
+    assert.equal(formatCurrency(1234.5), '$1,234.50');
+    assert.equal(formatCurrency(-1234.5), '($1,234.50)');
+
+    setLocale('fr', 'EUR');
+    assert.equal(formatCurrency(1234.5), `1${NNBSP}234,50${NBSP}€`);
+    assert.equal(formatCurrency(-1234.5, true), `-1${NNBSP}234,50${NBSP}€`);
+
+    setLocale('zh-CN', 'CNY');
+    assert.equal(formatCurrency(-1234.5), '(¥1,234.50)');
+  });
+
+  it('formats percentages', () => {
+    assert.equal(formatPercent(6.5), '6.50%');
+    assert.equal(formatPercent(6.5, 3), '6.500%');
+    setLocale('fr');
+    assert.equal(formatPercent(6.5), `6,50${NBSP}%`);
+  });
+
+  it('translates frequencies and bond terms', () => {
+    assert.equal(describeBondTerms({ couponRate: 8.6, years: 1, frequency: 2 }), '8.6% coupon, 1 year, semi-annual');
+    setLocale('fr');
+    assert.equal(getFrequencyInfo(2).label, 'Semestrielle');
+    assert.equal(describeBondTerms({ couponRate: 8.6, years: 5, frequency: 2 }),
+      `coupon de 8,6${NBSP}%, 5 ans, semestrielle`);
+    setLocale('zh-CN');
+    assert.equal(getFrequencyInfo(4).period, '季度');
+  });
+});
+
+describe('matchLocale', () => {
+  it('matches exactly or by language', () => {
+    assert.equal(matchLocale(['fr-CA', 'en']), 'fr');
+    assert.equal(matchLocale(['zh-CN']), 'zh-CN');
+    assert.equal(matchLocale(['zh-Hans', 'fr']), 'zh-CN');
+    assert.equal(matchLocale(['de-DE', 'fr']), 'fr');
+  });
+
+  it('falls back to English', () => {
+    assert.equal(matchLocale(['de-DE']), 'en');
+    assert.equal(matchLocale([]), 'en');
+  });
+});
+
+describe('validation messages', () => {
+  it('are written in the language in use', () => {
+    setLocale('fr');
+    assert.equal(validateField('couponRate', 20), 'Le taux du coupon doit être au plus égal(e) à 10');
+    setLocale('zh-CN');
+    assert.equal(validateField('ytm', ''), '到期收益率为必填项');
+  });
+
+  it('describe curve and schedule parsing errors', () => {
+    setLocale('fr');
+    assert.equal(validateSpotRates(''), 'Saisissez au moins un taux zéro-coupon');
+    assert.equal(validateSpotRates('1:5, 0.5:6'), 'Les échéances doivent être positives et croissantes');
+    assert.equal(validateSinkingSchedule('2-20', { years: 5, frequency: 2 }),
+      'Utilisez des paires année:pourcentage, par ex. 3:20');
+    assert.equal(validateCallSchedule('3:abc', { years: 5, frequency: 2 }),
+      'Utilisez des paires année:prix, par ex. 3:102');
+  });
+
+  it('are rewritten in a new language by revalidateErrors', () => {
+    const inputs = { couponRate: 20, ytm: 6.5, years: 5, frequency: 2 };
+    const errors = { couponRate: validateField('couponRate', 20) };
+
+    setLocale('fr');
+    assert.deepEqual(revalidateErrors(errors, inputs), {
+      couponRate: 'Le taux du coupon doit être au plus égal(e) à 10'
+    });
+  });
+});
+
+describe('catalogs', () => {
+  it('translate every English message', () => {
+    const keys = Object.keys(LOCALES.en.messages).sort();
+
+    Object.entries(LOCALES).forEach(([locale, { messages }]) => {
+      assert.deepEqual(Object.keys(messages).sort(), keys, `${locale} keys`);
+    });
+  });
+
+  it('keep the placeholders of each English message', () => {
+    const placeholders = message => [...JSON.stringify(message).matchAll(/\{(\w+)\}/g)]
+      .map(match => match[1])
+      .filter((name, index, names) => names.indexOf(name) === index)
+      .sort();
+
+    Object.entries(LOCALES).forEach(([locale, { messages }]) => {
+      Object.entries(LOCALES.en.messages).forEach(([key, message]) => {
+        assert.deepEqual(placeholders(messages[key]), placeholders(message), `${locale} ${key}`);
+      });
+    });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * LMS Messaging Tests
+ * The postMessage API answered to a parent page
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startMessageAPI, readParentOrigin, MESSAGE_PREFIX } from '../modules/lms.js';
+import { createStore } from '../modules/state.js';
+import { calculateFromInputs } from '../modules/calculations.js';
+
+const LMS_ORIGIN = 'https://lms.example.com';
+
+/**
+ * Embed a calculator with its own state in a fake frame
+ * @param {string} parentOrigin - Origin allowed to send messages
+ * @returns {Object} { api, store, parent, send, replies, completed }
+ */
+function createFrame(parentOrigin = LMS_ORIGIN) {
+  const store = createStore();
+  const parent = {
+    messages: [],
+    postMessage(data, origin) { this.messages.push({ data, origin }); }
+  };
+  const listeners = new Set();
+  const win = {
+    parent,
+    addEventListener: (type, fn) => listeners.add(fn),
+    removeEventListener: (type, fn) => listeners.delete(fn)
+  };
+  const completed = [];
+
+  const calculate = () => {
+    const { calculations, solved } = calculateFromInputs(store.state);
+    store.setState({ ...solved, bondCalculations: calculations });
+  };
+
+  const api = startMessageAPI({
+    getState: () => store.state,
+    applyInputs: (values) => {
+      store.setState(values);
+      calculate();
+    },
+    subscribe: store.subscribe,
+    completeExercise: (exercise, result) => {
+      completed.push({ exercise, result });
+      return true;
+    }
+  }, parentOrigin, win);
+  calculate();
+
+  const send = (data, { origin = LMS_ORIGIN, source = parent } = {}) => {
+    listeners.forEach(fn => fn({ data, origin, source }));
+  };
+  const replies = (type) => parent.messages.filter(({ data }) => data.type === `${MESSAGE_PREFIX}${type}`);
+
+  return { api, store, parent, send, replies, completed };
+}
+
+describe('startMessageAPI', () => {
+  it('does nothing outside a frame', () => {
+    const win = { addEventListener: () => {} };
+    win.parent = win;
+    assert.equal(startMessageAPI({}, LMS_ORIGIN, win), null);
+  });
+
+  it('does nothing without an allowed parent origin', () => {
+    const error = console.error;
+    console.error = () => {};
+    try {
+      const win = { parent: { postMessage: () => assert.fail('posted') }, addEventListener: () => {} };
+      assert.equal(startMessageAPI({}, null, win), null);
+    } finally {
+      console.error = error;
+    }
+  });
+
+  it('announces itself to the parent', () => {
+    const { replies } = createFrame();
+    assert.deepEqual(replies('ready'), [{ data: { type: 'bond-calculator:ready' }, origin: LMS_ORIGIN }]);
+  });
+
+  it('sets inputs, reporting rejected values, and replies to the sender', () => {
+    const { send, replies, store } = createFrame();
+    send({ type: 'bond-calculator:set-inputs', requestId: 7, inputs: { couponRate: 5, ytm: 12, years: 3 } });
+
+    const [{ data, origin }] = replies('inputs-set');
+    assert.equal(origin, LMS_ORIGIN);
+    assert.equal(data.requestId, 7);
+    assert.deepEqual(data.accepted, ['couponRate', 'years']);
+    assert.deepEqual(data.rejected, [{ field: 'ytm', message: 'Yield to maturity must be at most 10' }]);
+    assert.equal(data.inputs.couponRate, 5);
+    assert.equal(data.bondCalculations.periods, 6);
+    assert.equal(store.state.couponRate, 5);
+  });
+
+  it('returns the calculations', () => {
+    const { send, replies, store } = createFrame();
+    send({ type: 'bond-calculator:get-calculations' });
+
+    const [{ data }] = replies('calculations');
+    assert.equal(data.requestId, null);
+    assert.equal(data.bondCalculations.bondPrice, store.state.bondCalculations.bondPrice);
+  });
+
+  it('sends changes to a subscriber until it unsubscribes', () => {
+    const { send, replies, store } = createFrame();
+    send({ type: 'bond-calculator:subscribe' });
+    assert.equal(replies('subscribed').length, 1);
+
+    // Only new calculations are sent, not every state update
+    store.setState({ viewMode: 'table' });
+    send({ type: 'bond-calculator:set-inputs', inputs: { ytm: 5 } });
+    assert.equal(replies('change').length, 1);
+    assert.equal(replies('change')[0].data.inputs.ytm, 5);
+
+    send({ type: 'bond-calculator:unsubscribe' });
+    send({ type: 'bond-calculator:set-inputs', inputs: { ytm: 6 } });
+    assert.equal(replies('change').length, 1);
+  });
+
+  it('passes completed exercises on', () => {
+    const { send, replies, completed } = createFrame();
+    send({ type: 'bond-calculator:complete-exercise', exercise: { id: 'q1' }, result: { success: true } });
+
+    assert.deepEqual(completed, [{ exercise: { id: 'q1' }, result: { success: true } }]);
+    assert.equal(replies('exercise-completed')[0].data.recorded, true);
+  });
+
+  it('ignores other windows, origins and messages, and reports errors', () => {
+    const { send, replies, parent, completed } = createFrame();
+    send({ type: 'bond-calculator:get-calculations' }, { source: {} });
+    send({ type: 'bond-calculator:complete-exercise', exercise: { id: 'q1' } }, { origin: 'https://evil.example.com' });
+    send({ type: 'bond-calculator:set-inputs', inputs: { ytm: 5 } }, { origin: 'null' });
+    send({ type: 'other:get-calculations' });
+    send('bond-calculator:get-calculations');
+    assert.equal(parent.messages.length, 1);
+    assert.deepEqual(completed, []);
+
+    send({ type: 'bond-calculator:set-inputs', requestId: 'a', inputs: [] });
+    send({ type: 'bond-calculator:toString' });
+    assert.deepEqual(replies('error').map(({ data, origin }) => [data.requestId, data.message, origin]), [
+      ['a', 'set-inputs needs an inputs object', LMS_ORIGIN],
+      [null, 'Unknown message type: bond-calculator:toString', LMS_ORIGIN]
+    ]);
+  });
+
+  it('answers an opaque parent origin only when it is allowed', () => {
+    const { send, replies } = createFrame('null');
+    send({ type: 'bond-calculator:get-calculations' });
+    send({ type: 'bond-calculator:get-calculations' }, { origin: 'null' });
+    assert.deepEqual(replies('calculations').map(({ origin }) => origin), ['*']);
+  });
+});
+
+describe('readParentOrigin', () => {
+  it('reads the lms_origin launch parameter', () => {
+    assert.equal(readParentOrigin('?lms_origin=https%3A%2F%2Flms.example.com%2Fcourse%2F1'), LMS_ORIGIN);
+    assert.equal(readParentOrigin('?lms_origin=null'), 'null');
+  });
+
+  it('allows no origin without lms_origin', () => {
+    assert.equal(readParentOrigin('?face=1000'), null);
+    assert.equal(readParentOrigin(''), null);
+  });
+
+  it('rejects invalid origins', () => {
+    const error = console.error;
+    console.error = () => {};
+    try {
+      assert.equal(readParentOrigin('?lms_origin=lms.example.com'), null);
+    } finally {
+      console.error = error;
+    }
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Practice Module Tests
+ * Generated problems, grading, hints and worked answers
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  QUESTIONS,
+  ANSWER_TOLERANCE,
+  generateProblem,
+  describeProblem,
+  solveProblem,
+  gradeAnswer,
+  getHints,
+  getWorkedSolution
+} from '../modules/practice.js';
+import { validateField, validateSchedule } from '../modules/validation.js';
+import { calculateBondMetrics } from '../modules/calculations.js';
+import { t, setLocale } from '../modules/i18n.js';
+
+// Intl separators: narrow no-break space (French thousands) and no-break space
+const NNBSP = '\u202f';
+const NBSP = '\u00a0';
+
+/**
+ * Seeded random number generator (mulberry32), so failures reproduce
+ * @param {number} seed - Seed
+ * @returns {Function} Generator returning [0, 1)
+ */
+function createRandom(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Premium: 8% coupon at a 6% yield, annual payments, price 108.4247
+const PROBLEM = {
+  id: 'price-100-8-6-5-1',
+  question: 'price',
+  inputs: { faceValue: 100, couponRate: 8, ytm: 6, years: 5, frequency: 1 }
+};
+
+describe('generateProblem', () => {
+  it('generates valid inputs for every question', () => {
+    const random = createRandom(21);
+    const asked = new Set();
+
+    for (let i = 0; i < 300; i++) {
+      const problem = generateProblem(null, random);
+      asked.add(problem.question);
+
+      Object.entries(problem.inputs).forEach(([field, value]) => {
+        assert.equal(validateField(field, value), null, `${field} ${value}`);
+      });
+      assert.equal(validateSchedule(problem.inputs), null);
+      assert.ok(problem.inputs.couponRate > 0 && problem.inputs.ytm > 0);
+      assert.ok(describeProblem(problem).endsWith(t(QUESTIONS[problem.question].prompt)));
+    }
+
+    assert.deepEqual([...asked].sort(), Object.keys(QUESTIONS).sort());
+  });
+
+  it('asks the chosen question', () => {
+    assert.equal(generateProblem('pvCoupons', createRandom(1)).question, 'pvCoupons');
+  });
+});
+
+describe('gradeAnswer', () => {
+  afterEach(() => setLocale('en', 'USD'));
+
+  it('accepts numbers within the tolerance', () => {
+    const price = calculateBondMetrics(PROBLEM.inputs).bondPrice;
+    assert.equal(gradeAnswer(PROBLEM, String(price + ANSWER_TOLERANCE - 1e-9)).correct, true);
+    assert.equal(gradeAnswer(PROBLEM, String(price - ANSWER_TOLERANCE - 1e-6)).correct, false);
+    assert.equal(gradeAnswer(PROBLEM, '$108.42').correct, true);
+  });
+
+  it('scales the tolerance with the face value', () => {
+    const problem = { ...PROBLEM, inputs: { ...PROBLEM.inputs, faceValue: 1000 } };
+    assert.equal(gradeAnswer(problem, '1,084.00').correct, true);
+    assert.equal(gradeAnswer(problem, '1,083.60').correct, false);
+  });
+
+  it('grades the classification and the PV of coupons', () => {
+    assert.equal(gradeAnswer({ ...PROBLEM, question: 'type' }, 'Premium').correct, true);
+    assert.equal(gradeAnswer({ ...PROBLEM, question: 'type' }, 'discount').correct, false);
+    assert.equal(gradeAnswer({ ...PROBLEM, question: 'pvCoupons' }, '33.70').correct, true);
+  });
+
+  it('rejects answers that are not numbers or classifications', () => {
+    assert.equal(gradeAnswer(PROBLEM, '').valid, false);
+    assert.equal(gradeAnswer(PROBLEM, '108.4.2').valid, false);
+    assert.equal(gradeAnswer(PROBLEM, '1,0,8').valid, false);
+    assert.equal(gradeAnswer({ ...PROBLEM, question: 'type' }, 'high').valid, false);
+    assert.equal(gradeAnswer(PROBLEM, 'abc').message, 'Enter the answer as a number, e.g. 1,043.76.');
+  });
+
+  it('reads numbers with the separators and currency of the language', () => {
+    const problem = { ...PROBLEM, inputs: { ...PROBLEM.inputs, faceValue: 1000 } };
+
+    setLocale('fr', 'EUR');
+    assert.equal(gradeAnswer(PROBLEM, '108,42').correct, true);
+    assert.equal(gradeAnswer(PROBLEM, '108,42 €').correct, true);
+    assert.equal(gradeAnswer(problem, `1${NNBSP}084,00${NBSP}€`).correct, true);
+    assert.equal(gradeAnswer(problem, '1 084').correct, true);
+    assert.equal(gradeAnswer(PROBLEM, '108.42').valid, false);
+    assert.equal(gradeAnswer(PROBLEM, 'abc').message,
+      `Saisissez la réponse sous forme de nombre, par ex. 1${NNBSP}043,76.`);
+
+    setLocale('zh-CN', 'CNY');
+    assert.equal(gradeAnswer(problem, '¥1,084.00').correct, true);
+    assert.equal(gradeAnswer(PROBLEM, '108.42').correct, true);
+    assert.equal(gradeAnswer(PROBLEM, '108,42').valid, false);
+  });
+});
+
+describe('hints and worked answers', () => {
+  afterEach(() => setLocale('en', 'USD'));
+
+  it('gives hints that do not state the answer', () => {
+    Object.keys(QUESTIONS).forEach(question => {
+      const problem = { ...PROBLEM, question };
+      const hints = getHints(problem);
+      assert.ok(hints.length >= 2);
+
+      const { answer } = solveProblem(problem);
+      const text = typeof answer === 'number' ? answer.toFixed(2) : answer;
+      hints.forEach(hint => assert.ok(!hint.includes(text), hint));
+    });
+  });
+
+  it('ends the worked answer with the graded answer', () => {
+    assert.deepEqual(getWorkedSolution(PROBLEM).slice(-2), [
+      'Price = $33.70 + $74.73 = $108.42.',
+      'Answer: $108.42.'
+    ]);
+    assert.equal(getWorkedSolution({ ...PROBLEM, question: 'type' }).pop(), 'Answer: premium.');
+    assert.equal(getWorkedSolution({ ...PROBLEM, question: 'pvCoupons' }).pop(), 'Answer: $33.70.');
+  });
+
+  it('are written in the language in use', () => {
+    setLocale('fr', 'EUR');
+    assert.equal(describeProblem(PROBLEM),
+      `Une obligation de nominal 100,00${NBSP}€ verse un coupon de 8${NBSP}% (un paiement par an) ` +
+      `et arrive à échéance dans 5 ans. Son rendement à l’échéance est de 6${NBSP}%. ` +
+      'Quel est le prix de l’obligation ?');
+    assert.equal(getWorkedSolution({ ...PROBLEM, question: 'type' }).pop(), 'Réponse : prime.');
+
+    setLocale('zh-CN', 'CNY');
+    assert.equal(getWorkedSolution(PROBLEM).pop(), '答案：¥108.42。');
+  });
+});
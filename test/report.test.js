@@ -0,0 +1,108 @@
+/**
+ * Report Tests
+ * Text and chart image built for the printable report
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildReportInputs, describeReportDate } from '../modules/report.js';
+import { renderChartImage } from '../modules/chart.js';
+import { calculateBondMetrics } from '../modules/calculations.js';
+import { setLocale } from '../modules/i18n.js';
+
+const INPUTS = { faceValue: 1000, couponRate: 6.125, ytm: 5, years: 2, frequency: 2, inputMode: 'yield' };
+
+describe('buildReportInputs', () => {
+  afterEach(() => setLocale('en', 'USD'));
+
+  const calculations = calculateBondMetrics(INPUTS);
+
+  it('lists the inputs with their numbers formatted', () => {
+    assert.deepEqual(buildReportInputs(calculations, INPUTS), [
+      ['Face value', '1,000'],
+      ['Payments per year', '2'],
+      ['Bond structure', 'Bullet'],
+      ['Coupon type', 'Fixed rate'],
+      ['Coupon rate (%)', '6.125'],
+      ['Years to maturity', '2']
+    ]);
+  });
+
+  it('lists the price when solving for yield', () => {
+    const rows = buildReportInputs(calculations, { ...INPUTS, inputMode: 'price', price: 101.5 });
+    assert.deepEqual(rows[5], ['Quoted flat price (per 100 par)', '101.5']);
+  });
+
+  it('uses the language in use', () => {
+    setLocale('fr', 'EUR');
+    const rows = buildReportInputs(calculations, INPUTS);
+    assert.deepEqual(rows[0], ['Valeur nominale', '1 000']);
+    assert.deepEqual(rows[4], ['Taux du coupon (%)', '6,125']);
+  });
+});
+
+describe('describeReportDate', () => {
+  afterEach(() => setLocale('en', 'USD'));
+
+  const date = new Date(2026, 2, 5, 14, 30);
+
+  it('gives the date and time the report was generated', () => {
+    assert.match(describeReportDate(date), /^Generated March 5, 2026 at 2:30\sPM$/);
+    setLocale('fr', 'EUR');
+    assert.equal(describeReportDate(date), 'Généré le 5 mars 2026 à 14:30');
+  });
+});
+
+describe('renderChartImage', () => {
+  const { cashFlows } = calculateBondMetrics({ faceValue: 100, couponRate: 6, ytm: 5, years: 2, frequency: 2 });
+  let drawn;
+
+  // Detached canvases and a Chart.js stand-in that records how it was drawn
+  beforeEach(() => {
+    drawn = [];
+    globalThis.document = {
+      createElement: () => {
+        const canvas = { getContext: () => ({ canvas }) };
+        return canvas;
+      }
+    };
+    globalThis.Chart = class {
+      constructor(ctx, config) {
+        this.canvas = ctx.canvas;
+        this.config = config;
+        this.destroyed = false;
+        drawn.push(this);
+      }
+      toBase64Image(type) {
+        return `data:${type};base64,`;
+      }
+      destroy() {
+        this.destroyed = true;
+      }
+    };
+  });
+
+  afterEach(() => {
+    delete globalThis.document;
+    delete globalThis.Chart;
+  });
+
+  it('draws a PNG once at a fixed size and twice the resolution', () => {
+    const image = renderChartImage(cashFlows, 2);
+    assert.equal(image, 'data:image/png;base64,');
+    assert.equal(drawn.length, 1);
+
+    const [chart] = drawn;
+    assert.deepEqual([chart.canvas.width, chart.canvas.height], [960, 480]);
+    assert.equal(chart.config.options.responsive, false);
+    assert.equal(chart.config.options.animation, false);
+    assert.equal(chart.config.options.devicePixelRatio, 2);
+    assert.equal(chart.destroyed, true);
+  });
+
+  it('draws at the size asked for', () => {
+    renderChartImage(cashFlows, 2, {}, { width: 640, height: 320 });
+    assert.deepEqual([drawn[0].canvas.width, drawn[0].canvas.height], [640, 320]);
+  });
+});
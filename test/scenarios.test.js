@@ -0,0 +1,108 @@
+/**
+ * Scenario Library Tests
+ * Saving, renaming, duplicating and deleting scenarios in localStorage
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadScenarios, saveScenario, renameScenario, duplicateScenario, deleteScenario } from '../modules/scenarios.js';
+import { setLocale } from '../modules/i18n.js';
+
+const INPUTS = { faceValue: 1000, couponRate: 6, ytm: 5, years: 2, frequency: 2 };
+const CALCULATIONS = { bondPrice: 1018.81, ytm: 5 };
+
+/**
+ * In-memory stand-in for localStorage
+ * @returns {Object} Storage, with full to make setItem throw
+ */
+function createStorage() {
+  const items = new Map();
+  return {
+    full: false,
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem(key, value) {
+      if (this.full) throw new Error('QuotaExceededError');
+      items.set(key, String(value));
+    }
+  };
+}
+
+describe('scenario library', () => {
+  let error;
+
+  beforeEach(() => {
+    globalThis.localStorage = createStorage();
+    error = console.error;
+    console.error = () => {};
+  });
+
+  afterEach(() => {
+    delete globalThis.localStorage;
+    console.error = error;
+    setLocale('en', 'USD');
+  });
+
+  it('saves scenarios in order', () => {
+    const first = saveScenario('Base case', INPUTS, CALCULATIONS);
+    const second = saveScenario('Higher yield', { ...INPUTS, ytm: 7 }, null);
+
+    assert.equal(first.name, 'Base case');
+    assert.notEqual(first.id, second.id);
+    assert.deepEqual(loadScenarios().map(s => [s.name, s.inputs.ytm, s.bondCalculations]), [
+      ['Base case', 5, CALCULATIONS],
+      ['Higher yield', 7, null]
+    ]);
+  });
+
+  it('renames a scenario', () => {
+    const { id } = saveScenario('Base case', INPUTS, CALCULATIONS);
+    assert.equal(renameScenario(id, 'Par bond'), true);
+    assert.equal(renameScenario('missing', 'Other'), false);
+    assert.deepEqual(loadScenarios().map(s => s.name), ['Par bond']);
+  });
+
+  it('places a copy after the original', () => {
+    const first = saveScenario('Base case', INPUTS, CALCULATIONS);
+    saveScenario('Higher yield', INPUTS, CALCULATIONS);
+
+    const copy = duplicateScenario(first.id);
+    assert.notEqual(copy.id, first.id);
+    assert.deepEqual(copy.inputs, INPUTS);
+    assert.deepEqual(loadScenarios().map(s => s.name), ['Base case', 'Base case (copy)', 'Higher yield']);
+    assert.equal(duplicateScenario('missing'), null);
+  });
+
+  it('names the copy in the language in use', () => {
+    const { id } = saveScenario('Cas de base', INPUTS, CALCULATIONS);
+    setLocale('fr', 'EUR');
+    assert.equal(duplicateScenario(id).name, 'Cas de base (copie)');
+  });
+
+  it('deletes a scenario', () => {
+    const first = saveScenario('Base case', INPUTS, CALCULATIONS);
+    const second = saveScenario('Higher yield', INPUTS, CALCULATIONS);
+
+    assert.equal(deleteScenario(first.id), true);
+    assert.equal(deleteScenario(first.id), false);
+    assert.deepEqual(loadScenarios().map(s => s.id), [second.id]);
+  });
+
+  it('reports a full storage and keeps the saved scenarios', () => {
+    const { id } = saveScenario('Base case', INPUTS, CALCULATIONS);
+    localStorage.full = true;
+
+    assert.equal(saveScenario('Higher yield', INPUTS, CALCULATIONS), null);
+    assert.equal(duplicateScenario(id), null);
+    assert.equal(renameScenario(id, 'Par bond'), false);
+    assert.equal(deleteScenario(id), false);
+    assert.deepEqual(loadScenarios().map(s => s.name), ['Base case']);
+  });
+
+  it('starts empty when the stored list is unreadable', () => {
+    localStorage.setItem('bond-calculator-scenarios', '{not json');
+    assert.deepEqual(loadScenarios(), []);
+    localStorage.setItem('bond-calculator-scenarios', '{}');
+    assert.deepEqual(loadScenarios(), []);
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * State Module Tests
+ * Independent stores for embedded calculators
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { state, setState, createStore } from '../modules/state.js';
+
+describe('createStore', () => {
+  it('starts from the defaults with overrides applied', () => {
+    const store = createStore({ couponRate: 5 });
+    assert.equal(store.state.couponRate, 5);
+    assert.equal(store.state.ytm, 6.5);
+    assert.deepEqual(store.state.listeners, []);
+  });
+
+  it('keeps its state and subscribers apart from the page and other stores', () => {
+    const first = createStore();
+    const second = createStore();
+    const seen = [];
+    first.subscribe(current => seen.push(current.ytm));
+
+    first.setState({ ytm: 4 });
+    second.setState({ ytm: 9 });
+    setState({ errors: {} });
+
+    assert.deepEqual(seen, [4]);
+    assert.equal(second.state.ytm, 9);
+    assert.equal(state.ytm, 6.5);
+    assert.notEqual(first.state.comparisonBonds, second.state.comparisonBonds);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * URL State Tests
+ * Inputs mirrored in the query string
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { pickInputs, pickBondInputs, serializeState, readStateFromUrl, acceptInputs, updateQuery } from '../modules/url.js';
+import { createStore } from '../modules/state.js';
+import { setLocale } from '../modules/i18n.js';
+
+/**
+ * Calculator state with some inputs changed from the defaults
+ * @param {Object} overrides - State fields to change
+ * @returns {Object} State
+ */
+function stateWith(overrides) {
+  return { ...createStore().state, ...overrides };
+}
+
+describe('pickInputs', () => {
+  it('copies the inputs in use, leaving out solved outputs', () => {
+    const inputs = pickInputs(stateWith({ price: 101.5 }));
+    assert.equal(inputs.ytm, 6.5);
+    assert.equal('price' in inputs, false);
+    assert.equal('spotRates' in inputs, false);
+    assert.equal('settlementDate' in inputs, false);
+
+    const priced = pickInputs(stateWith({ inputMode: 'price', price: 101.5, useDates: true }));
+    assert.equal(priced.price, 101.5);
+    assert.equal('ytm' in priced, false);
+    assert.equal('years' in priced, false);
+    assert.equal(priced.settlementDate, '2025-05-20');
+  });
+
+  it('keeps display settings out of the bond inputs', () => {
+    const inputs = pickBondInputs(stateWith({ viewMode: 'table' }));
+    assert.equal('viewMode' in inputs, false);
+    assert.equal(inputs.couponRate, 8.6);
+  });
+});
+
+describe('serializeState', () => {
+  it('writes only the inputs changed from the defaults', () => {
+    assert.equal(serializeState(stateWith({})), '');
+    assert.equal(serializeState(stateWith({ couponRate: 5, callable: true, viewMode: 'curve' })),
+      'coupon=5&callable=1&view=curve');
+  });
+
+  it('rounds solved values to six decimals', () => {
+    assert.equal(serializeState(stateWith({ inputMode: 'price', price: 101.123456789 })),
+      'price=101.123457&mode=price');
+  });
+});
+
+describe('readStateFromUrl', () => {
+  it('reads back a serialized state', () => {
+    const current = stateWith({
+      couponRate: 5, ytm: 4.25, frequency: 4, useDates: true, maturityDate: '2029-08-15',
+      dayCount: 'actual/actual', showCarryingValue: true
+    });
+    const { values, rejected } = readStateFromUrl(`?${serializeState(current)}`);
+
+    assert.deepEqual(rejected, []);
+    assert.deepEqual(values, {
+      frequency: 4, couponRate: 5, ytm: 4.25, useDates: true, maturityDate: '2029-08-15',
+      dayCount: 'actual/actual', showCarryingValue: true
+    });
+  });
+
+  it('ignores unknown parameters', () => {
+    assert.deepEqual(readStateFromUrl('?foo=1&endpoint=https%3A%2F%2Flrs.example.com&coupon=5'), {
+      values: { couponRate: 5 },
+      rejected: []
+    });
+  });
+
+  it('rejects values of the wrong type or out of range', () => {
+    const { values, rejected } = readStateFromUrl('?coupon=abc&ytm=&years=3&mode=spread&ytm=12&view=pie');
+    assert.deepEqual(values, { years: 3 });
+    assert.deepEqual(rejected.map(({ field }) => field).sort(), ['couponRate', 'inputMode', 'viewMode', 'ytm']);
+    assert.deepEqual(rejected.find(({ field }) => field === 'inputMode'), {
+      field: 'inputMode', message: 'mode must be one of yield, price, spot'
+    });
+  });
+});
+
+describe('acceptInputs', () => {
+  afterEach(() => setLocale('en', 'USD'));
+
+  it('checks types and options', () => {
+    const { values, rejected } = acceptInputs({ couponRate: '5', callable: 1, dayCount: 'actual/360', years: 4 });
+    assert.deepEqual(values, { years: 4 });
+    assert.deepEqual(rejected, [
+      { field: 'couponRate', message: 'coupon must be a number' },
+      { field: 'callable', message: 'callable must be a boolean' },
+      { field: 'dayCount', message: 'daycount must be one of 30/360, actual/actual' }
+    ]);
+  });
+
+  it('validates values together with the other inputs', () => {
+    const { values, rejected } = acceptInputs({ ytm: 12, couponRate: 5 });
+    assert.deepEqual(values, { couponRate: 5 });
+    assert.deepEqual(rejected, [{ field: 'ytm', message: 'Yield to maturity must be at most 10' }]);
+  });
+
+  it('validates only the fields the inputs use', () => {
+    assert.deepEqual(acceptInputs({ price: 500, quotedMargin: 900 }), {
+      values: { price: 500, quotedMargin: 900 },
+      rejected: []
+    });
+    assert.deepEqual(acceptInputs({ inputMode: 'price', price: 500 }).rejected.map(({ field }) => field),
+      ['inputMode', 'price']);
+  });
+
+  it('rejects price mode without a price', () => {
+    assert.deepEqual(acceptInputs({ inputMode: 'price' }), {
+      values: {},
+      rejected: [{ field: 'inputMode', message: 'Bond price is required' }]
+    });
+    assert.deepEqual(readStateFromUrl('?mode=price&price=101.5').values, { price: 101.5, inputMode: 'price' });
+  });
+
+  it('explains rejections in the language in use', () => {
+    setLocale('fr', 'EUR');
+    assert.deepEqual(acceptInputs({ couponRate: '5' }).rejected, [
+      { field: 'couponRate', message: 'coupon doit être un nombre' }
+    ]);
+  });
+
+  it('leaves out fields that are not inputs', () => {
+    assert.deepEqual(acceptInputs({ bondCalculations: {}, listeners: [] }), { values: {}, rejected: [] });
+  });
+});
+
+describe('updateQuery', () => {
+  it('rewrites the input parameters and keeps the others', () => {
+    const current = stateWith({ couponRate: 5, years: 3 });
+    const launch = 'endpoint=https%3A%2F%2Flrs.example.com%2Fxapi%2F&auth=Basic+abc&activity_id=q1&lms_origin=null';
+    const query = updateQuery(`?${launch}&coupon=4&ytm=7&view=table`, current);
+
+    const params = new URLSearchParams(query);
+    assert.equal(params.get('endpoint'), 'https://lrs.example.com/xapi/');
+    assert.equal(params.get('auth'), 'Basic abc');
+    assert.equal(params.get('activity_id'), 'q1');
+    assert.equal(params.get('lms_origin'), 'null');
+    assert.equal(params.get('coupon'), '5');
+    assert.equal(params.get('years'), '3');
+
+    // Inputs back at their defaults are dropped
+    assert.equal(params.has('ytm'), false);
+    assert.equal(params.has('view'), false);
+  });
+
+  it('leaves an empty query for the defaults', () => {
+    assert.equal(updateQuery('?coupon=4', createStore().state), '');
+  });
+});
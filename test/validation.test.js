@@ -0,0 +1,237 @@
+/**
+ * Validation Module Tests
+ * Field ranges, schedules and the combined input check
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { setLocale } from '../modules/i18n.js';
+import { calculateFromInputs, calculateCallYields, calculateBondMetrics } from '../modules/calculations.js';
+import {
+  validateField,
+  validateSchedule,
+  validateDates,
+  validateSpotRates,
+  validateSinkingSchedule,
+  validateCallSchedule,
+  validateAllInputs,
+  hasErrors,
+  describeError
+} from '../modules/validation.js';
+
+// Complete, valid inputs (the calculator's defaults with a quoted price)
+const INPUTS = {
+  faceValue: 100,
+  couponRate: 8.6,
+  ytm: 6.5,
+  years: 5,
+  frequency: 2,
+  price: 100,
+  useDates: false,
+  settlementDate: '2025-05-20',
+  maturityDate: '2030-02-15',
+  dayCount: '30/360',
+  spotRates: '0.5:5.0, 1:5.25, 2:5.75, 3:6.1, 5:6.5',
+  inputMode: 'yield',
+  structure: 'bullet',
+  sinkingSchedule: '2:20, 3:20, 4:20',
+  couponType: 'fixed',
+  referenceRate: 5,
+  quotedMargin: 50,
+  discountMargin: 75,
+  callable: false,
+  callSchedule: '3:102, 4:101'
+};
+
+describe('validateField', () => {
+  it('accepts values at both ends of the range', () => {
+    assert.equal(validateField('couponRate', 0), null);
+    assert.equal(validateField('couponRate', 10), null);
+    assert.equal(validateField('years', 1), null);
+    assert.equal(validateField('years', 5), null);
+  });
+
+  it('rejects values outside the range', () => {
+    assert.equal(validateField('ytm', -0.1), 'Yield to maturity must be at least 0');
+    assert.equal(validateField('ytm', 10.1), 'Yield to maturity must be at most 10');
+    assert.equal(validateField('faceValue', 0), 'Face value must be at least 1');
+  });
+
+  it('requires a number', () => {
+    assert.equal(validateField('years', ''), 'Years to maturity is required');
+    assert.equal(validateField('years', null), 'Years to maturity is required');
+    assert.equal(validateField('years', NaN), 'Years to maturity is required');
+  });
+
+  it('accepts only the listed payment frequencies', () => {
+    [1, 2, 4, 12].forEach(frequency => assert.equal(validateField('frequency', frequency), null));
+    assert.equal(validateField('frequency', 3), 'Payment frequency must be one of 1, 2, 4, 12');
+  });
+
+  it('ignores fields without rules', () => {
+    assert.equal(validateField('unknown', -1), null);
+  });
+});
+
+describe('validateSchedule', () => {
+  it('accepts whole numbers of payment periods', () => {
+    assert.equal(validateSchedule({ years: 1.5, frequency: 2 }), null);
+    assert.equal(validateSchedule({ years: 1.25, frequency: 4 }), null);
+    assert.equal(validateSchedule({ years: 5, frequency: 12 }), null);
+  });
+
+  it('rejects a maturity between payment dates', () => {
+    assert.match(validateSchedule({ years: 1.5, frequency: 1 }), /multiples of 1\)/);
+    assert.match(validateSchedule({ years: 1.1, frequency: 12 }), /multiples of 0.0833\)/);
+  });
+});
+
+describe('validateDates', () => {
+  it('accepts a maturity up to five years after settlement', () => {
+    assert.deepEqual(validateDates({ settlementDate: '2025-05-20', maturityDate: '2030-05-20' }), {});
+  });
+
+  it('rejects missing, invalid and out-of-order dates', () => {
+    assert.deepEqual(validateDates({ settlementDate: '', maturityDate: '2025-02-30' }), {
+      settlementDate: 'Settlement date is required',
+      maturityDate: 'Maturity date is required'
+    });
+    assert.deepEqual(validateDates({ settlementDate: '2025-05-20', maturityDate: '2025-05-20' }), {
+      maturityDate: 'Maturity date must be after the settlement date'
+    });
+    assert.deepEqual(validateDates({ settlementDate: '2025-05-20', maturityDate: '2030-05-21' }), {
+      maturityDate: 'Maturity date must be at most 5 years after settlement'
+    });
+  });
+});
+
+describe('validateSpotRates', () => {
+  it('accepts rates in the yield range', () => {
+    assert.equal(validateSpotRates('0, 5, 10'), null);
+    assert.equal(validateSpotRates(INPUTS.spotRates), null);
+  });
+
+  it('reports parse errors and out-of-range rates', () => {
+    assert.equal(validateSpotRates(''), 'Enter at least one spot rate');
+    assert.equal(validateSpotRates('5, x'), 'Spot rates must be numbers');
+    assert.equal(validateSpotRates('1:5, 2:11'), 'Spot rates must be between 0 and 10');
+  });
+});
+
+describe('validateSinkingSchedule', () => {
+  const terms = { years: 5, frequency: 2 };
+
+  it('accepts redemptions on payment dates before maturity', () => {
+    assert.equal(validateSinkingSchedule('2:20, 3.5:20', terms), null);
+  });
+
+  it('rejects invalid redemptions', () => {
+    assert.equal(validateSinkingSchedule('', terms), 'Enter at least one year:percent redemption');
+    assert.equal(validateSinkingSchedule('2-20', terms), 'Use year:percent pairs, e.g. 3:20');
+    assert.equal(validateSinkingSchedule('2:0', terms), 'Redemption percentages must be greater than 0');
+    assert.equal(validateSinkingSchedule('2.25:20', terms), 'Year 2.25 is not a payment date');
+    assert.equal(validateSinkingSchedule('5:20', terms), 'Year 5 must be before maturity (5 years)');
+    assert.equal(validateSinkingSchedule('1:50, 2:50', terms), 'Redemptions must total less than 100% of face value');
+  });
+
+  it('checks redemptions against the maturity date when dates are in use', () => {
+    const dated = {
+      ...terms, useDates: true, settlementDate: '2025-05-20', maturityDate: '2027-02-15', dayCount: '30/360'
+    };
+    assert.equal(validateSinkingSchedule('1.5:20', dated), null);
+    assert.equal(validateSinkingSchedule('2:20', dated), 'Year 2 must be before maturity (2 years)');
+  });
+});
+
+describe('validateCallSchedule', () => {
+  const terms = { years: 5, frequency: 1 };
+
+  it('accepts calls on payment dates before maturity', () => {
+    assert.equal(validateCallSchedule('4:101, 3:102', terms), null);
+  });
+
+  it('rejects invalid calls', () => {
+    assert.equal(validateCallSchedule('', terms), 'Enter at least one year:price call date');
+    assert.equal(validateCallSchedule('3.5:102', terms), 'Call year 3.5 is not a payment date');
+    assert.equal(validateCallSchedule('5:100', terms), 'Call year 5 must be before maturity (5 years)');
+    assert.equal(validateCallSchedule('3:102, 3:101', terms), 'Call year 3 is listed more than once');
+    assert.equal(validateCallSchedule('3:151', terms), 'Call prices must be between 50 and 150');
+  });
+
+  it('checks calls against the maturity date when dates are in use', () => {
+    const dated = {
+      ...terms, useDates: true, settlementDate: '2025-05-20', maturityDate: '2028-02-15', dayCount: '30/360'
+    };
+    assert.equal(validateCallSchedule('2:101', dated), null);
+    assert.equal(validateCallSchedule('3:101', dated), 'Call year 3 must be before maturity (3 years)');
+  });
+});
+
+describe('validateAllInputs', () => {
+  it('accepts the default inputs', () => {
+    assert.equal(hasErrors(validateAllInputs(INPUTS)), false);
+  });
+
+  it('collects errors from every field', () => {
+    const errors = validateAllInputs({ ...INPUTS, couponRate: 12, faceValue: '' });
+    assert.deepEqual(Object.keys(errors).sort(), ['couponRate', 'faceValue']);
+    assert.equal(hasErrors(errors), true);
+  });
+
+  it('checks the schedule only when not pricing from dates', () => {
+    assert.ok(validateAllInputs({ ...INPUTS, years: 1.25 }).schedule);
+    assert.equal(validateAllInputs({ ...INPUTS, years: 1.25, useDates: true }).schedule, undefined);
+  });
+
+  it('checks dates only when they are in use', () => {
+    const dates = { settlementDate: '2030-01-01', maturityDate: '2025-01-01' };
+    assert.equal(validateAllInputs({ ...INPUTS, ...dates }).maturityDate, undefined);
+    assert.ok(validateAllInputs({ ...INPUTS, ...dates, useDates: true }).maturityDate);
+  });
+
+  it('checks text schedules only when they are in use', () => {
+    const invalid = { spotRates: 'x', sinkingSchedule: 'x', callSchedule: 'x' };
+    assert.equal(hasErrors(validateAllInputs({ ...INPUTS, ...invalid })), false);
+
+    const errors = validateAllInputs({
+      ...INPUTS, ...invalid, inputMode: 'spot', structure: 'sinking', callable: true
+    });
+    assert.deepEqual(Object.keys(errors).sort(), ['callSchedule', 'sinkingSchedule', 'spotRates']);
+  });
+});
+
+describe('describeError', () => {
+  afterEach(() => setLocale('en', 'USD'));
+
+  const capture = (calculate) => {
+    try {
+      calculate();
+    } catch (error) {
+      return error;
+    }
+    assert.fail('expected an error');
+  };
+
+  it('describes a solver failure with its reason', () => {
+    const error = capture(() => calculateFromInputs({ ...INPUTS, inputMode: 'price', price: 0 }));
+    assert.equal(describeError(error), 'Could not solve for yield: Price must be a positive number');
+
+    setLocale('fr', 'EUR');
+    assert.equal(describeError(error), 'Impossible de calculer le rendement : Le prix doit être un nombre positif');
+  });
+
+  it('describes a schedule error with its values', () => {
+    const { cashFlows, bondPrice } = calculateBondMetrics({
+      faceValue: 100, couponRate: 8, ytm: 6, years: 2, frequency: 1
+    });
+    const error = capture(() => calculateCallYields({
+      cashFlows, bondPrice, ytm: 6, frequency: 1, callSchedule: [{ year: 2, price: 100 }]
+    }));
+    assert.equal(describeError(error), 'Call year 2 must be before maturity (2 years)');
+  });
+
+  it('keeps the message of other errors', () => {
+    assert.equal(describeError(new Error('Canvas is unavailable')), 'Canvas is unavailable');
+  });
+});
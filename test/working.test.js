@@ -0,0 +1,119 @@
+/**
+ * Worked Solution Tests
+ * Substituted equation steps and their spoken forms
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getWorkingSteps, getWorkingLimitation } from '../modules/working.js';
+import { number, operator, row, fraction, power, group, toSpeech } from '../modules/mathml.js';
+import { calculateBondMetrics, calculateFromInputs } from '../modules/calculations.js';
+import { createStore } from '../modules/state.js';
+import { pickInputs } from '../modules/url.js';
+import { setLocale } from '../modules/i18n.js';
+
+const BOND = { faceValue: 1000, couponRate: 6.5, ytm: 5, years: 10, frequency: 2 };
+
+/**
+ * Find a step by its label
+ * @param {Object} working - Result of getWorkingSteps
+ * @param {string} label - Step label
+ * @returns {Object} Step
+ */
+function step(working, label) {
+  return working.steps.find(s => s.label === label);
+}
+
+describe('getWorkingSteps', () => {
+  afterEach(() => setLocale('en', 'USD'));
+
+  it('substitutes PMT, r, T and FV', () => {
+    const working = getWorkingSteps(calculateBondMetrics(BOND), BOND);
+    assert.deepEqual(working.values, { PMT: 32.5, r: 0.025, T: 20, FV: 1000 });
+  });
+
+  it('works through each intermediate result to the price', () => {
+    const calculations = calculateBondMetrics(BOND);
+    const working = getWorkingSteps(calculations, BOND);
+
+    assert.deepEqual(working.steps.map(s => s.label), [
+      'Periodic rate', 'Annuity factor', 'PV of coupons', 'Discount factor', 'PV of face value', 'Price'
+    ]);
+    assert.equal(step(working, 'Periodic rate').value, 0.025);
+    assert.ok(Math.abs(step(working, 'Annuity factor').value - 15.5892) < 1e-4);
+    assert.ok(Math.abs(step(working, 'Discount factor').value - 0.610271) < 1e-6);
+    assert.ok(Math.abs(step(working, 'PV of coupons').value - calculations.pvCoupons) < 1e-9);
+    assert.ok(Math.abs(step(working, 'PV of face value').value - calculations.pvFaceValue) < 1e-9);
+    assert.ok(Math.abs(step(working, 'Price').value - calculations.bondPrice) < 1e-9);
+  });
+
+  it('shows the substituted values in the expressions', () => {
+    const working = getWorkingSteps(calculateBondMetrics(BOND), BOND);
+    const spoken = toSpeech(step(working, 'Discount factor').expression);
+
+    assert.match(spoken, /1 divided by the quantity 1 plus 0\.025, to the power 20/);
+    assert.match(spoken, /equals 0\.610271$/);
+    assert.match(toSpeech(working.equation), /^PV coupon bond equals 32\.50 divided by 0\.025 times/);
+  });
+
+  it('uses the number of payments as the annuity factor at a zero rate', () => {
+    const bond = { ...BOND, ytm: 0 };
+    const working = getWorkingSteps(calculateBondMetrics(bond), bond);
+
+    assert.equal(step(working, 'Annuity factor').value, 20);
+    assert.equal(step(working, 'Price').value, 1650);
+    assert.equal(toSpeech(working.equation), 'PV coupon bond equals 32.50 times 20 plus 1,000.00 equals 1,650.00');
+  });
+
+  it('rolls the price forward between coupon dates', () => {
+    const store = createStore({ useDates: true, settlementDate: '2025-05-20', maturityDate: '2030-02-15' });
+    const { calculations } = calculateFromInputs(pickInputs(store.state));
+    const working = getWorkingSteps(calculations, store.state);
+    const last = working.steps[working.steps.length - 1];
+
+    assert.equal(last.label, 'Full price at settlement');
+    assert.ok(Math.abs(last.value - calculations.bondPrice) < 1e-9);
+  });
+
+  it('works through floating-rate notes at the discount rate', () => {
+    const floating = { referenceRate: 5, quotedMargin: 50, discountMargin: 75 };
+    const calculations = calculateBondMetrics({ ...BOND, floating });
+    const working = getWorkingSteps(calculations, BOND);
+
+    assert.equal(working.values.PMT, 27.5);
+    assert.ok(Math.abs(working.values.r - 0.02875) < 1e-12);
+    assert.ok(Math.abs(step(working, 'Price').value - calculations.bondPrice) < 1e-9);
+  });
+
+  it('explains why the equation does not apply to amortizing bonds and spot curves', () => {
+    const amortizing = calculateBondMetrics({ ...BOND, structure: 'amortizing' });
+    assert.match(getWorkingSteps(amortizing, BOND).limitation, /not a level annuity/);
+    assert.equal(getWorkingLimitation(calculateBondMetrics({ ...BOND, structure: 'zero' })), '');
+
+    const { calculations } = calculateFromInputs(pickInputs(createStore({ inputMode: 'spot' }).state));
+    assert.match(getWorkingLimitation(calculations), /spot rate/);
+  });
+
+  it('labels and reads the steps in the language in use', () => {
+    setLocale('fr', 'EUR');
+    const bond = { ...BOND, ytm: 0 };
+    const working = getWorkingSteps(calculateBondMetrics(bond), bond);
+
+    assert.equal(working.steps[0].label, 'Taux périodique');
+    assert.equal(toSpeech(working.equation),
+      'PV obligation à coupons égale 32,50 fois 20 plus 1\u202f000,00 égale 1\u202f650,00');
+  });
+});
+
+describe('toSpeech', () => {
+  it('reads compound operands as one quantity', () => {
+    const expression = row(
+      fraction(number(1), power(group(row(number(1), operator('+'), number(0.05))), number(2))),
+      operator('='), number(0.907029)
+    );
+
+    assert.equal(toSpeech(expression),
+      '1 divided by the quantity 1 plus 0.05, to the power 2 equals 0.907029');
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * xAPI Tests
+ * Launch parameters, statements and batched, queued delivery to a stub LRS
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { readLaunchParameters, createXAPIClient, VERBS } from '../modules/xapi.js';
+import { startStubLRS } from '../tools/stub-lrs.js';
+
+const ACTOR = { objectType: 'Agent', name: 'Learner', mbox: 'mailto:learner@example.com' };
+const ACTIVITY = 'https://courses.example.com/bond-calculator';
+const BOND = { inputs: { couponRate: 5 }, price: 98.5 };
+
+/**
+ * In-memory stand-in for localStorage
+ * @returns {Object} Storage
+ */
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value))
+  };
+}
+
+describe('readLaunchParameters', () => {
+  it('reads the launch parameters', () => {
+    const launch = readLaunchParameters('?' + new URLSearchParams({
+      endpoint: 'https://lrs.example.com/xapi',
+      auth: 'Basic abc',
+      actor: JSON.stringify({ name: ['Learner'], mbox: ['mailto:learner@example.com'] }),
+      registration: 'a1b2',
+      activity_id: ACTIVITY
+    }));
+
+    assert.deepEqual(launch, {
+      endpoint: 'https://lrs.example.com/xapi/',
+      auth: 'Basic abc',
+      actor: ACTOR,
+      registration: 'a1b2',
+      activityId: ACTIVITY
+    });
+  });
+
+  it('needs an endpoint and an identified actor', () => {
+    assert.equal(readLaunchParameters('?coupon=5'), null);
+    assert.equal(readLaunchParameters('?endpoint=https://lrs.example.com/'), null);
+    assert.equal(readLaunchParameters('?endpoint=https://lrs.example.com/&actor={"name":"A"}'), null);
+  });
+});
+
+describe('createXAPIClient', () => {
+  let lrs;
+  let storage;
+  let clients;
+
+  before(async () => {
+    lrs = await startStubLRS();
+  });
+
+  after(() => lrs.close());
+
+  beforeEach(() => {
+    lrs.statements.length = 0;
+    lrs.requests.length = 0;
+    storage = createStorage();
+    clients = [];
+  });
+
+  /**
+   * Create a client for the stub LRS that only sends when flushed
+   * @param {Object} options - Client options to override
+   * @returns {Object} Client
+   */
+  const createClient = (options = {}) => {
+    const client = createXAPIClient({
+      endpoint: lrs.endpoint,
+      auth: 'Basic abc',
+      actor: ACTOR,
+      activityId: ACTIVITY,
+      batchSize: 2,
+      flushDelay: 60000,
+      storage,
+      ...options
+    });
+    clients.push(client);
+    return client;
+  };
+
+  const stopAll = () => clients.forEach(client => client.stop());
+
+  it('sends statements in batches with the xAPI headers', async () => {
+    const client = createClient({ registration: 'a1b2' });
+    client.interacted(BOND);
+    client.interacted(BOND);
+    client.interacted(BOND);
+    await client.flush();
+    stopAll();
+
+    assert.equal(lrs.requests.length, 2);
+    assert.equal(lrs.requests[0].headers.authorization, 'Basic abc');
+    assert.equal(lrs.requests[0].headers['x-experience-api-version'], '1.0.3');
+    assert.equal(lrs.statements.length, 3);
+    assert.equal(new Set(lrs.statements.map(s => s.id)).size, 3);
+    assert.equal(client.pending(), 0);
+
+    const [statement] = lrs.statements;
+    assert.deepEqual(statement.verb, VERBS.interacted);
+    assert.equal(statement.object.id, ACTIVITY);
+    assert.equal(statement.context.registration, 'a1b2');
+    assert.deepEqual(statement.result.extensions[`${ACTIVITY}/extensions/inputs`], BOND.inputs);
+  });
+
+  it('records completed exercises within the calculator activity', async () => {
+    const client = createClient();
+    client.completed({ id: 'premium bond', name: 'Price a premium bond' }, { success: true, score: 0.5, ...BOND });
+    client.completed({ id: 'https://courses.example.com/q2' });
+    await client.flush();
+    stopAll();
+
+    const [first, second] = lrs.statements;
+    assert.deepEqual(first.verb, VERBS.completed);
+    assert.equal(first.object.id, `${ACTIVITY}/exercises/premium%20bond`);
+    assert.equal(first.object.definition.name['en-US'], 'Price a premium bond');
+    assert.deepEqual(first.result.score, { scaled: 0.5 });
+    assert.equal(first.result.success, true);
+    assert.deepEqual(first.context.contextActivities.parent, [{ objectType: 'Activity', id: ACTIVITY }]);
+    assert.equal(second.object.id, 'https://courses.example.com/q2');
+    assert.equal(second.result.success, undefined);
+  });
+
+  it('keeps statements queued while the LRS is down, across page loads', async () => {
+    lrs.failNext(1);
+    const client = createClient();
+    client.interacted(BOND);
+    assert.equal(await client.flush(), 0);
+    stopAll();
+    assert.equal(client.pending(), 1);
+
+    // A new page picks up the queue
+    const reloaded = createClient();
+    reloaded.interacted(BOND);
+    assert.equal(await reloaded.flush(), 2);
+    stopAll();
+    assert.equal(lrs.statements.length, 2);
+  });
+
+  it('waits while offline', async () => {
+    let online = false;
+    const client = createClient({ isOnline: () => online });
+    client.interacted(BOND);
+    await client.flush();
+    assert.equal(lrs.requests.length, 0);
+
+    online = true;
+    await client.flush();
+    stopAll();
+    assert.equal(lrs.statements.length, 1);
+  });
+
+  it('drops statements the LRS rejects as invalid', async () => {
+    const client = createClient({
+      fetch: async () => ({ ok: false, status: 400 })
+    });
+    client.interacted(BOND);
+    await client.flush();
+    stopAll();
+    assert.equal(client.pending(), 0);
+  });
+});
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * Stub Learning Record Store
+ * A minimal local LRS for testing the calculator's xAPI statements: accepts
+ * POST <endpoint>/statements, keeps the statements in memory and can be told
+ * to fail, to stand in for an unreachable LRS
+ *
+ * Run `npm run lrs` (PORT sets the port, default 8787) and open the
+ * calculator with ?endpoint=http://localhost:8787/xapi/&actor=... to watch
+ * statements arrive.
+ */
+
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type, X-Experience-API-Version'
+};
+
+/**
+ * Start the stub LRS
+ * @param {Object} options - { port (0 picks a free port), log }
+ * @returns {Promise<Object>} { endpoint, statements, requests, failNext, close }
+ */
+export function startStubLRS({ port = 0, log = false } = {}) {
+  const statements = [];
+  const requests = [];
+  let failures = 0;
+
+  const server = createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+      return;
+    }
+
+    if (req.method !== 'POST' || req.url !== '/xapi/statements') {
+      res.writeHead(404, CORS_HEADERS);
+      res.end();
+      return;
+    }
+
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+
+      if (failures > 0) {
+        failures -= 1;
+        res.writeHead(503, CORS_HEADERS);
+        res.end();
+        return;
+      }
+
+      let batch;
+      try {
+        batch = JSON.parse(body);
+      } catch (error) {
+        res.writeHead(400, CORS_HEADERS);
+        res.end('Invalid JSON');
+        return;
+      }
+
+      batch = Array.isArray(batch) ? batch : [batch];
+      statements.push(...batch);
+      if (log) {
+        batch.forEach(s => console.log(`${s.timestamp} ${s.verb.display['en-US']} ${s.object.id}`));
+      }
+
+      res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(batch.map(s => s.id)));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, 'localhost', () => {
+      resolve({
+        endpoint: `http://localhost:${server.address().port}/xapi/`,
+        statements,
+        requests,
+        failNext: (count = 1) => { failures = count; },
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { endpoint } = await startStubLRS({ port: Number(process.env.PORT) || 8787, log: true });
+  console.log(`Stub LRS listening at ${endpoint}`);
+}